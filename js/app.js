@@ -1,9 +1,17 @@
-import { state, loadState, saveState } from './state.js';
+import { state, loadState, saveState, getStorageBackend } from './state.js';
 import { $, on } from './modules/utils.js';
-import { renderFront, nextCard, resetAllBack, bindModality, updateDailySupercardCounter } from './modules/flashcards.js';
+import { renderFront, nextCard, resetAllBack, bindModality, updateDailySupercardCounter, undoLastAnswer, revalidateCurrentCard } from './modules/flashcards.js';
 import { setTranslationDir, checkTranslation, newSentence, showTranslateA, handleFeedbackClick, renderFeedbackTokens, skipSentence, switchTranslationDir } from './modules/translation.js';
-import { renderKeyStatus, handleImport, handleForgetList, forgetKey, saveKey, copyPrompt, renderModel, handleModelChange, triggerBrowse, handleFileSelect, clearCacheAndReload, loadVersionInfo, setupTextareaAutoResize, renderSentenceCount, renderWordCount, viewSentences, closeModal, forgetSentences, renderFSRSStats, forgetFSRS, viewAllSupercards, closeSupercardsModal, closeWordDetailModal } from './modules/settings.js';
+import { renderKeyStatus, handleImport, handleImportPreviewChange, handleImportPreviewClick, commitImport, cancelImport, handleForgetList, forgetKey, saveKey, copyPrompt, renderModel, handleModelChange, triggerBrowse, handleFileSelect, loadVersionInfo, setupTextareaAutoResize, renderSentenceCount, renderWordCount, viewSentences, closeModal, forgetSentences, renderFSRSStats, forgetFSRS, viewAllSupercards, closeSupercardsModal, closeWordDetailModal, handleReviewLogRetentionChange, exportReviewLog, forgetReviewLog, exportWordlist, exportProgress, exportAnkiPackage, handleBackup, triggerRestore, handleRestoreFileSelect, renderRestoreSummary, applyRestore, cancelRestore, renderSyncSettings, saveSyncSettings, handleSyncNow, renderAudioSettings, triggerAudioFolder, handleAudioFolderSelect, handleAudioCoverage, handleClearAudio, runOptimizer, adoptOptimizedParameters, resetFSRSParameters, renderSchedulingSettings, handleSchedulingSettingChange, resetSchedulingSettings, renderDailyLimits, handleDailyLimitsChange, handleNewCardStrategyChange, handleLoadBalancingChange, handleSiblingBuryingChange, renderDecks, renderWordBrowser, handleWordBrowserSearch, handleWordBrowserClick, handleWordBrowserKeydown, handleDeckSelectionChange, handleDeckAction, studyAllDecks, renderFilteredSessionOptions, handleStartFilteredSession, renderLeeches, handleLeechSettingsChange, handleLeechAction, handleStudyLeeches, renderReviewLogCount, renderOptimizerStatus } from './modules/settings.js';
 import { getDiagnosticReport, verifySystemHealth, getNextSupercard } from './modules/fsrs.js';
+import { runSimulation } from './modules/simulator.js';
+import { ensureDeckMembership, getStudyWordlist } from './modules/decks.js';
+import { endFilteredSession } from './modules/filteredSession.js';
+import { migrateWordIds } from './modules/wordIdMigration.js';
+import { getQuarantine } from './modules/stateSchema.js';
+import { startTabSync } from './modules/tabSync.js';
+import { startSyncEditTracking } from './modules/sync.js';
+import { registerServiceWorker, handleCheckUpdate, applyUpdate, dismissUpdateBanner } from './modules/pwa.js';
 
 
 function runSmokeTests() {
@@ -14,7 +22,7 @@ function runSmokeTests() {
         '#btnFabNext', '#btnNextBottom',
         '#modPron', '#modPinyin', '#modHanzi', '#modMeaning', '#modHanziTyping',
         '#fbSentence', '#btnSubmitTranslation', '#btnSwitchDirection', '#btnSkipSentence', '#btnNextSentence',
-        '#btnImport', '#btnForgetKey', '#btnForgetList', '#btnClearCache'
+        '#btnImport', '#btnForgetKey', '#btnForgetList', '#btnCheckUpdate'
     ];
     const missing = required.filter(s => !$(s));
     if (missing.length) {
@@ -45,6 +53,9 @@ function setTab(tab) {
     // Update FSRS stats when settings tab is shown
     if (tab === 'settings') {
         renderFSRSStats();
+        renderFilteredSessionOptions();
+        renderLeeches();
+        renderWordBrowser();
     }
 }
 
@@ -57,6 +68,17 @@ on('#tabSettings', 'click', () => setTab('settings'));
 on('#btnFabNext', 'click', () => { nextCard(); });
 on('#btnNextBottom', 'click', () => { nextCard(); });
 
+// Undo the last grading action (toast button, or Ctrl/Cmd+Z outside text fields)
+on('#btnUndo', 'click', () => { undoLastAnswer(); });
+document.addEventListener('keydown', (e) => {
+    if (state.tab !== 'flash') return;
+    if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.key.toLowerCase() !== 'z') return;
+    const target = e.target;
+    const isTextField = (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement) && !target.disabled;
+    if (isTextField && target.value) return; // Let the field undo its own typing
+    if (undoLastAnswer()) e.preventDefault();
+});
+
 // Modality binds
 bindModality($('#modPron'));
 bindModality($('#modPinyin'));
@@ -97,11 +119,68 @@ on('#btnImport', 'click', handleImport);
 on('#btnBrowse', 'click', triggerBrowse);
 on('#fileInput', 'change', handleFileSelect);
 on('#btnForgetList', 'click', handleForgetList);
+on('#decksContainer', 'change', handleDeckSelectionChange);
+on('#decksContainer', 'click', handleDeckAction);
+on('#wordBrowserSearch', 'input', handleWordBrowserSearch);
+on('#wordBrowserContainer', 'click', handleWordBrowserClick);
+on('#wordBrowserContainer', 'keydown', handleWordBrowserKeydown);
+on('#btnStudyAllDecks', 'click', studyAllDecks);
+on('#btnStartFilteredSession', 'click', () => {
+    if (handleStartFilteredSession()) setTab('flash');
+});
+on('#leechSubcardLapses', 'change', handleLeechSettingsChange);
+on('#leechSupercardLapses', 'change', handleLeechSettingsChange);
+on('#leechWindowDays', 'change', handleLeechSettingsChange);
+on('#leechAction', 'change', handleLeechSettingsChange);
+on('#leechRehabPasses', 'change', handleLeechSettingsChange);
+on('#leechListContainer', 'click', handleLeechAction);
+on('#btnStudyLeeches', 'click', () => {
+    if (handleStudyLeeches()) setTab('flash');
+});
+on('#btnEndFilteredSession', 'click', () => {
+    endFilteredSession();
+    nextCard();
+});
 on('#btnViewSentences', 'click', viewSentences);
 on('#btnForgetSentences', 'click', forgetSentences);
 on('#btnForgetFSRS', 'click', forgetFSRS);
 on('#btnViewAllSupercards', 'click', viewAllSupercards);
-on('#btnClearCache', 'click', clearCacheAndReload);
+on('#reviewLogRetention', 'change', handleReviewLogRetentionChange);
+on('#reviewLogMaxEntries', 'change', handleReviewLogRetentionChange);
+on('#btnExportReviewLogJson', 'click', () => exportReviewLog('json'));
+on('#btnExportReviewLogCsv', 'click', () => exportReviewLog('csv'));
+on('#btnExportWordlistJson', 'click', () => exportWordlist('json'));
+on('#btnExportWordlistCsv', 'click', () => exportWordlist('csv'));
+on('#btnExportProgress', 'click', exportProgress);
+on('#btnExportAnki', 'click', exportAnkiPackage);
+on('#btnBackup', 'click', handleBackup);
+on('#btnRestore', 'click', triggerRestore);
+on('#btnSyncNow', 'click', handleSyncNow);
+on('#btnSaveSync', 'click', saveSyncSettings);
+on('#btnPickAudioFolder', 'click', triggerAudioFolder);
+on('#audioFolderInput', 'change', handleAudioFolderSelect);
+on('#btnAudioCoverage', 'click', handleAudioCoverage);
+on('#btnClearAudio', 'click', handleClearAudio);
+on('#restoreFileInput', 'change', handleRestoreFileSelect);
+on('#restoreModeOptions', 'change', renderRestoreSummary);
+on('#btnApplyRestore', 'click', applyRestore);
+on('#btnCancelRestore', 'click', cancelRestore);
+on('#btnCloseRestore', 'click', cancelRestore);
+on('#restoreModalOverlay', 'click', cancelRestore);
+on('#btnForgetReviewLog', 'click', forgetReviewLog);
+on('#btnOptimizeFSRS', 'click', runOptimizer);
+on('#btnAdoptFSRSParams', 'click', adoptOptimizedParameters);
+on('#btnResetFSRSParams', 'click', resetFSRSParameters);
+on('#dailyNewLimit', 'change', handleDailyLimitsChange);
+on('#dailyReviewLimit', 'change', handleDailyLimitsChange);
+on('#newCardStrategy', 'change', handleNewCardStrategyChange);
+on('#loadBalancing', 'change', handleLoadBalancingChange);
+on('#siblingBurying', 'change', handleSiblingBuryingChange);
+on('#schedulingSettingsContainer', 'change', handleSchedulingSettingChange);
+on('#btnResetSchedulingSettings', 'click', resetSchedulingSettings);
+on('#btnCheckUpdate', 'click', handleCheckUpdate);
+on('#btnApplyUpdate', 'click', applyUpdate);
+on('#btnDismissUpdate', 'click', dismissUpdateBanner);
 
 // Modal controls
 on('#btnCloseModal', 'click', closeModal);
@@ -110,12 +189,22 @@ on('#btnCloseSupercardsModal', 'click', closeSupercardsModal);
 on('#supercardsModalOverlay', 'click', closeSupercardsModal);
 on('#btnCloseWordDetailModal', 'click', closeWordDetailModal);
 on('#wordDetailModalOverlay', 'click', closeWordDetailModal);
+on('#importPreviewContainer', 'change', handleImportPreviewChange);
+on('#importPreviewContainer', 'click', handleImportPreviewClick);
+on('#btnCommitImport', 'click', commitImport);
+on('#btnCancelImport', 'click', cancelImport);
+on('#btnCloseImportPreview', 'click', cancelImport);
+on('#importPreviewModalOverlay', 'click', cancelImport);
 
 // Reset UI removed as per request. Use individual Forget buttons.
 
 // Init
-if (loadState()) {
-    console.log('State loaded. Wordlist size:', state.wordlist.length);
+if (await loadState()) {
+    console.log(`State loaded from ${getStorageBackend()}. Wordlist size:`, state.wordlist.length);
+    // Wordlists saved before decks existed go into a default deck
+    if (ensureDeckMembership()) saveState();
+    // Move progress to WordIDs of the current scheme (no-op once migrated)
+    if (migrateWordIds().changed) saveState();
 } else {
     console.log('No state found, starting fresh.');
 }
@@ -126,6 +215,14 @@ updateDailySupercardCounter(); // Will render empty state if no words
 setTranslationDir('ENZH');
 renderKeyStatus();
 renderModel();
+renderSyncSettings();
+renderAudioSettings();
+renderDailyLimits();
+renderSchedulingSettings();
+renderDecks();
+renderWordBrowser();
+renderFilteredSessionOptions();
+renderLeeches();
 renderSentenceCount();
 renderWordCount();
 renderFSRSStats();
@@ -133,6 +230,33 @@ renderFeedbackTokens();
 loadVersionInfo();
 setupTextareaAutoResize();
 runSmokeTests();
+registerServiceWorker();
+
+// Note when records change, for sync conflicts (see sync.js)
+startSyncEditTracking();
+
+// Merge what other open tabs record and refresh what it affects
+startTabSync((touched) => {
+    revalidateCurrentCard(touched);
+    updateDailySupercardCounter();
+    renderWordCount();
+    renderFSRSStats();
+    if (touched.wordIds.size > 0) {
+        renderDecks();
+        renderWordBrowser();
+    }
+    if (touched.sentences) renderSentenceCount();
+    if (touched.settings) {
+        renderKeyStatus();
+        renderModel();
+        renderDailyLimits();
+        renderSchedulingSettings();
+        renderReviewLogCount();
+        renderOptimizerStatus();
+        renderLeeches();
+        renderDecks();
+    }
+});
 
 // Expose debug functions globally for console access
 window.MandaloreDebug = {
@@ -175,7 +299,10 @@ window.MandaloreDebug = {
         });
         console.log('Daily stats:', {
             count: state.dailySupercardCount,
-            date: state.dailySupercardDate
+            date: state.dailySupercardDate,
+            newCount: state.dailyNewCount,
+            reviewCount: state.dailyReviewCount,
+            limits: state.dailyLimits
         });
         return state;
     },
@@ -188,9 +315,32 @@ window.MandaloreDebug = {
         console.log('Calling getNextSupercard to preview selection...');
         // Note: This will actually select a card and update lastShown,
         // but won't navigate. Use with caution.
-        return getNextSupercard(state.wordlist, state.fsrsSubcards, state.lastWordId);
+        return getNextSupercard(getStudyWordlist(), state.fsrsSubcards, state.lastWordId);
     },
     
+    /**
+     * Simulate synthetic learners for N days with the real scheduler (real progress is untouched)
+     * Usage: MandaloreDebug.simulate({ days: 60, wordCount: 300, learners: [{ name: 'Weak tones', recall: { pronunciation: 0.6 } }] })
+     */
+    simulate: (options = {}) => runSimulation(options),
+    
+    /**
+     * Recompute WordIDs with the current scheme and move progress to changed IDs
+     * Usage: MandaloreDebug.migrateWordIds()
+     */
+    migrateWordIds: () => {
+        const result = migrateWordIds();
+        if (result.changed) saveState();
+        console.log(`[WordID] ${result.migrated.length} migrated, ${result.stamped} stamped, ${result.conflicts.length} conflict(s)`);
+        return result;
+    },
+    
+    /**
+     * Sections of stored state set aside as corrupt while loading
+     * Usage: MandaloreDebug.quarantine()
+     */
+    quarantine: () => getQuarantine(),
+    
 };
 
-console.log('💡 Debug utilities available: MandaloreDebug.report(), MandaloreDebug.health(), MandaloreDebug.state()');
+console.log('💡 Debug utilities available: MandaloreDebug.report(), MandaloreDebug.health(), MandaloreDebug.state(), MandaloreDebug.simulate(), MandaloreDebug.migrateWordIds(), MandaloreDebug.quarantine()');
@@ -0,0 +1,402 @@
+/**
+ * Anki Package Export
+ *
+ * Builds an .apkg file Anki can import: a zip (stored, no compression) holding
+ * collection.anki2, a schema 11 SQLite collection written by sqliteWriter.js, and
+ * an empty media map.
+ *
+ * - One note per word with the fields Hanzi, Pinyin, Meaning and the word's tags.
+ *   The note GUID is derived from the WordID, so exporting again and re-importing
+ *   updates the same notes instead of duplicating them.
+ * - One card per front (Hanzi, Pronunciation, Meaning templates), in the deck of the
+ *   word's first deck. A front whose subcards were reviewed becomes a review card
+ *   due when its earliest subcard is due, with the weakest subcard's FSRS memory
+ *   state in the card data; learning steps have no Anki equivalent here and are
+ *   exported as review cards. Suspended fronts stay suspended.
+ * - The review log becomes Anki's revlog: the backModes graded together in one
+ *   supercard review collapse into one entry for the front's card.
+ */
+
+import { state } from '../state.js';
+import { getBackModesForFront, getSubcardKey, isSupercardSuspended } from './fsrs.js';
+import { getWordTags } from './tags.js';
+import { getWordDeckIds, getDeck } from './decks.js';
+import { buildSqliteDatabase } from './sqliteWriter.js';
+
+const FRONT_TYPES = ['hanzi', 'pronunciation', 'meaning'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Fixed so repeated exports map onto the same note type in Anki
+const MODEL_ID = 1735689600000;
+const DEFAULT_DECK_NAME = 'Mandalore';
+
+const SCHEMA = {
+    col: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+    notes: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+    cards: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+    revlog: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+    graves: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)'
+};
+
+const CARD_CSS = `.card { font-family: arial; font-size: 22px; text-align: center; color: black; background-color: white; }
+.hanzi { font-size: 56px; }
+.pinyin { font-size: 26px; color: #0a7a6a; }`;
+
+const TEMPLATES = [
+    {
+        name: 'Hanzi',
+        qfmt: '<div class="hanzi">{{Hanzi}}</div>',
+        afmt: '{{FrontSide}}<hr id=answer><div class="pinyin">{{Pinyin}}</div><div>{{Meaning}}</div>',
+        fields: [0]
+    },
+    {
+        name: 'Pronunciation',
+        qfmt: '<div class="pinyin">{{Pinyin}}</div>',
+        afmt: '{{FrontSide}}<hr id=answer><div class="hanzi">{{Hanzi}}</div><div>{{Meaning}}</div>',
+        fields: [1]
+    },
+    {
+        name: 'Meaning',
+        qfmt: '<div>{{Meaning}}</div>',
+        afmt: '{{FrontSide}}<hr id=answer><div class="hanzi">{{Hanzi}}</div><div class="pinyin">{{Pinyin}}</div>',
+        fields: [2]
+    }
+];
+const FIELD_NAMES = ['Hanzi', 'Pinyin', 'Meaning'];
+
+// App FSRS state before a review -> Anki revlog type (0 learn, 1 review, 2 relearn)
+const REVLOG_TYPE = { 0: 0, 1: 0, 2: 1, 3: 2 };
+
+const textEncoder = new TextEncoder();
+
+function escapeField(text) {
+    return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Anki's note checksum: first 8 hex digits of the SHA-1 of the first field
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+async function fieldChecksum(text) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', textEncoder.encode(text)));
+    return ((digest[0] << 24) | (digest[1] << 16) | (digest[2] << 8) | digest[3]) >>> 0;
+}
+
+/**
+ * Start of the local day containing a time
+ * @param {number} ms
+ * @returns {number} - ms
+ */
+function startOfDay(ms) {
+    const date = new Date(ms);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Scheduling columns of the Anki card for one front
+ * @param {Object} word
+ * @param {string} front
+ * @param {number} position - New card position
+ * @param {number} crtMs - Collection creation day (review dues count days from it)
+ * @returns {Object} - { type, queue, due, ivl, factor, reps, lapses, data }
+ */
+function getCardScheduling(word, front, position, crtMs) {
+    const reviewed = getBackModesForFront(front)
+        .map(mode => state.fsrsSubcards?.[getSubcardKey(word.id, front, mode)])
+        .filter(card => card?.last_review);
+    const suspended = isSupercardSuspended(word.id, front);
+
+    if (reviewed.length === 0) {
+        return { type: 0, queue: suspended ? -1 : 0, due: position, ivl: 0, factor: 0, reps: 0, lapses: 0, data: '' };
+    }
+
+    // The front is as weak as its earliest-due subcard
+    const weakest = reviewed.reduce((a, b) => new Date(a.due) <= new Date(b.due) ? a : b);
+    const dueMs = new Date(weakest.due).getTime();
+    const lastMs = new Date(weakest.last_review).getTime();
+    const round = value => Math.round(Number(value || 0) * 10000) / 10000;
+    return {
+        type: 2,
+        queue: suspended ? -1 : 2,
+        due: Math.max(0, Math.floor((startOfDay(dueMs) - crtMs) / MS_PER_DAY)),
+        ivl: Math.max(1, Math.round(weakest.scheduled_days || (dueMs - lastMs) / MS_PER_DAY)),
+        factor: 2500,
+        reps: Math.max(...reviewed.map(card => card.reps || 0)),
+        lapses: Math.max(...reviewed.map(card => card.lapses || 0)),
+        data: JSON.stringify({ s: round(weakest.stability), d: round(weakest.difficulty) })
+    };
+}
+
+/**
+ * Collection config, note type, decks and deck options (JSON columns of col)
+ */
+function buildCollectionJson(deckIds, nowMs) {
+    const nowSec = Math.floor(nowMs / 1000);
+    const deck = (id, name) => ({
+        id, name, mod: nowSec, usn: -1, desc: '', dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+        extendNew: 0, extendRev: 0, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+    });
+    const decks = { 1: deck(1, 'Default') };
+    for (const [name, id] of deckIds) decks[id] = deck(id, name);
+
+    const model = {
+        id: MODEL_ID,
+        name: 'Mandalore',
+        type: 0,
+        mod: nowSec,
+        usn: -1,
+        sortf: 0,
+        did: [...deckIds.values()][0] || 1,
+        tmpls: TEMPLATES.map((t, ord) => ({ name: t.name, ord, qfmt: t.qfmt, afmt: t.afmt, bqfmt: '', bafmt: '', did: null, bfont: '', bsize: 0 })),
+        flds: FIELD_NAMES.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+        css: CARD_CSS,
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        latexsvg: false,
+        req: TEMPLATES.map((t, ord) => [ord, 'any', t.fields]),
+        tags: [],
+        vers: []
+    };
+
+    const dconf = {
+        1: {
+            id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+            new: { bury: false, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 0], order: 1, perDay: 20 },
+            lapse: { delays: [10], leechAction: 1, leechFails: 8, minInt: 1, mult: 0 },
+            rev: { bury: false, ease4: 1.3, ivlFct: 1, maxIvl: 36500, perDay: 200, hardFactor: 1.2 }
+        }
+    };
+
+    const conf = {
+        activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true,
+        dueCounts: true, curModel: MODEL_ID, nextPos: (state.wordlist || []).length + 1,
+        sortType: 'noteFld', sortBackwards: false, addToCur: true
+    };
+
+    return { conf, models: { [MODEL_ID]: model }, decks, dconf };
+}
+
+/**
+ * Build the collection.anki2 database for the current wordlist and progress
+ * @param {number} nowMs - Export time
+ * @returns {Promise<Uint8Array>}
+ */
+async function buildCollection(nowMs) {
+    const words = (state.wordlist || []).filter(w => w.id);
+    const nowSec = Math.floor(nowMs / 1000);
+
+    // Review dues are day numbers counted from the collection's creation day
+    const reviewTimes = (state.reviewLog || []).map(e => new Date(e.reviewedAt).getTime())
+        .concat(Object.values(state.fsrsSubcards || {}).map(c => c.last_review ? new Date(c.last_review).getTime() : NaN))
+        .filter(Number.isFinite);
+    const crtMs = startOfDay(Math.min(nowMs, ...reviewTimes));
+
+    // Anki decks by name (a word goes into its first deck)
+    const deckIds = new Map();
+    const deckIdFor = (word) => {
+        const name = getDeck(getWordDeckIds(word)[0])?.name || DEFAULT_DECK_NAME;
+        if (!deckIds.has(name)) deckIds.set(name, nowMs + deckIds.size + 1);
+        return deckIds.get(name);
+    };
+
+    const notes = [];
+    const cards = [];
+    const cardIds = new Map(); // `${wordId}_${front}` -> card id
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        const noteId = nowMs + i;
+        const tags = getWordTags(word);
+        notes.push([
+            noteId,
+            `mandalore-${word.id}`,
+            MODEL_ID,
+            nowSec,
+            -1,
+            tags.length > 0 ? ` ${tags.join(' ')} ` : '',
+            [word.word, word.pinyinToned, word.meaning].map(escapeField).join('\x1f'),
+            escapeField(word.word),
+            await fieldChecksum(String(word.word || '')),
+            0,
+            ''
+        ]);
+
+        const deckId = deckIdFor(word);
+        FRONT_TYPES.forEach((front, ord) => {
+            const cardId = nowMs + i * FRONT_TYPES.length + ord;
+            const s = getCardScheduling(word, front, i + 1, crtMs);
+            cardIds.set(`${word.id}_${front}`, cardId);
+            cards.push([cardId, noteId, deckId, ord, nowSec, -1, s.type, s.queue, s.due, s.ivl, s.factor, s.reps, s.lapses, 0, 0, 0, 0, s.data]);
+        });
+    }
+
+    // One revlog entry per supercard review (its backModes share wordId, front and time)
+    const reviews = new Map();
+    for (const entry of state.reviewLog || []) {
+        const cardId = cardIds.get(`${entry.wordId}_${entry.front}`);
+        if (!cardId) continue;
+        const key = `${cardId}@${entry.reviewedAt}`;
+        const existing = reviews.get(key);
+        if (existing) {
+            existing.rating = Math.min(existing.rating, entry.rating);
+            existing.durationMs = Math.max(existing.durationMs, entry.durationMs || 0);
+            continue;
+        }
+        reviews.set(key, {
+            cardId,
+            time: new Date(entry.reviewedAt).getTime(),
+            rating: entry.rating,
+            state: entry.state,
+            scheduledDays: entry.scheduledDays,
+            elapsedDays: entry.elapsedDays,
+            durationMs: entry.durationMs || 0
+        });
+    }
+    const revlog = [];
+    const usedIds = new Set();
+    for (const review of [...reviews.values()].sort((a, b) => a.time - b.time)) {
+        // revlog ids are millisecond timestamps and must be unique
+        let id = review.time;
+        while (usedIds.has(id)) id++;
+        usedIds.add(id);
+        revlog.push([
+            id,
+            review.cardId,
+            -1,
+            review.rating === 1 ? 1 : 3,
+            Math.round(review.scheduledDays || 0),
+            Math.round(review.elapsedDays || 0),
+            0,
+            Math.min(review.durationMs, 60000),
+            REVLOG_TYPE[review.state] ?? 1
+        ]);
+    }
+
+    const json = buildCollectionJson(deckIds, nowMs);
+    const col = [[
+        1, Math.floor(crtMs / 1000), nowMs, nowMs, 11, 0, 0, 0,
+        JSON.stringify(json.conf), JSON.stringify(json.models), JSON.stringify(json.decks), JSON.stringify(json.dconf), '{}'
+    ]];
+
+    const index = (name, table, columns, indexes) => ({
+        name,
+        sql: `CREATE INDEX ${name} on ${table} (${columns.join(', ')})`,
+        columns: columns.map(c => indexes.indexOf(c))
+    });
+    const noteColumns = ['id', 'guid', 'mid', 'mod', 'usn', 'tags', 'flds', 'sfld', 'csum', 'flags', 'data'];
+    const cardColumns = ['id', 'nid', 'did', 'ord', 'mod', 'usn', 'type', 'queue', 'due', 'ivl', 'factor', 'reps', 'lapses', 'left', 'odue', 'odid', 'flags', 'data'];
+    const revlogColumns = ['id', 'cid', 'usn', 'ease', 'ivl', 'lastIvl', 'factor', 'time', 'type'];
+
+    return buildSqliteDatabase([
+        { name: 'col', sql: SCHEMA.col, primaryKey: 0, rows: col },
+        {
+            name: 'notes', sql: SCHEMA.notes, primaryKey: 0, rows: notes,
+            indexes: [index('ix_notes_usn', 'notes', ['usn'], noteColumns), index('ix_notes_csum', 'notes', ['csum'], noteColumns)]
+        },
+        {
+            name: 'cards', sql: SCHEMA.cards, primaryKey: 0, rows: cards,
+            indexes: [
+                index('ix_cards_usn', 'cards', ['usn'], cardColumns),
+                index('ix_cards_nid', 'cards', ['nid'], cardColumns),
+                index('ix_cards_sched', 'cards', ['did', 'queue', 'due'], cardColumns)
+            ]
+        },
+        {
+            name: 'revlog', sql: SCHEMA.revlog, primaryKey: 0, rows: revlog,
+            indexes: [index('ix_revlog_usn', 'revlog', ['usn'], revlogColumns), index('ix_revlog_cid', 'revlog', ['cid'], revlogColumns)]
+        },
+        { name: 'graves', sql: SCHEMA.graves, rows: [] }
+    ]);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Zip files without compression
+ * @param {Array} files - [{ name, data: Uint8Array }]
+ * @param {Date} date - Modification time stored for every entry
+ * @returns {Uint8Array}
+ */
+function zipStored(files, date = new Date()) {
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = textEncoder.encode(file.name);
+        const crc = crc32(file.data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(new Uint8Array(local.buffer), name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const all = [...parts, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of all) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
+
+/**
+ * Build an .apkg of the wordlist with one note per word and a card per front
+ * @returns {Promise<Uint8Array>}
+ */
+export async function buildAnkiPackage() {
+    const now = new Date();
+    const collection = await buildCollection(now.getTime());
+    return zipStored([
+        { name: 'collection.anki2', data: collection },
+        { name: 'media', data: textEncoder.encode('{}') }
+    ], now);
+}
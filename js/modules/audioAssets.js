@@ -0,0 +1,189 @@
+/**
+ * Local Audio Assets
+ *
+ * The user picks a folder of audio files (Settings); they are stored in IndexedDB
+ * (storage.js, audio store) and matched to words by file name:
+ * 1. the WordID name, getAssetFilename(wordId, ext), e.g. 3f2a9c1b.mp3
+ * 2. the legacy hanzi name, e.g. 你好.mp3 (see sanitizeHanziFilename)
+ * for each of AUDIO_EXTENSIONS. Names are compared in lowercase. Playback prefers
+ * these files over FlashCardo audio and TTS (flashcards.js playAudioAsset), and files
+ * named by WordID follow the word when its WordID changes (words.js migrateWordId).
+ */
+
+import { state } from '../state.js';
+import { getAssetFilename, generateWordId } from './wordId.js';
+import { openStateDb, getAudioKeys, getAudioAsset, putAudioAssets, moveAudioAssets, clearAudioAssets } from './storage.js';
+
+export const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'ogg', 'opus', 'wav', 'aac', 'webm', 'flac'];
+
+let dbPromise = null;
+let audioKeys = null; // Set of stored keys once loaded
+
+function getDb() {
+    if (!dbPromise) dbPromise = openStateDb();
+    return dbPromise;
+}
+
+/**
+ * Legacy asset name for a word: the hanzi without whitespace and characters that
+ * can't appear in file names
+ * @param {string} hanzi
+ * @returns {string}
+ */
+export function sanitizeHanziFilename(hanzi) {
+    return (hanzi || '')
+        .normalize('NFC')
+        .replace(/[\s\\/:*?"<>|\u0000-\u001F]/g, '');
+}
+
+function getExtension(name) {
+    const match = name.match(/\.([a-z0-9]+)$/i);
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Load the names of the stored files (once)
+ * @returns {Promise<Set<string>>} - Empty when IndexedDB is unavailable
+ */
+export async function loadAudioIndex() {
+    if (audioKeys) return audioKeys;
+    const db = await getDb();
+    audioKeys = new Set(db ? await getAudioKeys(db) : []);
+    return audioKeys;
+}
+
+/**
+ * Number of stored audio files (0 until loadAudioIndex has run)
+ * @returns {number}
+ */
+export function getAudioFileCount() {
+    return audioKeys ? audioKeys.size : 0;
+}
+
+/**
+ * Store the audio files of a picked folder (files with other extensions are skipped;
+ * a file with the same name replaces the stored one)
+ * @param {FileList|Array<File>} files
+ * @returns {Promise<Object>} - { ok, msg } or { ok, stored, skipped }
+ */
+export async function importAudioFiles(files) {
+    const db = await getDb();
+    if (!db) return { ok: false, msg: "This browser can't store files (IndexedDB is unavailable)." };
+    await loadAudioIndex();
+
+    const addedAt = new Date().toISOString();
+    const entries = [];
+    let skipped = 0;
+    for (const file of files) {
+        if (!AUDIO_EXTENSIONS.includes(getExtension(file.name))) {
+            skipped++;
+            continue;
+        }
+        entries.push([file.name.normalize('NFC').toLowerCase(), { name: file.name, type: file.type, size: file.size, blob: file, addedAt }]);
+    }
+    if (entries.length === 0) return { ok: false, msg: `No audio files found (looked for ${AUDIO_EXTENSIONS.map(e => `.${e}`).join(', ')}).` };
+
+    try {
+        await putAudioAssets(db, entries);
+    } catch (e) {
+        console.error('Failed to store audio files', e);
+        return { ok: false, msg: `Couldn't store the files${e?.name === 'QuotaExceededError' ? ' (browser storage is full)' : ''}.` };
+    }
+    entries.forEach(([key]) => audioKeys.add(key));
+    return { ok: true, stored: entries.length, skipped };
+}
+
+/**
+ * Delete all stored audio files
+ * @returns {Promise<void>}
+ */
+export async function clearAudioFiles() {
+    const db = await getDb();
+    if (db) await clearAudioAssets(db);
+    audioKeys = new Set();
+}
+
+/**
+ * Stored file for a word, if any (call loadAudioIndex first)
+ * @param {string} wordId
+ * @param {string} hanzi
+ * @returns {Object|null} - { key, match: 'wordId' | 'hanzi' }
+ */
+export function findLocalAudio(wordId, hanzi) {
+    if (!audioKeys || audioKeys.size === 0) return null;
+    const names = [
+        ['wordId', wordId ? wordId.toLowerCase() : ''],
+        ['hanzi', sanitizeHanziFilename(hanzi)]
+    ];
+    for (const [match, base] of names) {
+        if (!base) continue;
+        for (const ext of AUDIO_EXTENSIONS) {
+            const key = getAssetFilename(base, ext);
+            if (audioKeys.has(key)) return { key, match };
+        }
+    }
+    return null;
+}
+
+/**
+ * Play a word's stored file
+ * @param {string} wordId
+ * @param {string} hanzi
+ * @returns {Promise<boolean>} - False if there is no file for the word or it can't play
+ */
+export async function playLocalAudio(wordId, hanzi) {
+    await loadAudioIndex();
+    const found = findLocalAudio(wordId, hanzi);
+    if (!found) return false;
+    try {
+        const asset = await getAudioAsset(await getDb(), found.key);
+        if (!asset?.blob) return false;
+        const url = URL.createObjectURL(asset.blob);
+        const audio = new Audio(url);
+        const release = () => URL.revokeObjectURL(url);
+        audio.addEventListener('ended', release, { once: true });
+        audio.addEventListener('error', release, { once: true });
+        await audio.play();
+        return true;
+    } catch (e) {
+        console.error('Failed to play local audio:', e);
+        return false;
+    }
+}
+
+/**
+ * Which words have local audio and which don't
+ * @returns {Promise<Object>} - { byWordId, byHanzi, missing: [word] }
+ */
+export async function getLocalAudioCoverage() {
+    await loadAudioIndex();
+    const coverage = { byWordId: [], byHanzi: [], missing: [] };
+    for (const word of state.wordlist || []) {
+        const wordId = word.id || generateWordId(word.word, word.pinyinToned);
+        const found = findLocalAudio(wordId, word.word);
+        if (!found) coverage.missing.push(word);
+        else if (found.match === 'wordId') coverage.byWordId.push(word);
+        else coverage.byHanzi.push(word);
+    }
+    return coverage;
+}
+
+/**
+ * Move files named by a word's old WordID to its new one
+ * @param {string} oldId
+ * @param {string} newId
+ * @returns {Promise<number>} - Files renamed
+ */
+export async function renameAudioAsset(oldId, newId) {
+    const db = await getDb();
+    if (!db || !oldId || !newId || oldId === newId) return 0;
+    const moves = AUDIO_EXTENSIONS.map(ext => [getAssetFilename(oldId.toLowerCase(), ext), getAssetFilename(newId.toLowerCase(), ext)]);
+    const moved = await moveAudioAssets(db, moves);
+    if (audioKeys) {
+        moved.forEach(([from, to]) => {
+            audioKeys.delete(from);
+            audioKeys.add(to);
+        });
+    }
+    return moved.length;
+}
@@ -0,0 +1,310 @@
+/**
+ * Backup & Restore
+ *
+ * A backup is the whole persisted state (serializeState) in one file:
+ * { format: 'mandalore-backup', version, createdAt, includesApiKey, state }
+ * The Gemini API key is left out unless asked for. With a passphrase the state is
+ * encrypted with WebCrypto (AES-GCM, key from PBKDF2-SHA-256) and the file holds
+ * { format, version, createdAt, encrypted: true, kdf, cipher, data } instead.
+ *
+ * Restoring validates the payload's shape, migrates it to the current state schema
+ * (stateSchema.js), shows a dry-run summary and then either
+ * - replaces: the backup becomes the state (the current API key is kept if the
+ *   backup has none), or
+ * - merges: words missing here are added and words in both gain the backup's decks
+ *   and tags; for subcards in both, the later last_review wins; review log entries,
+ *   cached sentences and decks are united; local settings are kept.
+ */
+
+import { state, serializeState, applyStateData, markDirty } from '../state.js';
+import { getWordTags, addWordTags } from './tags.js';
+import { getWordDeckIds, addWordToDeck, ensureDeckMembership } from './decks.js';
+import { migrateState } from './stateSchema.js';
+import { sentenceKey } from './utils.js';
+
+export const BACKUP_FORMAT = 'mandalore-backup';
+export const BACKUP_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 310000;
+
+// Settings compared in the summary (kept as they are when merging)
+const SETTING_FIELDS = [
+    'geminiModel', 'dailyLimits', 'newCardStrategy', 'loadBalancing', 'siblingBurying', 'leechSettings',
+    'reviewLogRetentionDays', 'reviewLogMaxEntries', 'fsrsParameters', 'schedulingSettings', 'studyDecks', 'deckName'
+];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', textEncoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Build a backup file of the current state
+ * @param {Object} options - { passphrase?, includeApiKey? }
+ * @returns {Promise<string>} - JSON
+ */
+export async function createBackup({ passphrase = '', includeApiKey = false } = {}) {
+    const data = serializeState();
+    if (!includeApiKey) delete data.apiKey;
+    // Sync bookkeeping belongs to this browser (and holds the server token)
+    delete data.sync;
+    const createdAt = new Date().toISOString();
+
+    if (!passphrase) {
+        return JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt, includesApiKey: includeApiKey, state: data });
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const plaintext = textEncoder.encode(JSON.stringify({ includesApiKey: includeApiKey, state: data }));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt,
+        encrypted: true,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        data: toBase64(ciphertext)
+    });
+}
+
+/**
+ * Check the shape of a backed-up state before anything is applied
+ * @param {Object} data - Persisted state payload
+ * @returns {Object} - { ok, msg }
+ */
+export function validateBackupState(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return { ok: false, msg: 'The backup has no state.' };
+    if (!Array.isArray(data.wordlist)) return { ok: false, msg: 'The backup has no wordlist.' };
+    for (let i = 0; i < data.wordlist.length; i++) {
+        const w = data.wordlist[i];
+        if (!w || typeof w !== 'object') return { ok: false, msg: `Word ${i + 1} must be an object.` };
+        for (const k of ['id', 'word', 'pinyinToned', 'meaning']) {
+            if (typeof w[k] !== 'string') return { ok: false, msg: `Word ${i + 1} "${k}" must be a string.` };
+        }
+    }
+    if (data.fsrsSubcards !== undefined) {
+        if (!data.fsrsSubcards || typeof data.fsrsSubcards !== 'object' || Array.isArray(data.fsrsSubcards)) {
+            return { ok: false, msg: '"fsrsSubcards" must be an object.' };
+        }
+        for (const [key, card] of Object.entries(data.fsrsSubcards)) {
+            if (!card || typeof card !== 'object') return { ok: false, msg: `Subcard "${key}" must be an object.` };
+            for (const k of ['due', 'last_review']) {
+                if (card[k] && Number.isNaN(new Date(card[k]).getTime())) return { ok: false, msg: `Subcard "${key}" has an invalid "${k}".` };
+            }
+        }
+    }
+    for (const k of ['cachedSentences', 'reviewLog', 'decks', 'recentSupercards']) {
+        if (data[k] !== undefined && !Array.isArray(data[k])) return { ok: false, msg: `"${k}" must be an array.` };
+    }
+    for (const k of ['supercardFlags', 'supercardLastShown']) {
+        if (data[k] !== undefined && (typeof data[k] !== 'object' || Array.isArray(data[k]))) return { ok: false, msg: `"${k}" must be an object.` };
+    }
+    return { ok: true };
+}
+
+/**
+ * Read a backup file (decrypting it if needed) and validate it
+ * @param {string} text - File contents
+ * @param {string} passphrase - Needed for encrypted backups
+ * @returns {Promise<Object>} - { ok, msg, needsPassphrase? } or { ok, backup: { createdAt, encrypted, includesApiKey, state } }
+ */
+export async function readBackup(text, passphrase = '') {
+    let file;
+    try { file = JSON.parse(text); }
+    catch (e) { return { ok: false, msg: "That file can't be parsed as a backup." }; }
+    if (!file || file.format !== BACKUP_FORMAT) return { ok: false, msg: 'Not a Mandalore backup file.' };
+    if (typeof file.version !== 'number' || file.version > BACKUP_VERSION) {
+        return { ok: false, msg: `Backup version ${file.version} is newer than this app supports (${BACKUP_VERSION}).` };
+    }
+
+    let content = file;
+    if (file.encrypted) {
+        if (!passphrase) return { ok: false, needsPassphrase: true, msg: 'This backup is encrypted. Enter its passphrase.' };
+        try {
+            const key = await deriveKey(passphrase, fromBase64(file.kdf.salt), file.kdf.iterations);
+            const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(file.cipher.iv) }, key, fromBase64(file.data));
+            content = JSON.parse(textDecoder.decode(plaintext));
+        } catch (e) {
+            return { ok: false, msg: 'Wrong passphrase, or the backup is damaged.' };
+        }
+    }
+
+    const v = validateBackupState(content.state);
+    if (!v.ok) return v;
+    // Backups from older builds carry older state schemas
+    let migrated;
+    try { migrated = migrateState(content.state).data; }
+    catch (e) { return { ok: false, msg: `${e.message}.` }; }
+    return {
+        ok: true,
+        backup: { createdAt: file.createdAt || null, encrypted: !!file.encrypted, includesApiKey: !!content.includesApiKey, state: migrated }
+    };
+}
+
+function sameJson(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function reviewTime(card) {
+    return card?.last_review ? new Date(card.last_review).getTime() : -Infinity;
+}
+
+/**
+ * Whether merging a backed-up word would add decks or tags to the local one
+ */
+function addsDecksOrTags(local, incoming) {
+    return getWordTags(incoming).some(t => !getWordTags(local).includes(t))
+        || getWordDeckIds(incoming).some(d => !getWordDeckIds(local).includes(d));
+}
+
+/**
+ * Dry run: what a restore would change
+ * @param {Object} backup - From readBackup
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} - { words, subcards, reviews, sentences, settings: [names], apiKey }
+ *   words/subcards: { added, updated, removed, unchanged }; reviews/sentences: { added, removed }
+ */
+export function summarizeRestore(backup, mode) {
+    const incoming = backup.state;
+    const replace = mode === 'replace';
+    const current = serializeState();
+
+    const localWords = new Map((state.wordlist || []).map(w => [w.id, w]));
+    const words = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    const backupIds = new Set();
+    for (const w of incoming.wordlist) {
+        backupIds.add(w.id);
+        const local = localWords.get(w.id);
+        if (!local) words.added++;
+        else if (replace ? !sameJson(local, w) : addsDecksOrTags(local, w)) words.updated++;
+        else words.unchanged++;
+    }
+    if (replace) words.removed = [...localWords.keys()].filter(id => !backupIds.has(id)).length;
+
+    const localSubcards = current.fsrsSubcards;
+    const backupSubcards = incoming.fsrsSubcards || {};
+    const subcards = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    for (const [key, card] of Object.entries(backupSubcards)) {
+        const local = localSubcards[key];
+        if (!local) subcards.added++;
+        else if (replace ? !sameJson(local, card) : reviewTime(card) > reviewTime(local)) subcards.updated++;
+        else subcards.unchanged++;
+    }
+    if (replace) subcards.removed = Object.keys(localSubcards).filter(key => !(key in backupSubcards)).length;
+
+    const localReviewIds = new Set((state.reviewLog || []).map(e => e.id));
+    const backupReviewIds = new Set((incoming.reviewLog || []).map(e => e.id));
+    const reviews = {
+        added: [...backupReviewIds].filter(id => !localReviewIds.has(id)).length,
+        removed: replace ? [...localReviewIds].filter(id => !backupReviewIds.has(id)).length : 0
+    };
+
+    const localSentences = new Set((state.cachedSentences || []).map(sentenceKey));
+    const backupSentences = new Set((incoming.cachedSentences || []).map(sentenceKey));
+    const sentences = {
+        added: [...backupSentences].filter(k => !localSentences.has(k)).length,
+        removed: replace ? [...localSentences].filter(k => !backupSentences.has(k)).length : 0
+    };
+
+    const settings = replace ? SETTING_FIELDS.filter(k => k in incoming && !sameJson(incoming[k], current[k])) : [];
+    const apiKey = replace && backup.includesApiKey && (incoming.apiKey || '') !== (state.apiKey || '');
+
+    return { words, subcards, reviews, sentences, settings, apiKey };
+}
+
+/**
+ * Merge a backup into the current state (see module comment)
+ * @param {Object} incoming - Backed-up state payload
+ */
+function mergeBackup(incoming) {
+    const localWords = new Map((state.wordlist || []).map(w => [w.id, w]));
+    for (const w of incoming.wordlist) {
+        const local = localWords.get(w.id);
+        if (!local) {
+            state.wordlist.push({ ...w });
+            continue;
+        }
+        getWordDeckIds(w).forEach(deckId => addWordToDeck(local, deckId));
+        addWordTags(local, getWordTags(w));
+    }
+
+    const localDecks = new Set((state.decks || []).map(d => d.id));
+    for (const deck of incoming.decks || []) {
+        if (deck && typeof deck.id === 'string' && typeof deck.name === 'string' && !localDecks.has(deck.id)) {
+            state.decks.push({ ...deck });
+        }
+    }
+
+    for (const [key, card] of Object.entries(incoming.fsrsSubcards || {})) {
+        if (!state.fsrsSubcards[key] || reviewTime(card) > reviewTime(state.fsrsSubcards[key])) {
+            state.fsrsSubcards[key] = {
+                ...card,
+                due: card.due ? new Date(card.due) : new Date(),
+                last_review: card.last_review ? new Date(card.last_review) : undefined
+            };
+        }
+    }
+
+    for (const [key, flags] of Object.entries(incoming.supercardFlags || {})) {
+        if (!state.supercardFlags[key]) state.supercardFlags[key] = flags;
+    }
+    for (const [key, shown] of Object.entries(incoming.supercardLastShown || {})) {
+        const local = state.supercardLastShown[key];
+        if (!local || new Date(shown) > new Date(local)) state.supercardLastShown[key] = shown;
+    }
+
+    const reviewIds = new Set((state.reviewLog || []).map(e => e.id));
+    const newReviews = (incoming.reviewLog || []).filter(e => e && !reviewIds.has(e.id));
+    if (newReviews.length > 0) {
+        state.reviewLog = [...state.reviewLog, ...newReviews].sort((a, b) => new Date(a.reviewedAt) - new Date(b.reviewedAt));
+    }
+
+    const sentenceKeys = new Set((state.cachedSentences || []).map(sentenceKey));
+    for (const sentence of incoming.cachedSentences || []) {
+        if (!sentenceKeys.has(sentenceKey(sentence))) state.cachedSentences.push(sentence);
+    }
+
+    ensureDeckMembership();
+}
+
+/**
+ * Apply a backup
+ * @param {Object} backup - From readBackup
+ * @param {string} mode - 'merge' or 'replace'
+ */
+export function applyBackup(backup, mode) {
+    if (mode === 'replace') {
+        const apiKey = state.apiKey;
+        state.filteredSession = null;
+        applyStateData(backup.state);
+        if (!backup.includesApiKey) state.apiKey = apiKey;
+    } else {
+        mergeBackup(backup.state);
+    }
+    markDirty();
+    state.selectionReferenceTime = null;
+}
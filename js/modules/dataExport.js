@@ -0,0 +1,110 @@
+/**
+ * Data Export
+ *
+ * Getting words and progress out of the browser:
+ * - wordlist as JSON in the import format ([{ word, pinyin, definition, tags? }]),
+ *   so it can be imported again, or as CSV (word, pinyin, definition, tags, decks, wordId;
+ *   the header is recognised by the CSV import)
+ * - progress as JSON: words with their WordIDs and decks, FSRS subcards, supercard
+ *   flags and last-shown times, the review log and the scheduler settings
+ * The Anki package export lives in ankiPackage.js.
+ */
+
+import { state } from '../state.js';
+import { csvCell } from './utils.js';
+import { getWordTags } from './tags.js';
+import { getWordDeckIds, getDeck } from './decks.js';
+import { WORD_ID_VERSION } from './wordId.js';
+
+export const PROGRESS_EXPORT_FORMAT = 'mandalore-progress';
+export const PROGRESS_EXPORT_VERSION = 1;
+
+const WORDLIST_CSV_COLUMNS = ['word', 'pinyin', 'definition', 'tags', 'decks', 'wordId'];
+
+/**
+ * Names of the decks a word is in
+ * @param {Object} word
+ * @returns {Array<string>}
+ */
+function getWordDeckNames(word) {
+    return getWordDeckIds(word).map(id => getDeck(id)?.name).filter(Boolean);
+}
+
+/**
+ * Serialize the wordlist for export
+ * @param {string} format - 'json' (import format) or 'csv'
+ * @returns {string}
+ */
+export function serializeWordlist(format = 'json') {
+    const words = state.wordlist || [];
+
+    if (format === 'csv') {
+        const lines = [WORDLIST_CSV_COLUMNS.join(',')];
+        for (const word of words) {
+            lines.push([
+                word.word,
+                word.pinyinToned,
+                word.meaning,
+                getWordTags(word).join(', '),
+                getWordDeckNames(word).join('; '),
+                word.id
+            ].map(csvCell).join(','));
+        }
+        return lines.join('\n');
+    }
+
+    const items = words.map(word => {
+        const item = { word: word.word, pinyin: word.pinyinToned, definition: word.meaning };
+        const tags = getWordTags(word);
+        if (tags.length > 0) item.tags = tags;
+        return item;
+    });
+    return JSON.stringify(items, null, 2);
+}
+
+/**
+ * FSRS subcards with dates as ISO strings (as saveState stores them)
+ * @returns {Object} - subcardKey -> card
+ */
+function serializeSubcards() {
+    const subcards = {};
+    for (const [key, card] of Object.entries(state.fsrsSubcards || {})) {
+        subcards[key] = {
+            ...card,
+            due: card.due ? new Date(card.due).toISOString() : null,
+            last_review: card.last_review ? new Date(card.last_review).toISOString() : null
+        };
+    }
+    return subcards;
+}
+
+/**
+ * Serialize study progress for export (no API key, no cached sentences)
+ * @returns {string} - JSON
+ */
+export function serializeProgress() {
+    const data = {
+        format: PROGRESS_EXPORT_FORMAT,
+        version: PROGRESS_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        wordIdVersion: WORD_ID_VERSION,
+        words: (state.wordlist || []).map(word => ({
+            id: word.id,
+            word: word.word,
+            pinyin: word.pinyinToned,
+            definition: word.meaning,
+            tones: word.tones,
+            tags: getWordTags(word),
+            decks: getWordDeckNames(word)
+        })),
+        decks: state.decks || [],
+        fsrsSubcards: serializeSubcards(),
+        supercardFlags: state.supercardFlags || {},
+        supercardLastShown: state.supercardLastShown || {},
+        reviewLog: state.reviewLog || [],
+        fsrsParameters: state.fsrsParameters || null,
+        schedulingSettings: state.schedulingSettings,
+        leechSettings: state.leechSettings
+    };
+    return JSON.stringify(data, null, 2);
+}
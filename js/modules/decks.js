@@ -0,0 +1,208 @@
+/**
+ * Decks Module
+ *
+ * Words still live in one flat state.wordlist (one set of FSRS subcards per word);
+ * decks are named groups over it. A word lists the decks it belongs to in
+ * word.decks (array of deck ids), so the same word can sit in a textbook chapter
+ * and an HSK level at once without duplicating its progress.
+ *
+ * state.decks:      [{ id, name, createdAt }]
+ * state.studyDecks: deck ids the flashcards draw from (null = everything)
+ */
+
+import { state, markDirty } from '../state.js';
+
+export const DEFAULT_DECK_NAME = 'My Wordlist';
+
+/**
+ * Create a new unique deck id
+ * @returns {string}
+ */
+function createDeckId() {
+    return `deck_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Get a deck by id
+ * @param {string} deckId
+ * @returns {Object|null}
+ */
+export function getDeck(deckId) {
+    return (state.decks || []).find(d => d.id === deckId) || null;
+}
+
+/**
+ * Find a deck by name (case-insensitive, surrounding whitespace ignored)
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function findDeckByName(name) {
+    const needle = String(name || '').trim().toLowerCase();
+    if (!needle) return null;
+    return (state.decks || []).find(d => d.name.toLowerCase() === needle) || null;
+}
+
+/**
+ * Get the deck with this name, creating it if needed
+ * @param {string} name - Deck name (blank = default deck)
+ * @returns {Object} - The deck
+ */
+export function getOrCreateDeck(name) {
+    const deckName = String(name || '').trim() || DEFAULT_DECK_NAME;
+    const existing = findDeckByName(deckName);
+    if (existing) return existing;
+
+    const deck = { id: createDeckId(), name: deckName, createdAt: new Date().toISOString() };
+    state.decks = [...(state.decks || []), deck];
+    return deck;
+}
+
+/**
+ * Deck ids a word belongs to
+ * @param {Object} word - Wordlist entry
+ * @returns {Array<string>}
+ */
+export function getWordDeckIds(word) {
+    return Array.isArray(word?.decks) ? word.decks : [];
+}
+
+/**
+ * Add a word to a deck (no-op if it is already a member)
+ * @param {Object} word - Wordlist entry (mutated)
+ * @param {string} deckId
+ */
+export function addWordToDeck(word, deckId) {
+    const decks = getWordDeckIds(word);
+    if (!decks.includes(deckId)) {
+        word.decks = [...decks, deckId];
+        markDirty('words', word.id);
+    }
+}
+
+/**
+ * Words that belong to a deck
+ * @param {string} deckId
+ * @returns {Array}
+ */
+export function getDeckWords(deckId) {
+    return (state.wordlist || []).filter(w => getWordDeckIds(w).includes(deckId));
+}
+
+/**
+ * Repair deck membership after loading: words without a (known) deck go to the
+ * default deck, and study selections pointing at deleted decks are dropped.
+ * Legacy wordlists (before decks existed) end up in a single default deck.
+ * @returns {boolean} - True if anything changed
+ */
+export function ensureDeckMembership() {
+    let changed = false;
+    if (!Array.isArray(state.decks)) {
+        state.decks = [];
+        changed = true;
+    }
+
+    const known = new Set(state.decks.map(d => d.id));
+    let defaultDeck = null;
+    for (const word of state.wordlist || []) {
+        const decks = getWordDeckIds(word).filter(id => known.has(id));
+        if (decks.length === 0) {
+            if (!defaultDeck) {
+                defaultDeck = getOrCreateDeck(DEFAULT_DECK_NAME);
+                known.add(defaultDeck.id);
+            }
+            decks.push(defaultDeck.id);
+        }
+        if (decks.length !== getWordDeckIds(word).length || !Array.isArray(word.decks)) {
+            word.decks = decks;
+            markDirty('words', word.id);
+            changed = true;
+        }
+    }
+
+    if (Array.isArray(state.studyDecks)) {
+        const studyDecks = state.studyDecks.filter(id => known.has(id));
+        if (studyDecks.length !== state.studyDecks.length) {
+            state.studyDecks = studyDecks.length > 0 ? studyDecks : null;
+            changed = true;
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Whether the flashcards draw from every deck
+ * @returns {boolean}
+ */
+export function isStudyingAllDecks() {
+    return !Array.isArray(state.studyDecks) || state.studyDecks.length === 0;
+}
+
+/**
+ * Set which decks the flashcards draw from
+ * @param {Array<string>|null} deckIds - Deck ids (null, empty or every deck = everything)
+ */
+export function setStudyDecks(deckIds) {
+    const known = new Set((state.decks || []).map(d => d.id));
+    const ids = Array.isArray(deckIds) ? [...new Set(deckIds)].filter(id => known.has(id)) : [];
+    state.studyDecks = ids.length === 0 || ids.length === known.size ? null : ids;
+}
+
+/**
+ * Words in the current study scope (what the scheduler should pick from)
+ * @returns {Array}
+ */
+export function getStudyWordlist() {
+    const wordlist = state.wordlist || [];
+    if (isStudyingAllDecks()) return wordlist;
+    const selected = new Set(state.studyDecks);
+    return wordlist.filter(w => getWordDeckIds(w).some(id => selected.has(id)));
+}
+
+/**
+ * Human-readable name of the current study scope
+ * @returns {string}
+ */
+export function getStudyScopeLabel() {
+    if (isStudyingAllDecks()) return 'All decks';
+    const names = state.studyDecks.map(id => getDeck(id)?.name).filter(Boolean);
+    if (names.length === 1) return names[0];
+    return `${names.length} decks`;
+}
+
+/**
+ * Rename a deck
+ * @param {string} deckId
+ * @param {string} name
+ * @returns {boolean} - False if the name is blank or taken by another deck
+ */
+export function renameDeck(deckId, name) {
+    const deck = getDeck(deckId);
+    const deckName = String(name || '').trim();
+    if (!deck || !deckName) return false;
+    const clash = findDeckByName(deckName);
+    if (clash && clash.id !== deckId) return false;
+    deck.name = deckName;
+    return true;
+}
+
+/**
+ * Delete a deck. Its words stay in the wordlist (with their progress); words
+ * left without any deck move to the default deck.
+ * @param {string} deckId
+ * @returns {number} - Number of words that moved to the default deck
+ */
+export function deleteDeck(deckId) {
+    if (!getDeck(deckId)) return 0;
+    state.decks = state.decks.filter(d => d.id !== deckId);
+    for (const word of state.wordlist || []) {
+        const decks = getWordDeckIds(word);
+        if (decks.includes(deckId)) {
+            word.decks = decks.filter(id => id !== deckId);
+            markDirty('words', word.id);
+        }
+    }
+    const orphans = (state.wordlist || []).filter(w => getWordDeckIds(w).length === 0).length;
+    ensureDeckMembership();
+    return orphans;
+}
@@ -0,0 +1,199 @@
+/**
+ * Filtered Study Sessions
+ *
+ * A filtered session studies a subset of supercards ("tag:food", "leeches",
+ * "due:pronunciation") once each, in the scheduler's usual urgency order. Reviews
+ * are real (FSRS subcards and the review log are updated), but selection runs on
+ * the session's own counters and reference time (see getNextSupercard options),
+ * so the main queue's deterministic seed, streaks and daily counts are untouched.
+ *
+ * state.filteredSession (null when not in a session):
+ * { filter, label, startedAt, total, done: [supercardKey], count,
+ *   consecutiveDueCards, consecutiveNewCards, referenceTime, lastWordId }
+ */
+
+import { state, saveState, getNow } from '../state.js';
+import { getSupercardKey, getSubcardKey, getBackModesForFront, commitSupercardSelection, isSupercardSuspended, isSupercardBuried } from './fsrs.js';
+import { normalizeTag, wordHasTag } from './tags.js';
+import { isLeechSupercard } from './leeches.js';
+
+const FRONT_TYPES = ['hanzi', 'pronunciation', 'meaning'];
+const BACK_MODES = ['hanzi', 'pronunciation', 'pinyin', 'meaning'];
+
+/**
+ * Parse a filter spec: "tag:food", "leeches", "due", "due:pronunciation"
+ * @param {string} spec
+ * @returns {Object|null} - { type, value } or null if the spec isn't understood
+ */
+export function parseFilter(spec) {
+    const text = String(spec || '').trim().toLowerCase();
+    const [type, ...rest] = text.split(':');
+    const value = rest.join(':').trim();
+
+    if (type === 'tag') {
+        const tag = normalizeTag(value);
+        return tag ? { type: 'tag', value: tag } : null;
+    }
+    if (type === 'leech' || type === 'leeches') {
+        return { type: 'leeches', value: null };
+    }
+    if (type === 'due') {
+        if (!value) return { type: 'due', value: null };
+        return BACK_MODES.includes(value) ? { type: 'due', value } : null;
+    }
+    return null;
+}
+
+/**
+ * Human-readable filter name
+ * @param {Object} filter - { type, value }
+ * @returns {string}
+ */
+export function describeFilter(filter) {
+    if (!filter) return '';
+    if (filter.type === 'tag') return `tag:${filter.value}`;
+    if (filter.type === 'leeches') return 'Leeches';
+    if (filter.type === 'due') {
+        return filter.value ? `Due in ${filter.value.charAt(0).toUpperCase()}${filter.value.slice(1)}` : 'Due';
+    }
+    return filter.type;
+}
+
+/**
+ * Whether a supercard has a reviewed subcard that is due (optionally only one testing backMode)
+ */
+function isDueSupercard(wordId, front, backMode, now) {
+    const backModes = getBackModesForFront(front).filter(m => !backMode || m === backMode);
+    return backModes.some(m => {
+        const subcard = state.fsrsSubcards[getSubcardKey(wordId, front, m)];
+        return subcard && subcard.last_review && subcard.due && new Date(subcard.due) <= now;
+    });
+}
+
+/**
+ * Build the supercard predicate for a filter
+ * @param {Object} filter - { type, value }
+ * @param {Date} now - Reference time for due checks
+ * @returns {Function} - (word, front) => boolean
+ */
+export function createFilterPredicate(filter, now = getNow()) {
+    switch (filter?.type) {
+        case 'tag':
+            return (word) => wordHasTag(word, filter.value);
+        case 'leeches':
+            return (word, front) => isLeechSupercard(word.id, front);
+        case 'due':
+            return (word, front) => isDueSupercard(word.id, front, filter.value, now);
+        default:
+            return () => false;
+    }
+}
+
+/**
+ * Count the supercards a filter matches
+ * @param {Object} filter
+ * @returns {number}
+ */
+export function countFilterMatches(filter) {
+    const matches = createFilterPredicate(filter);
+    const includeSuspended = filter?.type === 'leeches';
+    let count = 0;
+    for (const word of state.wordlist || []) {
+        if (!word.id) continue;
+        for (const front of FRONT_TYPES) {
+            if (!includeSuspended && isSupercardSuspended(word.id, front)) continue;
+            if (isSupercardBuried(word.id, front)) continue;
+            if (matches(word, front)) count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * The running filtered session, if any
+ * @returns {Object|null}
+ */
+export function getFilteredSession() {
+    return state.filteredSession || null;
+}
+
+/**
+ * Start a filtered session (replaces any running one)
+ * @param {Object} filter - { type, value } (see parseFilter)
+ * @returns {Object|null} - The session, or null if nothing matches
+ */
+export function startFilteredSession(filter) {
+    const total = countFilterMatches(filter);
+    if (total === 0) return null;
+
+    state.filteredSession = {
+        filter,
+        label: describeFilter(filter),
+        startedAt: getNow().toISOString(),
+        total,
+        done: [],
+        count: 0,
+        consecutiveDueCards: 0,
+        consecutiveNewCards: 0,
+        referenceTime: null,
+        lastWordId: ''
+    };
+    saveState();
+    return state.filteredSession;
+}
+
+/**
+ * Leave the filtered session and return to the main queue
+ */
+export function endFilteredSession() {
+    state.filteredSession = null;
+    saveState();
+}
+
+/**
+ * Whether a session re-studies leeches (suspended leeches included, hints shown,
+ * results count toward releasing them; see leeches.js)
+ * @param {Object} session
+ * @returns {boolean}
+ */
+export function isLeechSession(session) {
+    return session?.filter?.type === 'leeches';
+}
+
+/**
+ * Arguments for getNextSupercard inside the session: the candidate wordlist and
+ * options with the session and a filter that also skips supercards already done.
+ * Membership is re-checked against the session start time, so a "due" card
+ * doesn't drop out just because it was reviewed a moment ago.
+ * @param {Object} session
+ * @returns {Object} - { wordlist, lastWordId, options }
+ */
+export function getSessionSelection(session) {
+    const matches = createFilterPredicate(session.filter, new Date(session.startedAt));
+    const done = new Set(session.done);
+    return {
+        wordlist: state.wordlist || [],
+        lastWordId: session.lastWordId || '',
+        options: {
+            session,
+            supercardFilter: (word, front) => !done.has(getSupercardKey(word.id, front)) && matches(word, front),
+            includeSuspended: isLeechSession(session)
+        }
+    };
+}
+
+/**
+ * Commit a completed supercard to the session (instead of the main queue)
+ * @param {string} wordId
+ * @param {string} front
+ * @param {string} poolName - Pool name from getNextSupercard
+ */
+export function commitFilteredSessionCard(wordId, front, poolName) {
+    const session = getFilteredSession();
+    if (!session) return;
+    const key = getSupercardKey(wordId, front);
+    if (!session.done.includes(key)) {
+        session.done.push(key);
+    }
+    commitSupercardSelection(wordId, front, poolName, session);
+}
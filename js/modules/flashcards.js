@@ -1,11 +1,18 @@
-import { state, bumpSession, saveState, incrementDailySupercardCount, getDailySupercardCount } from '../state.js';
-import { $, $$ } from './utils.js';
+import { state, bumpSession, saveState, markDirty, incrementDailySupercardCount, getDailySupercardCount } from '../state.js';
+import { $, $$, escapeHtml } from './utils.js';
 import getCandidates from '../lib/pinyin-ime.esm.js';
 import { generateWordId } from './wordId.js';
-import { getSubcardKey, getOrCreateSubcard, getNextSupercard, recordReview, getBackModesForFront, commitSupercardSelection } from './fsrs.js';
+import { lookupAssetMapping } from './wordIdMigration.js';
+import { playLocalAudio } from './audioAssets.js';
+import { getStudyWordlist, getStudyScopeLabel } from './decks.js';
+import { getFilteredSession, getSessionSelection, commitFilteredSessionCard, endFilteredSession, isLeechSession } from './filteredSession.js';
+import { checkForLeech, recordRehabResult, getLeechScaffold, isLeechSupercard } from './leeches.js';
+import { getSubcardKey, getSupercardKey, getOrCreateSubcard, getNextSupercard, recordReview, getBackModesForFront, commitSupercardSelection, getDailyQueueStatus, liftDailyLimitsForToday, isSupercardSuspended, isSupercardBuried, getSiblingBurial } from './fsrs.js';
+import { createReviewLogEntry, appendReviewLogEntry } from './reviewLog.js';
 
 const FRONT_ORDER = ['hanzi', 'pronunciation', 'meaning'];
 export const FRONT_LABEL = { hanzi: 'Hanzi', pronunciation: 'Audio', pinyin: 'Pinyin', meaning: 'Meaning' };
+const SELF_GRADE_LABEL = { meaning: 'Meaning', speech: 'Speech' };
 const FRONT_HINT = { hanzi: 'Recognize the word', pronunciation: 'Recognize the sound', pinyin: 'Recognize the spelling', meaning: 'Recall the Mandarin' };
 
 // Track if user has separated inputs for current card (resets on next card)
@@ -26,6 +33,18 @@ let currentSupercardCounted = false;
 // Track current card's pool name for deferred state updates
 let currentCardPoolName = null;
 
+// Track whether any subcard of the current card was failed (for leech re-study passes)
+let currentCardLapsed = false;
+
+// Track when the current card was shown (for review log durations)
+let cardShownAt = null;
+
+// Track whether today's new/review caps are used up (front shows "done for today")
+let dailyLimitReached = false;
+
+// Track whether the running filtered session has nothing left to show
+let filteredSessionComplete = false;
+
 // Track if write-cover tests have been completed correctly (first correct answer)
 let writeCoverCompleted = {
     pinyin: false,
@@ -40,9 +59,28 @@ let firstAnswers = {
     tone: null
 };
 
+// Undo history: one snapshot per grading action, newest last (see captureUndoPoint)
+const UNDO_LIMIT = 20;
+const UNDO_TOAST_MS = 6000;
+let undoStack = [];
+let undoToastTimer = null;
+
+// Mod-card selectors (DOM snapshotted for undo)
+const MOD_SELECTORS = ['#modPron', '#modPinyin', '#modHanzi', '#modMeaning', '#modHanziTyping'];
+
+// Queue and session fields a grading action can change (snapshotted for undo)
+const UNDO_STATE_FIELDS = [
+    'lastWordId', 'selectionReferenceTime', 'consecutiveDueCards', 'consecutiveNewCards',
+    'dailySupercardCount', 'dailySupercardDate', 'dailyNewCount', 'dailyReviewCount',
+    'dailyLimitsLifted', 'sessionCount', 'recentSupercards', 'filteredSession'
+];
+
 // FlashCardo audio mappings: wordId -> audioNum
 let flashCardoMappings = null;
 
+// WordID scheme version FlashCardoMappings.json is keyed with (see wordIdMigration.js)
+const FLASHCARDO_MAPPINGS_ID_VERSION = 1;
+
 /**
  * Load FlashCardo audio mappings from JSON file
  */
@@ -75,18 +113,31 @@ function speak(text) {
 }
 
 /**
- * Play audio for a word using FlashCardo audio if available, otherwise TTS
+ * Whether FlashCardo has audio for a word
+ * @param {string} wordId
+ * @returns {Promise<boolean>}
+ */
+export async function hasFlashCardoAudio(wordId) {
+    await loadFlashCardoMappings();
+    return !!lookupAssetMapping(flashCardoMappings, FLASHCARDO_MAPPINGS_ID_VERSION, wordId);
+}
+
+/**
+ * Play audio for a word: a file from the user's audio folder (audioAssets.js), else
+ * FlashCardo audio; callers fall back to TTS
  * @param {string} wordId - The word's unique ID
  * @param {string} word - The Hanzi word (for TTS fallback)
- * @returns {Promise<boolean>} - True if FlashCardo audio was found and played
+ * @returns {Promise<boolean>} - True if a local file or FlashCardo audio was found and played
  */
 async function playAudioAsset(wordId, word) {
+    if (await playLocalAudio(wordId, word)) return true;
+
     // Ensure mappings are loaded
     await loadFlashCardoMappings();
     
     // Check if wordId exists in FlashCardo mappings
-    if (flashCardoMappings && wordId && flashCardoMappings[wordId]) {
-        const audioNum = flashCardoMappings[wordId];
+    const audioNum = lookupAssetMapping(flashCardoMappings, FLASHCARDO_MAPPINGS_ID_VERSION, wordId);
+    if (audioNum) {
         const audioUrl = `https://flashcardo.com/audio/0/${audioNum}.mp3`;
         const audio = new Audio(audioUrl);
         audio.play().catch(e => {
@@ -204,6 +255,10 @@ export function nextCard() {
     // Reset pool name tracking for new card
     currentCardPoolName = null;
     
+    // Start timing the new card
+    cardShownAt = Date.now();
+    currentCardLapsed = false;
+    
     // Reset performance tracking for new card
     cardPerformance = {
         gradedModalities: {},
@@ -224,7 +279,35 @@ export function nextCard() {
         tone: null
     };
     
-    if (!state.wordlist || state.wordlist.length === 0) {
+    renderFilteredSessionBar();
+    
+    // A filtered session picks from its own subset with its own counters
+    const session = getFilteredSession();
+    if (session) {
+        const selection = getSessionSelection(session);
+        const next = getNextSupercard(selection.wordlist, state.fsrsSubcards, selection.lastWordId, selection.options);
+        dailyLimitReached = false;
+        filteredSessionComplete = !next;
+        if (filteredSessionComplete) {
+            state.card.word = null;
+            state.card.id = '';
+            state.card.isNewCard = false;
+            state.card.isNewWord = false;
+            renderFilteredSessionComplete();
+            resetAllBack();
+            return;
+        }
+        showSelectedSupercard(next);
+        renderFront();
+        resetAllBack();
+        return;
+    }
+    filteredSessionComplete = false;
+    
+    // Only words in the selected decks are eligible
+    const studyWords = getStudyWordlist();
+    
+    if (studyWords.length === 0) {
         // Empty state
         console.log('Empty wordlist, showing empty state');
         state.card.word = null;
@@ -238,25 +321,54 @@ export function nextCard() {
     }
 
     // Use FSRS to get the next supercard to review (excluding last word shown)
-    const next = getNextSupercard(state.wordlist, state.fsrsSubcards, state.lastWordId);
+    const next = getNextSupercard(studyWords, state.fsrsSubcards, state.lastWordId);
+    dailyLimitReached = !next && getDailyQueueStatus(studyWords, state.fsrsSubcards).limitReached;
+    
+    if (dailyLimitReached) {
+        console.log('Daily limits reached, nothing left to study today');
+        state.card.word = null;
+        state.card.id = '';
+        state.card.isNewCard = false;
+        state.card.isNewWord = false;
+        renderDailyLimitReached();
+        resetAllBack();
+        return;
+    }
     
     if (!next) {
-        // Fallback to random if FSRS fails (avoiding last word if possible)
-        let availableWords = state.wordlist;
-        if (state.lastWordId && state.wordlist.length > 1) {
-            availableWords = state.wordlist.filter(w => {
-                const wordId = w.id || generateWordId(w.word, w.pinyinToned);
-                return wordId !== state.lastWordId;
-            });
-            // If filtering removed all words, use original list
-            if (availableWords.length === 0) {
-                availableWords = state.wordlist;
+        // Fallback to random if FSRS fails, over supercards that aren't suspended or buried
+        // (by hand or as a sibling for the day; avoiding last word if possible)
+        const candidates = [];
+        for (const w of studyWords) {
+            const wordId = w.id || generateWordId(w.word, w.pinyinToned);
+            for (const front of FRONT_ORDER) {
+                if (isSupercardSuspended(wordId, front) || isSupercardBuried(wordId, front) || getSiblingBurial(wordId, front) === 'day') continue;
+                candidates.push({ item: w, wordId, front });
+            }
+        }
+
+        if (candidates.length === 0) {
+            console.log('Every supercard is suspended or buried, showing empty state');
+            state.card.word = null;
+            state.card.id = '';
+            state.card.isNewCard = false;
+            state.card.isNewWord = false;
+            renderFront();
+            resetAllBack();
+            return;
+        }
+
+        let available = candidates;
+        if (state.lastWordId) {
+            available = candidates.filter(c => c.wordId !== state.lastWordId);
+            // If filtering removed all cards, use original list
+            if (available.length === 0) {
+                available = candidates;
             }
         }
         
-        console.log('Using random fallback. Available words:', availableWords.length);
-        const item = availableWords[Math.floor(Math.random() * availableWords.length)];
-        const front = FRONT_ORDER[Math.floor(Math.random() * FRONT_ORDER.length)];
+        console.log('Using random fallback. Available supercards:', available.length);
+        const { item, front } = available[Math.floor(Math.random() * available.length)];
         
         state.card.id = item.id || generateWordId(item.word, item.pinyinToned);
         state.card.word = item.word;
@@ -277,32 +389,7 @@ export function nextCard() {
             front: state.card.front
         });
     } else {
-        // Use FSRS-selected supercard
-        const item = next.word;
-        const front = next.front;
-        
-        state.card.id = item.id || generateWordId(item.word, item.pinyinToned);
-        state.card.word = item.word;
-        state.card.pinyinToned = item.pinyinToned;
-        state.card.pinyinBare = item.pinyinBare;
-        state.card.tones = item.tones;
-        state.card.meaning = item.meaning;
-        state.card.front = front;
-        state.card.isNewCard = next.isNewCard || false;
-        state.card.isNewWord = next.isNewWord || false;
-        
-        // Store pool name for deferred commit (don't update lastWordId until completion)
-        currentCardPoolName = next.poolName;
-        
-        console.log('Selected FSRS card:', {
-            wordId: state.card.id,
-            word: state.card.word,
-            front: state.card.front,
-            isNewCard: state.card.isNewCard,
-            isNewWord: state.card.isNewWord
-        });
-        
-        const backModes = getBackModesForFront(front);
+        showSelectedSupercard(next);
     }
 
     renderFront();
@@ -310,29 +397,148 @@ export function nextCard() {
 }
 
 /**
- * Calculate total number of supercards (words * 3 front types)
+ * Load an FSRS-selected supercard into state.card
+ * @param {Object} next - Result of getNextSupercard
+ */
+function showSelectedSupercard(next) {
+    const item = next.word;
+    const front = next.front;
+    
+    state.card.id = item.id || generateWordId(item.word, item.pinyinToned);
+    state.card.word = item.word;
+    state.card.pinyinToned = item.pinyinToned;
+    state.card.pinyinBare = item.pinyinBare;
+    state.card.tones = item.tones;
+    state.card.meaning = item.meaning;
+    state.card.front = front;
+    state.card.isNewCard = next.isNewCard || false;
+    state.card.isNewWord = next.isNewWord || false;
+    
+    // Store pool name for deferred commit (don't update lastWordId until completion)
+    currentCardPoolName = next.poolName;
+    
+    console.log('Selected FSRS card:', {
+        wordId: state.card.id,
+        word: state.card.word,
+        front: state.card.front,
+        isNewCard: state.card.isNewCard,
+        isNewWord: state.card.isNewWord
+    });
+}
+
+/**
+ * Show or hide the banner for a running filtered session
+ */
+export function renderFilteredSessionBar() {
+    const bar = $('#filteredSessionBar');
+    if (!bar) return;
+    const session = getFilteredSession();
+    if (!session) {
+        bar.style.display = 'none';
+        return;
+    }
+    const label = $('#filteredSessionLabel', bar);
+    if (label) label.textContent = `${session.label} · ${session.done.length}/${session.total}`;
+    bar.style.display = 'flex';
+}
+
+/**
+ * Front card shown once a filtered session has nothing left
  */
-function getTotalSupercards() {
-    if (!state.wordlist || state.wordlist.length === 0) {
-        return 0;
+function renderFilteredSessionComplete() {
+    const session = getFilteredSession();
+    const body = $('#frontBody');
+    const fl = $('#frontLabel');
+    const fh = $('#frontHint');
+    if (fl) fl.textContent = 'Mandalore';
+    if (fh) fh.textContent = '';
+    if (body) {
+        body.innerHTML = `
+            <div style="font-size:16px; color:rgba(255,255,255,0.7); text-align:center;">
+                Filtered session complete!<br>${escapeHtml(session ? session.label : '')}: ${session ? session.done.length : 0} cards studied.
+                <div style="margin-top: 14px;">
+                    <button class="btn ghost" id="btnBackToMainQueue" type="button">Back to main queue</button>
+                </div>
+            </div>
+        `;
+        const btn = $('#btnBackToMainQueue', body);
+        if (btn) {
+            btn.addEventListener('click', () => {
+                endFilteredSession();
+                nextCard();
+            });
+        }
     }
-    const FRONT_TYPES = ['hanzi', 'pronunciation', 'meaning'];
-    return state.wordlist.length * FRONT_TYPES.length;
+    updateDailySupercardCounter();
 }
 
 /**
- * Update the daily supercard counter display
+ * Update the daily supercard counter display ("new left / reviews left")
  */
 export function updateDailySupercardCounter() {
     const counterEl = $('#dailySupercardCounter');
     if (counterEl) {
         const dailyCount = getDailySupercardCount();
-        const totalSupercards = getTotalSupercards();
-        counterEl.textContent = `${dailyCount}/${totalSupercards}`;
+        const status = getDailyQueueStatus(getStudyWordlist(), state.fsrsSubcards);
+        const format = (n) => Number.isFinite(n) ? n : '∞';
+        
+        counterEl.innerHTML = `<span style="color: var(--cyan);">${format(status.newLeft)}</span>&nbsp;/&nbsp;<span style="color: var(--green);">${format(status.reviewsLeft)}</span>`;
+        
+        const details = [
+            `New left: ${format(status.newLeft)} (${status.newDone}/${status.newLimit === null ? '∞' : status.newLimit} today)`,
+            `Reviews left: ${format(status.reviewsLeft)} (${status.reviewsDone}/${status.reviewLimit === null ? '∞' : status.reviewLimit} today)`,
+            `Completed today: ${dailyCount}`,
+            `Studying: ${getStudyScopeLabel()}`
+        ];
+        if (status.carriedOver > 0) {
+            details.push(`Carried over from earlier days: ${status.carriedOver}`);
+        }
+        if (status.limitsLifted) {
+            details.push('Daily limits lifted for today');
+        }
+        counterEl.title = details.join('\n');
+    }
+}
+
+/**
+ * Render the "done for today" front when both daily caps are used up
+ */
+function renderDailyLimitReached() {
+    const body = $('#frontBody');
+    const fl = $('#frontLabel');
+    const fh = $('#frontHint');
+    if (fl) fl.textContent = 'Mandalore';
+    if (fh) fh.textContent = '';
+    if (body) {
+        body.innerHTML = `
+            <div style="font-size:16px; color:rgba(255,255,255,0.7); text-align:center;">
+                Done for today!<br>You've reached today's new card and review limits.
+                <div style="margin-top: 14px;">
+                    <button class="btn ghost" id="btnKeepStudying" type="button">Keep studying</button>
+                </div>
+            </div>
+        `;
+        const btn = $('#btnKeepStudying', body);
+        if (btn) {
+            btn.addEventListener('click', () => {
+                liftDailyLimitsForToday();
+                nextCard();
+            });
+        }
     }
+    updateDailySupercardCounter();
 }
 
 export function renderFront() {
+    if (filteredSessionComplete) {
+        renderFilteredSessionComplete();
+        return;
+    }
+    if (dailyLimitReached) {
+        renderDailyLimitReached();
+        return;
+    }
+    
     // Handle empty state
     if (!state.card.word) {
         const body = $('#frontBody');
@@ -341,7 +547,13 @@ export function renderFront() {
         if (fl) fl.textContent = 'Mandalore';
         if (fh) fh.textContent = '';
         if (body) {
-            body.innerHTML = '<div style="font-size:16px; color:rgba(255,255,255,0.7)">No words loaded.<br>Go to Settings to import a wordlist.</div>';
+            let message = 'No words loaded.<br>Go to Settings to import a wordlist.';
+            if (getStudyWordlist().length > 0) {
+                message = 'Every card in the selected decks is suspended or buried.<br>Unsuspend words in Settings, or come back tomorrow.';
+            } else if (state.wordlist.length > 0) {
+                message = 'No words in the selected decks.<br>Go to Settings to pick other decks.';
+            }
+            body.innerHTML = `<div style="font-size:16px; color:rgba(255,255,255,0.7)">${message}</div>`;
         }
         updateDailySupercardCounter();
         return;
@@ -356,6 +568,13 @@ export function renderFront() {
     fl.textContent = FRONT_LABEL[f];
     fh.textContent = FRONT_HINT[f];
     body.innerHTML = '';
+    
+    // Leech re-study: extra hints aimed at the modalities this card keeps failing
+    if (isLeechSession(getFilteredSession()) && isLeechSupercard(state.card.id, f)) {
+        const word = state.wordlist.find(w => w.id === state.card.id);
+        const hints = word ? getLeechScaffold(word, f) : [];
+        if (hints.length > 0) fh.textContent = `Hint: ${hints.join(' · ')}`;
+    }
 
     if (f === 'hanzi') {
         const d = document.createElement('div');
@@ -507,8 +726,9 @@ function resetModality(modCard) {
  * Record a single subcard review immediately
  * @param {string} backMode - The back mode (hanzi, pinyin, pronunciation, meaning)
  * @param {boolean} passed - Whether the user passed this subcard
+ * @param {string|null} answer - The user's raw answer (null for self-graded modalities)
  */
-function recordSubcardReview(backMode, passed) {
+function recordSubcardReview(backMode, passed, answer = null) {
     if (!state.card.word || !state.card.id || !state.card.front) {
         console.log('recordSubcardReview: Missing card data, skipping');
         return;
@@ -535,17 +755,273 @@ function recordSubcardReview(backMode, passed) {
     // Record review
     const now = new Date();
     const rating = passed ? 3 : 1; // Good = 3, Again = 1
-    const result = recordReview(subcard, now, rating);
+    const result = recordReview(subcard, now, rating, { wordId, front, backMode });
     
     if (result && result.card) {
+        appendReviewLogEntry(createReviewLogEntry({
+            wordId,
+            front,
+            backMode,
+            rating,
+            before: subcard,
+            after: result.card,
+            now,
+            answer,
+            durationMs: cardShownAt ? now.getTime() - cardShownAt : null
+        }));
         state.fsrsSubcards[subcardKey] = result.card;
+        markDirty('subcards', subcardKey);
         recordedSubcards.add(subcardKey);
+        if (!passed) {
+            currentCardLapsed = true;
+            checkForLeech(wordId, front, now);
+        }
         saveState();
     } else {
         console.warn(`FSRS review recording failed for ${subcardKey}`);
     }
 }
 
+/**
+ * Snapshot everything a grading action on the current card can change, so the
+ * action can be undone: the card's subcards, last-shown time and flags, the word's
+ * tags (leech auto-tagging), queue/session counters, the per-card tracking above
+ * and the mod-card DOM. Called right before the action runs.
+ * @param {string} label - What is about to be graded (shown in the undo toast)
+ * @returns {boolean} - False if there is no card to snapshot
+ */
+function captureUndoPoint(label) {
+    if (!state.card.word || !state.card.id || !state.card.front) return false;
+    
+    const wordId = state.card.id;
+    const front = state.card.front;
+    const supercardKey = getSupercardKey(wordId, front);
+    const word = state.wordlist.find(w => w.id === wordId);
+    
+    const subcards = {};
+    for (const backMode of getBackModesForFront(front)) {
+        const key = getSubcardKey(wordId, front, backMode);
+        subcards[key] = state.fsrsSubcards[key] ? structuredClone(state.fsrsSubcards[key]) : null;
+    }
+    
+    const fields = {};
+    for (const field of UNDO_STATE_FIELDS) {
+        fields[field] = structuredClone(state[field]);
+    }
+    
+    undoStack.push({
+        label,
+        takenAt: new Date().toISOString(),
+        card: { ...state.card },
+        subcards,
+        lastShown: state.supercardLastShown?.[supercardKey] ?? null,
+        flags: state.supercardFlags?.[supercardKey] ? structuredClone(state.supercardFlags[supercardKey]) : null,
+        tags: word && Array.isArray(word.tags) ? [...word.tags] : null,
+        fields,
+        tracking: {
+            inputsSeparated,
+            recordedSubcards: new Set(recordedSubcards),
+            currentSupercardCounted,
+            currentCardPoolName,
+            currentCardLapsed,
+            cardShownAt,
+            cardPerformance: structuredClone(cardPerformance),
+            writeCoverCompleted: { ...writeCoverCompleted },
+            firstAnswers: { ...firstAnswers },
+            dailyLimitReached,
+            filteredSessionComplete
+        },
+        dom: MOD_SELECTORS.map(sel => {
+            const modCard = $(sel);
+            return modCard ? { sel, snapshot: modCard.cloneNode(true) } : null;
+        }).filter(Boolean),
+        nextBottomDisplay: $('#btnNextBottom')?.style.display ?? ''
+    });
+    if (undoStack.length > UNDO_LIMIT) {
+        undoStack.shift();
+    }
+    return true;
+}
+
+/**
+ * Run a grading action with an undo point in front of it
+ * @param {string} label - What is being graded
+ * @param {Function} action
+ */
+function gradeWithUndo(label, action) {
+    const captured = captureUndoPoint(label);
+    action();
+    if (captured) {
+        showUndoToast(label);
+    }
+}
+
+/**
+ * Undo the most recent grading action (possibly on the previous card): restores the
+ * subcards, review log, counters, commitSupercardSelection side effects, the card
+ * on screen and its mod cards.
+ * @returns {boolean} - False if there was nothing to undo
+ */
+export function undoLastAnswer() {
+    const entry = undoStack.pop();
+    if (!entry) return false;
+    
+    const { card, tracking } = entry;
+    const wordId = card.id;
+    const front = card.front;
+    const supercardKey = getSupercardKey(wordId, front);
+    
+    // FSRS subcards and the review entries the action appended
+    for (const [key, subcard] of Object.entries(entry.subcards)) {
+        if (subcard) {
+            state.fsrsSubcards[key] = subcard;
+        } else {
+            delete state.fsrsSubcards[key];
+        }
+        markDirty('subcards', key);
+    }
+    if (Array.isArray(state.reviewLog)) {
+        state.reviewLog = state.reviewLog.filter((e) => {
+            const undone = e.wordId === wordId && e.front === front && e.reviewedAt >= entry.takenAt;
+            if (undone) markDirty('reviews', e.id);
+            return !undone;
+        });
+    }
+    
+    // Supercard bookkeeping (last shown, leech flags and tags)
+    if (!state.supercardLastShown) state.supercardLastShown = {};
+    if (entry.lastShown) {
+        state.supercardLastShown[supercardKey] = entry.lastShown;
+    } else {
+        delete state.supercardLastShown[supercardKey];
+    }
+    if (!state.supercardFlags) state.supercardFlags = {};
+    if (entry.flags) {
+        state.supercardFlags[supercardKey] = entry.flags;
+    } else {
+        delete state.supercardFlags[supercardKey];
+    }
+    const word = state.wordlist.find(w => w.id === wordId);
+    if (word) {
+        if (entry.tags) {
+            word.tags = entry.tags;
+        } else {
+            delete word.tags;
+        }
+        markDirty('words', wordId);
+    }
+    
+    for (const [field, value] of Object.entries(entry.fields)) {
+        state[field] = value;
+    }
+    
+    // Per-card tracking
+    inputsSeparated = tracking.inputsSeparated;
+    recordedSubcards = tracking.recordedSubcards;
+    currentSupercardCounted = tracking.currentSupercardCounted;
+    currentCardPoolName = tracking.currentCardPoolName;
+    currentCardLapsed = tracking.currentCardLapsed;
+    cardShownAt = tracking.cardShownAt;
+    cardPerformance = tracking.cardPerformance;
+    writeCoverCompleted = tracking.writeCoverCompleted;
+    firstAnswers = tracking.firstAnswers;
+    dailyLimitReached = tracking.dailyLimitReached;
+    filteredSessionComplete = tracking.filteredSessionComplete;
+    
+    // Bring the card back (it may have been replaced by Next in the meantime)
+    const cardChanged = state.card.id !== card.id || state.card.front !== card.front;
+    Object.assign(state.card, card);
+    if (cardChanged) {
+        renderFront();
+    }
+    for (const { sel, snapshot } of entry.dom) {
+        const modCard = $(sel);
+        if (!modCard) continue;
+        modCard.className = snapshot.className;
+        modCard.style.cssText = snapshot.style.cssText;
+        if (snapshot.dataset.state !== undefined) {
+            modCard.dataset.state = snapshot.dataset.state;
+        }
+        modCard.replaceChildren(...snapshot.cloneNode(true).childNodes);
+        // Cloned sound buttons carry no listeners
+        $$('.sound', modCard).forEach(btn => { delete btn.dataset.bound; });
+        wireSoundButtons(modCard);
+    }
+    const btnNextBottom = $('#btnNextBottom');
+    if (btnNextBottom) {
+        btnNextBottom.style.display = entry.nextBottomDisplay;
+    }
+    
+    saveState();
+    renderFilteredSessionBar();
+    updateDailySupercardCounter();
+    showUndoToast(null);
+    return true;
+}
+
+/**
+ * Whether there is a grading action to undo
+ * @returns {boolean}
+ */
+export function canUndo() {
+    return undoStack.length > 0;
+}
+
+/**
+ * Forget the undo history (after changes it can't be replayed over, e.g. forgetting progress)
+ */
+export function clearUndoHistory() {
+    undoStack = [];
+    showUndoToast(null);
+}
+
+/**
+ * Check the card on screen after another tab's changes were merged (see tabSync.js):
+ * move on if its word is gone, it was suspended, or it was reviewed in the other tab
+ * before anything was answered here. An empty state re-checks when words arrived.
+ * @param {Object} touched - { wordIds, subcardKeys, supercardKeys } (Sets)
+ * @returns {boolean} - Whether a new card was picked
+ */
+export function revalidateCurrentCard(touched) {
+    const wordId = state.card.id;
+    const front = state.card.front;
+    if (!wordId) {
+        if (touched.wordIds.size === 0) return false;
+        nextCard();
+        return true;
+    }
+    const wordGone = !state.wordlist.some(w => w.id === wordId);
+    const suspended = touched.supercardKeys.has(getSupercardKey(wordId, front)) && isSupercardSuspended(wordId, front);
+    const reviewedElsewhere = recordedSubcards.size === 0
+        && getBackModesForFront(front).some(backMode => touched.subcardKeys.has(getSubcardKey(wordId, front, backMode)));
+    if (!wordGone && !suspended && !reviewedElsewhere) return false;
+    console.log('[TabSync] Current card changed in another tab, picking the next one');
+    nextCard();
+    return true;
+}
+
+/**
+ * Show the undo toast after a grading action (label = null hides it unless more
+ * undo steps are left, in which case it stays up briefly to allow undoing further)
+ * @param {string|null} label - What was just graded
+ */
+function showUndoToast(label) {
+    const toast = $('#undoToast');
+    if (!toast) return;
+    clearTimeout(undoToastTimer);
+    
+    if (undoStack.length === 0) {
+        toast.classList.add('hide');
+        return;
+    }
+    const msg = $('#undoToastMsg', toast);
+    if (msg) {
+        msg.textContent = label ? `${label} recorded` : `Undone · ${undoStack.length} more`;
+    }
+    toast.classList.remove('hide');
+    undoToastTimer = setTimeout(() => toast.classList.add('hide'), UNDO_TOAST_MS);
+}
+
 export function resetAllBack() {
     // Hide the bottom Next button (shown again when all modalities are finished)
     const btnNextBottom = $('#btnNextBottom');
@@ -576,7 +1052,11 @@ export function resetAllBack() {
         const modCard = $(sel);
         if (!modCard) return;
         
-        if (sel === frontMod) {
+        if (dailyLimitReached) {
+            // Nothing to answer until the user keeps studying or a new day starts
+            modCard.style.display = 'none';
+            modVisibility.push(`${sel}: hidden (daily limit)`);
+        } else if (sel === frontMod) {
             // Hide the front modality
             modCard.style.display = 'none';
             modVisibility.push(`${sel}: hidden (front)`);
@@ -755,11 +1235,22 @@ function checkAllFinished() {
         // Commit supercard selection when all modalities are finished
         // Only count once per supercard (tracked by currentSupercardCounted flag)
         if (!currentSupercardCounted && state.card.word && state.card.id) {
-            // Commit the deferred state updates (counters, supercardLastShown, lastWordId)
-            commitSupercardSelection(state.card.id, state.card.front, currentCardPoolName);
-            
-            incrementDailySupercardCount();
-            updateDailySupercardCounter();
+            const session = getFilteredSession();
+            if (session) {
+                // A clean pass in a leech re-study counts toward releasing the leech
+                if (isLeechSession(session)) {
+                    recordRehabResult(state.card.id, state.card.front, !currentCardLapsed);
+                }
+                // Filtered sessions keep their own counters; the main queue is untouched
+                commitFilteredSessionCard(state.card.id, state.card.front, currentCardPoolName);
+                renderFilteredSessionBar();
+            } else {
+                // Commit the deferred state updates (counters, supercardLastShown, lastWordId)
+                commitSupercardSelection(state.card.id, state.card.front, currentCardPoolName);
+                
+                incrementDailySupercardCount();
+                updateDailySupercardCounter();
+            }
             currentSupercardCounted = true;
         }
     } else {
@@ -767,15 +1258,6 @@ function checkAllFinished() {
     }
 }
 
-/**
- * Escape HTML special characters
- */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 function wireSoundButtons(scope = document) {
     scope.querySelectorAll('.sound').forEach((btn) => {
         if (!(btn instanceof HTMLElement)) return;
@@ -820,7 +1302,7 @@ function checkTone(modCard) {
         if (speechResult !== undefined) {
             // Both tone and speech are complete, record pronunciation subcard
             const pronunciationPassed = (ok === true && speechResult === true);
-            recordSubcardReview('pronunciation', pronunciationPassed);
+            recordSubcardReview('pronunciation', pronunciationPassed, firstAnswers.tone);
         }
     }
     
@@ -878,7 +1360,7 @@ function checkPinyin(modCard) {
             // Check if we're in separated mode (pinyin tested independently)
             // or regular pinyin mode (not part of HanziTyping)
             if (inputsSeparated || !backModes.includes('hanzi')) {
-                recordSubcardReview('pinyin', ok);
+                recordSubcardReview('pinyin', ok, input);
             }
         }
     }
@@ -999,7 +1481,7 @@ function pickHanzi(modCard, btn) {
         // Check if we're in separated mode (hanzi tested independently)
         // or regular hanzi mode (not part of HanziTyping)
         if (inputsSeparated || !backModes.includes('pinyin')) {
-            recordSubcardReview('hanzi', ok);
+            recordSubcardReview('hanzi', ok, userAnswer);
         }
     }
     
@@ -1052,7 +1534,7 @@ function selfGrade(modCard, ok, role) {
         if (toneResult !== undefined) {
             // Both tone and speech are complete, record pronunciation subcard
             const pronunciationPassed = (toneResult === true && ok === true);
-            recordSubcardReview('pronunciation', pronunciationPassed);
+            recordSubcardReview('pronunciation', pronunciationPassed, firstAnswers.tone);
         }
         
         // Show finished state for speech (no audio button, just result)
@@ -1091,8 +1573,8 @@ function checkHanziTyping(modCard) {
         const backModes = getBackModesForFront(front);
         if (!inputsSeparated && backModes.includes('hanzi') && backModes.includes('pinyin')) {
             // Combined mode - record both subcards with same result
-            recordSubcardReview('hanzi', ok);
-            recordSubcardReview('pinyin', ok);
+            recordSubcardReview('hanzi', ok, input);
+            recordSubcardReview('pinyin', ok, input);
         }
     }
     
@@ -1266,25 +1748,25 @@ export function bindModality(modCard) {
 
         if (state.card.word === null) return; // Disable interactions if empty
 
-        if (t.matches('[data-action="checkTone"]')) return checkTone(modCard);
+        if (t.matches('[data-action="checkTone"]')) return gradeWithUndo('Tone', () => checkTone(modCard));
         if (t.matches('[data-action="checkSpeech"]')) return checkSpeech(modCard);
-        if (t.matches('[data-action="checkPinyin"]')) return checkPinyin(modCard);
+        if (t.matches('[data-action="checkPinyin"]')) return gradeWithUndo('Pinyin', () => checkPinyin(modCard));
         if (t.matches('[data-action="coverPinyin"]')) return coverPinyin(modCard);
         if (t.matches('[data-action="checkMeaning"]')) return checkMeaning(modCard);
-        if (t.matches('[data-action="checkHanziTyping"]')) return checkHanziTyping(modCard);
+        if (t.matches('[data-action="checkHanziTyping"]')) return gradeWithUndo('Hanzi', () => checkHanziTyping(modCard));
         if (t.matches('[data-action="coverHanziTyping"]')) return coverHanziTyping(modCard);
         if (t.matches('[data-action="separateInputs"]')) return separateInputs();
 
         if (t.matches('[data-action="selfRight"]')) {
             const role = t.closest('[data-role="speechSelf"]') ? 'speech' : 'meaning';
-            return selfGrade(modCard, true, role);
+            return gradeWithUndo(`${SELF_GRADE_LABEL[role]}: Right`, () => selfGrade(modCard, true, role));
         }
         if (t.matches('[data-action="selfWrong"]')) {
             const role = t.closest('[data-role="speechSelf"]') ? 'speech' : 'meaning';
-            return selfGrade(modCard, false, role);
+            return gradeWithUndo(`${SELF_GRADE_LABEL[role]}: Wrong`, () => selfGrade(modCard, false, role));
         }
 
-        if (t.matches('[data-choice]')) return pickHanzi(modCard, t);
+        if (t.matches('[data-choice]')) return gradeWithUndo('Hanzi', () => pickHanzi(modCard, t));
     });
     
     // Add Enter key support for input fields
@@ -1295,52 +1777,42 @@ export function bindModality(modCard) {
             const input = e.target;
             if (input.matches('[data-input="tone"]')) {
                 e.preventDefault();
-                checkTone(modCard);
+                gradeWithUndo('Tone', () => checkTone(modCard));
             } else if (input.matches('[data-input="pinyin"]')) {
                 e.preventDefault();
                 // Only allow check if no Hanzi characters
                 const checkBtn = $('#btnCheckPinyin', modCard) || $('[data-action="checkPinyin"]', modCard);
                 if (checkBtn && !checkBtn.disabled) {
-                    checkPinyin(modCard);
+                    gradeWithUndo('Pinyin', () => checkPinyin(modCard));
                 }
             } else if (input.matches('[data-input="hanziTyping"]')) {
                 e.preventDefault();
                 // Only allow check if no latin characters
                 const checkBtn = $('#btnCheckHanziTyping', modCard) || $('[data-action="checkHanziTyping"]', modCard);
                 if (checkBtn && !checkBtn.disabled) {
-                    checkHanziTyping(modCard);
+                    gradeWithUndo('Hanzi', () => checkHanziTyping(modCard));
                 }
             }
         }
     });
     
-    // Add input validation for Hanzi Typing
+    // Input validation (delegated, so it survives the mod card's DOM being restored by undo)
+    modCard.addEventListener('input', (e) => {
+        const input = e.target;
+        if (!(input instanceof HTMLInputElement)) return;
+        if (modCard.id === 'modHanziTyping' && input.matches('[data-input="hanziTyping"]')) validateHanziTypingInput(modCard);
+        if (modCard.id === 'modPinyin' && input.matches('[data-input="pinyin"]')) validatePinyinInput(modCard);
+        if (modCard.id === 'modPronunciation' && input.matches('[data-input="tone"]')) validateToneInput(modCard);
+    });
+    
+    // Initial validation
     if (modCard.id === 'modHanziTyping') {
-        const inputEl = $('[data-input="hanziTyping"]', modCard);
-        if (inputEl) {
-            inputEl.addEventListener('input', () => validateHanziTypingInput(modCard));
-            // Initial validation
-            validateHanziTypingInput(modCard);
-        }
+        validateHanziTypingInput(modCard);
     }
-    
-    // Add input validation for Pinyin Spelling
     if (modCard.id === 'modPinyin') {
-        const inputEl = $('[data-input="pinyin"]', modCard);
-        if (inputEl) {
-            inputEl.addEventListener('input', () => validatePinyinInput(modCard));
-            // Initial validation
-            validatePinyinInput(modCard);
-        }
+        validatePinyinInput(modCard);
     }
-    
-    // Add input validation for Tone
     if (modCard.id === 'modPronunciation') {
-        const inputEl = $('[data-input="tone"]', modCard);
-        if (inputEl) {
-            inputEl.addEventListener('input', () => validateToneInput(modCard));
-            // Initial validation
-            validateToneInput(modCard);
-        }
+        validateToneInput(modCard);
     }
 }
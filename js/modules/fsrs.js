@@ -19,15 +19,22 @@
  * SELECTION ALGORITHM:
  * 1. Calculate overdue score for each supercard based on most urgent subcard
  * 2. Separate into pools: review (has any overdue/due subcards) vs new (all subcards new)
- * 3. Use adaptive mixing ratio based on practice recency
+ * 3. Pick a pool by strategy (state.newCardStrategy):
+ *    - 'newFirst': every never-shown supercard before any review
+ *    - 'interleaved': draw NEW with the adaptive mixing ratio (practice recency, overdue load)
  * 4. Within pool, prioritize by urgency score
  * 5. Anti-limbo guarantees:
- *    a. Force pool switch after MAX_CONSECUTIVE_SAME_POOL picks from same pool
+ *    a. Force pool switch after MAX_CONSECUTIVE_SAME_POOL review picks / MAX_CONSECUTIVE_NEW_CARDS new picks
  *    b. Boost priority of cards not shown in LIMBO_BOOST_THRESHOLD_DAYS
  *    c. Track last_shown timestamp for each supercard to detect limbo situations
+ * 6. Daily queue: at most state.dailyLimits.newCards new and state.dailyLimits.reviews review
+ *    supercards per day; due reviews left over when the cap is hit carry over to the next day
+ * 7. Sibling burying: once a supercard of a word is completed, the word's other fronts wait
+ *    until tomorrow ('day') or N cards ('cards') so one front doesn't give away another
  */
 
-import { state, saveState } from '../state.js';
+import { state, saveState, checkAndResetDailyCounter, getNow } from '../state.js';
+import { checkWordIds } from './wordIdMigration.js';
 
 // Import FSRS library (exposed as global FSRS from ts-fsrs.js)
 // The library is loaded via script tag and exposes FSRS namespace
@@ -46,11 +53,24 @@ const MS_PER_DAY = 24 * MS_PER_HOUR;
 // Anti-limbo constants
 const MAX_CONSECUTIVE_SAME_POOL = 10; // Force switch pools after this many picks from same pool
 const MAX_CONSECUTIVE_NEW_CARDS = 5; // Force review card after this many consecutive new cards
-const LIMBO_BOOST_THRESHOLD_DAYS = 14; // Boost cards not shown for this many days
+export const LIMBO_BOOST_THRESHOLD_DAYS = 14; // Boost cards not shown for this many days
 const LIMBO_BOOST_MULTIPLIER = 50; // Score boost for limbo cards (added to urgency)
 const MAX_LIMBO_BOOST = 500; // Cap limbo boost to prevent Infinity issues
 const NEVER_SHOWN_DAYS = 9999; // Sentinel value for cards never shown (avoids Infinity)
 
+// Scheduling defaults (overridable per back mode / per front+back in state.schedulingSettings)
+export const DEFAULT_REQUEST_RETENTION = 0.9;
+export const DEFAULT_MAXIMUM_INTERVAL = 36500; // ~100 years
+export const MIN_REQUEST_RETENTION = 0.7;
+export const MAX_REQUEST_RETENTION = 0.99;
+
+// Sibling burying (state.siblingBurying = { mode: 'off' | 'day' | 'cards', cards: N })
+const RECENT_SUPERCARDS_MAX = 50; // Ring buffer size for 'cards' mode
+
+// Daily queue defaults (state.dailyLimits; null = unlimited)
+export const DEFAULT_DAILY_NEW_LIMIT = 20; // New supercards introduced per day
+export const DEFAULT_DAILY_REVIEW_LIMIT = 200; // Review supercards completed per day
+
 /**
  * Get back modes for a given front mode
  * @param {string} front - The front modality type
@@ -100,16 +120,125 @@ export function recordSupercardShown(wordId, front) {
     if (!state.supercardLastShown) {
         state.supercardLastShown = {};
     }
-    state.supercardLastShown[key] = new Date().toISOString();
+    state.supercardLastShown[key] = getNow().toISOString();
     saveState();
 }
 
+/**
+ * Get the flags stored for a supercard (suspension, leech state)
+ * @param {string} wordId - The word's unique ID
+ * @param {string} front - The front modality type
+ * @returns {Object|null} - Flags object or null if none
+ */
+export function getSupercardFlags(wordId, front) {
+    return state.supercardFlags?.[getSupercardKey(wordId, front)] || null;
+}
+
+/**
+ * Update the flags for a supercard; flags set to undefined/null are removed
+ * @param {string} wordId - The word's unique ID
+ * @param {string} front - The front modality type
+ * @param {Object} changes - Flags to merge in
+ */
+export function updateSupercardFlags(wordId, front, changes) {
+    if (!state.supercardFlags || typeof state.supercardFlags !== 'object') {
+        state.supercardFlags = {};
+    }
+    const key = getSupercardKey(wordId, front);
+    const flags = { ...(state.supercardFlags[key] || {}), ...changes };
+    for (const [name, value] of Object.entries(flags)) {
+        if (value === undefined || value === null) delete flags[name];
+    }
+    if (Object.keys(flags).length > 0) {
+        state.supercardFlags[key] = flags;
+    } else {
+        delete state.supercardFlags[key];
+    }
+}
+
+/**
+ * Check whether a supercard is suspended (excluded from the queue, due counts and forecast)
+ * @param {string} wordId - The word's unique ID
+ * @param {string} front - The front modality type
+ * @returns {boolean}
+ */
+export function isSupercardSuspended(wordId, front) {
+    return !!getSupercardFlags(wordId, front)?.suspended;
+}
+
+/**
+ * Check whether a supercard was buried by hand and the burial hasn't run out yet
+ * @param {string} wordId - The word's unique ID
+ * @param {string} front - The front modality type
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export function isSupercardBuried(wordId, front, now = getNow()) {
+    const until = getSupercardFlags(wordId, front)?.buriedUntil;
+    return !!until && new Date(until) > now;
+}
+
+/**
+ * Why a supercard is kept out of selection, if it is
+ * @param {string} wordId - The word's unique ID
+ * @param {string} front - The front modality type
+ * @param {Date} now - Reference time
+ * @param {boolean} includeSuspended - Treat suspended supercards as selectable
+ * @returns {string|null} - 'suspended', 'buried' or null
+ */
+function getSupercardExclusion(wordId, front, now, includeSuspended = false) {
+    if (!includeSuspended && isSupercardSuspended(wordId, front)) return 'suspended';
+    if (isSupercardBuried(wordId, front, now)) return 'buried';
+    return null;
+}
+
+/**
+ * Remember a completed supercard in the recent-supercards ring buffer (for sibling burying)
+ * @param {string} wordId - The word's unique ID
+ * @param {string} front - The front modality type
+ */
+function recordRecentSupercard(wordId, front) {
+    if (!Array.isArray(state.recentSupercards)) {
+        state.recentSupercards = [];
+    }
+    state.recentSupercards.push(getSupercardKey(wordId, front));
+    if (state.recentSupercards.length > RECENT_SUPERCARDS_MAX) {
+        state.recentSupercards.splice(0, state.recentSupercards.length - RECENT_SUPERCARDS_MAX);
+    }
+}
+
+/**
+ * Check whether a supercard is buried because a sibling (same word, other front) was completed recently
+ * @param {string} wordId - The word's unique ID
+ * @param {string} front - The front modality type
+ * @param {Date} now - Reference time
+ * @returns {string|null} - 'day' / 'cards' when buried, null otherwise
+ */
+export function getSiblingBurial(wordId, front, now = getNow()) {
+    const settings = state.siblingBurying || {};
+    
+    if (settings.mode === 'day') {
+        const startOfToday = getStartOfDay(now);
+        for (const sibling of FRONT_TYPES) {
+            if (sibling === front) continue;
+            const lastShown = state.supercardLastShown?.[getSupercardKey(wordId, sibling)];
+            if (lastShown && new Date(lastShown) >= startOfToday) return 'day';
+        }
+    } else if (settings.mode === 'cards') {
+        const windowSize = Math.max(0, Math.floor(settings.cards || 0));
+        const recent = (state.recentSupercards || []).slice(-windowSize);
+        const ownKey = getSupercardKey(wordId, front);
+        if (windowSize > 0 && recent.some(key => key !== ownKey && key.startsWith(`${wordId}_`))) return 'cards';
+    }
+    return null;
+}
+
 /**
  * Get days since a supercard was last shown
  * @param {string} wordId - The word's unique ID
  * @param {string} front - The front modality type
  * @param {Object} snapshotSupercardLastShown - Snapshot of supercardLastShown (optional, defaults to state)
- * @param {Date} snapshotNow - Snapshot of current time (optional, defaults to new Date())
+ * @param {Date} snapshotNow - Snapshot of current time (optional, defaults to getNow())
  * @returns {number} - Days since last shown, or NEVER_SHOWN_DAYS if never shown
  */
 function getDaysSinceLastShown(wordId, front, snapshotSupercardLastShown = null, snapshotNow = null) {
@@ -123,7 +252,7 @@ function getDaysSinceLastShown(wordId, front, snapshotSupercardLastShown = null,
     if (isNaN(lastShownDate.getTime())) {
         return NEVER_SHOWN_DAYS; // Invalid date - treat as never shown
     }
-    const now = snapshotNow || new Date();
+    const now = snapshotNow || getNow();
     return Math.max(0, (now - lastShownDate) / MS_PER_DAY);
 }
 
@@ -148,12 +277,14 @@ function hasWordBeenSeen(wordId, snapshotSupercardLastShown = null) {
 }
 
 /**
- * Initialize FSRS instance with default parameters
+ * FSRS instances keyed by `${retention}|${maxInterval}`
+ * All share the default parameters (or the learner's optimized weights, if adopted from the optimizer)
  */
-let fsrsInstance = null;
+const fsrsInstances = new Map();
 
-function getFSRS() {
-    if (!fsrsInstance) {
+function getFSRS(retention = DEFAULT_REQUEST_RETENTION, maxInterval = DEFAULT_MAXIMUM_INTERVAL) {
+    const cacheKey = `${retention}|${maxInterval}`;
+    if (!fsrsInstances.has(cacheKey)) {
         // Check if FSRS is available (from ts-fsrs.js)
         if (typeof FSRS === 'undefined') {
             console.error('FSRS library not loaded');
@@ -162,14 +293,79 @@ function getFSRS() {
         
         // Create FSRS instance with default parameters
         // We use binary grading: Good (Right) and Again (Wrong)
-        fsrsInstance = new FSRS.FSRS({
-            request_retention: 0.9,
-            maximum_interval: 36500, // ~100 years
+        const params = {
+            request_retention: retention,
+            maximum_interval: maxInterval,
             enable_fuzz: true,
             enable_short_term: true
-        });
+        };
+        const weights = getActiveWeights();
+        if (weights) {
+            params.w = weights;
+        }
+        fsrsInstances.set(cacheKey, new FSRS.FSRS(params));
+    }
+    return fsrsInstances.get(cacheKey);
+}
+
+/**
+ * Validate a scheduling override, dropping out-of-range values
+ * @param {Object} entry - { retention, maxInterval } (either may be missing)
+ * @returns {Object} - Sanitized entry (empty object = inherit)
+ */
+export function sanitizeSchedulingEntry(entry) {
+    const result = {};
+    if (!entry || typeof entry !== 'object') return result;
+    
+    const retention = Number(entry.retention);
+    if (Number.isFinite(retention) && retention >= MIN_REQUEST_RETENTION && retention <= MAX_REQUEST_RETENTION) {
+        result.retention = Math.round(retention * 100) / 100;
     }
-    return fsrsInstance;
+    const maxInterval = Number(entry.maxInterval);
+    if (Number.isFinite(maxInterval) && maxInterval >= 1) {
+        result.maxInterval = Math.min(DEFAULT_MAXIMUM_INTERVAL, Math.round(maxInterval));
+    }
+    return result;
+}
+
+/**
+ * Resolve desired retention and maximum interval for a subcard
+ * Precedence: front+back override → back mode setting → defaults
+ * @param {string} front - The front modality type (optional)
+ * @param {string} backMode - The back modality type (optional)
+ * @returns {{retention: number, maxInterval: number}}
+ */
+export function getSchedulingParams(front, backMode) {
+    const settings = state.schedulingSettings || {};
+    const byBackMode = (backMode && settings.byBackMode && settings.byBackMode[backMode]) || {};
+    const byPair = (front && backMode && settings.bySubcard && settings.bySubcard[`${front}_${backMode}`]) || {};
+    
+    const backEntry = sanitizeSchedulingEntry(byBackMode);
+    const pairEntry = sanitizeSchedulingEntry(byPair);
+    
+    return {
+        retention: pairEntry.retention ?? backEntry.retention ?? DEFAULT_REQUEST_RETENTION,
+        maxInterval: pairEntry.maxInterval ?? backEntry.maxInterval ?? DEFAULT_MAXIMUM_INTERVAL
+    };
+}
+
+/**
+ * Get the adopted optimizer weights, or null to use the library defaults
+ * @returns {Array<number>|null}
+ */
+export function getActiveWeights() {
+    const w = state.fsrsParameters?.w;
+    if (!Array.isArray(w) || w.length === 0 || !w.every(Number.isFinite)) {
+        return null;
+    }
+    return w.slice();
+}
+
+/**
+ * Drop the cached FSRS instances so the next review picks up changed parameters
+ */
+export function resetFSRSInstance() {
+    fsrsInstances.clear();
 }
 
 /**
@@ -214,10 +410,12 @@ export function getOrCreateSubcard(wordId, front, backMode, fsrsSubcards) {
  * Get scheduling preview for a card (all possible ratings)
  * @param {Object} card - FSRS card object
  * @param {Date} now - Current date/time
+ * @param {Object} options - Optional { front, backMode } to apply per-modality scheduling
  * @returns {Object} - RecordLog with scheduling for all ratings
  */
-export function previewCard(card, now = new Date()) {
-    const fsrs = getFSRS();
+export function previewCard(card, now = getNow(), options = {}) {
+    const { retention, maxInterval } = getSchedulingParams(options.front, options.backMode);
+    const fsrs = getFSRS(retention, maxInterval);
     if (!fsrs || !card) return null;
     
     try {
@@ -228,15 +426,36 @@ export function previewCard(card, now = new Date()) {
     }
 }
 
+/**
+ * Get the probability of recalling a reviewed card at a given time
+ * @param {Object} card - FSRS card object
+ * @param {Date} now - Reference time
+ * @returns {number} - Retrievability (0-1); 0 for cards never reviewed
+ */
+export function getRetrievability(card, now = getNow()) {
+    const fsrs = getFSRS();
+    if (!fsrs || !card || !card.last_review) return 0;
+    
+    try {
+        return fsrs.get_retrievability(card, now, false);
+    } catch (e) {
+        console.error('Error computing retrievability:', e);
+        return 0;
+    }
+}
+
 /**
  * Record a review and get updated card
  * @param {Object} card - FSRS card object
  * @param {Date} now - Current date/time
  * @param {number} rating - Rating: 1 (Again/Wrong) or 3 (Good/Right)
+ * @param {Object} options - Optional { wordId, front, backMode }: per-modality retention and max interval,
+ *                           plus load balancing of the due date (needs all three)
  * @returns {Object|null} - Updated card and log, or null on error
  */
-export function recordReview(card, now = new Date(), rating) {
-    const fsrs = getFSRS();
+export function recordReview(card, now = getNow(), rating, options = {}) {
+    const { retention, maxInterval } = getSchedulingParams(options.front, options.backMode);
+    const fsrs = getFSRS(retention, maxInterval);
     if (!fsrs || !card) return null;
     
     // Map our binary ratings to FSRS ratings
@@ -246,6 +465,9 @@ export function recordReview(card, now = new Date(), rating) {
     
     try {
         const result = fsrs.next(card, now, fsrsRating);
+        if (state.loadBalancing !== false && options.wordId && options.front && options.backMode) {
+            balanceDueDate(result.card, card, now, maxInterval, options.wordId, options.front, options.backMode);
+        }
         return result;
     } catch (e) {
         console.error('Error recording review:', e);
@@ -253,6 +475,150 @@ export function recordReview(card, now = new Date(), rating) {
     }
 }
 
+/**
+ * Local calendar day key (YYYY-MM-DD) for a date
+ * @param {Date} date
+ * @returns {string}
+ */
+function getDayKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Earliest due date among a supercard's reviewed subcards
+ * @param {string} wordId - The word's unique ID
+ * @param {string} front - The front modality type
+ * @param {Object} fsrsSubcards - Map of FSRS subcards
+ * @param {string} excludeBackMode - Back mode to ignore (the subcard being rescheduled)
+ * @returns {Date|null}
+ */
+function getSupercardEarliestDue(wordId, front, fsrsSubcards, excludeBackMode = null) {
+    let earliest = null;
+    for (const backMode of getBackModesForFront(front)) {
+        if (backMode === excludeBackMode) continue;
+        const subcard = fsrsSubcards ? fsrsSubcards[getSubcardKey(wordId, front, backMode)] : null;
+        if (!subcard || !subcard.last_review || !subcard.due) continue;
+        const due = new Date(subcard.due);
+        if (!earliest || due < earliest) earliest = due;
+    }
+    return earliest;
+}
+
+/**
+ * Count review supercards falling due on each local calendar day
+ * A supercard is shown when its earliest subcard is due, so that date is its load day
+ * @param {Array} wordlist - List of words
+ * @param {Object} fsrsSubcards - Map of FSRS subcards
+ * @param {string} excludeSupercardKey - Supercard to leave out (the one being rescheduled)
+ * @returns {Map<string, number>} - Day key → supercards due
+ */
+function getSupercardDueCounts(wordlist, fsrsSubcards, excludeSupercardKey = null) {
+    const counts = new Map();
+    for (const word of wordlist || []) {
+        if (!word.id) continue;
+        for (const front of FRONT_TYPES) {
+            if (excludeSupercardKey && getSupercardKey(word.id, front) === excludeSupercardKey) continue;
+            if (isSupercardSuspended(word.id, front)) continue;
+            const due = getSupercardEarliestDue(word.id, front, fsrsSubcards);
+            if (!due) continue;
+            const key = getDayKey(due);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+/**
+ * LOAD BALANCER
+ * Nudge a freshly scheduled review subcard within its fuzz window toward the day
+ * with the fewest supercards due, so cards imported together don't come back together.
+ * 
+ * - Only Review-state cards are moved (learning steps are minutes/hours)
+ * - The window is ts-fsrs's own fuzz range, so intervals stay within what fuzzing would allow
+ * - If a sibling subcard of the same supercard falls due earlier (and isn't being reviewed now),
+ *   the supercard is shown on that day anyway, so this subcard adds no load and keeps its interval
+ * - Ties keep the interval closest to the one FSRS chose
+ * 
+ * @param {Object} card - Card returned by fsrs.next (modified in place)
+ * @param {Object} previous - Card before the review
+ * @param {Date} now - Review time
+ * @param {number} maxInterval - Maximum interval for this subcard
+ * @param {string} wordId - The word's unique ID
+ * @param {string} front - The front modality type
+ * @param {string} backMode - The back modality type
+ */
+function balanceDueDate(card, previous, now, maxInterval, wordId, front, backMode) {
+    if (!card || card.state !== FSRS.State.Review) return;
+    
+    const interval = card.scheduled_days;
+    if (!Number.isFinite(interval) || interval < 1) return;
+    
+    const lastReview = previous && previous.last_review ? new Date(previous.last_review) : null;
+    const elapsedDays = lastReview ? Math.max(0, FSRS.dateDiffInDays(lastReview, now)) : 0;
+    const { min_ivl: minIvl, max_ivl: maxIvl } = FSRS.get_fuzz_range(interval, elapsedDays, maxInterval);
+    if (maxIvl <= minIvl) return;
+    
+    // Siblings due later than now keep the supercard's show date pinned
+    const siblingDue = getSupercardEarliestDue(wordId, front, state.fsrsSubcards, backMode);
+    const pinnedDue = siblingDue && siblingDue > now ? siblingDue : null;
+    
+    const load = getSupercardDueCounts(state.wordlist, state.fsrsSubcards, getSupercardKey(wordId, front));
+    
+    let bestIvl = interval;
+    let bestCost = Infinity;
+    for (let ivl = minIvl; ivl <= maxIvl; ivl++) {
+        const due = new Date(now.getTime() + ivl * MS_PER_DAY);
+        const cost = pinnedDue && due >= pinnedDue ? 0 : (load.get(getDayKey(due)) || 0);
+        const closer = Math.abs(ivl - interval) < Math.abs(bestIvl - interval);
+        if (cost < bestCost || (cost === bestCost && closer)) {
+            bestCost = cost;
+            bestIvl = ivl;
+        }
+    }
+    
+    if (bestIvl !== interval) {
+        card.scheduled_days = bestIvl;
+        card.due = new Date(now.getTime() + bestIvl * MS_PER_DAY);
+    }
+}
+
+/**
+ * Forecast how many review supercards fall due on each of the next N days
+ * Day 0 (today) includes everything already overdue
+ * @param {Array} wordlist - List of words
+ * @param {Object} fsrsSubcards - Map of FSRS subcards
+ * @param {number} days - Number of days to forecast
+ * @param {Date} now - Reference time
+ * @returns {Array<{date: string, count: number}>}
+ */
+export function getDueForecast(wordlist, fsrsSubcards, days = 30, now = getNow()) {
+    const forecast = [];
+    const index = new Map();
+    for (let i = 0; i < days; i++) {
+        const date = new Date(now);
+        date.setDate(date.getDate() + i);
+        const key = getDayKey(date);
+        index.set(key, forecast.length);
+        forecast.push({ date: key, count: 0 });
+    }
+    
+    const todayKey = getDayKey(now);
+    for (const word of wordlist || []) {
+        if (!word.id) continue;
+        for (const front of FRONT_TYPES) {
+            if (isSupercardSuspended(word.id, front)) continue;
+            const due = getSupercardEarliestDue(word.id, front, fsrsSubcards);
+            if (!due) continue;
+            const key = due < now ? todayKey : getDayKey(due);
+            if (index.has(key)) forecast[index.get(key)].count++;
+        }
+    }
+    return forecast;
+}
+
 /**
  * Calculate how long since the most recent review across all subcards
  * @param {Object} fsrsSubcards - Map of FSRS subcards
@@ -264,7 +630,7 @@ function getTimeSinceLastReview(fsrsSubcards, snapshotNow = null) {
         return Infinity;
     }
     
-    const now = snapshotNow || new Date();
+    const now = snapshotNow || getNow();
     let mostRecentReview = null;
     
     for (const card of Object.values(fsrsSubcards)) {
@@ -453,6 +819,27 @@ function generateDeterministicSeed(fsrsSubcards) {
     return hash(combinedString);
 }
 
+/**
+ * Mix the snapshot counters into a seed so successive picks draw fresh random values
+ * even when no subcard changed in between (e.g. self-graded supercards)
+ * Same card states + same counters = same seed
+ * @param {number} seed - Seed from generateDeterministicSeed
+ * @param {Object} snapshotState - { dailySupercardCount, consecutiveDueCards, consecutiveNewCards }
+ * @returns {number} - Integer seed value
+ */
+function mixSnapshotIntoSeed(seed, snapshotState) {
+    const counters = [
+        snapshotState.dailySupercardCount || 0,
+        snapshotState.consecutiveDueCards || 0,
+        snapshotState.consecutiveNewCards || 0
+    ];
+    let mixed = seed;
+    for (const n of counters) {
+        mixed = (Math.imul(mixed ^ n, 2654435761) + n) & 0x7FFFFFFF;
+    }
+    return mixed;
+}
+
 /**
  * Get ordered supercard candidates with selection logic
  * Shared function used by both getNextSupercard and getAllSupercardsWithPedigree
@@ -465,6 +852,11 @@ function generateDeterministicSeed(fsrsSubcards) {
  * @param {boolean} options.applyVarietyCheck - Whether to apply variety check filtering
  * @param {Object} options.snapshotState - Snapshot of state values (for variety check)
  * @param {boolean} options.selectCard - Whether to actually select a card (false for just ordering)
+ * @param {Object} options.dailyLimits - { allowNew, allowReview } from getDailyQueueStatus
+ * @param {string} options.strategy - 'newFirst' (all new cards before reviews) or 'interleaved' (adaptive ratio)
+ * @param {Function} options.supercardFilter - Optional (word, front) => boolean; supercards failing it are skipped
+ * @param {boolean} options.includeSuspended - Keep suspended supercards (leech re-study sessions)
+ * @param {boolean} options.listExcluded - Append suspended/buried supercards to the order (pedigree view; never selected)
  * @returns {Object} - { selectedCard, orderedCandidates, poolName }
  */
 function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, options = {}) {
@@ -474,7 +866,12 @@ function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, optio
         snapshotState = {},
         selectCard = true,
         snapshotNow = null,
-        snapshotSupercardLastShown = null
+        snapshotSupercardLastShown = null,
+        dailyLimits = { allowNew: true, allowReview: true },
+        strategy = state.newCardStrategy || 'newFirst',
+        supercardFilter = null,
+        includeSuspended = false,
+        listExcluded = false
     } = options;
     
     if (!wordlist || wordlist.length === 0) {
@@ -483,7 +880,7 @@ function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, optio
     
     // Use snapshot time if provided, otherwise use current time
     // This ensures consistent ordering when called from different contexts
-    const now = snapshotNow || new Date();
+    const now = snapshotNow || getNow();
     
     // Calculate time since last practice for adaptive mixing
     const msSinceLastReview = getTimeSinceLastReview(fsrsSubcards, now);
@@ -503,6 +900,12 @@ function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, optio
         const isLastWord = lastWordId && wordId === lastWordId;
         
         for (const front of FRONT_TYPES) {
+            if (supercardFilter && !supercardFilter(word, front)) continue;
+            
+            // Suspended / manually buried supercards are never selected
+            const excludedBy = getSupercardExclusion(wordId, front, now, includeSuspended);
+            if (excludedBy && !listExcluded) continue;
+            
             const backModes = getBackModesForFront(front);
             
             // Track subcard states for this supercard
@@ -588,30 +991,45 @@ function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, optio
                 neverShown: neverShownForLimbo,
                 daysSinceShown,
                 isNewWord,
-                isNewCard // New card = this specific supercard has never been shown (using live state)
+                isNewCard, // New card = this specific supercard has never been shown (using live state)
+                buriedSibling: getSiblingBurial(wordId, front, now), // Live state, like isNewCard
+                excludedBy
             });
             
             // Track counts for adaptive ratio (only count review cards, not new cards)
             // Use isNewCard (live state) instead of neverShown (snapshot state)
-            if (!isLastWord && !isNewCard) {
+            if (!isLastWord && !isNewCard && !excludedBy) {
                 if (hasOverdueSubcard) overdueCount++;
                 if (hasDueSubcard) dueNowCount++;
             }
         }
     }
     
-    if (allSupercards.length === 0) {
-        return { selectedCard: null, orderedCandidates: [], poolName: null };
+    // Suspended / manually buried supercards only take part in the listing (appended last)
+    const excludedCards = allSupercards.filter(sc => sc.excludedBy);
+    const includedCards = allSupercards.filter(sc => !sc.excludedBy);
+    
+    if (includedCards.length === 0) {
+        return { selectedCard: null, orderedCandidates: excludedCards, poolName: null };
     }
     
+    // SIBLING BURYING: set buried supercards aside (listed last, never selected)
+    // If everything is buried, nothing is selected until the burials end (tomorrow).
+    // Burials for N cards only end as other cards are studied, so when no other card
+    // is left they are lifted instead of blocking the deck for good.
+    const unburiedCards = includedCards.filter(sc => !sc.buriedSibling);
+    const liftBurials = unburiedCards.length === 0 && includedCards.every(sc => sc.buriedSibling === 'cards');
+    const selectableCards = liftBurials ? includedCards : unburiedCards;
+    const buriedCards = liftBurials ? [] : includedCards.filter(sc => sc.buriedSibling);
+    
     // Separate cards into pools
-    const availableCards = allSupercards.filter(sc => !sc.isLastWord);
+    const availableCards = selectableCards.filter(sc => !sc.isLastWord);
     
     let cardsToConsider;
     if (availableCards.length === 0) {
-        cardsToConsider = allSupercards;
+        cardsToConsider = selectableCards;
     } else if (wordlist.length <= 2 && availableCards.length < 3) {
-        cardsToConsider = allSupercards.map(sc => ({
+        cardsToConsider = selectableCards.map(sc => ({
             ...sc,
             urgencyScore: sc.isLastWord ? sc.urgencyScore - 200 : sc.urgencyScore
         }));
@@ -626,17 +1044,23 @@ function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, optio
     
     // CRITICAL: Check if there are ANY new cards in the entire wordlist (not just cardsToConsider)
     // This prevents showing old cards when the only new cards left are filtered out by isLastWord
-    const hasAnyNewCardsInWordlist = allSupercards.some(sc => sc.isNewCard);
-    
-    const newPool = cardsToConsider.filter(sc => sc.isNewCard);
-    const reviewPool = cardsToConsider.filter(sc => !sc.isNewCard);
-    
-    // Calculate adaptive mixing ratio (not used anymore, but kept for compatibility)
+    // DAILY LIMITS: a pool whose daily cap is used up is deferred to the end of the order
+    // (still listed for the pedigree view, never selected)
+    const allowNew = dailyLimits.allowNew !== false;
+    const allowReview = dailyLimits.allowReview !== false;
+    const hasAnyNewCardsInWordlist = allowNew && selectableCards.some(sc => sc.isNewCard);
+    
+    const newPool = allowNew ? cardsToConsider.filter(sc => sc.isNewCard) : [];
+    const reviewPool = allowReview ? cardsToConsider.filter(sc => !sc.isNewCard) : [];
+    const deferredPool = cardsToConsider
+        .filter(sc => sc.isNewCard ? !allowNew : !allowReview)
+        .map(sc => ({ ...sc, deferredByLimit: true }))
+        .concat(buriedCards.map(sc => ({ ...sc, deferredBySibling: true })));
+    
+    // Calculate adaptive mixing ratio (probability of drawing from the NEW pool when interleaving)
     const newCardRatio = getAdaptiveNewCardRatio(msSinceLastReview, overdueCount, dueNowCount);
     
     // Decide which pool to draw from
-    // NEW REQUIREMENT: Show all new cards before any review cards
-    let selectedPool;
     let poolName;
     
     const hasNewCards = newPool.length > 0;
@@ -648,31 +1072,6 @@ function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, optio
     const consecutiveNewCards = snapshotState.consecutiveNewCards !== undefined ? 
         snapshotState.consecutiveNewCards : (state.consecutiveNewCards || 0);
     
-    // PRIORITIZE NEW CARDS: Always show new cards before review cards
-    // If there are ANY new cards in the wordlist (even if filtered out), we MUST show new cards
-    // Only show old cards if there are NO new cards left anywhere
-    if (hasAnyNewCardsInWordlist) {
-        // There are new cards somewhere - we must show new cards
-        if (hasNewCards) {
-            // We have new cards available (not filtered out) - use them
-            selectedPool = newPool;
-            poolName = 'NEW';
-        } else {
-            // All new cards are filtered out by isLastWord - include them anyway
-            // This ensures we never show old cards while new cards exist
-            const allNewCards = allSupercards.filter(sc => sc.isNewCard);
-            selectedPool = allNewCards;
-            poolName = 'NEW (forced - last word was new)';
-        }
-    } else if (hasReviewCards) {
-        // No new cards anywhere - safe to show review cards
-        selectedPool = reviewPool;
-        poolName = 'REVIEW';
-    } else {
-        selectedPool = cardsToConsider;
-        poolName = 'FALLBACK (all cards)';
-    }
-    
     // Pre-compute deterministic tie-breaker values for all supercards before sorting
     // This ensures deterministic sorting regardless of comparison order
     const addTieBreakers = (pool) => {
@@ -709,27 +1108,111 @@ function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, optio
         });
     };
     
-    // Build ordered candidates list
-    // NEW REQUIREMENT: Put all new cards first, then all review cards
-    const orderedCandidates = [];
-    
-    // Add tie-breakers to both pools and sort them
+    // Add tie-breakers to all pools and sort them
     addTieBreakers(newPool);
     addTieBreakers(reviewPool);
+    addTieBreakers(deferredPool);
     
     const sortedNewPool = newPool.slice();
     const sortedReviewPool = reviewPool.slice();
+    const sortedDeferredPool = deferredPool.slice();
     sortPool(sortedNewPool);
     sortPool(sortedReviewPool);
+    sortPool(sortedDeferredPool);
+    
+    // Build ordered candidates list
+    const orderedCandidates = [];
+    
+    if (strategy === 'interleaved') {
+        // INTERLEAVED: draw NEW vs REVIEW with the adaptive ratio (seeded RNG → deterministic)
+        // The full order is built by simulating successive draws, so the first entry is
+        // the actual selection and the rest is the expected upcoming sequence
+        const hasDueReviews = sortedReviewPool.some(sc => sc.hasDueSubcard);
+        let simNew = consecutiveNewCards;
+        let simDue = consecutiveDueCards;
+        let newIndex = 0;
+        let reviewIndex = 0;
+        
+        while (newIndex < sortedNewPool.length || reviewIndex < sortedReviewPool.length) {
+            const newLeft = newIndex < sortedNewPool.length;
+            const reviewLeft = reviewIndex < sortedReviewPool.length;
+            
+            let drawName;
+            if (!reviewLeft) {
+                drawName = 'NEW (only option)';
+            } else if (!newLeft) {
+                drawName = 'REVIEW (only option)';
+            } else if (simNew >= MAX_CONSECUTIVE_NEW_CARDS) {
+                drawName = 'REVIEW (anti-limbo forced)';
+            } else if (simDue >= MAX_CONSECUTIVE_SAME_POOL) {
+                drawName = 'NEW (anti-limbo forced)';
+            } else if (!hasDueReviews) {
+                // Nothing is due - reviews would only be early practice
+                drawName = 'NEW (no reviews due)';
+            } else {
+                drawName = randomFn() < newCardRatio ? 'NEW' : 'REVIEW';
+            }
+            
+            if (drawName.startsWith('NEW')) {
+                orderedCandidates.push(sortedNewPool[newIndex++]);
+                simNew++;
+                simDue = 0;
+            } else {
+                orderedCandidates.push(sortedReviewPool[reviewIndex++]);
+                simDue++;
+                simNew = 0;
+            }
+            
+            if (!poolName) {
+                poolName = drawName;
+            }
+        }
+    } else {
+        // NEW FIRST: show cards that have never been shown before (new cards)
+        // before cards that have been shown before (old cards)
+        // If there are ANY new cards in the wordlist (even if filtered out), we MUST show new cards
+        // Only show old cards if there are NO new cards left anywhere
+        if (hasAnyNewCardsInWordlist) {
+            if (hasNewCards) {
+                // We have new cards available (not filtered out) - use them
+                poolName = 'NEW';
+                orderedCandidates.push(...sortedNewPool);
+            } else {
+                // All new cards are filtered out by isLastWord - include them anyway
+                // This ensures we never show old cards while new cards exist
+                const allNewCards = selectableCards.filter(sc => sc.isNewCard);
+                addTieBreakers(allNewCards);
+                sortPool(allNewCards);
+                poolName = 'NEW (forced - last word was new)';
+                orderedCandidates.push(...allNewCards);
+            }
+        } else if (hasReviewCards) {
+            // No new cards anywhere - safe to show review cards
+            poolName = 'REVIEW';
+        }
+        orderedCandidates.push(...sortedReviewPool);
+    }
+    
+    if (!poolName) {
+        if (!allowNew || !allowReview) {
+            // Everything left is over today's caps
+            poolName = 'DAILY LIMIT';
+        } else {
+            orderedCandidates.push(...cardsToConsider);
+            poolName = 'FALLBACK (all cards)';
+        }
+    }
     
-    // Add all new cards first, then all review cards
-    orderedCandidates.push(...sortedNewPool);
-    orderedCandidates.push(...sortedReviewPool);
+    // Cards over today's caps and buried siblings go last (listed, never selected),
+    // then suspended and manually buried ones
+    orderedCandidates.push(...sortedDeferredPool);
+    orderedCandidates.push(...excludedCards);
     
-    // Select card if requested - always pick the first card in the interleaved order
+    // Select card if requested - always pick the first card in the order
     // This ensures the settings menu ordering matches actual selection
     let selectedCard = null;
-    if (selectCard && orderedCandidates.length > 0) {
+    if (selectCard && orderedCandidates.length > 0 &&
+        !orderedCandidates[0].deferredByLimit && !orderedCandidates[0].deferredBySibling && !orderedCandidates[0].excludedBy) {
         selectedCard = orderedCandidates[0];
     }
     
@@ -740,13 +1223,119 @@ function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, optio
     };
 }
 
+/**
+ * Get the start of the local calendar day containing a date
+ * @param {Date} date - Reference time
+ * @returns {Date}
+ */
+function getStartOfDay(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+}
+
+/**
+ * Resolve a daily cap from settings
+ * @param {*} value - Stored limit (number, or null for unlimited)
+ * @param {number} fallback - Default when unset
+ * @returns {number|null} - Limit, or null for unlimited
+ */
+function resolveDailyLimit(value, fallback) {
+    if (value === null) return null;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+/**
+ * Get today's queue: how many new and review supercards may still be studied
+ * 
+ * Caps come from state.dailyLimits and count supercards COMPLETED today (see commitSupercardSelection).
+ * Due reviews that don't fit under today's cap stay due and carry over to tomorrow,
+ * where their overdue score puts them ahead of freshly due cards.
+ * carriedOver counts the due reviews that were already due before today. Apart from
+ * the day rollover (checkAndResetDailyCounter) this only reads state.
+ * 
+ * @param {Array} wordlist - List of words
+ * @param {Object} fsrsSubcards - Map of FSRS subcards
+ * @param {Date} now - Reference time
+ * @returns {Object} - { newLimit, reviewLimit, newDone, reviewsDone, newAvailable, reviewAvailable,
+ *                       dueReviews, newLeft, reviewsLeft, carriedOver, limitsLifted, allowNew, allowReview, limitReached }
+ */
+export function getDailyQueueStatus(wordlist, fsrsSubcards, now = getNow()) {
+    checkAndResetDailyCounter();
+    
+    const limits = state.dailyLimits || {};
+    const newLimit = resolveDailyLimit(limits.newCards, DEFAULT_DAILY_NEW_LIMIT);
+    const reviewLimit = resolveDailyLimit(limits.reviews, DEFAULT_DAILY_REVIEW_LIMIT);
+    const newDone = state.dailyNewCount || 0;
+    const reviewsDone = state.dailyReviewCount || 0;
+    const limitsLifted = state.dailyLimitsLifted === true;
+    const startOfToday = getStartOfDay(now);
+    
+    let newAvailable = 0;
+    let reviewAvailable = 0;
+    let dueReviews = 0;
+    let carriedOver = 0;
+    
+    for (const word of wordlist || []) {
+        if (!word.id) continue;
+        for (const front of FRONT_TYPES) {
+            if (getSupercardExclusion(word.id, front, now)) continue;
+            if (getDaysSinceLastShown(word.id, front, null, now) >= NEVER_SHOWN_DAYS) {
+                newAvailable++;
+                continue;
+            }
+            reviewAvailable++;
+            
+            const earliestDue = getSupercardEarliestDue(word.id, front, fsrsSubcards);
+            if (earliestDue && earliestDue <= now) {
+                dueReviews++;
+                if (earliestDue < startOfToday) carriedOver++;
+            }
+        }
+    }
+    
+    const newRoom = limitsLifted || newLimit === null ? Infinity : Math.max(0, newLimit - newDone);
+    const reviewRoom = limitsLifted || reviewLimit === null ? Infinity : Math.max(0, reviewLimit - reviewsDone);
+    const allowNew = newRoom > 0;
+    const allowReview = reviewRoom > 0;
+    
+    return {
+        newLimit,
+        reviewLimit,
+        newDone,
+        reviewsDone,
+        newAvailable,
+        reviewAvailable,
+        dueReviews,
+        newLeft: Math.min(newRoom, newAvailable),
+        reviewsLeft: Math.min(reviewRoom, dueReviews),
+        carriedOver,
+        limitsLifted,
+        allowNew,
+        allowReview,
+        limitReached: (!allowNew || newAvailable === 0) && (!allowReview || reviewAvailable === 0) &&
+            (newAvailable + reviewAvailable > 0)
+    };
+}
+
+/**
+ * Ignore the daily caps for the rest of today ("keep studying")
+ */
+export function liftDailyLimitsForToday() {
+    checkAndResetDailyCounter();
+    state.dailyLimitsLifted = true;
+    state.selectionReferenceTime = null;
+    saveState();
+}
+
 /**
  * Get the next supercard to review based on FSRS scheduling
  * 
  * SELECTION ALGORITHM:
  * 1. Collect all supercards and calculate their urgency scores
  * 2. Classify into pools: NEW (all subcards never reviewed) vs REVIEW (any subcard reviewed)
- * 3. Apply adaptive mixing ratio based on practice recency
+ * 3. Choose a pool: all new cards first, or interleave using the adaptive mixing ratio
  * 4. Within pool, prioritize by urgency score (overdue cards first)
  * 5. Anti-limbo guarantees ensure all cards are eventually shown
  * 
@@ -755,26 +1344,39 @@ function getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, optio
  * - REVIEW pool: At least one subcard has been reviewed (includes "partially new")
  *   Note: "Partially new" cards go to REVIEW because reviewed subcards need their schedule maintained
  * 
+ * FILTERED SESSIONS:
+ * Pass options.session (see filteredSession.js) to select from its own counters and
+ * reference time instead of the main queue's, so a side session never shifts the main
+ * queue's seed or streaks. Daily caps don't apply inside a filtered session.
+ * 
  * @param {Array} wordlist - List of words
  * @param {Object} fsrsSubcards - Map of FSRS subcards
  * @param {string} lastWordId - Last word ID shown (to avoid showing same word twice in a row)
+ * @param {Object} options - Options object
+ * @param {Object} options.session - Filtered session { consecutiveDueCards, consecutiveNewCards, count, referenceTime }
+ * @param {Function} options.supercardFilter - Optional (word, front) => boolean to narrow the candidates
+ * @param {boolean} options.includeSuspended - Also pick suspended supercards (leech re-study)
  * @returns {Object|null} - { word, front } or null if no cards available
  */
-export function getNextSupercard(wordlist, fsrsSubcards, lastWordId = '') {
+export function getNextSupercard(wordlist, fsrsSubcards, lastWordId = '', options = {}) {
+    const { session = null, supercardFilter = null, includeSuspended = false } = options;
+    // Counters and reference time live on the session when one is given
+    const counters = session || state;
+    
     // Initialize consecutive counters if missing
-    if (typeof state.consecutiveDueCards !== 'number') {
-        state.consecutiveDueCards = 0;
+    if (typeof counters.consecutiveDueCards !== 'number') {
+        counters.consecutiveDueCards = 0;
     }
-    if (typeof state.consecutiveNewCards !== 'number') {
-        state.consecutiveNewCards = 0;
+    if (typeof counters.consecutiveNewCards !== 'number') {
+        counters.consecutiveNewCards = 0;
     }
     
     // Capture state values BEFORE selection (these will be used for seed and selection logic)
     // This ensures deterministic behavior - same state = same seed = same selection
     const snapshotState = {
-        dailySupercardCount: state.dailySupercardCount || 0,
-        consecutiveDueCards: state.consecutiveDueCards || 0,
-        consecutiveNewCards: state.consecutiveNewCards || 0
+        dailySupercardCount: (session ? session.count : state.dailySupercardCount) || 0,
+        consecutiveDueCards: counters.consecutiveDueCards || 0,
+        consecutiveNewCards: counters.consecutiveNewCards || 0
     };
     
     // Snapshot supercardLastShown to ensure consistent ordering
@@ -782,21 +1384,27 @@ export function getNextSupercard(wordlist, fsrsSubcards, lastWordId = '') {
     
     // Use persisted reference time for deterministic scoring on refresh
     // If not set, create a new one and persist it
+    const referenceKey = session ? 'referenceTime' : 'selectionReferenceTime';
     let snapshotNow;
-    if (state.selectionReferenceTime) {
-        snapshotNow = new Date(state.selectionReferenceTime);
+    if (counters[referenceKey]) {
+        snapshotNow = new Date(counters[referenceKey]);
     } else {
-        snapshotNow = new Date();
-        state.selectionReferenceTime = snapshotNow.toISOString();
+        snapshotNow = getNow();
+        counters[referenceKey] = snapshotNow.toISOString();
         saveState();
     }
     
-    // Generate deterministic seed from card states (ensures same states = same selection)
-    const baseSeed = generateDeterministicSeed(fsrsSubcards);
+    // Generate deterministic seed from card states and counters (ensures same states = same selection)
+    const baseSeed = mixSnapshotIntoSeed(generateDeterministicSeed(fsrsSubcards), snapshotState);
     
     // Create seeded RNG for deterministic selection
     const seededRNG = createSeededRNG(baseSeed);
     
+    // Apply today's new/review caps (not in filtered sessions)
+    const dailyStatus = session
+        ? { allowNew: true, allowReview: true }
+        : getDailyQueueStatus(wordlist, fsrsSubcards, snapshotNow);
+    
     // Get ordered candidates using seeded RNG (deterministic)
     const result = getOrderedSupercardCandidates(wordlist, fsrsSubcards, lastWordId, {
         randomFn: seededRNG.random.bind(seededRNG),
@@ -804,7 +1412,10 @@ export function getNextSupercard(wordlist, fsrsSubcards, lastWordId = '') {
         snapshotState: snapshotState,
         selectCard: true,
         snapshotNow: snapshotNow,
-        snapshotSupercardLastShown: snapshotSupercardLastShown
+        snapshotSupercardLastShown: snapshotSupercardLastShown,
+        dailyLimits: dailyStatus,
+        supercardFilter,
+        includeSuspended
     });
     
     if (!result.selectedCard) {
@@ -834,43 +1445,55 @@ export function getNextSupercard(wordlist, fsrsSubcards, lastWordId = '') {
  * @param {string} wordId - The word's unique ID
  * @param {string} front - The front modality type
  * @param {string} poolName - The pool name from getNextSupercard result
+ * @param {Object} session - Filtered session the card came from (its counters are updated instead of the main queue's)
  */
-export function commitSupercardSelection(wordId, front, poolName) {
+export function commitSupercardSelection(wordId, front, poolName, session = null) {
+    const counters = session || state;
+    
     // Update consecutive counters based on which pool was selected
     const wasNewPool = poolName && poolName.startsWith('NEW');
     
-    if (wasNewPool) {
-        state.consecutiveNewCards++;
-        state.consecutiveDueCards = 0;
-        
-        // Check for anti-limbo forcing
-        if (poolName === 'REVIEW (anti-limbo forced)') {
-            state.consecutiveNewCards = 0;
+    // Count against today's new/review caps (filtered sessions sit outside them)
+    if (!session) {
+        checkAndResetDailyCounter();
+        if (wasNewPool) {
+            state.dailyNewCount = (state.dailyNewCount || 0) + 1;
+        } else {
+            state.dailyReviewCount = (state.dailyReviewCount || 0) + 1;
         }
+    }
+    
+    // A forced pick resets the opposing streak like any other pick, so the forced
+    // pool names ('REVIEW (anti-limbo forced)', 'NEW (anti-limbo forced)') need no special case
+    if (wasNewPool) {
+        counters.consecutiveNewCards = (counters.consecutiveNewCards || 0) + 1;
+        counters.consecutiveDueCards = 0;
     } else {
-        state.consecutiveDueCards++;
-        state.consecutiveNewCards = 0;
-        
-        // Check for anti-limbo forcing
-        if (poolName === 'NEW (anti-limbo forced)') {
-            state.consecutiveDueCards = 0;
-        }
+        counters.consecutiveDueCards = (counters.consecutiveDueCards || 0) + 1;
+        counters.consecutiveNewCards = 0;
     }
     
-    // Reset counters if only one pool available
-    if (poolName && (poolName.includes('only option') || poolName === 'FALLBACK')) {
-        state.consecutiveDueCards = 0;
-        state.consecutiveNewCards = 0;
+    // Reset counters if only one pool available (streaks only matter while both pools compete)
+    if (poolName && (poolName.includes('only option') || poolName.startsWith('FALLBACK'))) {
+        counters.consecutiveDueCards = 0;
+        counters.consecutiveNewCards = 0;
     }
     
-    // Record that this supercard was shown (for anti-limbo tracking)
+    // Record that this supercard was shown (for anti-limbo tracking and sibling burying)
+    recordRecentSupercard(wordId, front);
     recordSupercardShown(wordId, front);
     
-    // Update lastWordId to track this as the last completed word
-    state.lastWordId = wordId;
-    
-    // Clear selection reference time so next selection uses fresh time
-    state.selectionReferenceTime = null;
+    if (session) {
+        session.count = (session.count || 0) + 1;
+        session.lastWordId = wordId;
+        session.referenceTime = null;
+    } else {
+        // Update lastWordId to track this as the last completed word
+        state.lastWordId = wordId;
+        
+        // Clear selection reference time so next selection uses fresh time
+        state.selectionReferenceTime = null;
+    }
     
     saveState();
 }
@@ -904,10 +1527,10 @@ export function getAllSupercardsWithPedigree(wordlist, fsrsSubcards, lastWordId
     // If not set, use current time (this shouldn't happen if getNextSupercard was called first)
     const snapshotNow = state.selectionReferenceTime 
         ? new Date(state.selectionReferenceTime) 
-        : new Date();
+        : getNow();
     
-    // Generate deterministic seed from card states (ensures same states = same selection)
-    const baseSeed = generateDeterministicSeed(fsrsSubcards);
+    // Generate deterministic seed from card states and counters (ensures same states = same selection)
+    const baseSeed = mixSnapshotIntoSeed(generateDeterministicSeed(fsrsSubcards), snapshotState);
     
     // Create seeded RNG for deterministic ordering
     const seededRNG = createSeededRNG(baseSeed);
@@ -919,7 +1542,9 @@ export function getAllSupercardsWithPedigree(wordlist, fsrsSubcards, lastWordId
         snapshotState: snapshotState,
         selectCard: false, // We want the full ordered list, not just one card
         snapshotNow: snapshotNow,
-        snapshotSupercardLastShown: snapshotSupercardLastShown
+        snapshotSupercardLastShown: snapshotSupercardLastShown,
+        dailyLimits: getDailyQueueStatus(wordlist, fsrsSubcards, snapshotNow),
+        listExcluded: true
     });
     
     const orderedCandidates = result.orderedCandidates || [];
@@ -947,7 +1572,15 @@ export function getAllSupercardsWithPedigree(wordlist, fsrsSubcards, lastWordId
         
         // Determine pedigree reason
         let pedigree;
-        if (supercard.isCompletelyNew) {
+        if (supercard.excludedBy === 'suspended') {
+            pedigree = { reason: 'Suspended' };
+        } else if (supercard.excludedBy === 'buried') {
+            pedigree = { reason: 'Buried', until: getSupercardFlags(wordId, front)?.buriedUntil };
+        } else if (supercard.deferredBySibling) {
+            pedigree = { reason: 'Sibling Buried', until: supercard.buriedSibling };
+        } else if (supercard.deferredByLimit) {
+            pedigree = { reason: 'Daily Limit' };
+        } else if (supercard.isCompletelyNew) {
             // Distinguish between new word and new card
             if (supercard.isNewWord) {
                 pedigree = { reason: 'New Word' };
@@ -1221,6 +1854,18 @@ export function verifySystemHealth(wordlist, fsrsSubcards) {
         return ['No wordlist loaded'];
     }
     
+    // Check that stored WordIDs match a recomputation under the word's scheme version
+    const wordIdCheck = checkWordIds(wordlist);
+    for (const { word, storedId, expectedId, version } of wordIdCheck.mismatched) {
+        issues.push(`WordID mismatch for ${word.word} (${word.pinyinToned}): stored ${storedId}, recomputed ${expectedId} (v${version})`);
+    }
+    for (const { word, version } of wordIdCheck.unknown) {
+        issues.push(`Unknown WordID version ${version} for ${word.word} (${word.id})`);
+    }
+    if (wordIdCheck.outdated.length > 0) {
+        warnings.push(`${wordIdCheck.outdated.length} word(s) use an older WordID version; run MandaloreDebug.migrateWordIds()`);
+    }
+    
     // Check for orphaned subcards (subcards without corresponding words)
     const validWordIds = new Set(wordlist.map(w => w.id).filter(Boolean));
     for (const key of Object.keys(fsrsSubcards || {})) {
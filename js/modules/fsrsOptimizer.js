@@ -0,0 +1,302 @@
+/**
+ * FSRS-6 Parameter Optimizer
+ *
+ * Fits the 21 FSRS-6 weights to the learner's own review log by replaying every
+ * subcard's review history and minimizing the log-loss of the predicted recall
+ * probability against the actual outcome (Right = recalled, Wrong = forgotten).
+ *
+ * The fitting functions are pure (they only need the global FSRS namespace from
+ * ts-fsrs.js) so they can run inside a Web Worker. The main thread calls
+ * runOptimizerInWorker(), which spawns js/workers/optimizerWorker.js.
+ *
+ * METHOD:
+ * 1. Group review log entries by subcard and sort chronologically
+ * 2. Replay each history with FSRSAlgorithm.next_state() for a candidate weight vector
+ * 3. For every review at least one day after the previous one, predict
+ *    R = forgetting_curve(elapsed_days, stability) and score it with binary cross-entropy
+ * 4. Minimize the mean loss (plus a small pull toward the default weights) with Adam
+ *    using finite-difference gradients, clipping weights to FSRS's valid ranges
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Minimum number of scorable reviews (>= 1 day after the previous review) before fitting
+export const MIN_REVIEWS_FOR_OPTIMIZATION = 200;
+
+// Optimizer hyperparameters
+const DEFAULT_EPOCHS = 100;
+const LEARNING_RATE = 0.03;
+const ADAM_BETA1 = 0.9;
+const ADAM_BETA2 = 0.999;
+const ADAM_EPSILON = 1e-8;
+const FINITE_DIFF_STEP = 1e-4;
+const DEFAULT_PRIOR_WEIGHT = 0.002; // Strength of the pull toward default weights
+const RMSE_BINS = 20;
+const R_EPSILON = 1e-6;
+
+/**
+ * Whole calendar days between two timestamps (UTC, same rule ts-fsrs uses)
+ */
+function daysBetween(from, to) {
+    const a = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+    const b = Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate());
+    return Math.max(0, Math.floor((b - a) / MS_PER_DAY));
+}
+
+/**
+ * Convert review log entries into per-subcard training sequences
+ * @param {Array} reviewLog - Entries from reviewLog.js
+ * @returns {Array} - [{ initial: {difficulty, stability}|null, reviews: [{ deltaT, grade }] }]
+ */
+export function buildTrainingSequences(reviewLog) {
+    const bySubcard = new Map();
+    for (const entry of reviewLog || []) {
+        if (!entry || !entry.wordId || !entry.reviewedAt) continue;
+        if (entry.rating !== 1 && entry.rating !== 3) continue;
+        const key = `${entry.wordId}_${entry.front}_${entry.backMode}`;
+        if (!bySubcard.has(key)) bySubcard.set(key, []);
+        bySubcard.get(key).push(entry);
+    }
+
+    const sequences = [];
+    for (const entries of bySubcard.values()) {
+        entries.sort((a, b) => new Date(a.reviewedAt) - new Date(b.reviewedAt));
+
+        const first = entries[0];
+        let initial = null;
+        let previousDate = null;
+
+        // Histories that started before logging began: seed with the logged memory state
+        if (first.state !== 0 && first.stabilityBefore > 0 && first.difficultyBefore >= 1) {
+            initial = { difficulty: first.difficultyBefore, stability: first.stabilityBefore };
+            if (first.elapsedDays !== null && first.elapsedDays !== undefined) {
+                previousDate = new Date(new Date(first.reviewedAt).getTime() - first.elapsedDays * MS_PER_DAY);
+            }
+        }
+
+        const reviews = [];
+        for (const entry of entries) {
+            const date = new Date(entry.reviewedAt);
+            const deltaT = previousDate ? daysBetween(previousDate, date) : 0;
+            reviews.push({ deltaT, grade: entry.rating });
+            previousDate = date;
+        }
+        sequences.push({ initial, reviews });
+    }
+    return sequences;
+}
+
+/**
+ * Count reviews that contribute to the loss (a prior memory state and >= 1 day elapsed)
+ * @param {Array} sequences - From buildTrainingSequences
+ * @returns {number}
+ */
+export function countScorableReviews(sequences) {
+    let count = 0;
+    for (const seq of sequences) {
+        seq.reviews.forEach((review, i) => {
+            if ((i > 0 || seq.initial) && review.deltaT >= 1) count++;
+        });
+    }
+    return count;
+}
+
+/**
+ * Replay all sequences with a weight vector and collect (prediction, outcome) pairs
+ * @param {Array<number>} w - FSRS-6 weights
+ * @param {Array} sequences - From buildTrainingSequences
+ * @returns {Array<{r: number, y: number}>}
+ */
+function predictAll(w, sequences) {
+    const algorithm = new FSRS.FSRSAlgorithm({ w, enable_short_term: true });
+    const predictions = [];
+
+    for (const seq of sequences) {
+        let memory = seq.initial;
+        for (const review of seq.reviews) {
+            if (memory && review.deltaT >= 1) {
+                const r = algorithm.forgetting_curve(review.deltaT, memory.stability);
+                predictions.push({ r, y: review.grade > 1 ? 1 : 0 });
+            }
+            try {
+                memory = algorithm.next_state(memory, memory ? review.deltaT : 0, review.grade);
+            } catch (e) {
+                // Invalid intermediate state for this candidate - restart the history
+                memory = null;
+            }
+        }
+    }
+    return predictions;
+}
+
+function logLossOf(predictions) {
+    if (predictions.length === 0) return NaN;
+    let total = 0;
+    for (const { r, y } of predictions) {
+        const p = Math.min(1 - R_EPSILON, Math.max(R_EPSILON, r));
+        total += -(y * Math.log(p) + (1 - y) * Math.log(1 - p));
+    }
+    return total / predictions.length;
+}
+
+function binnedRmseOf(predictions) {
+    if (predictions.length === 0) return NaN;
+    const bins = Array.from({ length: RMSE_BINS }, () => ({ n: 0, predicted: 0, actual: 0 }));
+    for (const { r, y } of predictions) {
+        const bin = bins[Math.min(RMSE_BINS - 1, Math.floor(r * RMSE_BINS))];
+        bin.n++;
+        bin.predicted += r;
+        bin.actual += y;
+    }
+    let sum = 0;
+    for (const bin of bins) {
+        if (bin.n === 0) continue;
+        const diff = bin.predicted / bin.n - bin.actual / bin.n;
+        sum += bin.n * diff * diff;
+    }
+    return Math.sqrt(sum / predictions.length);
+}
+
+/**
+ * Evaluate a weight vector against the training sequences
+ * @param {Array<number>} w - FSRS-6 weights
+ * @param {Array} sequences - From buildTrainingSequences
+ * @returns {{logLoss: number, rmse: number, count: number}}
+ */
+export function evaluateParameters(w, sequences) {
+    const predictions = predictAll(w, sequences);
+    return {
+        logLoss: logLossOf(predictions),
+        rmse: binnedRmseOf(predictions),
+        count: predictions.length
+    };
+}
+
+/**
+ * Fit FSRS-6 weights to the review log
+ * @param {Array} reviewLog - Entries from reviewLog.js
+ * @param {Object} options
+ * @param {Array<number>} options.initialWeights - Starting point (defaults to FSRS defaults)
+ * @param {number} options.epochs - Number of Adam steps
+ * @param {Function} options.onProgress - Called with { epoch, epochs, logLoss }
+ * @returns {Object} - { ok, w, before, after, reviewCount } or { ok: false, msg }
+ */
+export function fitParameters(reviewLog, options = {}) {
+    const {
+        initialWeights = null,
+        epochs = DEFAULT_EPOCHS,
+        onProgress = null
+    } = options;
+
+    const sequences = buildTrainingSequences(reviewLog);
+    const reviewCount = countScorableReviews(sequences);
+    if (reviewCount < MIN_REVIEWS_FOR_OPTIMIZATION) {
+        return {
+            ok: false,
+            msg: `Need at least ${MIN_REVIEWS_FOR_OPTIMIZATION} spaced reviews to optimize (have ${reviewCount}). Keep practicing!`
+        };
+    }
+
+    const defaults = Array.from(FSRS.default_w);
+    const clip = (w) => FSRS.clipParameters(w, 1, true);
+    const start = clip(initialWeights && initialWeights.length === defaults.length ? Array.from(initialWeights) : defaults);
+
+    // Objective: mean log-loss plus a light prior toward the defaults (keeps unused weights stable)
+    const objective = (w) => {
+        const loss = logLossOf(predictAll(w, sequences));
+        let prior = 0;
+        for (let i = 0; i < w.length; i++) {
+            const scale = Math.max(Math.abs(defaults[i]), 0.1);
+            prior += ((w[i] - defaults[i]) / scale) ** 2;
+        }
+        return loss + DEFAULT_PRIOR_WEIGHT * prior;
+    };
+
+    const before = evaluateParameters(start, sequences);
+
+    let w = start.slice();
+    const m = new Array(w.length).fill(0);
+    const v = new Array(w.length).fill(0);
+    let best = { w: w.slice(), value: objective(w) };
+
+    for (let epoch = 1; epoch <= epochs; epoch++) {
+        const base = objective(w);
+        if (base < best.value) best = { w: w.slice(), value: base };
+
+        // Forward-difference gradient, scaled per weight so large and small weights move alike
+        const grad = new Array(w.length).fill(0);
+        for (let i = 0; i < w.length; i++) {
+            const scale = Math.max(Math.abs(w[i]), 0.1);
+            const step = FINITE_DIFF_STEP * scale;
+            const probe = w.slice();
+            probe[i] += step;
+            const value = objective(clip(probe));
+            grad[i] = Number.isFinite(value) ? ((value - base) / step) * scale : 0;
+        }
+
+        for (let i = 0; i < w.length; i++) {
+            m[i] = ADAM_BETA1 * m[i] + (1 - ADAM_BETA1) * grad[i];
+            v[i] = ADAM_BETA2 * v[i] + (1 - ADAM_BETA2) * grad[i] * grad[i];
+            const mHat = m[i] / (1 - Math.pow(ADAM_BETA1, epoch));
+            const vHat = v[i] / (1 - Math.pow(ADAM_BETA2, epoch));
+            const scale = Math.max(Math.abs(w[i]), 0.1);
+            w[i] -= LEARNING_RATE * scale * mHat / (Math.sqrt(vHat) + ADAM_EPSILON);
+        }
+        w = clip(w);
+
+        if (onProgress) {
+            onProgress({ epoch, epochs, logLoss: base });
+        }
+    }
+
+    const finalValue = objective(w);
+    if (finalValue < best.value) best = { w: w.slice(), value: finalValue };
+
+    const fitted = best.w.map(x => +x.toFixed(4));
+    return {
+        ok: true,
+        w: fitted,
+        before,
+        after: evaluateParameters(fitted, sequences),
+        reviewCount
+    };
+}
+
+/**
+ * Run fitParameters in a Web Worker so the UI stays responsive
+ * @param {Array} reviewLog - Entries from reviewLog.js
+ * @param {Object} options - { initialWeights, onProgress }
+ * @returns {Promise<Object>} - Result of fitParameters
+ */
+export function runOptimizerInWorker(reviewLog, options = {}) {
+    const { initialWeights = null, onProgress = null } = options;
+
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker(new URL('../workers/optimizerWorker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            reject(new Error('Web Workers are not available in this browser.'));
+            return;
+        }
+
+        worker.onmessage = (e) => {
+            const msg = e.data || {};
+            if (msg.type === 'progress') {
+                if (onProgress) onProgress(msg);
+            } else if (msg.type === 'result') {
+                worker.terminate();
+                resolve(msg.result);
+            } else if (msg.type === 'error') {
+                worker.terminate();
+                reject(new Error(msg.message || 'Optimizer failed.'));
+            }
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'Optimizer worker crashed.'));
+        };
+
+        worker.postMessage({ type: 'fit', reviewLog, initialWeights });
+    });
+}
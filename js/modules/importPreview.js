@@ -0,0 +1,179 @@
+/**
+ * Import Preview
+ *
+ * Imports no longer merge straight into the wordlist. Every incoming row is first
+ * classified against the current wordlist, shown for review (settings.js
+ * renderImportPreview), and only the rows the user accepts are committed.
+ *
+ * Row status:
+ * - 'new':       WordID not in the wordlist yet
+ * - 'identical': same WordID and same meaning (only adds deck membership / tags)
+ * - 'changed':   same WordID, different meaning (importing overwrites the meaning)
+ * - 'duplicate': likely the same word under another WordID: same hanzi with different
+ *                pinyin, same pinyin with different hanzi, or repeated in this import
+ *
+ * A pending import holds one batch per source (pasted text, each file, image extraction):
+ * { batches: [{ source, deckName, rows: [{ item, id, status, existing, duplicates, accepted }],
+ *               table?, mapping?, error? }] }
+ * Batches from CSV/TSV/Anki/Pleco text keep their parsed table and column mapping
+ * (tabularImport.js), so the mapping can be changed in the preview.
+ */
+
+import { state } from '../state.js';
+import { generateWordId, canonicalizeHanzi, canonicalizePinyin } from './wordId.js';
+import { tableToItems } from './tabularImport.js';
+
+export const IMPORT_STATUSES = ['new', 'identical', 'changed', 'duplicate'];
+
+// Accepted unless the user unticks them
+const ACCEPTED_BY_DEFAULT = { new: true, identical: true, changed: true, duplicate: false };
+
+/**
+ * Check import items before they are classified or merged: every item needs
+ * non-empty string word/pinyin/definition, tags are a string or strings
+ * @param {Array} data
+ * @returns {Object} - { ok, msg } or { ok, data }
+ */
+export function validateImportItems(data) {
+    if (!Array.isArray(data)) return { ok: false, msg: 'Top level must be a JSON array.' };
+    if (data.length === 0) return { ok: false, msg: 'Array is empty. Paste at least one word.' };
+
+    for (let i = 0; i < data.length; i++) {
+        const it = data[i];
+        if (!it || typeof it !== 'object') return { ok: false, msg: `Item ${i + 1} must be an object.` };
+        for (const k of ['word', 'pinyin', 'definition']) {
+            if (!(k in it)) return { ok: false, msg: `Item ${i + 1} is missing "${k}".` };
+            if (typeof it[k] !== 'string') return { ok: false, msg: `Item ${i + 1} "${k}" must be a string.` };
+            if (it[k].trim().length === 0) return { ok: false, msg: `Item ${i + 1} "${k}" is empty.` };
+        }
+        if ('tags' in it && typeof it.tags !== 'string' && !(Array.isArray(it.tags) && it.tags.every(t => typeof t === 'string'))) {
+            return { ok: false, msg: `Item ${i + 1} "tags" must be a string or an array of strings.` };
+        }
+    }
+    return { ok: true, data };
+}
+
+/**
+ * Index of the current wordlist by WordID, canonical hanzi and canonical pinyin
+ * @returns {Object} - { byId, byHanzi, byPinyin }
+ */
+function indexWordlist() {
+    const byId = new Map();
+    const byHanzi = new Map();
+    const byPinyin = new Map();
+    const add = (map, key, word) => {
+        if (!key) return;
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(word);
+    };
+    for (const word of state.wordlist || []) {
+        const id = word.id || generateWordId(word.word, word.pinyinToned);
+        byId.set(id, word);
+        add(byHanzi, canonicalizeHanzi(word.word), word);
+        add(byPinyin, canonicalizePinyin(word.pinyinToned), word);
+    }
+    return { byId, byHanzi, byPinyin };
+}
+
+/**
+ * Classify validated import items against the wordlist
+ * @param {Array} data - Validated [{ word, pinyin, definition, tags? }]
+ * @returns {Array} - Preview rows (see module comment)
+ */
+export function classifyImportRows(data) {
+    const { byId, byHanzi, byPinyin } = indexWordlist();
+    const seenInBatch = new Map(); // WordID -> row number (1-based) of its first occurrence
+
+    return data.map((item, index) => {
+        const word = item.word.trim();
+        const pinyin = item.pinyin.trim();
+        const meaning = item.definition.trim();
+        const id = generateWordId(word, pinyin);
+        const existing = byId.get(id) || null;
+        const duplicates = [];
+        let status;
+
+        if (seenInBatch.has(id)) {
+            status = 'duplicate';
+            duplicates.push({ reason: `repeats row ${seenInBatch.get(id)} of this import` });
+        } else if (existing) {
+            status = (existing.meaning || '').trim() === meaning ? 'identical' : 'changed';
+        } else {
+            for (const other of byHanzi.get(canonicalizeHanzi(word)) || []) {
+                duplicates.push({ word: other, reason: 'same hanzi, different pinyin' });
+            }
+            for (const other of byPinyin.get(canonicalizePinyin(pinyin)) || []) {
+                duplicates.push({ word: other, reason: 'same pinyin, different hanzi' });
+            }
+            status = duplicates.length > 0 ? 'duplicate' : 'new';
+        }
+        if (!seenInBatch.has(id)) seenInBatch.set(id, index + 1);
+
+        return { item, id, status, existing, duplicates, accepted: ACCEPTED_BY_DEFAULT[status] };
+    });
+}
+
+/**
+ * Build a pending import batch
+ * @param {string} source - Where the rows came from (shown in the preview)
+ * @param {string} deckName - Deck the accepted rows go into
+ * @param {Array} data - Validated import items
+ * @returns {Object} - Batch
+ */
+export function createImportBatch(source, deckName, data) {
+    return { source, deckName, rows: classifyImportRows(data) };
+}
+
+/**
+ * Build a pending import batch from a parsed table (see tabularImport.js)
+ * @param {string} source
+ * @param {string} deckName
+ * @param {Object} table - From parseTabularImport
+ * @returns {Object} - Batch (with error set and no rows if the guessed mapping doesn't fit)
+ */
+export function createTableImportBatch(source, deckName, table) {
+    const batch = { source, deckName, rows: [], table, mapping: { ...table.mapping }, error: null };
+    return remapImportBatch(batch, batch.mapping);
+}
+
+/**
+ * Re-read a table batch with another column mapping and classify it again.
+ * Accept/reject choices are reset.
+ * @param {Object} batch
+ * @param {Object} mapping - { word, pinyin, definition, tags } column indexes
+ * @returns {Object} - The batch
+ */
+export function remapImportBatch(batch, mapping) {
+    batch.mapping = mapping;
+    const items = tableToItems(batch.table, mapping);
+    const v = items.ok ? validateImportItems(items.data) : items;
+    batch.rows = v.ok ? classifyImportRows(v.data) : [];
+    batch.error = v.ok ? null : v.msg;
+    return batch;
+}
+
+/**
+ * Count rows per status (and accepted rows) over a pending import
+ * @param {Object} pending - { batches }
+ * @returns {Object} - { new, identical, changed, duplicate, total, accepted }
+ */
+export function summarizeImport(pending) {
+    const summary = { new: 0, identical: 0, changed: 0, duplicate: 0, total: 0, accepted: 0 };
+    for (const batch of pending?.batches || []) {
+        for (const row of batch.rows) {
+            summary[row.status]++;
+            summary.total++;
+            if (row.accepted) summary.accepted++;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Accepted items of a batch, ready for applyImportedDeck
+ * @param {Object} batch
+ * @returns {Array}
+ */
+export function getAcceptedItems(batch) {
+    return batch.rows.filter(row => row.accepted).map(row => row.item);
+}
@@ -0,0 +1,325 @@
+/**
+ * Leeches Module
+ *
+ * A leech is a supercard we keep failing. Lapses (an "Again" on a subcard in the
+ * Review state, same as FSRS's `lapses`) are counted inside a rolling window:
+ * - per subcard: one modality lapsing `subcardLapses` times makes the supercard a leech
+ * - per supercard: all its subcards together lapsing `supercardLapses` times does too
+ *
+ * Detected leeches are flagged in state.supercardFlags[key].leech and, depending on
+ * state.leechSettings, tagged "leech" and/or suspended. They leave the leech list after
+ * `rehabPasses` clean passes in a leech re-study session (filtered session "leeches",
+ * which shows extra hints); lapses before that point no longer count.
+ *
+ * Lapses are counted from the review log; with windowDays = 0 (lifetime) the
+ * subcards' own `lapses` counters are used, so trimmed history still counts.
+ */
+
+import { state, getNow } from '../state.js';
+import { getSubcardKey, getSupercardKey, getBackModesForFront, getSupercardFlags, updateSupercardFlags } from './fsrs.js';
+import { addWordTags, removeWordTag } from './tags.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const FRONT_TYPES = ['hanzi', 'pronunciation', 'meaning'];
+const REVIEW_STATE = 2; // FSRS State.Review: failing a card in this state is a lapse
+
+export const LEECH_TAG = 'leech';
+
+export const DEFAULT_LEECH_SETTINGS = {
+    subcardLapses: 6,
+    supercardLapses: 10,
+    windowDays: 90,
+    autoTag: true,
+    autoSuspend: false,
+    rehabPasses: 2
+};
+
+/**
+ * Current leech settings with defaults filled in
+ * @returns {Object}
+ */
+export function getLeechSettings() {
+    return { ...DEFAULT_LEECH_SETTINGS, ...(state.leechSettings || {}) };
+}
+
+/**
+ * Index lapse entries of the review log by supercard key
+ * @returns {Map} - supercardKey -> [entry]
+ */
+function buildLapseIndex() {
+    const index = new Map();
+    for (const entry of state.reviewLog || []) {
+        if (entry.rating !== 1 || entry.state !== REVIEW_STATE) continue;
+        const key = getSupercardKey(entry.wordId, entry.front);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(entry);
+    }
+    return index;
+}
+
+/**
+ * Lapse counts per back mode for a supercard, inside the window and since the last release
+ * @param {string} wordId
+ * @param {string} front
+ * @param {Date} now
+ * @param {Map} index - Optional lapse index (from buildLapseIndex) when checking many supercards
+ * @returns {Object} - backMode -> lapses
+ */
+function countSupercardLapses(wordId, front, now, index = null) {
+    const settings = getLeechSettings();
+    const flags = getSupercardFlags(wordId, front) || {};
+    const counts = {};
+
+    if (!settings.windowDays) {
+        // Lifetime: the subcards' own counters, minus what was already forgiven
+        for (const backMode of getBackModesForFront(front)) {
+            const subcard = state.fsrsSubcards[getSubcardKey(wordId, front, backMode)];
+            const forgiven = flags.lapsesAtClear?.[backMode] || 0;
+            counts[backMode] = Math.max(0, (subcard?.lapses || 0) - forgiven);
+        }
+        return counts;
+    }
+
+    let since = now.getTime() - settings.windowDays * MS_PER_DAY;
+    if (flags.leechClearedAt) {
+        since = Math.max(since, new Date(flags.leechClearedAt).getTime());
+    }
+
+    const entries = index
+        ? (index.get(getSupercardKey(wordId, front)) || [])
+        : (state.reviewLog || []).filter(e => e.wordId === wordId && e.front === front && e.rating === 1 && e.state === REVIEW_STATE);
+    for (const backMode of getBackModesForFront(front)) counts[backMode] = 0;
+    for (const entry of entries) {
+        if (new Date(entry.reviewedAt).getTime() < since) continue;
+        counts[entry.backMode] = (counts[entry.backMode] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Leech status of a supercard
+ * @param {string} wordId
+ * @param {string} front
+ * @param {Date} now
+ * @param {Map} index - Optional lapse index
+ * @returns {Object} - { isLeech, totalLapses, subcards: [{ backMode, lapses, isLeech }] }
+ */
+export function getSupercardLeechStatus(wordId, front, now = getNow(), index = null) {
+    const settings = getLeechSettings();
+    const counts = countSupercardLapses(wordId, front, now, index);
+    const subcards = Object.entries(counts).map(([backMode, lapses]) => ({
+        backMode,
+        lapses,
+        isLeech: lapses >= settings.subcardLapses
+    }));
+    const totalLapses = subcards.reduce((sum, s) => sum + s.lapses, 0);
+    return {
+        isLeech: subcards.some(s => s.isLeech) || totalLapses >= settings.supercardLapses,
+        totalLapses,
+        subcards
+    };
+}
+
+/**
+ * Whether a supercard is currently flagged as a leech
+ * @param {string} wordId
+ * @param {string} front
+ * @returns {boolean}
+ */
+export function isLeechSupercard(wordId, front) {
+    return !!getSupercardFlags(wordId, front)?.leech;
+}
+
+/**
+ * Flag a supercard as a leech and apply the auto-tag / auto-suspend options
+ */
+function markLeech(wordId, front, now) {
+    const settings = getLeechSettings();
+    const flags = getSupercardFlags(wordId, front) || {};
+    const changes = { leech: { detectedAt: now.toISOString(), rehabPasses: 0 } };
+    if (settings.autoSuspend && !flags.suspended) {
+        changes.suspended = true;
+        changes.suspendedBy = 'leech';
+    }
+    updateSupercardFlags(wordId, front, changes);
+
+    if (settings.autoTag) {
+        const word = (state.wordlist || []).find(w => w.id === wordId);
+        if (word) addWordTags(word, LEECH_TAG);
+    }
+}
+
+/**
+ * Check a supercard after a failed review and flag it if it just became a leech
+ * Does not save state - the caller saves alongside the review
+ * @param {string} wordId
+ * @param {string} front
+ * @param {Date} now
+ * @returns {boolean} - True if the supercard was newly flagged
+ */
+export function checkForLeech(wordId, front, now = getNow()) {
+    if (isLeechSupercard(wordId, front)) return false;
+    if (!getSupercardLeechStatus(wordId, front, now).isLeech) return false;
+    markLeech(wordId, front, now);
+    console.log(`[Leeches] ${getSupercardKey(wordId, front)} is now a leech`);
+    return true;
+}
+
+/**
+ * Re-check every supercard (after changing thresholds or importing history)
+ * Does not save state
+ * @param {Date} now
+ * @returns {number} - Supercards newly flagged
+ */
+export function scanForLeeches(now = getNow()) {
+    const index = buildLapseIndex();
+    let flagged = 0;
+    for (const word of state.wordlist || []) {
+        if (!word.id) continue;
+        for (const front of FRONT_TYPES) {
+            if (isLeechSupercard(word.id, front)) continue;
+            if (getSupercardLeechStatus(word.id, front, now, index).isLeech) {
+                markLeech(word.id, front, now);
+                flagged++;
+            }
+        }
+    }
+    return flagged;
+}
+
+/**
+ * Most frequent wrong answers per back mode for a supercard (from the review log)
+ */
+function getWrongAnswers(wordId, front) {
+    const answers = {};
+    for (const entry of state.reviewLog || []) {
+        if (entry.wordId !== wordId || entry.front !== front || entry.rating !== 1 || !entry.answer) continue;
+        const byAnswer = answers[entry.backMode] || (answers[entry.backMode] = new Map());
+        byAnswer.set(entry.answer, (byAnswer.get(entry.answer) || 0) + 1);
+    }
+    const result = {};
+    for (const [backMode, byAnswer] of Object.entries(answers)) {
+        result[backMode] = [...byAnswer.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([answer, count]) => ({ answer, count }));
+    }
+    return result;
+}
+
+/**
+ * Flagged leeches with their failure modes, worst first
+ * @param {Date} now
+ * @returns {Array} - [{ word, front, detectedAt, suspended, rehabPasses, totalLapses,
+ *                       failureModes: [{ backMode, lapses, lifetimeLapses, wrongAnswers }] }]
+ */
+export function getLeeches(now = getNow()) {
+    const index = buildLapseIndex();
+    const leeches = [];
+    for (const word of state.wordlist || []) {
+        if (!word.id) continue;
+        for (const front of FRONT_TYPES) {
+            const flags = getSupercardFlags(word.id, front);
+            if (!flags?.leech) continue;
+
+            const status = getSupercardLeechStatus(word.id, front, now, index);
+            const wrongAnswers = getWrongAnswers(word.id, front);
+            const failureModes = status.subcards
+                .map(s => ({
+                    backMode: s.backMode,
+                    lapses: s.lapses,
+                    lifetimeLapses: state.fsrsSubcards[getSubcardKey(word.id, front, s.backMode)]?.lapses || 0,
+                    wrongAnswers: wrongAnswers[s.backMode] || []
+                }))
+                .filter(m => m.lapses > 0 || m.lifetimeLapses > 0)
+                .sort((a, b) => b.lapses - a.lapses || b.lifetimeLapses - a.lifetimeLapses);
+
+            leeches.push({
+                word,
+                front,
+                detectedAt: flags.leech.detectedAt,
+                suspended: !!flags.suspended,
+                rehabPasses: flags.leech.rehabPasses || 0,
+                totalLapses: status.totalLapses,
+                failureModes
+            });
+        }
+    }
+    return leeches.sort((a, b) => b.totalLapses - a.totalLapses);
+}
+
+/**
+ * Clear a supercard's leech flag: lapses so far are forgiven, a leech suspension is
+ * lifted and the "leech" tag is removed once no other front of the word is a leech.
+ * Does not save state
+ * @param {string} wordId
+ * @param {string} front
+ * @param {Date} now
+ */
+export function releaseLeech(wordId, front, now = getNow()) {
+    const flags = getSupercardFlags(wordId, front) || {};
+    const lapsesAtClear = {};
+    for (const backMode of getBackModesForFront(front)) {
+        lapsesAtClear[backMode] = state.fsrsSubcards[getSubcardKey(wordId, front, backMode)]?.lapses || 0;
+    }
+    const changes = { leech: null, leechClearedAt: now.toISOString(), lapsesAtClear };
+    if (flags.suspendedBy === 'leech') {
+        changes.suspended = null;
+        changes.suspendedBy = null;
+    }
+    updateSupercardFlags(wordId, front, changes);
+
+    const word = (state.wordlist || []).find(w => w.id === wordId);
+    if (word && !FRONT_TYPES.some(f => isLeechSupercard(wordId, f))) {
+        removeWordTag(word, LEECH_TAG);
+    }
+}
+
+/**
+ * Record the result of a leech re-study pass; enough clean passes in a row release it
+ * Does not save state
+ * @param {string} wordId
+ * @param {string} front
+ * @param {boolean} passed - Every subcard of the supercard was answered right
+ * @param {Date} now
+ * @returns {string|null} - 'released', 'progress', 'reset', or null if not a leech
+ */
+export function recordRehabResult(wordId, front, passed, now = getNow()) {
+    const flags = getSupercardFlags(wordId, front);
+    if (!flags?.leech) return null;
+
+    const rehabPasses = passed ? (flags.leech.rehabPasses || 0) + 1 : 0;
+    if (rehabPasses >= getLeechSettings().rehabPasses) {
+        releaseLeech(wordId, front, now);
+        return 'released';
+    }
+    updateSupercardFlags(wordId, front, { leech: { ...flags.leech, rehabPasses } });
+    return passed ? 'progress' : 'reset';
+}
+
+/**
+ * Hints shown while re-studying a leech, aimed at the modalities it keeps failing
+ * (tested modalities only get partial hints, so the card is still a real test)
+ * @param {Object} word - Wordlist entry
+ * @param {string} front
+ * @returns {Array<string>}
+ */
+export function getLeechScaffold(word, front) {
+    const status = getSupercardLeechStatus(word.id, front);
+    const failing = status.subcards.filter(s => s.lapses > 0).sort((a, b) => b.lapses - a.lapses);
+    const hints = [];
+    for (const { backMode } of failing) {
+        if (backMode === 'pronunciation' && word.tones) {
+            // The syllable count, plus the first tone when that leaves others to recall
+            const syllables = word.tones.length;
+            hints.push(syllables > 1 ? `${syllables} syllables, first tone ${word.tones[0]}` : '1 syllable');
+        } else if (backMode === 'pinyin' && word.pinyinBare) {
+            hints.push(`Starts "${word.pinyinBare.slice(0, 2)}…"`);
+        } else if (backMode === 'meaning' && word.meaning) {
+            hints.push(`${word.meaning.split(/[\s,;]+/).length} word meaning, starts "${word.meaning.slice(0, 2)}…"`);
+        } else if (backMode === 'hanzi' && word.word) {
+            hints.push(`${[...word.word].length} characters`);
+        }
+    }
+    return hints;
+}
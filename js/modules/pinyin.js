@@ -0,0 +1,99 @@
+/**
+ * Pinyin Helpers
+ *
+ * Derive the forms the flashcards test from a word's toned pinyin:
+ * pinyinBare (letters only, for spelling checks) and tones (digits, for tone checks).
+ */
+
+export function processPinyin(pinyinToned) {
+    // Very basic tone extraction (1-4)
+    // Returns { bare: "miànbāo" -> "mianbao", tones: "miànbāo" -> "41" }
+    // Note: This matches the user's rudimentary request.
+
+    // Map of toned chars to {char, tone}
+    // We can do a simpler regex pass for digits if the user provides numbers, 
+    // but the example is "huānyíng". 
+    // We will just strip diacritics for bare, and look for specific chars for tones if we wanted to be fancy.
+    // BUT the prompt implies we should just handle it. 
+    // Let's TRY to extract tones if we can. 
+    // Mappings:
+    // ā=1, á=2, ǎ=3, à=4
+    // ē=1, é=2, ě=3, è=4
+    // ī=1, í=2, ǐ=3, ì=4
+    // ō=1, ó=2, ǒ=3, ò=4
+    // ū=1, ú=2, ǔ=3, ù=4
+    // ǖ=1, ǘ=2, ǚ=3, ǜ=4
+
+    const map = {
+        'ā': 1, 'á': 2, 'ǎ': 3, 'à': 4,
+        'ē': 1, 'é': 2, 'ě': 3, 'è': 4,
+        'ī': 1, 'í': 2, 'ǐ': 3, 'ì': 4,
+        'ō': 1, 'ó': 2, 'ǒ': 3, 'ò': 4,
+        'ū': 1, 'ú': 2, 'ǔ': 3, 'ù': 4,
+        'ǖ': 1, 'ǘ': 2, 'ǚ': 3, 'ǜ': 4
+    };
+
+    let tones = '';
+    let bare = pinyinToned.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, ""); // strip diacritics for bare
+
+    // Extract tones from original string
+    // This is imperfect because "mian" is one syllable but might have no tone mark?
+    // Actually, iterating chars is safer.
+
+    for (const char of pinyinToned.toLowerCase()) {
+        if (map[char]) {
+            tones += map[char];
+        }
+    }
+
+    // If no tones found, maybe they used numbers?
+    if (tones.length === 0) {
+        const numbers = pinyinToned.match(/[1-5]/g);
+        if (numbers) tones = numbers.join('');
+    }
+
+    bare = bare.replace(/[^a-z]/g, ''); // keep only letters
+
+    return { bare, tones };
+}
+
+// Combining marks for tones 1-4 (composed with the vowel via NFC)
+const TONE_MARKS = ['', '\u0304', '\u0301', '\u030C', '\u0300'];
+
+/**
+ * Put the tone mark on the right vowel of one syllable: a or e if present, the o of
+ * "ou", otherwise the last vowel
+ * @param {string} syllable - Letters only, "v" / "u:" already turned into "ü"
+ * @param {number} tone - 1-5 (5 = neutral, no mark)
+ * @returns {string}
+ */
+function markSyllable(syllable, tone) {
+    if (tone < 1 || tone > 4) return syllable;
+    const lower = syllable.toLowerCase();
+    let index = lower.search(/[ae]/);
+    if (index === -1) index = lower.indexOf('ou');
+    if (index === -1) {
+        for (let i = lower.length - 1; i >= 0; i--) {
+            if ('iouü'.includes(lower[i])) { index = i; break; }
+        }
+    }
+    if (index === -1) return syllable;
+    return (syllable.slice(0, index + 1) + TONE_MARKS[tone] + syllable.slice(index + 1)).normalize('NFC');
+}
+
+/**
+ * Convert numbered pinyin to tone marks: "ni3 hao3" -> "nǐ hǎo", "lv4se4" -> "lǜsè".
+ * Text that already has tone marks (or no tone numbers) comes back unchanged.
+ * @param {string} pinyin
+ * @returns {string}
+ */
+export function numberedToTonedPinyin(pinyin) {
+    const text = String(pinyin || '');
+    if (!/[a-zü:][1-5]/i.test(text)) return text;
+    return text.replace(/([a-zü:]+)([1-5])/gi, (match, letters, tone, offset) => {
+        const syllable = letters.replace(/u:/g, 'ü').replace(/U:/g, 'Ü').replace(/v/g, 'ü').replace(/V/g, 'Ü');
+        // "nu:3er2" -> "nǚ'ér": an apostrophe before a, e, o when syllables run together
+        const apostrophe = offset > 0 && /[1-5]/.test(text[offset - 1]) && /^[aeo]/i.test(syllable) ? "'" : '';
+        return apostrophe + markSyllable(syllable, Number(tone));
+    });
+}
@@ -0,0 +1,101 @@
+/**
+ * PWA: service worker registration and updates (see sw.js)
+ *
+ * A new worker installs in the background and then waits. While one is waiting, the
+ * update banner and the Updates setting offer to switch; accepting tells the worker
+ * to take over and the page reloads once it controls the page.
+ */
+
+import { $ } from './utils.js';
+import { flushState } from '../state.js';
+
+let registration = null;
+let reloading = false;
+
+function isUpdateWaiting() {
+    return !!(registration?.waiting && navigator.serviceWorker.controller);
+}
+
+/**
+ * Reflect the update state in the banner and the Updates setting
+ * @param {string} message - Optional status override for the setting
+ */
+function renderUpdateState(message = '') {
+    const waiting = isUpdateWaiting();
+    const banner = $('#updateBanner');
+    const status = $('#updateStatus');
+    const btn = $('#btnCheckUpdate');
+    if (banner) banner.classList.toggle('hide', !waiting);
+    if (btn) btn.textContent = waiting ? 'Update & Reload' : 'Check for updates';
+    if (status) {
+        status.textContent = message || (waiting
+            ? 'A new version is ready'
+            : registration ? 'Works offline · up to date' : 'Offline use is not available in this browser');
+    }
+}
+
+function watchInstalling(worker) {
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed') renderUpdateState();
+    });
+}
+
+/**
+ * Register the service worker and watch for updates
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        renderUpdateState();
+        return;
+    }
+    try {
+        registration = await navigator.serviceWorker.register('sw.js');
+    } catch (e) {
+        console.warn('Service worker registration failed:', e);
+        renderUpdateState();
+        return;
+    }
+    watchInstalling(registration.installing);
+    registration.addEventListener('updatefound', () => watchInstalling(registration.installing));
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // Only reload for an update the user accepted (not the very first install)
+        if (!reloading) return;
+        location.reload();
+    });
+    renderUpdateState();
+}
+
+/**
+ * Switch to the waiting version (saving first) and reload
+ */
+export async function applyUpdate() {
+    if (!isUpdateWaiting()) return;
+    reloading = true;
+    await flushState();
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Updates setting button: apply a waiting update, or look for one
+ */
+export async function handleCheckUpdate() {
+    if (isUpdateWaiting()) {
+        await applyUpdate();
+        return;
+    }
+    if (!registration) return;
+    renderUpdateState('Checking…');
+    try {
+        await registration.update();
+        // A found update reports itself through statechange once installed
+        renderUpdateState(registration.installing ? 'Downloading the new version…' : '');
+    } catch (e) {
+        renderUpdateState("Couldn't check for updates (offline?)");
+    }
+}
+
+export function dismissUpdateBanner() {
+    const banner = $('#updateBanner');
+    if (banner) banner.classList.add('hide');
+}
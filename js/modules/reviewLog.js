@@ -0,0 +1,202 @@
+/**
+ * Review Log Module
+ *
+ * Append-only history of every subcard review, persisted next to the FSRS subcards.
+ * The subcards only hold the latest memory state; the log keeps every step that led there,
+ * so reviews can be audited, replayed and used to re-optimize the scheduler.
+ *
+ * Each entry:
+ * {
+ *   id,                 // `${subcardKey}@${reviewedAt}` (stable, unique per review)
+ *   reviewedAt,         // ISO timestamp of the review
+ *   wordId, front, backMode,
+ *   rating,             // 1 (Again/Wrong) or 3 (Good/Right)
+ *   state,              // FSRS state BEFORE the review (0 New, 1 Learning, 2 Review, 3 Relearning)
+ *   elapsedDays,        // Days since the previous review of this subcard (null if first review)
+ *   durationMs,         // Time from the card being shown to the answer (null if unknown)
+ *   answer,             // The user's raw answer (null for self-graded modalities)
+ *   stabilityBefore, difficultyBefore,
+ *   stabilityAfter, difficultyAfter,
+ *   scheduledDays,      // Interval chosen by the scheduler after this review
+ *   due                 // ISO due date chosen by the scheduler after this review
+ * }
+ */
+
+import { state, saveState, markDirty } from '../state.js';
+import { getSubcardKey } from './fsrs.js';
+import { csvCell } from './utils.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a review log entry from a subcard before and after a review
+ * @param {Object} params
+ * @param {string} params.wordId - The word's unique ID
+ * @param {string} params.front - The front modality type
+ * @param {string} params.backMode - The back modality type
+ * @param {number} params.rating - 1 (Again) or 3 (Good)
+ * @param {Object} params.before - FSRS subcard before the review
+ * @param {Object} params.after - FSRS subcard after the review
+ * @param {Date} params.now - Review time
+ * @param {string|null} params.answer - The user's raw answer
+ * @param {number|null} params.durationMs - Time spent on the card
+ * @returns {Object} - Review log entry
+ */
+export function createReviewLogEntry({ wordId, front, backMode, rating, before, after, now, answer = null, durationMs = null }) {
+    const reviewedAt = now.toISOString();
+    const lastReview = before && before.last_review ? new Date(before.last_review) : null;
+    const elapsedDays = lastReview && !isNaN(lastReview.getTime())
+        ? Math.max(0, (now - lastReview) / MS_PER_DAY)
+        : null;
+
+    return {
+        id: `${getSubcardKey(wordId, front, backMode)}@${reviewedAt}`,
+        reviewedAt,
+        wordId,
+        front,
+        backMode,
+        rating,
+        state: before && before.state !== undefined ? before.state : 0,
+        elapsedDays,
+        durationMs: Number.isFinite(durationMs) ? Math.round(durationMs) : null,
+        answer: typeof answer === 'string' ? answer : null,
+        stabilityBefore: before && before.stability !== undefined ? before.stability : 0,
+        difficultyBefore: before && before.difficulty !== undefined ? before.difficulty : 0,
+        stabilityAfter: after ? after.stability : null,
+        difficultyAfter: after ? after.difficulty : null,
+        scheduledDays: after ? after.scheduled_days : null,
+        due: after && after.due ? new Date(after.due).toISOString() : null
+    };
+}
+
+/**
+ * Append an entry to the review log and apply retention limits
+ * Does not save state - the caller saves alongside the subcard update
+ * @param {Object} entry - Entry from createReviewLogEntry
+ */
+export function appendReviewLogEntry(entry) {
+    if (!entry) return;
+    if (!Array.isArray(state.reviewLog)) {
+        state.reviewLog = [];
+    }
+    state.reviewLog.push(entry);
+    markDirty('reviews', entry.id);
+    pruneReviewLog(new Date(entry.reviewedAt));
+}
+
+/**
+ * Entries a retention setting keeps
+ * @param {Array} log - Review log (oldest first)
+ * @param {number} days - Days to keep (0 = forever)
+ * @param {number} maxEntries - Most recent entries to keep (0 = no limit)
+ * @param {Date} now - Reference time
+ * @returns {Array}
+ */
+function getRetainedEntries(log, days, maxEntries, now) {
+    let kept = log;
+    if (days > 0) {
+        const cutoff = now.getTime() - days * MS_PER_DAY;
+        kept = kept.filter(e => new Date(e.reviewedAt).getTime() >= cutoff);
+    }
+    if (maxEntries > 0 && kept.length > maxEntries) {
+        kept = kept.slice(kept.length - maxEntries);
+    }
+    return kept;
+}
+
+/**
+ * Drop entries outside the retention window and beyond the entry limit
+ * (state.reviewLogRetentionDays, state.reviewLogMaxEntries)
+ * @param {Date} now - Reference time
+ * @returns {number} - Number of entries removed
+ */
+export function pruneReviewLog(now = new Date()) {
+    if (!Array.isArray(state.reviewLog)) return 0;
+    const before = state.reviewLog.length;
+    const kept = getRetainedEntries(state.reviewLog, state.reviewLogRetentionDays || 0, state.reviewLogMaxEntries || 0, now);
+    if (kept.length === before) return 0;
+    const keptSet = new Set(kept);
+    // Entries from old builds may have no id: then the whole log is rewritten
+    state.reviewLog.forEach(e => { if (!keptSet.has(e)) markDirty('reviews', e.id || undefined); });
+    state.reviewLog = kept;
+    return before - kept.length;
+}
+
+/**
+ * How many entries a retention setting would delete now
+ * @param {number} days - Days to keep (0 = forever)
+ * @param {number} maxEntries - Most recent entries to keep (0 = no limit)
+ * @returns {number}
+ */
+export function countReviewLogPrunable(days, maxEntries) {
+    const log = Array.isArray(state.reviewLog) ? state.reviewLog : [];
+    return log.length - getRetainedEntries(log, days, maxEntries, new Date()).length;
+}
+
+/**
+ * Change the retention setting and prune immediately
+ * @param {number} days - Days to keep (0 = forever)
+ * @param {number} maxEntries - Most recent entries to keep (0 = no limit)
+ */
+export function setReviewLogRetention(days, maxEntries) {
+    state.reviewLogRetentionDays = Math.max(0, Number(days) || 0);
+    state.reviewLogMaxEntries = Math.max(0, Math.floor(Number(maxEntries) || 0));
+    pruneReviewLog();
+    saveState();
+}
+
+/**
+ * Get review log entries, optionally filtered
+ * @param {Object} filter - Optional { wordId, front, backMode, since (Date) }
+ * @returns {Array} - Matching entries in chronological order
+ */
+export function getReviewLog(filter = {}) {
+    const log = Array.isArray(state.reviewLog) ? state.reviewLog : [];
+    const { wordId, front, backMode, since } = filter;
+    const sinceMs = since ? new Date(since).getTime() : null;
+
+    return log.filter(e => {
+        if (wordId && e.wordId !== wordId) return false;
+        if (front && e.front !== front) return false;
+        if (backMode && e.backMode !== backMode) return false;
+        if (sinceMs !== null && new Date(e.reviewedAt).getTime() < sinceMs) return false;
+        return true;
+    });
+}
+
+/**
+ * Forget the whole review history
+ */
+export function clearReviewLog() {
+    state.reviewLog = [];
+    markDirty('reviews');
+    saveState();
+}
+
+// Column order for CSV export
+const CSV_COLUMNS = [
+    'reviewedAt', 'wordId', 'word', 'front', 'backMode', 'rating', 'state', 'elapsedDays', 'durationMs',
+    'answer', 'stabilityBefore', 'difficultyBefore', 'stabilityAfter', 'difficultyAfter', 'scheduledDays', 'due'
+];
+
+/**
+ * Serialize the review log for export
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string} - Serialized log
+ */
+export function serializeReviewLog(format = 'json') {
+    const log = getReviewLog();
+
+    if (format === 'csv') {
+        // Include the Hanzi so the export is readable without the wordlist
+        const hanziById = new Map((state.wordlist || []).map(w => [w.id, w.word]));
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const entry of log) {
+            const row = { ...entry, word: hanziById.get(entry.wordId) || '' };
+            lines.push(CSV_COLUMNS.map(col => csvCell(row[col])).join(','));
+        }
+        return lines.join('\n');
+    }
+
+    return JSON.stringify(log, null, 2);
+}
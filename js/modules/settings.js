@@ -1,10 +1,25 @@
-import { state, saveState } from '../state.js';
-import { $, $$ } from './utils.js';
-import { nextCard } from './flashcards.js';
+import { state, saveState, flushState, markDirty } from '../state.js';
+import { $, $$, downloadFile, getFileDateStamp, escapeHtml } from './utils.js';
+import { nextCard, updateDailySupercardCounter, clearUndoHistory, revalidateCurrentCard, hasFlashCardoAudio } from './flashcards.js';
 import { FRONT_LABEL } from './flashcards.js';
 import { prompts } from './prompts.js';
-import { generateWordId } from './wordId.js';
-import { getSubcardKey, getOrCreateSubcard, getBackModesForFront, getAllSupercardsWithPedigree, previewCard } from './fsrs.js';
+import { generateWordId, WORD_ID_VERSION } from './wordId.js';
+import { processPinyin } from './pinyin.js';
+import { createImportBatch, createTableImportBatch, remapImportBatch, validateImportItems, summarizeImport, getAcceptedItems, IMPORT_STATUSES } from './importPreview.js';
+import { serializeWordlist, serializeProgress } from './dataExport.js';
+import { createBackup, readBackup, summarizeRestore, applyBackup } from './backup.js';
+import { syncNow, setSyncServer } from './sync.js';
+import { loadAudioIndex, getAudioFileCount, importAudioFiles, clearAudioFiles, getLocalAudioCoverage } from './audioAssets.js';
+import { buildAnkiPackage } from './ankiPackage.js';
+import { parseTabularImport, describeColumns, looksLikeJson, IMPORT_FIELDS, TABULAR_FORMAT_LABELS } from './tabularImport.js';
+import { getWordTags, addWordTags, removeWordTag, getAllTags } from './tags.js';
+import { parseFilter, describeFilter, countFilterMatches, startFilteredSession } from './filteredSession.js';
+import { getLeechSettings, getLeeches, scanForLeeches, releaseLeech } from './leeches.js';
+import { isWordSuspended, setSuspended, buryUntilTomorrow, unbury, isBuried, resetSubcard, deleteWord, updateWord } from './words.js';
+import { getDeck, getOrCreateDeck, getWordDeckIds, addWordToDeck, ensureDeckMembership, getDeckWords, getStudyWordlist, isStudyingAllDecks, setStudyDecks, renameDeck, deleteDeck } from './decks.js';
+import { updateSupercardFlags, isSupercardSuspended, getSubcardKey, getOrCreateSubcard, getBackModesForFront, getAllSupercardsWithPedigree, previewCard, resetFSRSInstance, getDueForecast, getSchedulingParams, sanitizeSchedulingEntry, DEFAULT_REQUEST_RETENTION, DEFAULT_MAXIMUM_INTERVAL, MIN_REQUEST_RETENTION, MAX_REQUEST_RETENTION } from './fsrs.js';
+import { serializeReviewLog, setReviewLogRetention, countReviewLogPrunable, clearReviewLog } from './reviewLog.js';
+import { runOptimizerInWorker, MIN_REVIEWS_FOR_OPTIMIZATION } from './fsrsOptimizer.js';
 
 function autoResizeTextarea(textarea) {
     if (!textarea) return;
@@ -104,74 +119,28 @@ function validateWordlistJson(text) {
     let data;
     try { data = JSON.parse(text); }
     catch (e) { return { ok: false, msg: "That JSON can't be parsed. Paste a JSON array: [ {\"word\":\"…\",\"pinyin\":\"…\",\"definition\":\"…\"} ]" }; }
-    if (!Array.isArray(data)) return { ok: false, msg: 'Top level must be a JSON array.' };
-    if (data.length === 0) return { ok: false, msg: 'Array is empty. Paste at least one word.' };
-
-    for (let i = 0; i < Math.min(30, data.length); i++) {
-        const it = data[i];
-        if (!it || typeof it !== 'object') return { ok: false, msg: `Item ${i + 1} must be an object.` };
-        for (const k of ['word', 'pinyin', 'definition']) {
-            if (!(k in it)) return { ok: false, msg: `Item ${i + 1} is missing \"${k}\".` };
-            if (typeof it[k] !== 'string') return { ok: false, msg: `Item ${i + 1} \"${k}\" must be a string.` };
-            if (it[k].trim().length === 0) return { ok: false, msg: `Item ${i + 1} \"${k}\" is empty.` };
-        }
-    }
-    return { ok: true, data };
-}
-
-function processPinyin(pinyinToned) {
-    // Very basic tone extraction (1-4)
-    // Returns { bare: "miànbāo" -> "mianbao", tones: "miànbāo" -> "41" }
-    // Note: This matches the user's rudimentary request.
-
-    // Map of toned chars to {char, tone}
-    // We can do a simpler regex pass for digits if the user provides numbers, 
-    // but the example is "huānyíng". 
-    // We will just strip diacritics for bare, and look for specific chars for tones if we wanted to be fancy.
-    // BUT the prompt implies we should just handle it. 
-    // Let's TRY to extract tones if we can. 
-    // Mappings:
-    // ā=1, á=2, ǎ=3, à=4
-    // ē=1, é=2, ě=3, è=4
-    // ī=1, í=2, ǐ=3, ì=4
-    // ō=1, ó=2, ǒ=3, ò=4
-    // ū=1, ú=2, ǔ=3, ù=4
-    // ǖ=1, ǘ=2, ǚ=3, ǜ=4
-
-    const map = {
-        'ā': 1, 'á': 2, 'ǎ': 3, 'à': 4,
-        'ē': 1, 'é': 2, 'ě': 3, 'è': 4,
-        'ī': 1, 'í': 2, 'ǐ': 3, 'ì': 4,
-        'ō': 1, 'ó': 2, 'ǒ': 3, 'ò': 4,
-        'ū': 1, 'ú': 2, 'ǔ': 3, 'ù': 4,
-        'ǖ': 1, 'ǘ': 2, 'ǚ': 3, 'ǜ': 4
-    };
-
-    let tones = '';
-    let bare = pinyinToned.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, ""); // strip diacritics for bare
-
-    // Extract tones from original string
-    // This is imperfect because "mian" is one syllable but might have no tone mark?
-    // Actually, iterating chars is safer.
-
-    for (const char of pinyinToned.toLowerCase()) {
-        if (map[char]) {
-            tones += map[char];
-        }
-    }
-
-    // If no tones found, maybe they used numbers?
-    if (tones.length === 0) {
-        const numbers = pinyinToned.match(/[1-5]/g);
-        if (numbers) tones = numbers.join('');
-    }
-
-    bare = bare.replace(/[^a-z]/g, ''); // keep only letters
+    return validateImportItems(data);
+}
 
-    return { bare, tones };
+/**
+ * Deck name typed next to the import box, or a fallback
+ * @param {string} fallback - Used when the field is blank
+ * @returns {string}
+ */
+function getImportDeckName(fallback) {
+    const typed = ($('#importDeckName')?.value || '').trim();
+    return typed || fallback || `Imported ${getFileDateStamp()}`;
 }
 
-function applyImportedDeck(data) {
+/**
+ * Merge imported words into the wordlist and add them to a deck
+ * @param {Array} data - Validated [{ word, pinyin, definition }]
+ * @param {string} deckName - Deck to import into (created if missing)
+ * @returns {Object} - { newCount, updatedCount, total, deckName }
+ */
+function applyImportedDeck(data, deckName) {
+    const deck = getOrCreateDeck(deckName);
+    
     // Create a map of existing words by WordID for quick lookup
     // WordID is the canonical unique identifier (xxHash of hanzi + toned pinyin)
     const existingMap = new Map();
@@ -198,19 +167,29 @@ function applyImportedDeck(data) {
 
         const wordEntry = {
             id: id,
+            idVersion: WORD_ID_VERSION,
             word: w,
             pinyinToned: p,
             meaning: d,
             pinyinBare: bare,
-            tones: tones
+            tones: tones,
+            decks: []
         };
+        if (item.tags) {
+            addWordTags(wordEntry, item.tags);
+        }
         
         if (existingMap.has(id)) {
-            // Word exists (same Hanzi + Pinyin) - update it with new data
+            // Word exists (same Hanzi + Pinyin) - update it with new data, keeping its other decks and tags
+            const existing = existingMap.get(id);
+            wordEntry.decks = getWordDeckIds(existing);
+            addWordToDeck(wordEntry, deck.id);
+            addWordTags(wordEntry, getWordTags(existing));
             existingMap.set(id, wordEntry);
             updatedCount++;
         } else {
             // New word - add it
+            addWordToDeck(wordEntry, deck.id);
             existingMap.set(id, wordEntry);
             newCount++;
         }
@@ -218,7 +197,9 @@ function applyImportedDeck(data) {
     
     // Convert map back to array
     state.wordlist = Array.from(existingMap.values());
-    state.imported.deckName = `Imported (${state.wordlist.length} words)`;
+    markDirty('words');
+    state.imported.deckName = deck.name;
+    ensureDeckMembership();
 
     saveState();
 
@@ -228,32 +209,244 @@ function applyImportedDeck(data) {
     // Start fresh
     nextCard();
     
-    // Update word count and FSRS stats if settings tab is active
+    // Update word count, decks and FSRS stats if settings tab is active
     renderWordCount();
+    renderDecks();
+    renderWordBrowser();
+    renderFilteredSessionOptions();
     if (state.tab === 'settings') {
         renderFSRSStats();
     }
     
     // Return counts for user feedback
-    return { newCount, updatedCount, total: state.wordlist.length };
+    return { newCount, updatedCount, total: state.wordlist.length, deckName: deck.name };
 }
 
 export function handleImport() {
     const text = ($('#wordlistJson')?.value || '');
+    if (text.trim() && !looksLikeJson(text)) {
+        // CSV/TSV rows pasted from a spreadsheet
+        const parsed = parseTabularImport(text);
+        if (!parsed.ok) return showImportMessage('error', parsed.msg);
+        const source = `Pasted ${TABULAR_FORMAT_LABELS[parsed.table.format]}`;
+        return openImportPreview([createTableImportBatch(source, getImportDeckName(), parsed.table)]);
+    }
     const v = validateWordlistJson(text);
     if (!v.ok) return showImportMessage('error', v.msg);
     
-    const counts = applyImportedDeck(v.data);
-    let message = `Total: ${counts.total} words`;
-    if (counts.newCount > 0) message += ` (${counts.newCount} new)`;
-    if (counts.updatedCount > 0) message += ` (${counts.updatedCount} updated)`;
+    openImportPreview([createImportBatch('Pasted JSON', getImportDeckName(), v.data)]);
+}
+
+// Import waiting for review in the preview modal ({ batches }, see importPreview.js)
+let pendingImport = null;
+
+const IMPORT_STATUS_LABEL = { new: 'New', identical: 'Identical', changed: 'Changed meaning', duplicate: 'Likely duplicate' };
+const IMPORT_STATUS_COLOR = { new: 'var(--green)', identical: 'rgba(255,255,255,.5)', changed: 'var(--orange)', duplicate: 'var(--pink)' };
+
+/**
+ * Show the import preview for classified batches (nothing is merged until committed)
+ * @param {Array} batches - From createImportBatch
+ */
+function openImportPreview(batches) {
+    pendingImport = { batches };
+    renderImportPreview();
+    showImportMessage('ok', 'Review the import, then press Import.');
+    const modal = $('#importPreviewModal');
+    if (modal) modal.style.display = 'flex';
+}
+
+/**
+ * Render the pending import: per-status counts (click to toggle a status) and one
+ * row per incoming word with an accept checkbox
+ */
+export function renderImportPreview() {
+    const container = $('#importPreviewContainer');
+    if (!container || !pendingImport) return;
+    
+    const summary = summarizeImport(pendingImport);
+    const chips = IMPORT_STATUSES.filter(status => summary[status] > 0).map(status => `
+        <button class="btn ghost" type="button" data-import-toggle="${status}" title="Accept or reject every ${IMPORT_STATUS_LABEL[status].toLowerCase()} row"
+            style="font-size: 12px; padding: 4px 10px; color: ${IMPORT_STATUS_COLOR[status]};">${IMPORT_STATUS_LABEL[status]} ${summary[status]}</button>
+    `).join('');
+    
+    const sections = pendingImport.batches.map((batch, b) => {
+        const rows = batch.rows.map((row, r) => {
+            const { item, status, existing, duplicates } = row;
+            let details = '';
+            if (status === 'changed') {
+                details = `<div style="font-size: 12px; margin-top: 2px;"><span style="color: rgba(255,255,255,.5);">Current:</span> ${escapeHtml(existing.meaning || '')}</div>`;
+            } else if (status === 'duplicate') {
+                details = duplicates.map(d => `
+                    <div style="font-size: 12px; margin-top: 2px; color: rgba(255,255,255,.6);">
+                        ${d.word ? `${escapeHtml(d.word.word)} (${escapeHtml(d.word.pinyinToned || '')}) · ` : ''}${escapeHtml(d.reason)}
+                    </div>
+                `).join('');
+            }
+            return `
+                <label style="display: flex; gap: 10px; align-items: flex-start; padding: 8px 10px; border-radius: 8px; background: rgba(255,255,255,.03); cursor: pointer;">
+                    <input type="checkbox" data-batch="${b}" data-row="${r}" ${row.accepted ? 'checked' : ''} style="margin-top: 3px;">
+                    <div style="flex: 1; min-width: 0; ${row.accepted ? '' : 'opacity: .5;'}">
+                        <div style="display: flex; gap: 8px; align-items: baseline;">
+                            <span style="font-weight: 700; font-size: 14px;">${escapeHtml(item.word)}</span>
+                            <span style="font-size: 13px; color: rgba(255,255,255,.7);">${escapeHtml(item.pinyin)}</span>
+                            <span style="margin-left: auto; font-size: 11px; color: ${IMPORT_STATUS_COLOR[status]}; white-space: nowrap;">${IMPORT_STATUS_LABEL[status]}</span>
+                        </div>
+                        <div style="font-size: 12px; color: rgba(255,255,255,.7);">${escapeHtml(item.definition)}</div>
+                        ${details}
+                    </div>
+                </label>
+            `;
+        }).join('');
+        return `
+            <div>
+                <div style="font-size: 11px; color: rgba(255,255,255,.5); margin-bottom: 6px;">
+                    ${escapeHtml(batch.source)} → deck "${escapeHtml(batch.deckName)}" · ${batch.rows.length} rows
+                </div>
+                ${batch.table ? renderColumnMapping(batch, b) : ''}
+                ${batch.error ? `<div class="error" style="display: block; margin-bottom: 6px;">${escapeHtml(batch.error)}</div>` : ''}
+                <div style="display: flex; flex-direction: column; gap: 6px;">${rows}</div>
+            </div>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center;">
+            ${chips}
+            <span style="margin-left: auto; font-size: 12px; color: rgba(255,255,255,.6);">${summary.accepted} of ${summary.total} accepted</span>
+        </div>
+        <div style="display: flex; gap: 8px;">
+            <button class="btn ghost" type="button" data-import-bulk="accept" style="font-size: 12px; padding: 4px 10px;">Accept all</button>
+            <button class="btn ghost" type="button" data-import-bulk="reject" style="font-size: 12px; padding: 4px 10px;">Reject all</button>
+        </div>
+        ${sections}
+    `;
+    
+    const commit = $('#btnCommitImport');
+    if (commit) {
+        commit.textContent = summary.accepted > 0 ? `Import ${summary.accepted} word${summary.accepted === 1 ? '' : 's'}` : 'Import';
+        commit.disabled = summary.accepted === 0;
+    }
+}
+
+const IMPORT_FIELD_LABEL = { word: 'Hanzi', pinyin: 'Pinyin', definition: 'Meaning', tags: 'Tags' };
+
+/**
+ * Column mapping selects for a batch read from CSV/TSV/Anki/Pleco text
+ * @param {Object} batch
+ * @param {number} b - Batch index
+ * @returns {string} - HTML
+ */
+function renderColumnMapping(batch, b) {
+    const columns = describeColumns(batch.table);
+    const selects = IMPORT_FIELDS.map(field => {
+        const options = columns.map(c => `<option value="${c.index}" ${batch.mapping[field] === c.index ? 'selected' : ''}>${escapeHtml(c.label)}</option>`).join('');
+        return `
+            <label style="display: flex; flex-direction: column; gap: 2px; font-size: 11px; color: rgba(255,255,255,.5);">
+                ${IMPORT_FIELD_LABEL[field]}
+                <select class="field" data-map-batch="${b}" data-map-field="${field}"
+                    style="width: auto; height: 32px; padding: 4px 8px; font-size: 13px;">
+                    ${field === 'tags' ? `<option value="-1" ${batch.mapping.tags === -1 ? 'selected' : ''}>None</option>` : ''}
+                    ${options}
+                </select>
+            </label>
+        `;
+    }).join('');
+    return `<div style="display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px;">${selects}</div>`;
+}
+
+/**
+ * Accept checkbox toggled or column mapping changed (delegated on #importPreviewContainer)
+ */
+export function handleImportPreviewChange(event) {
+    const target = event.target;
+    if (!pendingImport) return;
+    if (target.matches('select[data-map-field]')) {
+        const batch = pendingImport.batches[Number(target.dataset.mapBatch)];
+        if (!batch?.table) return;
+        remapImportBatch(batch, { ...batch.mapping, [target.dataset.mapField]: Number(target.value) });
+        renderImportPreview();
+        return;
+    }
+    if (!target.matches('input[type="checkbox"][data-row]')) return;
+    const row = pendingImport.batches[Number(target.dataset.batch)]?.rows[Number(target.dataset.row)];
+    if (!row) return;
+    row.accepted = target.checked;
+    renderImportPreview();
+}
+
+/**
+ * Bulk accept/reject buttons and status chips (delegated on #importPreviewContainer)
+ */
+export function handleImportPreviewClick(event) {
+    if (!pendingImport) return;
+    const rows = pendingImport.batches.flatMap(batch => batch.rows);
+    const bulk = event.target.closest('[data-import-bulk]');
+    const toggle = event.target.closest('[data-import-toggle]');
+    if (bulk) {
+        rows.forEach(row => { row.accepted = bulk.dataset.importBulk === 'accept'; });
+    } else if (toggle) {
+        // Accept every row of the status, or reject them all if they already are
+        const matching = rows.filter(row => row.status === toggle.dataset.importToggle);
+        const accept = matching.some(row => !row.accepted);
+        matching.forEach(row => { row.accepted = accept; });
+    } else {
+        return;
+    }
+    renderImportPreview();
+}
+
+/**
+ * Merge the accepted rows of the pending import
+ */
+export function commitImport() {
+    if (!pendingImport) return;
+    const summary = summarizeImport(pendingImport);
+    let newCount = 0;
+    let updatedCount = 0;
+    const deckNames = [];
+    for (const batch of pendingImport.batches) {
+        const items = getAcceptedItems(batch);
+        if (items.length === 0) continue;
+        const counts = applyImportedDeck(items, batch.deckName);
+        newCount += counts.newCount;
+        updatedCount += counts.updatedCount;
+        if (!deckNames.includes(counts.deckName)) deckNames.push(counts.deckName);
+    }
+    closeImportPreview();
+    
+    let message = `Total: ${state.wordlist.length} words`;
+    if (newCount > 0) message += ` (${newCount} new)`;
+    if (updatedCount > 0) message += ` (${updatedCount} updated)`;
+    if (summary.total > summary.accepted) message += ` (${summary.total - summary.accepted} skipped)`;
+    if (deckNames.length > 0) message += ` · ${deckNames.map(name => `deck "${name}"`).join(', ')}`;
     showImportMessage('ok', message);
 }
 
+/**
+ * Drop the pending import without merging anything
+ */
+export function cancelImport() {
+    if (!pendingImport) return;
+    closeImportPreview();
+    showImportMessage('ok', 'Import cancelled.');
+}
+
+function closeImportPreview() {
+    pendingImport = null;
+    const modal = $('#importPreviewModal');
+    if (modal) modal.style.display = 'none';
+}
+
 export function handleForgetList() {
     if (!confirm('Forget all imported words?')) return;
     state.wordlist = [];
+    state.decks = [];
+    state.studyDecks = null;
+    state.filteredSession = null;
     state.cachedSentences = [];
+    markDirty('words');
+    markDirty('sentences');
+    clearUndoHistory();
     saveState();
     const wl = $('#wordlistJson');
     if (wl) {
@@ -266,8 +459,10 @@ export function handleForgetList() {
     const dn = $('#deckName');
     if (dn) dn.textContent = 'Empty Wordlist';
 
-    // Update word count
+    // Update word count and decks
     renderWordCount();
+    renderDecks();
+    renderWordBrowser();
 
     // Refresh card (will show empty state)
     nextCard();
@@ -363,7 +558,9 @@ export async function handleFileSelect(event) {
     if (files.length === 0) return;
 
     const jsonFiles = files.filter(f => f.type === 'application/json' || f.name.endsWith('.json'));
+    const tableFiles = files.filter(f => /\.(csv|tsv|tab|txt)$/i.test(f.name));
     const imageFiles = files.filter(f => f.type.startsWith('image/'));
+    const batches = [];
 
     showImportMessage('ok', 'Processing files...');
 
@@ -376,8 +573,19 @@ export async function handleFileSelect(event) {
                 showImportMessage('error', `${file.name}: ${v.msg}`);
                 return;
             }
-            const counts = applyImportedDeck(v.data);
-            // Message will be updated after all files are processed
+            // Each file goes into the typed deck, or a deck named after the file
+            batches.push(createImportBatch(file.name, getImportDeckName(file.name.replace(/\.json$/i, '')), v.data));
+        }
+
+        // Handle CSV/TSV, Anki notes and Pleco flashcard exports (column mapping in the preview)
+        for (const file of tableFiles) {
+            const parsed = parseTabularImport(await file.text(), file.name);
+            if (!parsed.ok) {
+                showImportMessage('error', `${file.name}: ${parsed.msg}`);
+                return;
+            }
+            const source = `${file.name} (${TABULAR_FORMAT_LABELS[parsed.table.format]})`;
+            batches.push(createTableImportBatch(source, getImportDeckName(file.name.replace(/\.[^.]+$/, '')), parsed.table));
         }
 
         // Handle image files via Gemini 3 Flash
@@ -409,12 +617,13 @@ export async function handleFileSelect(event) {
                 return;
             }
 
-            const counts = applyImportedDeck(v.data);
+            batches.push(createImportBatch(`Image extraction (${imageFiles.length} image${imageFiles.length === 1 ? '' : 's'})`, getImportDeckName(), v.data));
         }
 
-        // Show final summary
-        let message = `Total: ${state.wordlist.length} words`;
-        showImportMessage('ok', message);
+        // Nothing is merged until the preview is accepted
+        if (batches.length > 0) {
+            openImportPreview(batches);
+        }
 
     } catch (e) {
         showImportMessage('error', e.message);
@@ -424,29 +633,276 @@ export async function handleFileSelect(event) {
     event.target.value = '';
 }
 
-export function clearCacheAndReload() {
-    if (!confirm('Clear cache and reload? This will refresh the page with the latest files, but will keep your API key and wordlist.')) return;
-    
-    // Clear service worker cache if it exists
-    if ('serviceWorker' in navigator && 'caches' in window) {
-        caches.keys().then(names => {
-            return Promise.all(names.map(name => caches.delete(name)));
-        }).catch(err => {
-            console.warn('Failed to clear caches:', err);
-        });
+function showBackupMessage(kind, msg) {
+    const err = $('#backupError');
+    const ok = $('#backupOk');
+    if (err) err.style.display = 'none';
+    if (ok) ok.style.display = 'none';
+    if (kind === 'error' && err) { err.textContent = msg; err.style.display = 'block'; }
+    if (kind === 'ok' && ok) { ok.textContent = msg; ok.style.display = 'block'; }
+}
+
+export async function handleBackup() {
+    const passphrase = $('#backupPassphrase')?.value || '';
+    const includeApiKey = !!$('#backupIncludeApiKey')?.checked;
+    if (includeApiKey && state.apiKey && !passphrase
+        && !confirm('The backup will contain your API key unencrypted. Continue?')) return;
+
+    const btn = $('#btnBackup');
+    if (btn) btn.disabled = true;
+    try {
+        const file = await createBackup({ passphrase, includeApiKey });
+        downloadFile(`mandalore-backup-${getFileDateStamp()}.json`, file);
+        showBackupMessage('ok', passphrase ? 'Encrypted backup saved. Keep the passphrase; it cannot be recovered.' : 'Backup saved.');
+    } catch (e) {
+        console.error('Backup failed', e);
+        showBackupMessage('error', `Backup failed: ${e.message}`);
+    } finally {
+        if (btn) btn.disabled = false;
     }
-    
-    // Force a hard reload (bypass cache) - equivalent to Ctrl+F5
-    // Try the deprecated but widely-supported reload(true) first
-    // Fallback to location.replace with cache-busting parameter
-    if (typeof location.reload === 'function') {
-        // Most browsers still support reload(true) for hard reload
-        location.reload(true);
-    } else {
-        // Fallback: use location.replace with cache-busting
-        const url = new URL(location.href);
-        url.searchParams.set('_nocache', Date.now().toString());
-        location.replace(url.toString());
+}
+
+// Backup read from a file, waiting for the user to pick merge/replace
+let pendingRestore = null;
+
+export function triggerRestore() {
+    const input = $('#restoreFileInput');
+    if (input) input.click();
+}
+
+export async function handleRestoreFileSelect(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    showBackupMessage('ok', 'Reading backup...');
+    const result = await readBackup(await file.text(), $('#backupPassphrase')?.value || '');
+    if (!result.ok) {
+        if (result.needsPassphrase) $('#backupPassphrase')?.focus();
+        return showBackupMessage('error', `${file.name}: ${result.msg}`);
+    }
+    showBackupMessage('ok', 'Backup read. Choose how to restore it.');
+
+    pendingRestore = { backup: result.backup, fileName: file.name };
+    const merge = $('input[name="restoreMode"][value="merge"]');
+    if (merge) merge.checked = true;
+    renderRestoreSummary();
+    const modal = $('#restoreModal');
+    if (modal) modal.style.display = 'flex';
+}
+
+function getRestoreMode() {
+    return $('input[name="restoreMode"]:checked')?.value === 'replace' ? 'replace' : 'merge';
+}
+
+/**
+ * Dry-run summary of the pending restore in the chosen mode
+ */
+export function renderRestoreSummary() {
+    const container = $('#restoreSummary');
+    if (!container || !pendingRestore) return;
+    const { backup, fileName } = pendingRestore;
+    const mode = getRestoreMode();
+    const summary = summarizeRestore(backup, mode);
+
+    const line = (label, parts) => {
+        const text = parts.filter(([, n]) => n > 0).map(([name, n]) => `${n} ${name}`).join(', ') || 'no changes';
+        return `
+            <div style="display: flex; justify-content: space-between; gap: 12px; font-size: 13px; padding: 4px 0;">
+                <span style="color: rgba(255,255,255,.6);">${label}</span>
+                <span style="text-align: right;">${text}</span>
+            </div>
+        `;
+    };
+    const created = backup.createdAt ? new Date(backup.createdAt).toLocaleString() : 'unknown date';
+    container.innerHTML = `
+        <div style="font-size: 11px; color: rgba(255,255,255,.5); margin-bottom: 8px;">
+            ${escapeHtml(fileName)} · ${escapeHtml(created)}${backup.encrypted ? ' · encrypted' : ''}
+        </div>
+        <div style="background: rgba(255,255,255,.04); border-radius: 8px; padding: 12px;">
+            ${line('Words', [['added', summary.words.added], ['updated', summary.words.updated], ['removed', summary.words.removed]])}
+            ${line('FSRS subcards', [['added', summary.subcards.added], ['updated', summary.subcards.updated], ['removed', summary.subcards.removed]])}
+            ${line('Review history', [['added', summary.reviews.added], ['removed', summary.reviews.removed]])}
+            ${line('Cached sentences', [['added', summary.sentences.added], ['removed', summary.sentences.removed]])}
+            ${line('Settings', [['changed', summary.settings.length]])}
+            ${summary.settings.length > 0 ? `<div style="font-size: 11px; color: rgba(255,255,255,.5);">${summary.settings.map(escapeHtml).join(', ')}</div>` : ''}
+            ${summary.apiKey ? line('API key', [['replaced', 1]]) : ''}
+        </div>
+        <div style="font-size: 12px; color: rgba(255,255,255,.6); margin-top: 8px;">
+            ${mode === 'replace'
+                ? 'Everything here is replaced by the backup. The page reloads afterwards.'
+                : 'Missing words, newer progress, reviews and sentences are added; your settings stay. The page reloads afterwards.'}
+        </div>
+    `;
+}
+
+export async function applyRestore() {
+    if (!pendingRestore) return;
+    const mode = getRestoreMode();
+    if (mode === 'replace' && !confirm('Replace all words, progress and settings in this browser with the backup?')) return;
+    applyBackup(pendingRestore.backup, mode);
+    clearUndoHistory();
+    saveState();
+    pendingRestore = null;
+    await flushState();
+    location.reload();
+}
+
+export function cancelRestore() {
+    pendingRestore = null;
+    const modal = $('#restoreModal');
+    if (modal) modal.style.display = 'none';
+}
+
+function showAudioMessage(kind, msg) {
+    const err = $('#audioError');
+    const ok = $('#audioOk');
+    if (err) err.style.display = 'none';
+    if (ok) ok.style.display = 'none';
+    if (kind === 'error' && err) { err.textContent = msg; err.style.display = 'block'; }
+    if (kind === 'ok' && ok) { ok.textContent = msg; ok.style.display = 'block'; }
+}
+
+export async function renderAudioSettings() {
+    await loadAudioIndex();
+    const count = getAudioFileCount();
+    const status = $('#audioStatus');
+    if (status) {
+        status.textContent = count > 0
+            ? `${count} audio file${count === 1 ? '' : 's'} stored in this browser; played before FlashCardo audio and TTS`
+            : 'Your own recordings, named by WordID (e.g. 3f2a9c1b.mp3) or hanzi (你好.mp3)';
+    }
+}
+
+export function triggerAudioFolder() {
+    const input = $('#audioFolderInput');
+    if (input) input.click();
+}
+
+export async function handleAudioFolderSelect(event) {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    showAudioMessage('ok', `Storing ${files.length} file${files.length === 1 ? '' : 's'}...`);
+    const result = await importAudioFiles(files);
+    if (!result.ok) return showAudioMessage('error', result.msg);
+    showAudioMessage('ok', `Stored ${result.stored} audio file${result.stored === 1 ? '' : 's'}${result.skipped ? ` (${result.skipped} other file${result.skipped === 1 ? '' : 's'} skipped)` : ''}.`);
+    await renderAudioSettings();
+    if ($('#audioCoverage')?.style.display !== 'none') await renderAudioCoverage();
+}
+
+/**
+ * Coverage report: which words play a local file (matched by WordID or hanzi),
+ * FlashCardo audio, or fall back to TTS
+ */
+export async function renderAudioCoverage() {
+    const container = $('#audioCoverage');
+    if (!container) return;
+    const coverage = await getLocalAudioCoverage();
+    const flashCardo = [];
+    const tts = [];
+    for (const word of coverage.missing) {
+        const wordId = word.id || generateWordId(word.word, word.pinyinToned);
+        (await hasFlashCardoAudio(wordId) ? flashCardo : tts).push(word);
+    }
+
+    const line = (label, n) => `
+        <div style="display: flex; justify-content: space-between; gap: 12px; font-size: 13px; padding: 4px 0;">
+            <span style="color: rgba(255,255,255,.6);">${label}</span>
+            <span>${n}</span>
+        </div>
+    `;
+    const shown = tts.slice(0, 100);
+    container.innerHTML = `
+        <div style="background: rgba(255,255,255,.04); border-radius: 8px; padding: 12px;">
+            ${line('Local file (WordID)', coverage.byWordId.length)}
+            ${line('Local file (hanzi name)', coverage.byHanzi.length)}
+            ${line('FlashCardo audio', flashCardo.length)}
+            ${line('Text-to-speech only', tts.length)}
+        </div>
+        ${tts.length > 0 ? `
+            <div style="font-size: 11px; color: rgba(255,255,255,.5); margin-top: 8px;">
+                No recording for: ${shown.map(w => `${escapeHtml(w.word)} <span class="mono">${escapeHtml(w.id || '')}</span>`).join(', ')}${tts.length > shown.length ? `, and ${tts.length - shown.length} more` : ''}
+            </div>
+        ` : ''}
+    `;
+    container.style.display = 'block';
+}
+
+export async function handleAudioCoverage() {
+    const container = $('#audioCoverage');
+    if (container && container.style.display !== 'none') {
+        container.style.display = 'none';
+        return;
+    }
+    await renderAudioCoverage();
+}
+
+export async function handleClearAudio() {
+    await loadAudioIndex();
+    const count = getAudioFileCount();
+    if (count === 0) return showAudioMessage('ok', 'No audio files stored.');
+    if (!confirm(`Remove all ${count} audio files from this browser?`)) return;
+    await clearAudioFiles();
+    showAudioMessage('ok', 'Audio files removed.');
+    await renderAudioSettings();
+    if ($('#audioCoverage')?.style.display !== 'none') await renderAudioCoverage();
+}
+
+function showSyncMessage(kind, msg) {
+    const err = $('#syncError');
+    const ok = $('#syncOk');
+    if (err) err.style.display = 'none';
+    if (ok) ok.style.display = 'none';
+    if (kind === 'error' && err) { err.textContent = msg; err.style.display = 'block'; }
+    if (kind === 'ok' && ok) { ok.textContent = msg; ok.style.display = 'block'; }
+}
+
+export function renderSyncSettings() {
+    const urlInput = $('#syncServerUrl');
+    const tokenInput = $('#syncToken');
+    const status = $('#syncStatus');
+    if (urlInput) urlInput.value = state.sync.serverUrl || '';
+    if (tokenInput) tokenInput.value = state.sync.token || '';
+    if (status) {
+        status.textContent = state.sync.lastSyncedAt
+            ? `Last synced ${new Date(state.sync.lastSyncedAt).toLocaleString()}`
+            : 'Words and progress across devices, through your own sync server';
+    }
+}
+
+export function saveSyncSettings() {
+    setSyncServer($('#syncServerUrl')?.value, $('#syncToken')?.value);
+    renderSyncSettings();
+    showSyncMessage('ok', state.sync.serverUrl ? 'Sync server saved.' : 'Sync turned off.');
+}
+
+export async function handleSyncNow() {
+    const btn = $('#btnSyncNow');
+    // Sync with what is in the fields, saved or not
+    setSyncServer($('#syncServerUrl')?.value, $('#syncToken')?.value);
+    if (btn) { btn.disabled = true; btn.textContent = 'Syncing…'; }
+    try {
+        const result = await syncNow();
+        if (!result.ok) {
+            showSyncMessage('error', result.msg);
+            return;
+        }
+        showSyncMessage('ok', `Synced: ${result.pulled} received, ${result.pushed} sent${result.conflicts ? `, ${result.conflicts} kept from the server` : ''}.`);
+        revalidateCurrentCard(result.touched);
+        updateDailySupercardCounter();
+        renderSentenceCount();
+        renderWordCount();
+        renderFSRSStats();
+        // Decks don't report what they touched
+        if (result.pulled > 0 || result.conflicts > 0) {
+            renderDecks();
+            renderWordBrowser();
+        }
+    } finally {
+        if (btn) { btn.disabled = false; btn.textContent = 'Sync now'; }
+        renderSyncSettings();
     }
 }
 
@@ -509,24 +965,547 @@ export async function loadVersionInfo() {
     }
 }
 
-export function renderSentenceCount() {
-    const countEl = $('#sentenceCount');
-    if (countEl) {
-        countEl.textContent = state.cachedSentences.length.toString();
+export function renderSentenceCount() {
+    const countEl = $('#sentenceCount');
+    if (countEl) {
+        countEl.textContent = state.cachedSentences.length.toString();
+    }
+}
+
+export function renderWordCount() {
+    const countEl = $('#wordCount');
+    if (countEl) {
+        countEl.textContent = (state.wordlist?.length || 0).toString();
+    }
+}
+
+/**
+ * Render the deck list with study checkboxes, word counts and rename/delete actions
+ */
+export function renderDecks() {
+    const container = $('#decksContainer');
+    if (!container) return;
+    
+    const decks = state.decks || [];
+    if (decks.length === 0) {
+        container.innerHTML = `
+            <div style="text-align: center; padding: 12px; color: rgba(255,255,255,.5); font-size: 13px;">
+                No decks yet. Each import goes into a deck.
+            </div>
+        `;
+        return;
+    }
+    
+    const allDecks = isStudyingAllDecks();
+    const selected = new Set(state.studyDecks || []);
+    const rows = decks.map(deck => `
+        <div class="setting-row" style="gap: 8px;">
+            <label style="display: flex; align-items: center; gap: 8px; flex: 1; min-width: 0; font-size: 13px; cursor: pointer;">
+                <input type="checkbox" data-deck-id="${deck.id}" ${allDecks || selected.has(deck.id) ? 'checked' : ''}>
+                <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(deck.name)}</span>
+                <span style="font-size: 11px; color: rgba(255,255,255,.5);">${getDeckWords(deck.id).length}</span>
+            </label>
+            <button class="btn ghost" type="button" data-deck-action="rename" data-deck-id="${deck.id}"
+                style="font-size: 12px; padding: 4px 10px;">Rename</button>
+            <button class="btn ghost" type="button" data-deck-action="delete" data-deck-id="${deck.id}"
+                style="font-size: 12px; padding: 4px 10px;">Delete</button>
+        </div>
+    `).join('');
+    
+    container.innerHTML = `
+        ${rows}
+        <div style="font-size: 11px; color: rgba(255,255,255,.5); margin-top: 8px;">
+            Studying: ${allDecks ? 'all decks' : `${selected.size} of ${decks.length} decks`}
+        </div>
+    `;
+}
+
+/**
+ * Apply a new study scope: re-select the current card and refresh counters
+ */
+function applyStudyScope() {
+    // The current card may be outside the new scope
+    state.selectionReferenceTime = null;
+    saveState();
+    renderDecks();
+    nextCard();
+    updateDailySupercardCounter();
+}
+
+/**
+ * Study checkbox toggled in the deck list (delegated on #decksContainer)
+ */
+export function handleDeckSelectionChange(event) {
+    if (!event.target.matches('input[type="checkbox"][data-deck-id]')) return;
+    const checked = $$('#decksContainer input[type="checkbox"][data-deck-id]')
+        .filter(input => input.checked)
+        .map(input => input.dataset.deckId);
+    if (checked.length === 0) {
+        // Keep at least one deck selected
+        event.target.checked = true;
+        return;
+    }
+    setStudyDecks(checked);
+    applyStudyScope();
+}
+
+/**
+ * Rename / delete buttons in the deck list (delegated on #decksContainer)
+ */
+export function handleDeckAction(event) {
+    const button = event.target.closest('[data-deck-action]');
+    if (!button) return;
+    const deckId = button.dataset.deckId;
+    const deck = (state.decks || []).find(d => d.id === deckId);
+    if (!deck) return;
+    
+    if (button.dataset.deckAction === 'rename') {
+        const name = prompt('Rename deck', deck.name);
+        if (name === null) return;
+        if (!renameDeck(deckId, name)) {
+            alert('Deck names must be non-empty and unique.');
+            return;
+        }
+        saveState();
+        renderDecks();
+        renderFSRSStats();
+        updateDailySupercardCounter();
+    } else if (button.dataset.deckAction === 'delete') {
+        if (!confirm(`Delete deck "${deck.name}"? Its words and their progress are kept; words in no other deck move to the default deck.`)) return;
+        deleteDeck(deckId);
+        renderFSRSStats();
+        applyStudyScope();
+    }
+}
+
+/**
+ * Study every deck again
+ */
+export function studyAllDecks() {
+    setStudyDecks(null);
+    applyStudyScope();
+}
+
+// Word list browser view state
+const WORD_BROWSER_PAGE_SIZE = 100;
+const WORD_BROWSER_FRONTS = ['hanzi', 'pronunciation', 'meaning'];
+let wordBrowserSort = { key: 'word', dir: 1 };
+let wordBrowserLimit = WORD_BROWSER_PAGE_SIZE;
+let editingWordId = null;
+
+/**
+ * Earliest due date over a word's reviewed subcards
+ * @param {Object} word
+ * @param {Date} now
+ * @returns {Object} - { label, sortValue, color }
+ */
+function getWordDueStatus(word, now) {
+    let earliest = null;
+    for (const front of WORD_BROWSER_FRONTS) {
+        for (const backMode of getBackModesForFront(front)) {
+            const subcard = state.fsrsSubcards[getSubcardKey(word.id, front, backMode)];
+            if (!subcard || !subcard.last_review || !subcard.due) continue;
+            const due = new Date(subcard.due).getTime();
+            if (earliest === null || due < earliest) earliest = due;
+        }
+    }
+    const suspended = isWordSuspended(word.id) ? ' · suspended' : '';
+    if (earliest === null) {
+        return { label: `New${suspended}`, sortValue: Infinity, color: 'var(--cyan)' };
+    }
+    const days = (earliest - now.getTime()) / (1000 * 60 * 60 * 24);
+    if (days <= 0) {
+        return { label: `Due${suspended}`, sortValue: earliest, color: 'var(--orange)' };
+    }
+    return { label: `in ${Math.ceil(days)}d${suspended}`, sortValue: earliest, color: 'rgba(255,255,255,.7)' };
+}
+
+/**
+ * Whether a word matches the browser's search text (hanzi, pinyin with or without
+ * tone marks, meaning, tags or deck names)
+ */
+function matchesWordSearch(word, deckNames, query) {
+    if (!query) return true;
+    const bareQuery = query.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '');
+    const haystack = [word.word, word.pinyinToned, word.meaning, deckNames, ...getWordTags(word)]
+        .join(' ')
+        .toLowerCase();
+    return haystack.includes(query) || (bareQuery && (word.pinyinBare || '').includes(bareQuery));
+}
+
+/**
+ * Render the word list browser: a searchable, sortable table of every word with
+ * inline editing
+ */
+export function renderWordBrowser() {
+    const container = $('#wordBrowserContainer');
+    if (!container) return;
+    
+    const words = state.wordlist || [];
+    if (words.length === 0) {
+        container.innerHTML = `
+            <div style="text-align: center; padding: 12px; color: rgba(255,255,255,.5); font-size: 13px;">
+                No words loaded.
+            </div>
+        `;
+        return;
+    }
+    
+    const query = ($('#wordBrowserSearch')?.value || '').trim().toLowerCase();
+    const now = new Date();
+    const { key, dir } = wordBrowserSort;
+    const rows = words
+        .map(word => ({
+            word,
+            decks: getWordDeckIds(word).map(id => getDeck(id)?.name).filter(Boolean).join(', '),
+            due: getWordDueStatus(word, now)
+        }))
+        .filter(row => matchesWordSearch(row.word, row.decks, query))
+        .sort((a, b) => {
+            if (key === 'due') {
+                if (a.due.sortValue === b.due.sortValue) return 0;
+                return (a.due.sortValue < b.due.sortValue ? -1 : 1) * dir;
+            }
+            const av = key === 'deck' ? a.decks : String(a.word[key] || '');
+            const bv = key === 'deck' ? b.decks : String(b.word[key] || '');
+            return av.localeCompare(bv, 'zh') * dir;
+        });
+    const shown = rows.slice(0, wordBrowserLimit);
+    
+    const cell = 'padding: 4px 6px; text-align: left; vertical-align: middle;';
+    const input = 'height: 28px; padding: 2px 6px; font-size: 12px; width: 100%; min-width: 60px;';
+    const header = (sortKey, label) => {
+        const arrow = key === sortKey ? (dir === 1 ? ' ▲' : ' ▼') : '';
+        return `<th data-sort="${sortKey}" style="${cell} font-weight: 600; cursor: pointer; white-space: nowrap;">${label}${arrow}</th>`;
+    };
+    const body = shown.map(({ word, decks, due }) => {
+        if (word.id === editingWordId) {
+            return `
+                <tr data-word-id="${word.id}" style="border-top: 1px solid rgba(255,255,255,.06); background: rgba(255,255,255,.04);">
+                    <td style="${cell}"><input class="field" data-field="word" style="${input}"></td>
+                    <td style="${cell}"><input class="field" data-field="pinyinToned" style="${input}"></td>
+                    <td style="${cell}"><input class="field" data-field="meaning" style="${input}"></td>
+                    <td style="${cell}"><input class="field" data-field="tones" style="${input} width: 56px;"></td>
+                    <td style="${cell} color: rgba(255,255,255,.6);">${escapeHtml(decks)}</td>
+                    <td style="${cell} white-space: nowrap;">
+                        <button class="btn primary" type="button" data-word-save style="font-size: 12px; padding: 4px 10px;">Save</button>
+                        <button class="btn ghost" type="button" data-word-cancel style="font-size: 12px; padding: 4px 10px;">Cancel</button>
+                    </td>
+                </tr>
+                <tr data-role="wordEditError" style="display: none;">
+                    <td colspan="6" style="${cell} color: var(--pink); font-size: 12px;"></td>
+                </tr>
+            `;
+        }
+        return `
+            <tr style="border-top: 1px solid rgba(255,255,255,.06);">
+                <td style="${cell} font-weight: 700; font-size: 14px;">${escapeHtml(word.word || '')}</td>
+                <td style="${cell}">${escapeHtml(word.pinyinToned || '')}</td>
+                <td style="${cell} color: rgba(255,255,255,.7); max-width: 180px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(word.meaning || '')}</td>
+                <td style="${cell}">${escapeHtml(word.tones || '')}</td>
+                <td style="${cell} color: rgba(255,255,255,.6); max-width: 120px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(decks)}</td>
+                <td style="${cell} white-space: nowrap;">
+                    <span style="color: ${due.color}; margin-right: 6px;">${due.label}</span>
+                    <button class="btn ghost" type="button" data-word-edit="${word.id}" style="font-size: 12px; padding: 4px 10px;">Edit</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <div style="overflow-x: auto;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                <thead>
+                    <tr style="color: rgba(255,255,255,.5); font-size: 11px;">
+                        ${header('word', 'Hanzi')}
+                        ${header('pinyinToned', 'Pinyin')}
+                        ${header('meaning', 'Meaning')}
+                        ${header('tones', 'Tones')}
+                        ${header('deck', 'Deck')}
+                        ${header('due', 'Due')}
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+        <div style="display: flex; justify-content: space-between; align-items: center; font-size: 11px; color: rgba(255,255,255,.5); margin-top: 8px;">
+            <span>Showing ${shown.length} of ${rows.length}${rows.length !== words.length ? ` (${words.length} words)` : ''}</span>
+            ${rows.length > shown.length ? '<button class="btn ghost" type="button" data-word-browser="more" style="font-size: 12px; padding: 4px 10px;">Show more</button>' : ''}
+        </div>
+    `;
+    
+    // Fill the edit row through the DOM (values may contain quotes)
+    const editRow = container.querySelector('tr[data-word-id]');
+    const editing = editRow && words.find(w => w.id === editingWordId);
+    if (editing) {
+        editRow.querySelectorAll('[data-field]').forEach(field => {
+            field.value = editing[field.dataset.field] || '';
+        });
+    }
+}
+
+/**
+ * Search box typed in
+ */
+export function handleWordBrowserSearch() {
+    wordBrowserLimit = WORD_BROWSER_PAGE_SIZE;
+    renderWordBrowser();
+}
+
+/**
+ * Save the word being edited in the browser
+ * @param {HTMLElement} row - The edit row
+ */
+function saveWordEdit(row) {
+    const changes = {};
+    row.querySelectorAll('[data-field]').forEach(field => {
+        changes[field.dataset.field] = field.value;
+    });
+    
+    const wasOnScreen = state.card.id === editingWordId;
+    const result = updateWord(editingWordId, changes);
+    if (!result.ok) {
+        const errorRow = row.nextElementSibling;
+        if (errorRow && errorRow.matches('[data-role="wordEditError"]')) {
+            errorRow.querySelector('td').textContent = result.msg;
+            errorRow.style.display = '';
+        }
+        return;
+    }
+    
+    editingWordId = null;
+    // Undo snapshots refer to the old WordID
+    if (result.idChanged) clearUndoHistory();
+    saveState();
+    renderWordBrowser();
+    renderFilteredSessionOptions();
+    // The card on screen shows the old spelling
+    if (wasOnScreen) nextCard();
+}
+
+/**
+ * Clicks in the word browser (delegated on #wordBrowserContainer): sort headers,
+ * edit / save / cancel, show more
+ */
+export function handleWordBrowserClick(event) {
+    const target = event.target;
+    const sortHeader = target.closest('[data-sort]');
+    if (sortHeader) {
+        const sortKey = sortHeader.dataset.sort;
+        wordBrowserSort = {
+            key: sortKey,
+            dir: wordBrowserSort.key === sortKey ? -wordBrowserSort.dir : 1
+        };
+        renderWordBrowser();
+        return;
+    }
+    if (target.closest('[data-word-browser="more"]')) {
+        wordBrowserLimit += WORD_BROWSER_PAGE_SIZE;
+        renderWordBrowser();
+        return;
+    }
+    const editButton = target.closest('[data-word-edit]');
+    if (editButton) {
+        editingWordId = editButton.dataset.wordEdit;
+        renderWordBrowser();
+        $('#wordBrowserContainer [data-field="word"]')?.focus();
+        return;
+    }
+    if (target.closest('[data-word-cancel]')) {
+        editingWordId = null;
+        renderWordBrowser();
+        return;
+    }
+    if (target.closest('[data-word-save]')) {
+        saveWordEdit(target.closest('tr'));
+    }
+}
+
+/**
+ * Enter saves and Escape cancels while editing a word
+ */
+export function handleWordBrowserKeydown(event) {
+    if (!event.target.matches('[data-field]')) return;
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        saveWordEdit(event.target.closest('tr'));
+    } else if (event.key === 'Escape') {
+        editingWordId = null;
+        renderWordBrowser();
+    }
+}
+
+/**
+ * Fill the filtered session picker: due cards (any / per modality), leeches, and every tag
+ */
+export function renderFilteredSessionOptions() {
+    const sel = $('#filteredSessionFilter');
+    if (!sel) return;
+    const previous = sel.value;
+    
+    const specs = ['due', ...SCHEDULING_BACK_MODES.map(m => `due:${m}`), 'leeches', ...getAllTags().map(t => `tag:${t.tag}`)];
+    sel.innerHTML = specs.map(spec => {
+        const filter = parseFilter(spec);
+        const count = countFilterMatches(filter);
+        return `<option value="${escapeHtml(spec)}">${escapeHtml(describeFilter(filter))} (${count})</option>`;
+    }).join('');
+    
+    if (specs.includes(previous)) sel.value = previous;
+}
+
+/**
+ * Start the filtered session picked in Settings
+ * @returns {boolean} - True if a session started
+ */
+export function handleStartFilteredSession() {
+    const filter = parseFilter($('#filteredSessionFilter')?.value);
+    if (!filter) return false;
+    if (!startFilteredSession(filter)) {
+        alert(`Nothing matches ${describeFilter(filter)} right now.`);
+        return false;
+    }
+    nextCard();
+    return true;
+}
+
+/**
+ * Render leech settings and the list of current leeches with their failure modes
+ */
+export function renderLeeches() {
+    const settings = getLeechSettings();
+    const setValue = (id, value) => {
+        const el = $(id);
+        if (el) el.value = String(value);
+    };
+    setValue('#leechSubcardLapses', settings.subcardLapses);
+    setValue('#leechSupercardLapses', settings.supercardLapses);
+    setValue('#leechWindowDays', settings.windowDays);
+    setValue('#leechRehabPasses', settings.rehabPasses);
+    setValue('#leechAction', settings.autoTag
+        ? (settings.autoSuspend ? 'tagSuspend' : 'tag')
+        : (settings.autoSuspend ? 'suspend' : 'none'));
+    
+    const leeches = getLeeches();
+    const countEl = $('#leechCount');
+    if (countEl) countEl.textContent = String(leeches.length);
+    
+    const container = $('#leechListContainer');
+    if (!container) return;
+    
+    if (leeches.length === 0) {
+        container.innerHTML = `
+            <div style="text-align: center; padding: 12px; color: rgba(255,255,255,.5); font-size: 13px;">
+                No leeches. Nice.
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = leeches.map(leech => {
+        const modes = leech.failureModes.map(mode => {
+            const answers = mode.wrongAnswers.length > 0
+                ? ` · often: ${mode.wrongAnswers.map(a => `${escapeHtml(a.answer)}${a.count > 1 ? ` ×${a.count}` : ''}`).join(', ')}`
+                : '';
+            return `<div>${BACK_MODE_LABEL[mode.backMode] || mode.backMode}: ${mode.lapses} in window (${mode.lifetimeLapses} total)${answers}</div>`;
+        }).join('');
+        return `
+            <div style="background: rgba(255,255,255,.04); border-radius: 8px; padding: 10px; margin-bottom: 8px;">
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+                    <div style="font-weight: 700;">
+                        ${escapeHtml(leech.word.word)}
+                        <span style="font-size: 12px; font-weight: 400; color: rgba(255,255,255,.6);">${escapeHtml(leech.word.pinyinToned || '')} · ${FRONT_LABEL[leech.front]}</span>
+                    </div>
+                    <div style="font-size: 12px; color: var(--pink); white-space: nowrap;">${leech.totalLapses} lapses</div>
+                </div>
+                <div style="font-size: 12px; color: rgba(255,255,255,.6); margin-top: 6px;">${modes || 'No lapses in the window'}</div>
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-top: 8px;">
+                    <div style="font-size: 11px; color: rgba(255,255,255,.5);">
+                        ${leech.suspended ? '<span style="color: var(--orange);">Suspended</span> · ' : ''}Re-study ${leech.rehabPasses}/${getLeechSettings().rehabPasses}
+                    </div>
+                    <div style="display: flex; gap: 6px;">
+                        <button class="btn ghost" type="button" data-leech-action="${leech.suspended ? 'unsuspend' : 'suspend'}"
+                            data-word-id="${leech.word.id}" data-front="${leech.front}" style="font-size: 12px; padding: 4px 10px;">${leech.suspended ? 'Unsuspend' : 'Suspend'}</button>
+                        <button class="btn ghost" type="button" data-leech-action="release"
+                            data-word-id="${leech.word.id}" data-front="${leech.front}" style="font-size: 12px; padding: 4px 10px;">Release</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+export function handleLeechSettingsChange() {
+    const parseCount = (id, fallback) => {
+        const n = Math.floor(Number($(id)?.value));
+        return Number.isFinite(n) && n >= 1 ? n : fallback;
+    };
+    const current = getLeechSettings();
+    const action = $('#leechAction')?.value || 'tag';
+    const windowDays = Math.floor(Number($('#leechWindowDays')?.value));
+    state.leechSettings = {
+        subcardLapses: parseCount('#leechSubcardLapses', current.subcardLapses),
+        supercardLapses: parseCount('#leechSupercardLapses', current.supercardLapses),
+        windowDays: Number.isFinite(windowDays) && windowDays >= 0 ? windowDays : current.windowDays,
+        autoTag: action === 'tag' || action === 'tagSuspend',
+        autoSuspend: action === 'suspend' || action === 'tagSuspend',
+        rehabPasses: parseCount('#leechRehabPasses', current.rehabPasses)
+    };
+    // New thresholds may turn existing cards into leeches
+    const flagged = scanForLeeches();
+    if (flagged > 0) console.log(`[Leeches] ${flagged} supercard(s) newly flagged`);
+    state.selectionReferenceTime = null;
+    saveState();
+    renderLeeches();
+    renderFilteredSessionOptions();
+    updateDailySupercardCounter();
+}
+
+/**
+ * Suspend / unsuspend / release buttons in the leech list (delegated on #leechListContainer)
+ */
+export function handleLeechAction(event) {
+    const button = event.target.closest('[data-leech-action]');
+    if (!button) return;
+    const { wordId, front } = button.dataset;
+    const action = button.dataset.leechAction;
+    
+    if (action === 'release') {
+        releaseLeech(wordId, front);
+    } else if (action === 'suspend') {
+        updateSupercardFlags(wordId, front, { suspended: true, suspendedBy: 'leech' });
+    } else if (action === 'unsuspend') {
+        updateSupercardFlags(wordId, front, { suspended: null, suspendedBy: null });
+    }
+    
+    state.selectionReferenceTime = null;
+    saveState();
+    renderLeeches();
+    renderFilteredSessionOptions();
+    updateDailySupercardCounter();
+    // The current card may have just been suspended
+    if (action === 'suspend' && state.card.id === wordId && state.card.front === front) {
+        nextCard();
     }
 }
 
-export function renderWordCount() {
-    const countEl = $('#wordCount');
-    if (countEl) {
-        countEl.textContent = (state.wordlist?.length || 0).toString();
+/**
+ * Start a leech re-study session
+ * @returns {boolean} - True if a session started
+ */
+export function handleStudyLeeches() {
+    if (!startFilteredSession(parseFilter('leeches'))) {
+        alert('No leeches to re-study.');
+        return false;
     }
+    nextCard();
+    return true;
 }
 
 /**
  * Calculate FSRS statistics (both supercards and subcards)
+ * @param {Array} wordlist - Words to include (default: every word)
  */
-function calculateFSRSStats() {
+function calculateFSRSStats(wordlist = state.wordlist) {
     const FRONT_TYPES = ['hanzi', 'pronunciation', 'meaning'];
     const now = new Date();
     const stats = {
@@ -553,7 +1532,7 @@ function calculateFSRSStats() {
         avgInterval: 0
     };
     
-    if (!state.wordlist || state.wordlist.length === 0) {
+    if (!wordlist || wordlist.length === 0) {
         return stats;
     }
     
@@ -573,7 +1552,7 @@ function calculateFSRSStats() {
     // Track supercards for aggregation
     const supercardMap = new Map(); // wordId_front -> { subcards: [], states: Set, dueDates: [] }
     
-    for (const word of state.wordlist) {
+    for (const word of wordlist) {
         const wordId = word.id || generateWordId(word.word, word.pinyinToned);
         
         for (const front of FRONT_TYPES) {
@@ -691,6 +1670,9 @@ function calculateFSRSStats() {
  * Render FSRS statistics in the settings UI
  */
 export function renderFSRSStats() {
+    renderReviewLogCount();
+    renderOptimizerStatus();
+    
     const container = $('#fsrsStatsContainer');
     if (!container) return;
     
@@ -805,6 +1787,88 @@ export function renderFSRSStats() {
                 <div style="font-size: 16px; font-weight: 650;">${stats.dueSoon}</div>
             </div>
         </div>
+        
+        ${renderDeckStats()}
+        
+        ${renderDueForecast()}
+    `;
+}
+
+/**
+ * Per-deck breakdown of supercard states (only shown with more than one deck)
+ */
+function renderDeckStats() {
+    const decks = state.decks || [];
+    if (decks.length < 2) return '';
+    
+    const cell = 'padding: 4px 6px; text-align: right;';
+    const rows = decks.map(deck => {
+        const words = getDeckWords(deck.id);
+        const s = calculateFSRSStats(words);
+        return `
+            <tr style="border-top: 1px solid rgba(255,255,255,.06);">
+                <td style="padding: 4px 6px; max-width: 120px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(deck.name)}</td>
+                <td style="${cell}">${words.length}</td>
+                <td style="${cell} color: var(--orange);">${s.dueNowSupercards}</td>
+                <td style="${cell}">${s.newSupercards}</td>
+                <td style="${cell} color: var(--cyan);">${s.learningSupercards + s.relearningSupercards}</td>
+                <td style="${cell} color: var(--green);">${s.reviewSupercards}</td>
+                <td style="${cell}">${s.totalLapses}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    return `
+        <div style="border-top: 1px solid rgba(255,255,255,.1); margin-top: 12px; padding-top: 12px;">
+            <div style="font-size: 11px; color: rgba(255,255,255,.5); margin-bottom: 6px;">Per deck (supercards)</div>
+            <div style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                    <thead>
+                        <tr style="color: rgba(255,255,255,.5); font-size: 11px;">
+                            <th style="padding: 4px 6px; text-align: left; font-weight: 600;">Deck</th>
+                            <th style="${cell} font-weight: 600;">Words</th>
+                            <th style="${cell} font-weight: 600;">Due</th>
+                            <th style="${cell} font-weight: 600;">New</th>
+                            <th style="${cell} font-weight: 600;">Learning</th>
+                            <th style="${cell} font-weight: 600;">Review</th>
+                            <th style="${cell} font-weight: 600;">Lapses</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Bar chart of review supercards due over the next 30 days (today includes overdue)
+ */
+function renderDueForecast() {
+    const forecast = getDueForecast(state.wordlist, state.fsrsSubcards, 30);
+    const max = Math.max(1, ...forecast.map(d => d.count));
+    const total = forecast.reduce((sum, d) => sum + d.count, 0);
+    
+    const bars = forecast.map((d, i) => {
+        const height = d.count > 0 ? Math.max(4, Math.round(d.count / max * 100)) : 0;
+        const color = i === 0 ? 'var(--orange)' : 'var(--cyan)';
+        return `<div title="${d.date}: ${d.count}" style="flex: 1; height: ${height}%; background: ${color}; border-radius: 2px 2px 0 0; opacity: .85;"></div>`;
+    }).join('');
+    
+    return `
+        <div style="border-top: 1px solid rgba(255,255,255,.1); padding-top: 12px; margin-top: 12px;">
+            <div style="display: flex; justify-content: space-between; font-size: 11px; color: rgba(255,255,255,.5); margin-bottom: 8px;">
+                <span>Supercard forecast (30 days)</span>
+                <span>${total} due · peak ${max}/day</span>
+            </div>
+            <div style="display: flex; align-items: flex-end; gap: 2px; height: 64px;">
+                ${bars}
+            </div>
+            <div style="display: flex; justify-content: space-between; font-size: 11px; color: rgba(255,255,255,.5); margin-top: 4px;">
+                <span>Today</span>
+                <span>+29d</span>
+            </div>
+        </div>
     `;
 }
 
@@ -856,6 +1920,7 @@ export function forgetSentences() {
     if (!confirm('Forget all generated sentences?')) return;
     
     state.cachedSentences = [];
+    markDirty('sentences');
     saveState();
     renderSentenceCount();
     
@@ -866,12 +1931,415 @@ export function forgetSentences() {
     }
 }
 
+export function renderReviewLogCount() {
+    const countEl = $('#reviewLogCount');
+    if (countEl) {
+        countEl.textContent = (state.reviewLog?.length || 0).toString();
+    }
+    const sel = $('#reviewLogRetention');
+    if (sel) sel.value = String(state.reviewLogRetentionDays || 0);
+    const maxSel = $('#reviewLogMaxEntries');
+    if (maxSel) maxSel.value = String(state.reviewLogMaxEntries || 0);
+}
+
+export function handleReviewLogRetentionChange() {
+    const sel = $('#reviewLogRetention');
+    const maxSel = $('#reviewLogMaxEntries');
+    if (!sel || !maxSel) return;
+    const days = Number(sel.value) || 0;
+    const maxEntries = Number(maxSel.value) || 0;
+    const dropped = countReviewLogPrunable(days, maxEntries);
+    if (dropped > 0 && !confirm(`This will permanently delete ${dropped} older review(s). Continue?`)) {
+        renderReviewLogCount();
+        return;
+    }
+    setReviewLogRetention(days, maxEntries);
+    renderReviewLogCount();
+}
+
+export function exportReviewLog(format) {
+    if (!state.reviewLog || state.reviewLog.length === 0) {
+        alert('No reviews recorded yet.');
+        return;
+    }
+    const isCsv = format === 'csv';
+    downloadFile(
+        `mandalore-reviews-${getFileDateStamp()}.${isCsv ? 'csv' : 'json'}`,
+        serializeReviewLog(isCsv ? 'csv' : 'json'),
+        isCsv ? 'text/csv' : 'application/json'
+    );
+}
+
+export function exportWordlist(format) {
+    if (!state.wordlist || state.wordlist.length === 0) {
+        alert('The wordlist is empty.');
+        return;
+    }
+    const isCsv = format === 'csv';
+    downloadFile(
+        `mandalore-wordlist-${getFileDateStamp()}.${isCsv ? 'csv' : 'json'}`,
+        serializeWordlist(isCsv ? 'csv' : 'json'),
+        isCsv ? 'text/csv' : 'application/json'
+    );
+}
+
+export function exportProgress() {
+    if (!state.wordlist || state.wordlist.length === 0) {
+        alert('The wordlist is empty.');
+        return;
+    }
+    downloadFile(`mandalore-progress-${getFileDateStamp()}.json`, serializeProgress());
+}
+
+export async function exportAnkiPackage() {
+    if (!state.wordlist || state.wordlist.length === 0) {
+        alert('The wordlist is empty.');
+        return;
+    }
+    const btn = $('#btnExportAnki');
+    if (btn) btn.disabled = true;
+    try {
+        const apkg = await buildAnkiPackage();
+        downloadFile(`mandalore-${getFileDateStamp()}.apkg`, new Blob([apkg], { type: 'application/octet-stream' }));
+    } catch (e) {
+        console.error('Anki export failed', e);
+        alert(`Anki export failed: ${e.message}`);
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
+export function forgetReviewLog() {
+    if (!confirm('Forget the entire review history? FSRS progress is kept, but past reviews cannot be recovered.')) return;
+    clearReviewLog();
+    renderReviewLogCount();
+}
+
+export function renderDailyLimits() {
+    const limits = state.dailyLimits || {};
+    const newInput = $('#dailyNewLimit');
+    const reviewInput = $('#dailyReviewLimit');
+    if (newInput) newInput.value = limits.newCards === null || limits.newCards === undefined ? '' : String(limits.newCards);
+    if (reviewInput) reviewInput.value = limits.reviews === null || limits.reviews === undefined ? '' : String(limits.reviews);
+    const strategySel = $('#newCardStrategy');
+    if (strategySel) strategySel.value = state.newCardStrategy || 'newFirst';
+    const balanceSel = $('#loadBalancing');
+    if (balanceSel) balanceSel.value = state.loadBalancing === false ? 'off' : 'on';
+    const burySel = $('#siblingBurying');
+    if (burySel) {
+        const bury = state.siblingBurying || { mode: 'off' };
+        const value = bury.mode === 'cards' ? `cards:${bury.cards}` : bury.mode;
+        // Keep custom card counts (set elsewhere) selectable
+        if (![...burySel.options].some(o => o.value === value)) {
+            burySel.add(new Option(`${bury.cards} cards later`, value));
+        }
+        burySel.value = value;
+    }
+}
+
+export function handleSiblingBuryingChange() {
+    const sel = $('#siblingBurying');
+    if (!sel) return;
+    const [mode, cards] = sel.value.split(':');
+    state.siblingBurying = {
+        mode: ['off', 'day', 'cards'].includes(mode) ? mode : 'off',
+        cards: cards ? Number(cards) : (state.siblingBurying?.cards || 10)
+    };
+    // Re-select with the new burying rule
+    state.selectionReferenceTime = null;
+    saveState();
+}
+
+export function handleLoadBalancingChange() {
+    const sel = $('#loadBalancing');
+    if (!sel) return;
+    state.loadBalancing = sel.value !== 'off';
+    saveState();
+}
+
+export function handleNewCardStrategyChange() {
+    const sel = $('#newCardStrategy');
+    if (!sel) return;
+    state.newCardStrategy = sel.value === 'interleaved' ? 'interleaved' : 'newFirst';
+    // Re-select with the new strategy
+    state.selectionReferenceTime = null;
+    saveState();
+}
+
+export function handleDailyLimitsChange() {
+    const parse = (input) => {
+        if (!input || input.value.trim() === '') return null;
+        const n = Math.floor(Number(input.value));
+        return Number.isFinite(n) && n >= 0 ? n : null;
+    };
+    state.dailyLimits = {
+        newCards: parse($('#dailyNewLimit')),
+        reviews: parse($('#dailyReviewLimit'))
+    };
+    // Re-select with the new caps
+    state.selectionReferenceTime = null;
+    saveState();
+    renderDailyLimits();
+    updateDailySupercardCounter();
+}
+
+// Modalities that can be tested on the back, and fronts that can show them
+const SCHEDULING_BACK_MODES = ['hanzi', 'pronunciation', 'pinyin', 'meaning'];
+const SCHEDULING_FRONTS = ['hanzi', 'pronunciation', 'meaning'];
+
+function schedulingInputs(scope, key, entry, inherited) {
+    const inputStyle = 'width: 72px; height: 30px; padding: 4px 6px; font-size: 13px;';
+    return `
+        <input class="field" type="number" step="0.01" min="${MIN_REQUEST_RETENTION}" max="${MAX_REQUEST_RETENTION}"
+            data-scope="${scope}" data-key="${key}" data-field="retention"
+            value="${entry.retention ?? ''}" placeholder="${inherited.retention}" style="${inputStyle}" title="Desired retention">
+        <input class="field" type="number" step="1" min="1" max="${DEFAULT_MAXIMUM_INTERVAL}"
+            data-scope="${scope}" data-key="${key}" data-field="maxInterval"
+            value="${entry.maxInterval ?? ''}" placeholder="${inherited.maxInterval}" style="${inputStyle}" title="Maximum interval (days)">
+    `;
+}
+
+export function renderSchedulingSettings() {
+    const container = $('#schedulingSettingsContainer');
+    if (!container) return;
+    
+    const settings = state.schedulingSettings || { byBackMode: {}, bySubcard: {} };
+    const defaults = { retention: DEFAULT_REQUEST_RETENTION, maxInterval: DEFAULT_MAXIMUM_INTERVAL };
+    const rowStyle = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px;';
+    const labelStyle = 'flex: 1; font-size: 13px;';
+    
+    const backRows = SCHEDULING_BACK_MODES.map(backMode => `
+        <div style="${rowStyle}">
+            <div style="${labelStyle}">${BACK_MODE_LABEL[backMode]}</div>
+            ${schedulingInputs('byBackMode', backMode, sanitizeSchedulingEntry(settings.byBackMode?.[backMode]), defaults)}
+        </div>
+    `).join('');
+    
+    const pairRows = SCHEDULING_FRONTS.map(front => getBackModesForFront(front).map(backMode => {
+        const key = `${front}_${backMode}`;
+        return `
+            <div style="${rowStyle}">
+                <div style="${labelStyle}">${FRONT_LABEL[front]} → ${BACK_MODE_LABEL[backMode]}</div>
+                ${schedulingInputs('bySubcard', key, sanitizeSchedulingEntry(settings.bySubcard?.[key]), getSchedulingParams(null, backMode))}
+            </div>
+        `;
+    }).join('')).join('');
+    
+    const overrideCount = Object.keys(settings.bySubcard || {}).length;
+    
+    container.innerHTML = `
+        <div style="display: flex; gap: 8px; margin-bottom: 6px; font-size: 11px; color: var(--muted);">
+            <div style="flex: 1;">Tested modality</div>
+            <div style="width: 72px;">Retention</div>
+            <div style="width: 72px;">Max days</div>
+        </div>
+        ${backRows}
+        <details style="margin-top: 10px;" ${overrideCount > 0 ? 'open' : ''}>
+            <summary style="font-size: 12px; color: var(--muted); cursor: pointer; margin-bottom: 8px;">Per-front overrides${overrideCount > 0 ? ` (${overrideCount})` : ''}</summary>
+            ${pairRows}
+        </details>
+        <div style="font-size: 11px; color: var(--muted); margin-top: 8px;">
+            Leave blank to inherit. Retention ${MIN_REQUEST_RETENTION}–${MAX_REQUEST_RETENTION}; changes apply from each subcard's next review.
+        </div>
+    `;
+}
+
+export function handleSchedulingSettingChange(e) {
+    const input = e.target;
+    if (!input || !input.dataset || !input.dataset.scope) return;
+    
+    const { scope, key, field } = input.dataset;
+    if (!state.schedulingSettings) {
+        state.schedulingSettings = { byBackMode: {}, bySubcard: {} };
+    }
+    const group = state.schedulingSettings[scope] || (state.schedulingSettings[scope] = {});
+    const entry = { ...(group[key] || {}) };
+    
+    if (input.value.trim() === '') {
+        delete entry[field];
+    } else {
+        entry[field] = Number(input.value);
+    }
+    
+    const sanitized = sanitizeSchedulingEntry(entry);
+    if (input.value.trim() !== '' && sanitized[field] === undefined) {
+        alert(field === 'retention'
+            ? `Retention must be between ${MIN_REQUEST_RETENTION} and ${MAX_REQUEST_RETENTION}.`
+            : `Maximum interval must be between 1 and ${DEFAULT_MAXIMUM_INTERVAL} days.`);
+        renderSchedulingSettings();
+        return;
+    }
+    
+    if (Object.keys(sanitized).length === 0) {
+        delete group[key];
+    } else {
+        group[key] = sanitized;
+    }
+    saveState();
+    renderSchedulingSettings();
+}
+
+export function resetSchedulingSettings() {
+    if (!confirm('Reset all retention targets and maximum intervals to the defaults?')) return;
+    state.schedulingSettings = { byBackMode: {}, bySubcard: {} };
+    saveState();
+    renderSchedulingSettings();
+}
+
+// Result of the last optimizer run, waiting to be adopted
+let pendingOptimizerResult = null;
+let optimizerRunning = false;
+
+export function renderOptimizerStatus() {
+    const sourceEl = $('#fsrsParamsSource');
+    const statusEl = $('#optimizerStatus');
+    const params = state.fsrsParameters;
+    
+    if (sourceEl) {
+        sourceEl.textContent = params ? 'Optimized' : 'Default';
+    }
+    if (statusEl && !optimizerRunning) {
+        if (params) {
+            const date = params.optimizedAt ? new Date(params.optimizedAt).toLocaleDateString() : 'unknown date';
+            statusEl.textContent = `Using weights fitted on ${params.reviewCount || 0} reviews (${date}).`;
+        } else {
+            const logged = state.reviewLog?.length || 0;
+            statusEl.textContent = `Using FSRS default weights. Optimizing needs at least ${MIN_REVIEWS_FOR_OPTIMIZATION} spaced reviews (${logged} logged).`;
+        }
+    }
+}
+
+function formatMetric(value) {
+    return Number.isFinite(value) ? value.toFixed(4) : '—';
+}
+
+function renderOptimizerResult(result) {
+    const resultEl = $('#optimizerResult');
+    const adoptBtn = $('#btnAdoptFSRSParams');
+    if (!resultEl) return;
+    
+    if (!result) {
+        resultEl.style.display = 'none';
+        resultEl.innerHTML = '';
+        if (adoptBtn) adoptBtn.style.display = 'none';
+        return;
+    }
+    
+    const improved = result.after.logLoss < result.before.logLoss;
+    resultEl.innerHTML = `
+        <div style="padding: 10px; background: rgba(255,255,255,.04); border-radius: 8px; font-size: 13px;">
+            <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 6px;">
+                <div style="font-size: 11px; color: var(--muted);">Metric</div>
+                <div style="font-size: 11px; color: var(--muted);">Current</div>
+                <div style="font-size: 11px; color: var(--muted);">Fitted</div>
+                <div>Log-loss</div>
+                <div>${formatMetric(result.before.logLoss)}</div>
+                <div style="font-weight: 600;">${formatMetric(result.after.logLoss)}</div>
+                <div>RMSE</div>
+                <div>${formatMetric(result.before.rmse)}</div>
+                <div style="font-weight: 600;">${formatMetric(result.after.rmse)}</div>
+            </div>
+            <div style="font-size: 11px; color: var(--muted); margin-top: 8px;">
+                Evaluated on ${result.reviewCount} spaced reviews. ${improved ? 'Lower is better.' : 'The fitted weights are no better than the current ones.'}
+            </div>
+        </div>
+    `;
+    resultEl.style.display = 'block';
+    if (adoptBtn) adoptBtn.style.display = improved ? '' : 'none';
+}
+
+export async function runOptimizer() {
+    if (optimizerRunning) return;
+    
+    const statusEl = $('#optimizerStatus');
+    const optimizeBtn = $('#btnOptimizeFSRS');
+    pendingOptimizerResult = null;
+    renderOptimizerResult(null);
+    
+    optimizerRunning = true;
+    if (optimizeBtn) optimizeBtn.disabled = true;
+    if (statusEl) statusEl.textContent = 'Optimizing…';
+    
+    try {
+        const result = await runOptimizerInWorker(state.reviewLog || [], {
+            initialWeights: state.fsrsParameters?.w || null,
+            onProgress: ({ epoch, epochs }) => {
+                if (statusEl) statusEl.textContent = `Optimizing… step ${epoch}/${epochs}`;
+            }
+        });
+        
+        optimizerRunning = false;
+        if (!result.ok) {
+            if (statusEl) statusEl.textContent = result.msg;
+            return;
+        }
+        
+        pendingOptimizerResult = result;
+        renderOptimizerStatus();
+        renderOptimizerResult(result);
+    } catch (err) {
+        optimizerRunning = false;
+        if (statusEl) statusEl.textContent = `Optimizer failed: ${err.message}`;
+    } finally {
+        if (optimizeBtn) optimizeBtn.disabled = false;
+    }
+}
+
+export function adoptOptimizedParameters() {
+    const result = pendingOptimizerResult;
+    if (!result) return;
+    if (!confirm('Use the fitted weights for all future reviews? Existing due dates are kept until each card is next reviewed.')) return;
+    
+    state.fsrsParameters = {
+        w: result.w,
+        optimizedAt: new Date().toISOString(),
+        reviewCount: result.reviewCount,
+        before: result.before,
+        after: result.after
+    };
+    resetFSRSInstance();
+    saveState();
+    
+    pendingOptimizerResult = null;
+    renderOptimizerResult(null);
+    renderOptimizerStatus();
+}
+
+export function resetFSRSParameters() {
+    if (!state.fsrsParameters) {
+        pendingOptimizerResult = null;
+        renderOptimizerResult(null);
+        renderOptimizerStatus();
+        return;
+    }
+    if (!confirm('Go back to the FSRS default weights?')) return;
+    
+    state.fsrsParameters = null;
+    resetFSRSInstance();
+    saveState();
+    renderOptimizerStatus();
+}
+
 export function forgetFSRS() {
     if (!confirm('Forget all FSRS-6 learning data? This will reset all spaced repetition progress.')) return;
     
     state.fsrsSubcards = {};
+    markDirty('subcards');
+    // Leech flags describe the forgotten history
+    for (const [key, flags] of Object.entries(state.supercardFlags || {})) {
+        if (flags.suspendedBy === 'leech') {
+            delete flags.suspended;
+            delete flags.suspendedBy;
+        }
+        delete flags.leech;
+        delete flags.leechClearedAt;
+        delete flags.lapsesAtClear;
+        if (Object.keys(flags).length === 0) delete state.supercardFlags[key];
+    }
+    clearUndoHistory();
     saveState();
     renderFSRSStats();
+    renderLeeches();
 }
 
 // Back mode labels for display
@@ -898,6 +2366,12 @@ function formatPedigree(pedigree) {
             return '[Limbo]';
         case 'Variety':
             return '[Variety]';
+        case 'Sibling Buried':
+            return pedigree.until === 'day' ? '[Sibling Buried · until tomorrow]' : '[Sibling Buried · a few cards]';
+        case 'Suspended':
+            return '[Suspended]';
+        case 'Buried':
+            return '[Buried · until tomorrow]';
         default:
             return `[${pedigree.reason}]`;
     }
@@ -915,14 +2389,15 @@ export function viewAllSupercards() {
     // Clear existing content
     container.innerHTML = '';
     
-    if (!state.wordlist || state.wordlist.length === 0) {
+    const studyWords = getStudyWordlist();
+    if (studyWords.length === 0) {
         container.innerHTML = '<div style="padding: 20px; text-align: center; color: rgba(255,255,255,.5); font-weight: 650;">No words loaded. Import a wordlist to see supercards.</div>';
         modal.style.display = 'flex';
         return;
     }
     
     // Get all supercards with pedigree
-    const supercards = getAllSupercardsWithPedigree(state.wordlist, state.fsrsSubcards, state.lastWordId);
+    const supercards = getAllSupercardsWithPedigree(studyWords, state.fsrsSubcards, state.lastWordId);
     
     if (supercards.length === 0) {
         container.innerHTML = '<div style="padding: 20px; text-align: center; color: rgba(255,255,255,.5); font-weight: 650;">No supercards available.</div>';
@@ -989,6 +2464,7 @@ export function showWordDetail(word, front, supercardData) {
     
     // Set title
     title.textContent = `${word.word} (${FRONT_LABEL[front]})`;
+    modal.dataset.front = front;
     
     // Word information
     const wordInfo = document.createElement('div');
@@ -1003,6 +2479,12 @@ export function showWordDetail(word, front, supercardData) {
     `;
     container.appendChild(wordInfo);
     
+    // Tags (editable)
+    container.appendChild(renderWordTagsEditor(word));
+    
+    // Suspend / bury / delete
+    container.appendChild(renderWordActions(word, front));
+    
     // FSRS Information
     const fsrsInfo = document.createElement('div');
     fsrsInfo.style.marginBottom = '20px';
@@ -1067,6 +2549,11 @@ export function showWordDetail(word, front, supercardData) {
         const subcard = getOrCreateSubcard(word.id, front, backMode, state.fsrsSubcards);
         const backModeLabel = BACK_MODE_LABEL[backMode] || backMode;
         
+        const resetButton = `
+            <button class="btn ghost" type="button" data-word-action="resetSubcard" data-back-mode="${backMode}"
+                style="font-size: 12px; padding: 4px 10px;">Reset</button>
+        `;
+        
         if (!subcard || !subcard.last_review) {
             subcardsHTML += `
                 <div style="background: rgba(255,255,255,.03); border-radius: 6px; padding: 10px; margin-bottom: 8px;">
@@ -1087,7 +2574,10 @@ export function showWordDetail(word, front, supercardData) {
             
             subcardsHTML += `
                 <div style="background: rgba(255,255,255,.03); border-radius: 6px; padding: 10px; margin-bottom: 8px;">
-                    <div style="font-weight: 650; font-size: 13px; margin-bottom: 6px;">${backModeLabel}</div>
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+                        <div style="font-weight: 650; font-size: 13px;">${backModeLabel}</div>
+                        ${resetButton}
+                    </div>
                     <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 6px; font-size: 12px; color: rgba(255,255,255,.7);">
                         <div><span style="color: rgba(255,255,255,.5);">State:</span> ${stateName}</div>
                         <div><span style="color: rgba(255,255,255,.5);">Due:</span> ${dueText}</div>
@@ -1102,12 +2592,192 @@ export function showWordDetail(word, front, supercardData) {
     }
     
     subcardsInfo.innerHTML = `<div style="background: rgba(255,255,255,.04); border-radius: 8px; padding: 12px;">${subcardsHTML}</div>`;
+    subcardsInfo.querySelectorAll('[data-word-action="resetSubcard"]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const backModeLabel = BACK_MODE_LABEL[btn.dataset.backMode] || btn.dataset.backMode;
+            if (!confirm(`Reset ${word.word} (${FRONT_LABEL[front]} → ${backModeLabel})? Its FSRS progress is lost.`)) return;
+            if (resetSubcard(word.id, front, btn.dataset.backMode)) {
+                refreshAfterWordAction(word.id, front, { skipCard: true });
+            }
+        });
+    });
     container.appendChild(subcardsInfo);
     
     // Show modal
     modal.style.display = 'flex';
 }
 
+/**
+ * Suspend / bury / delete buttons for the word detail modal
+ * @param {Object} word - Word shown in the modal
+ * @param {string} front - Front shown in the modal
+ * @returns {HTMLElement}
+ */
+function renderWordActions(word, front) {
+    const frontLabel = FRONT_LABEL[front] || front;
+    const wordSuspended = isWordSuspended(word.id);
+    const frontSuspended = isSupercardSuspended(word.id, front);
+    const frontBuried = isBuried(word.id, front);
+    const box = document.createElement('div');
+    box.style.marginBottom = '20px';
+    
+    const button = (action, label) => `
+        <button class="btn ghost" type="button" data-word-action="${action}" style="font-size: 12px; padding: 4px 10px;">${label}</button>
+    `;
+    box.innerHTML = `
+        <div style="background: rgba(255,255,255,.04); border-radius: 8px; padding: 12px;">
+            <div style="font-size: 11px; color: rgba(255,255,255,.5); margin-bottom: 8px;">Actions</div>
+            <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+                ${wordSuspended ? button('unsuspendWord', 'Unsuspend word') : button('suspendWord', 'Suspend word')}
+                ${frontSuspended ? button('unsuspendFront', `Unsuspend ${frontLabel}`) : button('suspendFront', `Suspend ${frontLabel}`)}
+                ${frontBuried ? button('unbury', 'Unbury') : button('buryFront', `Bury ${frontLabel} until tomorrow`)}
+                ${button('buryWord', 'Bury word until tomorrow')}
+                <button class="btn ghost" type="button" data-word-action="delete" style="font-size: 12px; padding: 4px 10px; color: var(--pink);">Delete word</button>
+            </div>
+            <div style="font-size: 12px; color: rgba(255,255,255,.5); margin-top: 8px;">
+                Suspended cards stay out of the queue until unsuspended; buried cards come back tomorrow.
+            </div>
+        </div>
+    `;
+    
+    box.addEventListener('click', (event) => {
+        const action = event.target.closest('[data-word-action]')?.dataset.wordAction;
+        if (!action) return;
+        
+        switch (action) {
+            case 'suspendWord':
+            case 'unsuspendWord':
+                setSuspended(word.id, null, action === 'suspendWord');
+                refreshAfterWordAction(word.id, null);
+                break;
+            case 'suspendFront':
+            case 'unsuspendFront':
+                setSuspended(word.id, front, action === 'suspendFront');
+                refreshAfterWordAction(word.id, front);
+                break;
+            case 'buryFront':
+                buryUntilTomorrow(word.id, front);
+                refreshAfterWordAction(word.id, front);
+                break;
+            case 'buryWord':
+                buryUntilTomorrow(word.id, null);
+                refreshAfterWordAction(word.id, null);
+                break;
+            case 'unbury':
+                unbury(word.id, front);
+                refreshAfterWordAction(word.id, front);
+                break;
+            case 'delete':
+                if (!confirm(`Delete ${word.word} with all of its progress? This can't be undone.`)) return;
+                deleteWord(word.id);
+                clearUndoHistory();
+                refreshAfterWordAction(word.id, null, { deleted: true });
+                break;
+        }
+    });
+    
+    return box;
+}
+
+/**
+ * Save and re-render after a word action from the word detail modal
+ * @param {string} wordId - Word the action touched
+ * @param {string|null} front - Front it touched (null = every front)
+ * @param {Object} options - { deleted: word is gone, skipCard: leave the current card alone }
+ */
+function refreshAfterWordAction(wordId, front, options = {}) {
+    const { deleted = false, skipCard = false } = options;
+    saveState();
+    renderWordCount();
+    renderFSRSStats();
+    renderDecks();
+    renderWordBrowser();
+    renderFilteredSessionOptions();
+    renderLeeches();
+    updateDailySupercardCounter();
+    
+    // The card on screen may have just been suspended, buried or deleted
+    if (!skipCard && state.card.id === wordId && (!front || state.card.front === front)) {
+        nextCard();
+    }
+    
+    // Refresh the supercard list and the detail view (positions and pedigrees moved)
+    const listModal = $('#supercardsModal');
+    if (listModal && listModal.style.display === 'flex') {
+        viewAllSupercards();
+    }
+    const detailFront = front || $('#wordDetailModal')?.dataset.front;
+    const supercard = deleted ? null : getAllSupercardsWithPedigree(getStudyWordlist(), state.fsrsSubcards, state.lastWordId)
+        .find(sc => sc.word.id === wordId && sc.front === detailFront);
+    if (supercard) {
+        showWordDetail(supercard.word, supercard.front, supercard);
+    } else {
+        closeWordDetailModal();
+    }
+}
+
+/**
+ * Tag chips with remove buttons and an input to add tags, for the word detail modal
+ * @param {Object} word - Word shown in the modal
+ * @returns {HTMLElement}
+ */
+function renderWordTagsEditor(word) {
+    // Edit the wordlist entry itself (the pedigree list may hand us a copy)
+    const entry = state.wordlist.find(w => w.id === word.id) || word;
+    const box = document.createElement('div');
+    box.style.marginBottom = '20px';
+    
+    const render = () => {
+        const chips = getWordTags(entry).map(tag => `
+            <span style="display: inline-flex; align-items: center; gap: 4px; padding: 2px 8px; border-radius: 10px; background: rgba(255,255,255,.08); font-size: 12px;">
+                ${escapeHtml(tag)}
+                <button type="button" data-remove-tag="${escapeHtml(tag)}" aria-label="Remove tag"
+                    style="background: none; border: none; color: rgba(255,255,255,.5); cursor: pointer; padding: 0; font-size: 12px;">✕</button>
+            </span>
+        `).join('');
+        box.innerHTML = `
+            <div style="background: rgba(255,255,255,.04); border-radius: 8px; padding: 12px;">
+                <div style="font-size: 11px; color: rgba(255,255,255,.5); margin-bottom: 8px;">Tags</div>
+                <div style="display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 8px;">
+                    ${chips || '<span style="font-size: 12px; color: rgba(255,255,255,.5);">No tags</span>'}
+                </div>
+                <div style="display: flex; gap: 8px;">
+                    <input class="field" type="text" data-role="newTags" placeholder="food, lesson-12" autocomplete="off"
+                        style="height: 32px; padding: 4px 8px; font-size: 13px; flex: 1;">
+                    <button class="btn ghost" type="button" data-role="addTags" style="font-size: 12px; padding: 4px 10px;">Add</button>
+                </div>
+            </div>
+        `;
+        
+        const input = box.querySelector('[data-role="newTags"]');
+        const add = () => {
+            if (!input.value.trim()) return;
+            addWordTags(entry, input.value);
+            saveState();
+            renderFilteredSessionOptions();
+            render();
+        };
+        box.querySelector('[data-role="addTags"]').addEventListener('click', add);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                add();
+            }
+        });
+        box.querySelectorAll('[data-remove-tag]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                removeWordTag(entry, btn.dataset.removeTag);
+                saveState();
+                renderFilteredSessionOptions();
+                render();
+            });
+        });
+    };
+    
+    render();
+    return box;
+}
+
 /**
  * Close supercards modal
  */
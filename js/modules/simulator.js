@@ -0,0 +1,306 @@
+/**
+ * Scheduling Simulator
+ *
+ * Runs synthetic learners through N simulated days using the real selection and
+ * scheduling code (getNextSupercard → recordReview → commitSupercardSelection),
+ * so queue behaviour over weeks can be checked without touching real progress.
+ *
+ * The simulation works on a scratch copy of the state: the clock is overridden,
+ * saveState() is suppressed, and everything is restored afterwards.
+ *
+ * LEARNER MODEL:
+ * - recall[backMode]: chance of answering a subcard right when it is reviewed exactly
+ *   at the default target retention; scaled by FSRS retrievability (R / 0.9) otherwise
+ * - firstSeenRecall: chance of getting a never-reviewed subcard right
+ * - skipDayProbability: chance of not studying at all on a given day
+ * - cardsPerDay: most supercards the learner will do in one day (daily limits still apply)
+ * - stopWhenQueueEmpty: stop once no new cards and no due reviews are left today
+ *   (false = keep practising not-yet-due cards up to cardsPerDay)
+ *
+ * Usage: MandaloreDebug.simulate({ days: 30, learners: [{ name: 'weak tones', recall: { pronunciation: 0.6 } }] })
+ */
+
+import { state, getNow, setClockOverride, setSaveSuppressed, incrementDailySupercardCount } from '../state.js';
+import {
+    getNextSupercard, recordReview, commitSupercardSelection, getOrCreateSubcard, getSubcardKey,
+    getBackModesForFront, getSupercardKey, getRetrievability, getDailyQueueStatus,
+    DEFAULT_REQUEST_RETENTION, LIMBO_BOOST_THRESHOLD_DAYS
+} from './fsrs.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const FRONT_TYPES = ['hanzi', 'pronunciation', 'meaning'];
+
+// State fields the simulation mutates (snapshotted and restored)
+const SIMULATED_FIELDS = [
+    'wordlist', 'fsrsSubcards', 'supercardLastShown', 'lastWordId', 'selectionReferenceTime',
+    'consecutiveDueCards', 'consecutiveNewCards', 'dailySupercardCount', 'dailySupercardDate',
+    'dailyNewCount', 'dailyReviewCount', 'dailyLimitsLifted', 'dailyLimits', 'newCardStrategy', 'loadBalancing',
+    'siblingBurying', 'recentSupercards'
+];
+
+const DEFAULT_LEARNER = {
+    name: 'Average learner',
+    recall: { hanzi: 0.9, pronunciation: 0.85, meaning: 0.9, pinyin: 0.85 },
+    firstSeenRecall: 0.3,
+    skipDayProbability: 0,
+    cardsPerDay: 150,
+    stopWhenQueueEmpty: true
+};
+
+const SESSION_START_HOUR = 9; // Simulated study starts at 09:00 local time
+const SECONDS_PER_SUPERCARD = 30; // Simulated time spent on each supercard
+
+/**
+ * Small seeded RNG (mulberry32) so runs are reproducible
+ * @param {number} seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Build a synthetic wordlist
+ * @param {number} count - Number of words
+ * @returns {Array}
+ */
+function createSyntheticWordlist(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `sim-${String(i).padStart(4, '0')}`,
+        word: `词${i}`,
+        pinyinToned: `cí${i}`,
+        pinyinBare: `ci${i}`,
+        tones: '2',
+        meaning: `word ${i}`
+    }));
+}
+
+/**
+ * Probability that the learner answers a subcard right
+ */
+function getRecallProbability(learner, backMode, subcard, now) {
+    if (!subcard || !subcard.last_review) {
+        return learner.firstSeenRecall;
+    }
+    const base = learner.recall[backMode] ?? DEFAULT_LEARNER.recall[backMode];
+    const r = getRetrievability(subcard, now);
+    return Math.max(0, Math.min(1, base * r / DEFAULT_REQUEST_RETENTION));
+}
+
+/**
+ * Simulate one learner on the scratch state
+ * @returns {Object} - Report for this learner
+ */
+function simulateLearner(learner, options, baseWordlist) {
+    const { days, startDate, seed, dailyLimits, strategy, loadBalancing } = options;
+    const random = createRandom(seed);
+
+    // Fresh scratch state
+    state.wordlist = baseWordlist;
+    state.fsrsSubcards = {};
+    state.supercardLastShown = {};
+    state.recentSupercards = [];
+    state.lastWordId = '';
+    state.selectionReferenceTime = null;
+    state.consecutiveDueCards = 0;
+    state.consecutiveNewCards = 0;
+    state.dailySupercardCount = 0;
+    state.dailySupercardDate = null;
+    state.dailyNewCount = 0;
+    state.dailyReviewCount = 0;
+    state.dailyLimitsLifted = false;
+    if (dailyLimits) state.dailyLimits = { ...dailyLimits };
+    if (strategy) state.newCardStrategy = strategy;
+    if (typeof loadBalancing === 'boolean') state.loadBalancing = loadBalancing;
+
+    const daily = [];
+    let reviewedSubcards = 0;
+    let reviewedCorrect = 0;
+
+    for (let day = 0; day < days; day++) {
+        const dayStart = new Date(startDate);
+        dayStart.setDate(dayStart.getDate() + day);
+        dayStart.setHours(SESSION_START_HOUR, 0, 0, 0);
+        let clock = dayStart;
+        setClockOverride(clock);
+
+        const startStatus = getDailyQueueStatus(state.wordlist, state.fsrsSubcards, clock);
+        const row = {
+            day: day + 1,
+            date: dayStart.toISOString().slice(0, 10),
+            studied: false,
+            dueAtStart: startStatus.dueReviews,
+            supercards: 0,
+            newCards: 0,
+            reviews: 0,
+            subcardReviews: 0,
+            correct: 0,
+            retention: null,
+            backlogAtEnd: 0
+        };
+
+        if (random() >= learner.skipDayProbability) {
+            row.studied = true;
+
+            while (row.supercards < learner.cardsPerDay) {
+                if (learner.stopWhenQueueEmpty) {
+                    const status = getDailyQueueStatus(state.wordlist, state.fsrsSubcards, clock);
+                    if (status.newLeft === 0 && status.reviewsLeft === 0) break;
+                }
+
+                state.selectionReferenceTime = null;
+                const next = getNextSupercard(state.wordlist, state.fsrsSubcards, state.lastWordId);
+                if (!next) break;
+
+                const wordId = next.word.id;
+                for (const backMode of getBackModesForFront(next.front)) {
+                    const subcard = getOrCreateSubcard(wordId, next.front, backMode, state.fsrsSubcards);
+                    const wasReviewed = !!subcard.last_review;
+                    const passed = random() < getRecallProbability(learner, backMode, subcard, clock);
+                    const result = recordReview(subcard, clock, passed ? 3 : 1, { wordId, front: next.front, backMode });
+                    if (!result || !result.card) continue;
+
+                    state.fsrsSubcards[getSubcardKey(wordId, next.front, backMode)] = result.card;
+                    row.subcardReviews++;
+                    if (passed) row.correct++;
+                    if (wasReviewed) {
+                        reviewedSubcards++;
+                        if (passed) reviewedCorrect++;
+                    }
+                }
+
+                commitSupercardSelection(wordId, next.front, next.poolName);
+                incrementDailySupercardCount();
+
+                row.supercards++;
+                if (next.poolName && next.poolName.startsWith('NEW')) {
+                    row.newCards++;
+                } else {
+                    row.reviews++;
+                }
+
+                clock = new Date(clock.getTime() + SECONDS_PER_SUPERCARD * 1000);
+                setClockOverride(clock);
+            }
+        }
+
+        row.retention = row.subcardReviews > 0 ? +(row.correct / row.subcardReviews).toFixed(3) : null;
+        row.backlogAtEnd = getDailyQueueStatus(state.wordlist, state.fsrsSubcards, clock).dueReviews;
+        daily.push(row);
+    }
+
+    // Limbo check at the end of the run
+    const endTime = getNow();
+    let neverShown = 0;
+    let limboCards = 0;
+    let maxDaysSinceShown = 0;
+    for (const word of state.wordlist) {
+        for (const front of FRONT_TYPES) {
+            const lastShown = state.supercardLastShown[getSupercardKey(word.id, front)];
+            if (!lastShown) {
+                neverShown++;
+                continue;
+            }
+            const daysSince = (endTime - new Date(lastShown)) / MS_PER_DAY;
+            maxDaysSinceShown = Math.max(maxDaysSinceShown, daysSince);
+            if (daysSince >= LIMBO_BOOST_THRESHOLD_DAYS) limboCards++;
+        }
+    }
+
+    const studiedDays = daily.filter(d => d.studied);
+    const workloads = daily.map(d => d.supercards);
+    const totalSupercards = workloads.reduce((a, b) => a + b, 0);
+
+    return {
+        learner: learner.name,
+        days,
+        words: state.wordlist.length,
+        daily,
+        summary: {
+            totalSupercards,
+            studiedDays: studiedDays.length,
+            avgSupercardsPerStudyDay: studiedDays.length > 0 ? +(totalSupercards / studiedDays.length).toFixed(1) : 0,
+            peakSupercards: Math.max(0, ...workloads),
+            newIntroduced: daily.reduce((a, d) => a + d.newCards, 0),
+            reviewRetention: reviewedSubcards > 0 ? +(reviewedCorrect / reviewedSubcards).toFixed(3) : null,
+            backlogAtEnd: daily.length > 0 ? daily[daily.length - 1].backlogAtEnd : 0,
+            neverShown,
+            limboCards,
+            maxDaysSinceShown: +maxDaysSinceShown.toFixed(1)
+        }
+    };
+}
+
+/**
+ * Run the scheduling simulation
+ * @param {Object} options
+ * @param {number} options.days - Simulated days (default 30)
+ * @param {Array} options.learners - Learner configs (see LEARNER MODEL); missing fields use defaults
+ * @param {number} options.wordCount - Use a synthetic wordlist of this size (default: current wordlist, or 100 words if empty)
+ * @param {Object} options.dailyLimits - Override { newCards, reviews } for the run
+ * @param {string} options.strategy - Override 'newFirst' / 'interleaved' for the run
+ * @param {boolean} options.loadBalancing - Override due-date load balancing for the run
+ * @param {number} options.seed - RNG seed for learner answers (default 1)
+ * @param {boolean} options.log - Print a table per learner (default true)
+ * @returns {Array} - One report per learner
+ */
+export function runSimulation(options = {}) {
+    const {
+        days = 30,
+        learners = [DEFAULT_LEARNER],
+        wordCount = null,
+        dailyLimits = null,
+        strategy = null,
+        loadBalancing = null,
+        seed = 1,
+        log = true
+    } = options;
+
+    const baseWordlist = wordCount
+        ? createSyntheticWordlist(wordCount)
+        : (state.wordlist && state.wordlist.length > 0 ? state.wordlist.slice() : createSyntheticWordlist(100));
+
+    // Snapshot the real state so the simulation can't leak into it
+    const snapshot = {};
+    for (const field of SIMULATED_FIELDS) {
+        snapshot[field] = structuredClone(state[field]);
+    }
+
+    const startDate = getNow();
+    const reports = [];
+
+    setSaveSuppressed(true);
+    try {
+        learners.forEach((config, i) => {
+            const learner = {
+                ...DEFAULT_LEARNER,
+                ...config,
+                name: config.name || `Learner ${i + 1}`,
+                recall: { ...DEFAULT_LEARNER.recall, ...(config.recall || {}) }
+            };
+            const report = simulateLearner(learner, { days, startDate, seed: seed + i, dailyLimits, strategy, loadBalancing }, baseWordlist);
+            reports.push(report);
+
+            if (log) {
+                console.log(`[Simulator] ${report.learner}: ${report.words} words, ${days} days`);
+                console.table(report.daily);
+                console.log('[Simulator] Summary:', report.summary);
+            }
+        });
+    } finally {
+        for (const field of SIMULATED_FIELDS) {
+            state[field] = snapshot[field];
+        }
+        setClockOverride(null);
+        setSaveSuppressed(false);
+    }
+
+    return reports;
+}
@@ -0,0 +1,433 @@
+/**
+ * SQLite Writer
+ *
+ * Builds a complete SQLite 3 database file in memory, for exports whose format is
+ * a database (the Anki package's collection.anki2, see ankiPackage.js). Write-only
+ * and single-shot: every table's rows are known up front, so each b-tree is bulk
+ * built bottom-up (leaves packed in key order, then interior levels) instead of
+ * going through inserts and page splits.
+ *
+ * Supported: tables with an INTEGER PRIMARY KEY (rowid alias) or implicit rowids,
+ * indexes over columns of those tables, overflow pages for large rows, values of
+ * type null / integer / float / string / Uint8Array. No freelist, no WAL, UTF-8.
+ *
+ * File format reference: https://www.sqlite.org/fileformat2.html
+ */
+
+const PAGE_SIZE = 4096;
+const USABLE = PAGE_SIZE;
+
+const PAGE_INDEX_INTERIOR = 0x02;
+const PAGE_TABLE_INTERIOR = 0x05;
+const PAGE_INDEX_LEAF = 0x0A;
+const PAGE_TABLE_LEAF = 0x0D;
+
+// Largest payload kept on a b-tree page before spilling to overflow pages
+const TABLE_MAX_LOCAL = USABLE - 35;
+const INDEX_MAX_LOCAL = Math.floor((USABLE - 12) * 64 / 255) - 23;
+const MIN_LOCAL = Math.floor((USABLE - 12) * 32 / 255) - 23;
+
+// Reported as the writing library version in the header
+const SQLITE_VERSION_NUMBER = 3045000;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Encode a SQLite varint (big-endian, 7 bits per byte, 9th byte holds 8 bits)
+ * @param {number} value - Non-negative integer up to 2^53
+ * @returns {Array<number>}
+ */
+function varint(value) {
+    if (value < 0x80) return [value];
+    const bytes = [];
+    let v = value;
+    while (v > 0) {
+        bytes.unshift(v % 128);
+        v = Math.floor(v / 128);
+    }
+    if (bytes.length > 8) throw new Error('Varint too large');
+    return bytes.map((b, i) => i < bytes.length - 1 ? b | 0x80 : b);
+}
+
+/**
+ * Big-endian integer bytes (two's complement for negatives)
+ * @param {number} value
+ * @param {number} size - 1, 2, 3, 4, 6 or 8
+ * @returns {Array<number>}
+ */
+function intBytes(value, size) {
+    const bytes = [];
+    let v = BigInt(value);
+    if (v < 0n) v += 1n << BigInt(size * 8);
+    for (let i = 0; i < size; i++) {
+        bytes.unshift(Number(v & 0xFFn));
+        v >>= 8n;
+    }
+    return bytes;
+}
+
+function be32(value) {
+    return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Serial type and body of one record value
+ * @param {*} value
+ * @returns {Object} - { type, body }
+ */
+function encodeValue(value) {
+    if (value === null || value === undefined) return { type: 0, body: [] };
+    if (typeof value === 'boolean') return { type: value ? 9 : 8, body: [] };
+    if (typeof value === 'number') {
+        if (!Number.isInteger(value)) {
+            const view = new DataView(new ArrayBuffer(8));
+            view.setFloat64(0, value);
+            return { type: 7, body: [...new Uint8Array(view.buffer)] };
+        }
+        if (value === 0) return { type: 8, body: [] };
+        if (value === 1) return { type: 9, body: [] };
+        const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [6, 5], [8, 6]];
+        for (const [size, type] of sizes) {
+            const limit = 2 ** (size * 8 - 1);
+            if (value >= -limit && value < limit) return { type, body: intBytes(value, size) };
+        }
+        throw new Error(`Integer out of range: ${value}`);
+    }
+    if (value instanceof Uint8Array) return { type: value.length * 2 + 12, body: [...value] };
+    const bytes = textEncoder.encode(String(value));
+    return { type: bytes.length * 2 + 13, body: [...bytes] };
+}
+
+/**
+ * Encode a record (header of serial types, then the values)
+ * @param {Array} values
+ * @returns {Uint8Array}
+ */
+function encodeRecord(values) {
+    const encoded = values.map(encodeValue);
+    const types = encoded.flatMap(e => varint(e.type));
+    // The header size counts its own varint
+    let headerSize = types.length + 1;
+    while (types.length + varint(headerSize).length !== headerSize) headerSize++;
+    return Uint8Array.from([...varint(headerSize), ...types, ...encoded.flatMap(e => e.body)]);
+}
+
+/**
+ * Order of two values under SQLite's rules (NULL < numbers < text < blob; BINARY collation)
+ */
+function compareValues(a, b) {
+    const rank = v => v === null || v === undefined ? 0 : typeof v === 'number' || typeof v === 'boolean' ? 1 : v instanceof Uint8Array ? 3 : 2;
+    const ra = rank(a);
+    const rb = rank(b);
+    if (ra !== rb) return ra - rb;
+    if (ra === 0) return 0;
+    if (ra === 1) return Number(a) - Number(b);
+    const ba = ra === 2 ? textEncoder.encode(a) : a;
+    const bb = ra === 2 ? textEncoder.encode(b) : b;
+    for (let i = 0; i < Math.min(ba.length, bb.length); i++) {
+        if (ba[i] !== bb[i]) return ba[i] - bb[i];
+    }
+    return ba.length - bb.length;
+}
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        const c = compareValues(a[i], b[i]);
+        if (c !== 0) return c;
+    }
+    return 0;
+}
+
+/**
+ * Page store: page numbers are 1-based, page 1 holds the file header and sqlite_master
+ */
+function createPager() {
+    const pages = [null];
+    return {
+        pages,
+        allocate() {
+            pages.push(null);
+            return pages.length;
+        },
+        write(number, bytes) {
+            pages[number - 1] = bytes;
+        }
+    };
+}
+
+/**
+ * Bytes a payload takes on its b-tree page (plus the overflow pointer if it spills)
+ */
+function localPayloadSize(payloadSize, maxLocal) {
+    if (payloadSize <= maxLocal) return payloadSize;
+    const k = MIN_LOCAL + ((payloadSize - MIN_LOCAL) % (USABLE - 4));
+    return (k <= maxLocal ? k : MIN_LOCAL) + 4;
+}
+
+/**
+ * Build a cell: prefix, the local part of the payload, and an overflow chain for the rest
+ * @param {Array<number>} prefix - Child pointer / size / rowid varints
+ * @param {Uint8Array} payload
+ * @param {number} maxLocal
+ * @param {Object} pager
+ * @returns {Uint8Array}
+ */
+function buildCell(prefix, payload, maxLocal, pager) {
+    if (payload.length <= maxLocal) return Uint8Array.from([...prefix, ...payload]);
+
+    const k = MIN_LOCAL + ((payload.length - MIN_LOCAL) % (USABLE - 4));
+    const local = k <= maxLocal ? k : MIN_LOCAL;
+    const chunks = [];
+    for (let offset = local; offset < payload.length; offset += USABLE - 4) {
+        chunks.push(payload.subarray(offset, offset + USABLE - 4));
+    }
+    const numbers = chunks.map(() => pager.allocate());
+    chunks.forEach((chunk, i) => {
+        const page = new Uint8Array(PAGE_SIZE);
+        page.set(be32(numbers[i + 1] || 0), 0);
+        page.set(chunk, 4);
+        pager.write(numbers[i], page);
+    });
+    return Uint8Array.from([...prefix, ...payload.subarray(0, local), ...be32(numbers[0])]);
+}
+
+/**
+ * Lay out one b-tree page
+ * @param {number} type - Page type flag
+ * @param {Array<Uint8Array>} cells - In key order
+ * @param {number} rightPointer - Right-most child (interior pages)
+ * @param {number} headerOffset - 100 on page 1 (after the file header)
+ * @returns {Uint8Array}
+ */
+function layoutPage(type, cells, rightPointer, headerOffset = 0) {
+    const page = new Uint8Array(PAGE_SIZE);
+    const interior = type === PAGE_TABLE_INTERIOR || type === PAGE_INDEX_INTERIOR;
+    const headerSize = interior ? 12 : 8;
+    let contentStart = USABLE;
+    const pointers = [];
+    for (const cell of cells) {
+        contentStart -= cell.length;
+        page.set(cell, contentStart);
+        pointers.push(contentStart);
+    }
+    if (headerOffset + headerSize + pointers.length * 2 > contentStart) throw new Error('B-tree page overflow');
+
+    page[headerOffset] = type;
+    page.set([0, 0], headerOffset + 1);
+    page.set([cells.length >> 8, cells.length & 0xFF], headerOffset + 3);
+    page.set([(contentStart >> 8) & 0xFF, contentStart & 0xFF], headerOffset + 5);
+    page[headerOffset + 7] = 0;
+    if (interior) page.set(be32(rightPointer), headerOffset + 8);
+    pointers.forEach((offset, i) => {
+        page.set([offset >> 8, offset & 0xFF], headerOffset + headerSize + i * 2);
+    });
+    return page;
+}
+
+function fits(used, count, cellSize, headerSize) {
+    return headerSize + (count + 1) * 2 + used + cellSize <= USABLE;
+}
+
+/**
+ * Build the interior levels above a row of pages
+ * @param {Array<number>} children - Page numbers, in key order
+ * @param {Array} dividers - dividers[i] separates children[i] and children[i + 1]
+ * @param {Function} cellFor - (child, divider) -> { size, build() }
+ * @param {number} type - Interior page type
+ * @param {Object} pager
+ * @returns {number} - Root page number
+ */
+function buildInteriorLevels(children, dividers, cellFor, type, pager) {
+    while (children.length > 1) {
+        // Group the children into nodes: a node holds children[start..end], the dividers
+        // between them as cells and children[end] as its right-most pointer
+        const ends = [];
+        let used = 0;
+        let count = 0;
+        for (let i = 0; i < children.length - 1; i++) {
+            const { size } = cellFor(children[i], dividers[i]);
+            if (count > 0 && !fits(used, count, size, 12)) {
+                ends.push(i);
+                used = 0;
+                count = 0;
+                continue;
+            }
+            used += size;
+            count++;
+        }
+        // A node needs at least one cell: a last node with just the last child takes
+        // the previous node's right-most child
+        if (count === 0 && ends.length > 0) ends[ends.length - 1]--;
+        ends.push(children.length - 1);
+
+        const nextChildren = [];
+        const nextDividers = [];
+        let start = 0;
+        for (const end of ends) {
+            const cells = [];
+            for (let i = start; i < end; i++) cells.push(cellFor(children[i], dividers[i]).build());
+            const number = pager.allocate();
+            pager.write(number, layoutPage(type, cells, children[end]));
+            nextChildren.push(number);
+            if (end < children.length - 1) nextDividers.push(dividers[end]);
+            start = end + 1;
+        }
+        children = nextChildren;
+        dividers = nextDividers;
+    }
+    return children[0];
+}
+
+/**
+ * Write a table b-tree
+ * @param {Array} rows - [{ rowid, values }] sorted by rowid
+ * @param {Object} pager
+ * @returns {number} - Root page number
+ */
+function writeTable(rows, pager) {
+    const leaves = [];
+    const maxRowids = [];
+    let cells = [];
+    let used = 0;
+    const closeLeaf = () => {
+        const number = pager.allocate();
+        pager.write(number, layoutPage(PAGE_TABLE_LEAF, cells.map(c => c.build()), 0));
+        leaves.push(number);
+        cells = [];
+        used = 0;
+    };
+
+    let previousRowid = null;
+    for (const { rowid, values } of rows) {
+        const payload = encodeRecord(values);
+        const prefix = [...varint(payload.length), ...varint(rowid)];
+        const size = prefix.length + localPayloadSize(payload.length, TABLE_MAX_LOCAL);
+        if (cells.length > 0 && !fits(used, cells.length, size, 8)) {
+            closeLeaf();
+            // Interior keys are the largest rowid of the subtree on their left
+            maxRowids.push(previousRowid);
+        }
+        previousRowid = rowid;
+        cells.push({ size, build: () => buildCell(prefix, payload, TABLE_MAX_LOCAL, pager) });
+        used += size;
+    }
+    closeLeaf();
+
+    const cellFor = (child, rowid) => {
+        const bytes = Uint8Array.from([...be32(child), ...varint(rowid)]);
+        return { size: bytes.length, build: () => bytes };
+    };
+    return buildInteriorLevels(leaves, maxRowids, cellFor, PAGE_TABLE_INTERIOR, pager);
+}
+
+/**
+ * Write an index b-tree
+ * @param {Array<Array>} keys - Index records (indexed values + rowid), sorted
+ * @param {Object} pager
+ * @returns {number} - Root page number
+ */
+function writeIndex(keys, pager) {
+    const leaves = [];
+    const dividers = [];
+    let cells = [];
+    let used = 0;
+    const closeLeaf = () => {
+        const number = pager.allocate();
+        pager.write(number, layoutPage(PAGE_INDEX_LEAF, cells.map(c => c.build()), 0));
+        leaves.push(number);
+        cells = [];
+        used = 0;
+    };
+
+    keys.forEach((key, i) => {
+        const payload = encodeRecord(key);
+        const prefix = varint(payload.length);
+        const size = prefix.length + localPayloadSize(payload.length, INDEX_MAX_LOCAL);
+        if (cells.length > 0 && !fits(used, cells.length, size, 8)) {
+            // In index b-trees the separating entry lives in the parent, not in a leaf.
+            // Every leaf but the last is followed by one: this key, or when it is the last
+            // key (and needs a leaf of its own) the full leaf's last entry.
+            if (i < keys.length - 1) {
+                closeLeaf();
+                dividers.push(payload);
+                return;
+            }
+            const divider = cells.pop();
+            used -= divider.size;
+            closeLeaf();
+            dividers.push(divider.payload);
+        }
+        cells.push({ size, payload, build: () => buildCell(prefix, payload, INDEX_MAX_LOCAL, pager) });
+        used += size;
+    });
+    closeLeaf();
+
+    const cellFor = (child, payload) => {
+        const prefix = [...be32(child), ...varint(payload.length)];
+        return {
+            size: prefix.length + localPayloadSize(payload.length, INDEX_MAX_LOCAL),
+            build: () => buildCell(prefix, payload, INDEX_MAX_LOCAL, pager)
+        };
+    };
+    return buildInteriorLevels(leaves, dividers, cellFor, PAGE_INDEX_INTERIOR, pager);
+}
+
+/**
+ * Build a database file
+ * @param {Array} tables - [{ name, sql, rows: [[values]], primaryKey?, indexes?: [{ name, sql, columns: [columnIndex] }] }]
+ *   primaryKey: index of the INTEGER PRIMARY KEY column (its value is the rowid); omit for implicit rowids
+ * @returns {Uint8Array}
+ */
+export function buildSqliteDatabase(tables) {
+    const pager = createPager();
+    const schema = [];
+
+    for (const table of tables) {
+        const hasKey = Number.isInteger(table.primaryKey);
+        const rows = table.rows.map((values, i) => ({
+            rowid: hasKey ? values[table.primaryKey] : i + 1,
+            // The rowid alias column is stored as NULL in the record
+            values: hasKey ? values.map((v, c) => c === table.primaryKey ? null : v) : values
+        }));
+        rows.sort((a, b) => a.rowid - b.rowid);
+        for (let i = 1; i < rows.length; i++) {
+            if (rows[i].rowid === rows[i - 1].rowid) throw new Error(`Duplicate rowid ${rows[i].rowid} in ${table.name}`);
+        }
+
+        const root = writeTable(rows, pager);
+        schema.push(['table', table.name, table.name, root, table.sql]);
+
+        for (const index of table.indexes || []) {
+            const keys = rows
+                .map(row => [...index.columns.map(c => hasKey && c === table.primaryKey ? row.rowid : row.values[c]), row.rowid])
+                .sort(compareKeys);
+            schema.push(['index', index.name, table.name, writeIndex(keys, pager), index.sql]);
+        }
+    }
+
+    // sqlite_master lives on page 1, after the 100-byte file header
+    const masterCells = schema.map((values, i) => {
+        const payload = encodeRecord(values);
+        return buildCell([...varint(payload.length), ...varint(i + 1)], payload, TABLE_MAX_LOCAL, pager);
+    });
+    const page1 = layoutPage(PAGE_TABLE_LEAF, masterCells, 0, 100);
+
+    const pageCount = pager.pages.length;
+    const header = new Uint8Array(100);
+    header.set(textEncoder.encode('SQLite format 3\0'), 0);
+    header.set([PAGE_SIZE >> 8, PAGE_SIZE & 0xFF], 16);
+    header.set([1, 1, 0, 64, 32, 32], 18); // legacy write/read, no reserved bytes, payload fractions
+    header.set(be32(1), 24); // file change counter
+    header.set(be32(pageCount), 28);
+    header.set(be32(1), 40); // schema cookie
+    header.set(be32(4), 44); // schema format
+    header.set(be32(1), 56); // UTF-8
+    header.set(be32(1), 92); // version-valid-for (matches the change counter)
+    header.set(be32(SQLITE_VERSION_NUMBER), 96);
+    page1.set(header, 0);
+    pager.write(1, page1);
+
+    const file = new Uint8Array(pageCount * PAGE_SIZE);
+    pager.pages.forEach((page, i) => file.set(page, i * PAGE_SIZE));
+    return file;
+}
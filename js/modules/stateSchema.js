@@ -0,0 +1,203 @@
+/**
+ * State Schema & Migrations
+ *
+ * The persisted payload (serializeState) carries a schemaVersion. Older payloads are
+ * upgraded one version at a time by the pure functions in MIGRATIONS (each takes a
+ * payload of version N and returns a new payload of version N + 1 without touching
+ * its input), then checked section by section. Corrupt sections, or the corrupt
+ * entries of a list or map, are moved to a quarantine record in localStorage
+ * (QUARANTINE_KEY) instead of being silently reset, so nothing is lost.
+ *
+ * Versions:
+ * 0 - per-word FSRS cards in `fsrsCards` (before subcards)
+ * 1 - unversioned payloads with `fsrsSubcards` (everything up to the schema version)
+ * 2 - `schemaVersion` stamped, daily limits / sibling burying / scheduling settings complete
+ *
+ * Tests: tests/stateSchema.test.mjs
+ */
+
+export const STATE_SCHEMA_VERSION = 2;
+export const QUARANTINE_KEY = 'mandalore_quarantine';
+const QUARANTINE_LIMIT = 20;
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const isDateString = v => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+const isOptionalDate = v => v === null || v === undefined || isDateString(v);
+
+/**
+ * Schema version of a payload (unversioned payloads are 0 or 1)
+ * @param {Object} data
+ * @returns {number}
+ */
+export function detectSchemaVersion(data) {
+    if (Number.isInteger(data?.schemaVersion)) return data.schemaVersion;
+    return data && 'fsrsCards' in data && !('fsrsSubcards' in data) ? 0 : 1;
+}
+
+/**
+ * v0 -> v1: per-word FSRS cards can't be mapped onto subcards (the app started
+ * them fresh when subcards arrived); drop them and start an empty subcard map
+ */
+function migrateV0toV1(data) {
+    const { fsrsCards, ...rest } = data;
+    return { ...rest, fsrsSubcards: isObject(data.fsrsSubcards) ? data.fsrsSubcards : {} };
+}
+
+/**
+ * v1 -> v2: stamp the version and complete settings that older builds saved partially
+ */
+function migrateV1toV2(data) {
+    const next = { ...data, schemaVersion: 2 };
+    if (isObject(data.dailyLimits)) {
+        next.dailyLimits = {
+            newCards: data.dailyLimits.newCards === undefined ? 20 : data.dailyLimits.newCards,
+            reviews: data.dailyLimits.reviews === undefined ? 200 : data.dailyLimits.reviews
+        };
+    }
+    if (isObject(data.siblingBurying)) {
+        next.siblingBurying = {
+            mode: data.siblingBurying.mode,
+            cards: typeof data.siblingBurying.cards === 'number' ? data.siblingBurying.cards : 10
+        };
+    }
+    if (isObject(data.schedulingSettings)) {
+        next.schedulingSettings = {
+            byBackMode: isObject(data.schedulingSettings.byBackMode) ? data.schedulingSettings.byBackMode : {},
+            bySubcard: isObject(data.schedulingSettings.bySubcard) ? data.schedulingSettings.bySubcard : {}
+        };
+    }
+    return next;
+}
+
+// fromVersion -> migration to fromVersion + 1
+const MIGRATIONS = {
+    0: migrateV0toV1,
+    1: migrateV1toV2
+};
+
+/**
+ * Upgrade a payload to the current schema version
+ * @param {Object} data
+ * @returns {Object} - { data, from, to, applied: [fromVersion] }
+ * @throws {Error} - If the payload is from a newer version or a migration is missing
+ */
+export function migrateState(data) {
+    if (!isObject(data)) throw new Error('Stored state is not an object');
+    const from = detectSchemaVersion(data);
+    if (from > STATE_SCHEMA_VERSION) {
+        throw new Error(`Stored state has schema version ${from}; this app supports up to ${STATE_SCHEMA_VERSION}`);
+    }
+    let current = data;
+    const applied = [];
+    for (let version = from; version < STATE_SCHEMA_VERSION; version++) {
+        const migration = MIGRATIONS[version];
+        if (!migration) throw new Error(`No migration from schema version ${version}`);
+        current = migration(current);
+        applied.push(version);
+    }
+    return { data: current, from, to: STATE_SCHEMA_VERSION, applied };
+}
+
+// Per-item / per-entry checks of list and map sections
+const LIST_SECTIONS = {
+    wordlist: w => isObject(w) && ['word', 'pinyinToned', 'meaning'].every(k => typeof w[k] === 'string')
+        && (w.id === undefined || typeof w.id === 'string'),
+    decks: d => isObject(d) && typeof d.id === 'string' && typeof d.name === 'string',
+    reviewLog: e => isObject(e) && isDateString(e.reviewedAt),
+    cachedSentences: s => isObject(s) && typeof s.promptZH === 'string',
+    recentSupercards: k => typeof k === 'string'
+};
+const MAP_SECTIONS = {
+    fsrsSubcards: c => isObject(c) && isOptionalDate(c.due) && isOptionalDate(c.last_review)
+        && (c.stability === undefined || Number.isFinite(c.stability)),
+    supercardFlags: f => isObject(f),
+    supercardLastShown: t => isDateString(t)
+};
+// Whole-section checks for the rest
+const VALUE_SECTIONS = {
+    filteredSession: s => s === null || (isObject(s) && isObject(s.filter) && Array.isArray(s.done)),
+    studyDecks: d => d === null || (Array.isArray(d) && d.every(id => typeof id === 'string')),
+    dailyLimits: isObject,
+    leechSettings: isObject,
+    schedulingSettings: isObject,
+    fsrsParameters: p => p === null || (isObject(p) && Array.isArray(p.w)),
+    sync: s => isObject(s) && (s.records === undefined || isObject(s.records)) && (s.edits === undefined || isObject(s.edits))
+};
+
+/**
+ * Check a migrated payload and split off whatever is corrupt
+ * @param {Object} data - Current-version payload
+ * @returns {Object} - { data, quarantined: [{ section, reason, value }] }
+ */
+export function validateState(data) {
+    const clean = { ...data };
+    const quarantined = [];
+
+    for (const [section, isValid] of Object.entries(LIST_SECTIONS)) {
+        if (!(section in data)) continue;
+        if (!Array.isArray(data[section])) {
+            quarantined.push({ section, reason: 'not a list', value: data[section] });
+            delete clean[section];
+            continue;
+        }
+        const bad = data[section].filter(item => !isValid(item));
+        if (bad.length > 0) {
+            quarantined.push({ section, reason: `${bad.length} malformed entr${bad.length === 1 ? 'y' : 'ies'}`, value: bad });
+            clean[section] = data[section].filter(isValid);
+        }
+    }
+
+    for (const [section, isValid] of Object.entries(MAP_SECTIONS)) {
+        if (!(section in data)) continue;
+        if (!isObject(data[section])) {
+            quarantined.push({ section, reason: 'not an object', value: data[section] });
+            delete clean[section];
+            continue;
+        }
+        const bad = Object.entries(data[section]).filter(([, value]) => !isValid(value));
+        if (bad.length > 0) {
+            quarantined.push({ section, reason: `${bad.length} malformed entr${bad.length === 1 ? 'y' : 'ies'}`, value: Object.fromEntries(bad) });
+            clean[section] = Object.fromEntries(Object.entries(data[section]).filter(([, value]) => isValid(value)));
+        }
+    }
+
+    for (const [section, isValid] of Object.entries(VALUE_SECTIONS)) {
+        if (section in data && !isValid(data[section])) {
+            quarantined.push({ section, reason: 'malformed', value: data[section] });
+            delete clean[section];
+        }
+    }
+
+    return { data: clean, quarantined };
+}
+
+/**
+ * Keep quarantined sections in localStorage (newest last, capped)
+ * @param {Array} quarantined - From validateState
+ * @param {number} schemaVersion - Version the sections were read as
+ */
+export function storeQuarantine(quarantined, schemaVersion) {
+    if (quarantined.length === 0) return;
+    console.warn('[State] Quarantined corrupt sections:', quarantined.map(q => `${q.section} (${q.reason})`));
+    try {
+        const records = getQuarantine();
+        const at = new Date().toISOString();
+        records.push(...quarantined.map(q => ({ at, schemaVersion, ...q })));
+        localStorage.setItem(QUARANTINE_KEY, JSON.stringify(records.slice(-QUARANTINE_LIMIT)));
+    } catch (e) {
+        console.error('Failed to store quarantined state', e);
+    }
+}
+
+/**
+ * Quarantined sections kept so far
+ * @returns {Array} - [{ at, schemaVersion, section, reason, value }]
+ */
+export function getQuarantine() {
+    try {
+        const records = JSON.parse(localStorage.getItem(QUARANTINE_KEY) || '[]');
+        return Array.isArray(records) ? records : [];
+    } catch (e) {
+        return [];
+    }
+}
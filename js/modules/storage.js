@@ -0,0 +1,313 @@
+/**
+ * IndexedDB Storage
+ *
+ * The persisted state (serializeState) split into one record per entity:
+ * - words:     WordID -> { position, word }   (position keeps the wordlist order)
+ * - subcards:  subcardKey -> FSRS card
+ * - reviews:   review id -> review log entry  (entries never change once written)
+ * - sentences: sentenceKey -> { position, sentence }  (utils.js sentenceKey; the
+ *              prompts, so tabs that add the same sentence store one record)
+ * - settings:  field name -> value            (every other field of the payload)
+ *
+ * writeStatePayload() writes the settings fields (object fields always, others when
+ * their value changed) and, of the entity stores, only the records state.js marked as
+ * changed (markDirty), so a review touches a handful of records instead of rewriting
+ * the whole state. state.js falls back to localStorage
+ * when IndexedDB can't be opened.
+ *
+ * The audio store holds the user's audio files (see audioAssets.js), keyed by lowercase
+ * file name: { name, type, size, blob, addedAt }. It is not part of the state payload.
+ */
+
+import { sentenceKey } from './utils.js';
+
+const DB_NAME = 'mandalore';
+const DB_VERSION = 3;
+export const AUDIO_STORE = 'audio';
+
+function toIso(date) {
+    return date ? new Date(date).toISOString() : null;
+}
+
+// store -> payload field; list fields give records by position, map fields by key
+const ENTITY_STORES = {
+    words: {
+        field: 'wordlist',
+        list: true,
+        keyOf: (word, position) => word.id || `#${position}`,
+        toValue: (word, position) => ({ position, word }),
+        fromRecords: values => values.sort((a, b) => a.position - b.position).map(r => r.word)
+    },
+    subcards: {
+        field: 'fsrsSubcards',
+        toValue: card => ({ ...card, due: toIso(card.due), last_review: toIso(card.last_review) }),
+        fromRecords: (values, keys) => Object.fromEntries(keys.map((key, i) => [key, values[i]]))
+    },
+    reviews: {
+        field: 'reviewLog',
+        list: true,
+        immutable: true,
+        keyOf: e => e.id || `${e.wordId}@${e.reviewedAt}`,
+        toValue: e => e,
+        fromRecords: values => values.sort((a, b) => new Date(a.reviewedAt) - new Date(b.reviewedAt))
+    },
+    sentences: {
+        field: 'cachedSentences',
+        list: true,
+        keyOf: sentence => sentenceKey(sentence),
+        toValue: (sentence, position) => ({ position, sentence }),
+        fromRecords: values => values.sort((a, b) => a.position - b.position).map(r => r.sentence)
+    }
+};
+const SETTINGS_STORE = 'settings';
+const STORE_NAMES = [...Object.keys(ENTITY_STORES), SETTINGS_STORE];
+const ENTITY_FIELDS = new Set(Object.values(ENTITY_STORES).map(s => s.field));
+
+// storeName -> Set of the keys stored, as last read or written
+const stored = Object.fromEntries(STORE_NAMES.map(name => [name, new Set()]));
+// Settings field -> primitive value stored (unchanged ones are not written again)
+const storedPrimitives = new Map();
+
+function isPrimitive(value) {
+    return value === null || typeof value !== 'object';
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * v3: cached sentences were stored by their index in the list
+ * @param {IDBObjectStore} store - In the upgrade transaction
+ */
+function rekeySentences(store) {
+    const all = store.getAll(); // Ordered by index
+    all.onsuccess = () => {
+        store.clear();
+        all.result.forEach((sentence, position) => store.put({ position, sentence }, sentenceKey(sentence)));
+    };
+}
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is unavailable or fails to open
+ */
+export async function openStateDb() {
+    if (typeof indexedDB === 'undefined') return null;
+    try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            for (const name of [...STORE_NAMES, AUDIO_STORE]) {
+                if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+            }
+            if (event.oldVersion > 0 && event.oldVersion < 3) rekeySentences(request.transaction.objectStore('sentences'));
+        };
+        request.onblocked = () => console.warn('[Storage] Database upgrade blocked by another tab');
+        const db = await requestToPromise(request);
+        // Let a newer version of the app in another tab upgrade the database
+        db.onversionchange = () => db.close();
+        return db;
+    } catch (e) {
+        console.warn('[Storage] IndexedDB unavailable, using localStorage', e);
+        return null;
+    }
+}
+
+/**
+ * Reassemble the persisted payload from the stores
+ * @param {IDBDatabase} db
+ * @returns {Promise<Object|null>} - Payload as serializeState shapes it, or null if nothing is stored
+ */
+export async function readStatePayload(db) {
+    const tx = db.transaction(STORE_NAMES, 'readonly');
+    const done = transactionDone(tx);
+    // All requests go out before anything is awaited, while the transaction is active
+    const pending = STORE_NAMES.map(name => {
+        const store = tx.objectStore(name);
+        return Promise.all([requestToPromise(store.getAllKeys()), requestToPromise(store.getAll())]);
+    });
+    const results = await Promise.all(pending);
+    await done;
+    const records = {};
+    STORE_NAMES.forEach((name, i) => { records[name] = { keys: results[i][0], values: results[i][1] }; });
+    STORE_NAMES.forEach(name => { stored[name] = new Set(records[name].keys); });
+
+    const settings = records[SETTINGS_STORE];
+    storedPrimitives.clear();
+    settings.keys.forEach((key, i) => { if (isPrimitive(settings.values[i])) storedPrimitives.set(key, settings.values[i]); });
+    if (settings.keys.length === 0) return null;
+
+    const payload = {};
+    settings.keys.forEach((key, i) => { payload[key] = settings.values[i]; });
+    for (const [name, { field, fromRecords }] of Object.entries(ENTITY_STORES)) {
+        payload[field] = fromRecords([...records[name].values], records[name].keys);
+    }
+    return payload;
+}
+
+/**
+ * Current records of the given keys (undefined where the entity is gone). Lists are
+ * searched from the end, where appended entities are.
+ * @returns {Map} - key -> value
+ */
+function findRecords({ list, keyOf, toValue }, source, keys) {
+    const found = new Map();
+    if (!list) {
+        keys.forEach(key => found.set(key, key in source ? toValue(source[key], key) : undefined));
+        return found;
+    }
+    const wanted = new Set(keys);
+    for (let i = source.length - 1; i >= 0 && wanted.size > 0; i--) {
+        const key = keyOf(source[i], i);
+        if (!wanted.has(key)) continue;
+        wanted.delete(key);
+        found.set(key, toValue(source[i], i));
+    }
+    wanted.forEach(key => found.set(key, undefined));
+    return found;
+}
+
+/**
+ * Every record of an entity store, by key
+ * @returns {Map} - key -> value
+ */
+function allRecords({ list, keyOf, toValue }, source) {
+    return new Map(list
+        ? source.map((item, i) => [keyOf(item, i), toValue(item, i)])
+        : Object.entries(source).map(([key, item]) => [key, toValue(item, key)]));
+}
+
+/**
+ * Write the settings fields of a payload and its changed entities
+ * @param {IDBDatabase} db
+ * @param {Object} payload - Shaped like serializeState() (subcard dates may still be Dates)
+ * @param {Object} [changes] - store -> Set of changed keys, or true when anything in it
+ *   may have changed (stores left out are unchanged); omitted = write everything
+ * @returns {Promise<number>} - Records put or deleted
+ */
+export async function writeStatePayload(db, payload, changes = null) {
+    const writes = {};
+    for (const [name, spec] of Object.entries(ENTITY_STORES)) {
+        const change = changes ? changes[name] : true;
+        if (!change) continue;
+        const source = payload[spec.field] || (spec.list ? [] : {});
+        if (change === true) {
+            const records = allRecords(spec, source);
+            // Whatever is stored but no longer in the payload goes
+            stored[name].forEach(key => { if (!records.has(key)) records.set(key, undefined); });
+            writes[name] = records;
+        } else if (change.size > 0) {
+            writes[name] = findRecords(spec, source, [...change]);
+        }
+    }
+    const settings = new Map(Object.entries(payload).filter(([field, value]) => !ENTITY_FIELDS.has(field) && value !== undefined
+        && !(isPrimitive(value) && storedPrimitives.has(field) && storedPrimitives.get(field) === value)));
+    stored[SETTINGS_STORE].forEach(key => { if (!(key in payload) || payload[key] === undefined) settings.set(key, undefined); });
+    writes[SETTINGS_STORE] = settings;
+
+    const names = Object.keys(writes);
+    const tx = db.transaction(names, 'readwrite');
+    let count = 0;
+    for (const name of names) {
+        const store = tx.objectStore(name);
+        const immutable = !!ENTITY_STORES[name]?.immutable;
+        for (const [key, value] of writes[name]) {
+            if (value === undefined) {
+                if (!stored[name].has(key)) continue;
+                store.delete(key);
+            } else {
+                if (immutable && stored[name].has(key)) continue;
+                store.put(value, key);
+            }
+            count++;
+        }
+    }
+    await transactionDone(tx);
+    for (const name of names) {
+        for (const [key, value] of writes[name]) {
+            if (value === undefined) stored[name].delete(key);
+            else stored[name].add(key);
+        }
+    }
+    for (const [field, value] of settings) {
+        if (value !== undefined && isPrimitive(value)) storedPrimitives.set(field, value);
+        else storedPrimitives.delete(field);
+    }
+    return count;
+}
+
+/**
+ * Names (keys) of the stored audio files
+ * @param {IDBDatabase} db
+ * @returns {Promise<Array<string>>}
+ */
+export function getAudioKeys(db) {
+    return requestToPromise(db.transaction(AUDIO_STORE, 'readonly').objectStore(AUDIO_STORE).getAllKeys());
+}
+
+/**
+ * One stored audio file
+ * @param {IDBDatabase} db
+ * @param {string} key
+ * @returns {Promise<Object|undefined>} - { name, type, size, blob, addedAt }
+ */
+export function getAudioAsset(db, key) {
+    return requestToPromise(db.transaction(AUDIO_STORE, 'readonly').objectStore(AUDIO_STORE).get(key));
+}
+
+/**
+ * Store audio files (replacing ones with the same key)
+ * @param {IDBDatabase} db
+ * @param {Array} entries - [[key, { name, type, size, blob, addedAt }]]
+ * @returns {Promise<void>}
+ */
+export function putAudioAssets(db, entries) {
+    const tx = db.transaction(AUDIO_STORE, 'readwrite');
+    const store = tx.objectStore(AUDIO_STORE);
+    entries.forEach(([key, value]) => store.put(value, key));
+    return transactionDone(tx);
+}
+
+/**
+ * Move stored audio files to new keys
+ * @param {IDBDatabase} db
+ * @param {Array} moves - [[fromKey, toKey]]
+ * @returns {Promise<Array>} - The moves that had a file to move
+ */
+export async function moveAudioAssets(db, moves) {
+    const tx = db.transaction(AUDIO_STORE, 'readwrite');
+    const store = tx.objectStore(AUDIO_STORE);
+    const done = transactionDone(tx);
+    const moved = [];
+    await Promise.all(moves.map(([from, to]) => requestToPromise(store.get(from)).then((value) => {
+        if (!value) return;
+        store.put(value, to);
+        store.delete(from);
+        moved.push([from, to]);
+    })));
+    await done;
+    return moved;
+}
+
+/**
+ * Delete every stored audio file
+ * @param {IDBDatabase} db
+ * @returns {Promise<void>}
+ */
+export function clearAudioAssets(db) {
+    const tx = db.transaction(AUDIO_STORE, 'readwrite');
+    tx.objectStore(AUDIO_STORE).clear();
+    return transactionDone(tx);
+}
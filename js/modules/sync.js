@@ -0,0 +1,369 @@
+/**
+ * Sync
+ *
+ * Optional two-way sync of words, decks, FSRS subcards, supercard flags and last-shown
+ * times, the review log and cached sentences with a server (reference implementation:
+ * server/syncServer.mjs).
+ *
+ * Protocol (JSON over HTTP; `Authorization: Bearer <token>`, the token the server prints):
+ *   POST {server}/v1/pull { since }     -> { revision, records: [record] }   (records with rev > since)
+ *   POST {server}/v1/push { records }   -> { revision, results: [{ collection, key, accepted, rev?, record? }] }
+ *   record = { collection, key, rev, value, deleted, modifiedAt }
+ * Every accepted write gets the server's next revision number. A pushed record carries
+ * the rev it was based on (baseRev, 0 for new ones); if the server's copy has moved on
+ * since, resolveSyncConflict decides (the server applies the same rule), and a losing
+ * push comes back with the server's record, which the client adopts.
+ *
+ * state.sync keeps { serverUrl, token, revision, lastSyncedAt, records, edits } where
+ * records holds [rev, hash] per collection and key as of the last sync: a record whose
+ * hash differs (or that is gone) is a local change to push. edits holds [hash, modifiedAt]
+ * per collection and key: after each save, records whose hash changed (or that are gone)
+ * get the time of that save, which is what a pushed record carries as modifiedAt. Review
+ * log entries are never deleted remotely; each browser prunes its own history.
+ */
+
+import { state, saveState, onStateSaved, markDirty } from '../state.js';
+import { xxHash32 } from './wordId.js';
+import { sentenceKey } from './utils.js';
+
+export const SYNC_PROTOCOL_VERSION = 1;
+
+function toIso(date) {
+    return date ? new Date(date).toISOString() : null;
+}
+
+function subcardRecord(card) {
+    return { ...card, due: toIso(card.due), last_review: toIso(card.last_review) };
+}
+
+function reviewTime(card) {
+    return card?.last_review ? new Date(card.last_review).getTime() : -Infinity;
+}
+
+// collection -> how to read local records and apply remote ones
+const COLLECTIONS = {
+    words: {
+        read: () => (state.wordlist || []).filter(w => w.id).map(w => [w.id, w]),
+        apply: (key, value, deleted, touched) => {
+            const index = state.wordlist.findIndex(w => w.id === key);
+            if (deleted) {
+                if (index >= 0) state.wordlist.splice(index, 1);
+                markDirty('words');
+            } else if (index >= 0) {
+                state.wordlist[index] = { ...value };
+            } else {
+                state.wordlist.push({ ...value });
+            }
+            markDirty('words', key);
+            touched.wordIds.add(key);
+        }
+    },
+    subcards: {
+        read: () => Object.entries(state.fsrsSubcards || {}).map(([key, card]) => [key, subcardRecord(card)]),
+        toRecord: subcardRecord,
+        apply: (key, value, deleted, touched) => {
+            if (deleted) {
+                delete state.fsrsSubcards[key];
+            } else {
+                state.fsrsSubcards[key] = {
+                    ...value,
+                    due: value.due ? new Date(value.due) : new Date(),
+                    last_review: value.last_review ? new Date(value.last_review) : undefined
+                };
+            }
+            markDirty('subcards', key);
+            touched.subcardKeys.add(key);
+        }
+    },
+    decks: {
+        read: () => (state.decks || []).filter(d => d.id).map(d => [d.id, d]),
+        apply: (key, value, deleted) => {
+            const index = state.decks.findIndex(d => d.id === key);
+            if (deleted) {
+                if (index >= 0) state.decks.splice(index, 1);
+            } else if (index >= 0) {
+                state.decks[index] = { ...value };
+            } else {
+                state.decks.push({ ...value });
+            }
+        }
+    },
+    supercardFlags: {
+        read: () => Object.entries(state.supercardFlags || {}),
+        apply: (key, value, deleted, touched) => {
+            if (deleted) delete state.supercardFlags[key];
+            else state.supercardFlags[key] = { ...value };
+            touched.supercardKeys.add(key);
+        }
+    },
+    // Values are wrapped: the protocol's values are objects
+    supercardLastShown: {
+        read: () => Object.entries(state.supercardLastShown || {}).map(([key, shown]) => [key, { lastShown: shown }]),
+        apply: (key, value, deleted, touched) => {
+            if (deleted) delete state.supercardLastShown[key];
+            else state.supercardLastShown[key] = value.lastShown;
+            touched.supercardKeys.add(key);
+        }
+    },
+    reviews: {
+        appendOnly: true,
+        read: () => (state.reviewLog || []).filter(e => e.id).map(e => [e.id, e]),
+        apply: (key, value, deleted) => {
+            if (deleted || state.reviewLog.some(e => e.id === key)) return;
+            state.reviewLog.push(value);
+            markDirty('reviews', key);
+        }
+    },
+    sentences: {
+        read: () => (state.cachedSentences || []).map(s => [sentenceKey(s), s]),
+        apply: (key, value, deleted) => {
+            const index = state.cachedSentences.findIndex(s => sentenceKey(s) === key);
+            if (deleted) {
+                if (index >= 0) state.cachedSentences.splice(index, 1);
+                markDirty('sentences');
+            } else if (index < 0) {
+                state.cachedSentences.push(value);
+                markDirty('sentences', key);
+            }
+        }
+    }
+};
+
+/**
+ * Which side of a conflict wins (the server applies the same rule):
+ * subcards keep the later last_review, last-shown times the later time, anything else
+ * (and deletions) the later modifiedAt. Ties go to the remote side.
+ * @param {string} collection
+ * @param {Object} local - { value, deleted, modifiedAt }
+ * @param {Object} remote - { value, deleted, modifiedAt }
+ * @returns {string} - 'local' or 'remote'
+ */
+export function resolveSyncConflict(collection, local, remote) {
+    if (collection === 'subcards' && !local.deleted && !remote.deleted) {
+        return reviewTime(local.value) > reviewTime(remote.value) ? 'local' : 'remote';
+    }
+    if (collection === 'supercardLastShown' && !local.deleted && !remote.deleted) {
+        return new Date(local.value.lastShown || 0) > new Date(remote.value.lastShown || 0) ? 'local' : 'remote';
+    }
+    return new Date(local.modifiedAt || 0) > new Date(remote.modifiedAt || 0) ? 'local' : 'remote';
+}
+
+function hashRecord(value) {
+    return xxHash32(JSON.stringify(value));
+}
+
+let stampScheduled = false;
+
+/**
+ * Record when each record last changed (see state.sync.edits). The first pass has no
+ * edit times to go by and leaves them unknown, which loses any conflict.
+ */
+function stampEdits() {
+    const sync = state.sync;
+    if (!sync.serverUrl) return;
+    const baseline = !sync.edits;
+    const edits = sync.edits || (sync.edits = {});
+    const now = new Date().toISOString();
+    for (const [collection, { read, appendOnly }] of Object.entries(COLLECTIONS)) {
+        if (appendOnly) continue;
+        const stamps = edits[collection] || (edits[collection] = {});
+        const present = new Set();
+        for (const [key, value] of read()) {
+            present.add(key);
+            const hash = hashRecord(value);
+            if (stamps[key]?.[0] !== hash) stamps[key] = [hash, baseline ? null : now];
+        }
+        for (const key of Object.keys(stamps)) {
+            if (present.has(key) || stamps[key][0] === null) continue;
+            stamps[key] = [null, now];
+        }
+    }
+}
+
+/**
+ * Start stamping edit times on every save (while a sync server is set)
+ */
+export function startSyncEditTracking() {
+    stampEdits();
+    onStateSaved(() => {
+        if (stampScheduled) return;
+        stampScheduled = true;
+        // Before the coalesced write of this task, so the stamps are saved with it
+        queueMicrotask(() => {
+            stampScheduled = false;
+            stampEdits();
+        });
+    });
+}
+
+function getEditTime(collection, key) {
+    return state.sync.edits?.[collection]?.[key]?.[1] || null;
+}
+
+function setEditStamp(collection, key, value, deleted, modifiedAt) {
+    const edits = state.sync.edits || (state.sync.edits = {});
+    const stamps = edits[collection] || (edits[collection] = {});
+    if (deleted) delete stamps[key];
+    else stamps[key] = [hashRecord(value), modifiedAt || null];
+}
+
+/**
+ * Local records that changed since the last sync. Values are copies, hashed as they
+ * are now: edits made while a request is in flight are still changes next time.
+ * @param {Object} known - state.sync.records
+ * @returns {Object} - collection -> Map(key -> { value, hash, deleted, modifiedAt })
+ */
+function findLocalChanges(known) {
+    const changes = {};
+    for (const [collection, { read, appendOnly }] of Object.entries(COLLECTIONS)) {
+        const synced = known[collection] || {};
+        const changed = new Map();
+        const present = new Set();
+        for (const [key, value] of read()) {
+            present.add(key);
+            const json = JSON.stringify(value);
+            const hash = xxHash32(json);
+            if (synced[key]?.[1] !== hash) changed.set(key, { value: JSON.parse(json), hash, deleted: false, modifiedAt: getEditTime(collection, key) });
+        }
+        for (const key of Object.keys(synced)) {
+            if (present.has(key)) continue;
+            if (appendOnly) delete synced[key];
+            else changed.set(key, { value: null, hash: null, deleted: true, modifiedAt: getEditTime(collection, key) });
+        }
+        changes[collection] = changed;
+    }
+    return changes;
+}
+
+async function request(serverUrl, token, endpoint, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    let res;
+    try {
+        res = await fetch(`${serverUrl.replace(/\/+$/, '')}/v1/${endpoint}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ protocol: SYNC_PROTOCOL_VERSION, ...body })
+        });
+    } catch (e) {
+        // A server started without this app's --origin looks unreachable too (CORS)
+        throw new Error(`Can't reach the sync server (${e.message}). Check the address and that the server allows this app (--origin ${location.origin}).`);
+    }
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) throw new Error('The sync server rejected the token.');
+    if (!res.ok) throw new Error(data.error || `Sync server error (${res.status}).`);
+    return data;
+}
+
+/**
+ * Pull remote changes, then push local ones
+ * @returns {Promise<Object>} - { ok, msg } or { ok, pulled, pushed, conflicts, touched: { wordIds, subcardKeys, supercardKeys } }
+ */
+export async function syncNow() {
+    const sync = state.sync;
+    if (!sync.serverUrl) return { ok: false, msg: 'Enter a sync server URL first.' };
+    sync.records = sync.records || {};
+    for (const collection of Object.keys(COLLECTIONS)) sync.records[collection] = sync.records[collection] || {};
+
+    const known = sync.records;
+    const now = new Date().toISOString();
+    // Edits made since the last save haven't been stamped yet
+    stampEdits();
+    const touched = { wordIds: new Set(), subcardKeys: new Set(), supercardKeys: new Set() };
+    const localChanges = findLocalChanges(known);
+    const adopt = (record) => {
+        const { collection, key } = record;
+        const { apply, appendOnly, toRecord } = COLLECTIONS[collection];
+        apply(key, record.value, record.deleted, touched);
+        // Hashed as read back, so the adopted record doesn't look like a local edit
+        const value = record.deleted || !toRecord ? record.value : toRecord(record.value);
+        // Not a local edit: keeps the remote edit time
+        if (!appendOnly) setEditStamp(collection, key, value, record.deleted, record.modifiedAt);
+        if (record.deleted) delete known[collection][key];
+        else known[collection][key] = [record.rev, hashRecord(value)];
+    };
+
+    try {
+        const pulled = await request(sync.serverUrl, sync.token, 'pull', { since: sync.revision || 0 });
+        let pulledCount = 0;
+        for (const record of pulled.records || []) {
+            if (!COLLECTIONS[record.collection]) continue;
+            const base = known[record.collection][record.key];
+            if (base && base[0] === record.rev) continue; // Already have this revision
+            const local = localChanges[record.collection].get(record.key);
+            if (!base && !local && record.deleted) continue; // Deleted here as well
+            if (local && resolveSyncConflict(record.collection, local, record) === 'local') {
+                // Still pushed, now based on the revision just seen
+                known[record.collection][record.key] = [record.rev, null];
+                continue;
+            }
+            localChanges[record.collection].delete(record.key);
+            adopt(record);
+            pulledCount++;
+        }
+
+        const outgoing = [];
+        const sent = new Map(); // collection + key -> { record, hash }
+        for (const [collection, changes] of Object.entries(localChanges)) {
+            for (const [key, { value, hash, deleted, modifiedAt }] of changes) {
+                // Review log entries never change once logged: their time is the review's
+                const editedAt = modifiedAt || (COLLECTIONS[collection].appendOnly ? value.reviewedAt : null);
+                const record = { collection, key, baseRev: known[collection][key]?.[0] || 0, value, deleted, modifiedAt: editedAt || new Date(0).toISOString() };
+                outgoing.push(record);
+                sent.set(`${collection}\u0000${key}`, { record, hash });
+            }
+        }
+        let pushed = 0;
+        let conflicts = 0;
+        if (outgoing.length > 0) {
+            const result = await request(sync.serverUrl, sync.token, 'push', { records: outgoing });
+            for (const r of result.results || []) {
+                const mine = sent.get(`${r.collection}\u0000${r.key}`);
+                if (!mine) continue;
+                if (r.accepted) {
+                    if (mine.record.deleted) {
+                        delete known[r.collection][r.key];
+                        const stamps = state.sync.edits?.[r.collection];
+                        // Unless the record was added again meanwhile
+                        if (stamps?.[r.key]?.[0] === null) delete stamps[r.key];
+                    } else {
+                        // The hash of what was sent, not of the record now
+                        known[r.collection][r.key] = [r.rev, mine.hash];
+                    }
+                    pushed++;
+                } else if (r.record) {
+                    adopt(r.record);
+                    conflicts++;
+                }
+            }
+        }
+
+        state.reviewLog.sort((a, b) => new Date(a.reviewedAt) - new Date(b.reviewedAt));
+        sync.revision = pulled.revision || 0;
+        sync.lastSyncedAt = now;
+        saveState();
+        return { ok: true, pulled: pulledCount, pushed, conflicts, touched };
+    } catch (e) {
+        // Whatever was adopted so far is consistent with the bookkeeping
+        saveState();
+        return { ok: false, msg: e.message };
+    }
+}
+
+/**
+ * Change the server (or token); a different server starts from scratch
+ * @param {string} serverUrl
+ * @param {string} token
+ */
+export function setSyncServer(serverUrl, token) {
+    const url = (serverUrl || '').trim().replace(/\/+$/, '');
+    if (url !== state.sync.serverUrl) {
+        state.sync.revision = 0;
+        state.sync.records = {};
+        state.sync.lastSyncedAt = null;
+    }
+    state.sync.serverUrl = url;
+    state.sync.token = (token || '').trim();
+    stampEdits();
+    saveState();
+}
@@ -0,0 +1,283 @@
+/**
+ * Cross-Tab Sync
+ *
+ * Every open tab holds its own state, and a save from one tab would otherwise overwrite
+ * what another recorded. After each save, a tab broadcasts what changed since its last
+ * broadcast (BroadcastChannel, or storage events where that is missing): words, decks,
+ * subcards, review log entries, cached sentences, supercard flags and last-shown times,
+ * settings (each as changed records plus removed keys), and deltas of today's counters.
+ * Receiving tabs merge:
+ * - subcards: the card with the later last_review wins (a local card stays if newer)
+ * - supercard last-shown times: the later time wins
+ * - review log entries: united by id; cached sentences: united by sentenceKey
+ * - words, decks, flags and settings: the sender's version
+ * then save, and startTabSync's callback re-validates the card on screen.
+ */
+
+import { state, saveState, onStateSaved, markDirty } from '../state.js';
+import { sentenceKey } from './utils.js';
+
+const CHANNEL_NAME = 'mandalore-state';
+const STORAGE_EVENT_KEY = 'mandalore_tab_sync';
+const TAB_ID = `tab_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+const DAILY_COUNTERS = ['dailyNewCount', 'dailyReviewCount', 'dailySupercardCount'];
+// Preferences every tab should share (deckName is state.imported.deckName)
+const SETTING_FIELDS = [
+    'apiKey', 'geminiModel', 'dailyLimits', 'newCardStrategy', 'loadBalancing', 'siblingBurying', 'leechSettings',
+    'reviewLogRetentionDays', 'reviewLogMaxEntries', 'fsrsParameters', 'schedulingSettings', 'studyDecks', 'deckName'
+];
+
+function readSetting(field) {
+    return field === 'deckName' ? state.imported.deckName : state[field];
+}
+
+let channel = null;
+let broadcastScheduled = false;
+
+function toIso(date) {
+    return date ? new Date(date).toISOString() : null;
+}
+
+function subcardRecord(card) {
+    return { ...card, due: toIso(card.due), last_review: toIso(card.last_review) };
+}
+
+// section -> current records as [key, value]; reviews never change once logged
+const SECTIONS = {
+    words: () => (state.wordlist || []).filter(w => w.id).map(w => [w.id, w]),
+    decks: () => (state.decks || []).map(d => [d.id, d]),
+    subcards: () => Object.entries(state.fsrsSubcards || {}).map(([key, card]) => [key, subcardRecord(card)]),
+    reviews: () => (state.reviewLog || []).map(e => [e.id, e]),
+    sentences: () => (state.cachedSentences || []).map(s => [sentenceKey(s), s]),
+    supercardFlags: () => Object.entries(state.supercardFlags || {}),
+    supercardLastShown: () => Object.entries(state.supercardLastShown || {}),
+    settings: () => SETTING_FIELDS.map(field => [field, readSetting(field) ?? null])
+};
+// Records that never change once added (a sentence is its prompts)
+const IMMUTABLE_SECTIONS = new Set(['reviews', 'sentences']);
+
+// What this tab last broadcast or received: section -> Map(key -> JSON), plus today's counters
+const known = Object.fromEntries(Object.keys(SECTIONS).map(section => [section, new Map()]));
+let knownDaily = { date: null };
+
+function recordJson(section, value) {
+    return IMMUTABLE_SECTIONS.has(section) ? '' : JSON.stringify(value);
+}
+
+function reviewTime(card) {
+    return card?.last_review ? new Date(card.last_review).getTime() : -Infinity;
+}
+
+/**
+ * Changes since the last broadcast (and remember the current records as broadcast)
+ * @returns {Object|null} - { [section]: { changed, removed }, daily? } or null if nothing changed
+ */
+function collectChanges() {
+    const changes = {};
+    for (const [section, read] of Object.entries(SECTIONS)) {
+        const previous = known[section];
+        const current = new Map();
+        const changed = {};
+        for (const [key, value] of read()) {
+            const json = recordJson(section, value);
+            current.set(key, json);
+            if (previous.get(key) !== json) changed[key] = value;
+        }
+        const removed = [...previous.keys()].filter(key => !current.has(key));
+        known[section] = current;
+        if (Object.keys(changed).length > 0 || removed.length > 0) changes[section] = { changed, removed };
+    }
+
+    const daily = { date: state.dailySupercardDate };
+    DAILY_COUNTERS.forEach(field => { daily[field] = state[field] || 0; });
+    if (knownDaily.date === daily.date) {
+        const deltas = {};
+        DAILY_COUNTERS.forEach(field => {
+            if (daily[field] !== knownDaily[field]) deltas[field] = daily[field] - knownDaily[field];
+        });
+        if (Object.keys(deltas).length > 0) changes.daily = { date: daily.date, deltas };
+    }
+    knownDaily = daily;
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Replace or add records keyed by id in a list, and drop removed ones
+ */
+function mergeList(list, { changed, removed }) {
+    const index = new Map(list.map((item, i) => [item.id, i]));
+    for (const [id, value] of Object.entries(changed)) {
+        if (index.has(id)) list[index.get(id)] = { ...value };
+        else list.push({ ...value });
+    }
+    const gone = new Set(removed);
+    return gone.size > 0 ? list.filter(item => !gone.has(item.id)) : list;
+}
+
+/**
+ * Merge another tab's changes into state
+ * @param {Object} changes - From collectChanges() in the other tab
+ * @returns {Object} - { wordIds, subcardKeys, supercardKeys } touched by the merge (Sets),
+ *   and whether sentences and settings changed
+ */
+function applyChanges(changes) {
+    const touched = { wordIds: new Set(), subcardKeys: new Set(), supercardKeys: new Set(), sentences: false, settings: false };
+
+    if (changes.words) {
+        state.wordlist = mergeList(state.wordlist, changes.words);
+        [...Object.keys(changes.words.changed), ...changes.words.removed].forEach(id => touched.wordIds.add(id));
+        Object.keys(changes.words.changed).forEach(id => markDirty('words', id));
+        if (changes.words.removed.length > 0) markDirty('words');
+    }
+    if (changes.decks) {
+        state.decks = mergeList(state.decks, changes.decks);
+    }
+    if (changes.subcards) {
+        for (const [key, card] of Object.entries(changes.subcards.changed)) {
+            if (state.fsrsSubcards[key] && reviewTime(card) <= reviewTime(state.fsrsSubcards[key])) continue;
+            state.fsrsSubcards[key] = {
+                ...card,
+                due: card.due ? new Date(card.due) : new Date(),
+                last_review: card.last_review ? new Date(card.last_review) : undefined
+            };
+            markDirty('subcards', key);
+            touched.subcardKeys.add(key);
+        }
+        for (const key of changes.subcards.removed) {
+            delete state.fsrsSubcards[key];
+            markDirty('subcards', key);
+            touched.subcardKeys.add(key);
+        }
+    }
+    if (changes.reviews) {
+        const ids = new Set(state.reviewLog.map(e => e.id));
+        const added = Object.values(changes.reviews.changed).filter(e => !ids.has(e.id));
+        const gone = new Set(changes.reviews.removed);
+        if (added.length > 0 || gone.size > 0) {
+            state.reviewLog = [...state.reviewLog.filter(e => !gone.has(e.id)), ...added]
+                .sort((a, b) => new Date(a.reviewedAt) - new Date(b.reviewedAt));
+            [...added.map(e => e.id), ...gone].forEach(id => markDirty('reviews', id));
+        }
+    }
+    if (changes.sentences) {
+        const keys = new Set(state.cachedSentences.map(sentenceKey));
+        for (const [key, sentence] of Object.entries(changes.sentences.changed)) {
+            if (keys.has(key)) continue;
+            state.cachedSentences.push(sentence);
+            markDirty('sentences', key);
+            touched.sentences = true;
+        }
+        const gone = new Set(changes.sentences.removed);
+        if (gone.size > 0) {
+            state.cachedSentences = state.cachedSentences.filter(s => !gone.has(sentenceKey(s)));
+            markDirty('sentences');
+            touched.sentences = true;
+        }
+    }
+    if (changes.settings) {
+        for (const [field, value] of Object.entries(changes.settings.changed)) {
+            if (field === 'deckName') state.imported.deckName = value;
+            else state[field] = value;
+        }
+        touched.settings = true;
+    }
+    if (changes.supercardFlags) {
+        for (const [key, flags] of Object.entries(changes.supercardFlags.changed)) {
+            state.supercardFlags[key] = flags;
+            touched.supercardKeys.add(key);
+        }
+        for (const key of changes.supercardFlags.removed) {
+            delete state.supercardFlags[key];
+            touched.supercardKeys.add(key);
+        }
+    }
+    if (changes.supercardLastShown) {
+        for (const [key, shown] of Object.entries(changes.supercardLastShown.changed)) {
+            const local = state.supercardLastShown[key];
+            if (!local || new Date(shown) > new Date(local)) state.supercardLastShown[key] = shown;
+        }
+        changes.supercardLastShown.removed.forEach(key => { delete state.supercardLastShown[key]; });
+    }
+    if (changes.daily && changes.daily.date === state.dailySupercardDate) {
+        for (const [field, delta] of Object.entries(changes.daily.deltas)) {
+            state[field] = Math.max(0, (state[field] || 0) + delta);
+        }
+    }
+
+    // The sender's records count as known here; where a local one won, the next
+    // broadcast sends it back so both tabs end up with it
+    for (const section of Object.keys(SECTIONS)) {
+        if (!changes[section]) continue;
+        for (const [key, value] of Object.entries(changes[section].changed)) {
+            known[section].set(key, recordJson(section, section === 'subcards' ? subcardRecord(value) : value));
+        }
+        changes[section].removed.forEach(key => known[section].delete(key));
+    }
+    if (changes.daily && knownDaily.date === changes.daily.date) {
+        // Shift the baseline by what arrived, so local increments not yet sent still go out
+        for (const [field, delta] of Object.entries(changes.daily.deltas)) {
+            knownDaily[field] = Math.max(0, (knownDaily[field] || 0) + delta);
+        }
+    }
+
+    return touched;
+}
+
+function send(message) {
+    if (channel) {
+        channel.postMessage(message);
+        return;
+    }
+    try {
+        localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify(message));
+        localStorage.removeItem(STORAGE_EVENT_KEY);
+    } catch (e) {
+        console.warn('[TabSync] Failed to notify other tabs', e);
+    }
+}
+
+/**
+ * Broadcast after the saves of the current task
+ */
+function scheduleBroadcast() {
+    if (broadcastScheduled) return;
+    broadcastScheduled = true;
+    setTimeout(() => {
+        broadcastScheduled = false;
+        const changes = collectChanges();
+        if (changes) send({ from: TAB_ID, changes });
+    }, 0);
+}
+
+/**
+ * Start exchanging changes with other tabs (call once, after loadState)
+ * @param {Function} onMerged - Called with the touched keys (see applyChanges) after a merge
+ */
+export function startTabSync(onMerged) {
+    collectChanges(); // Baseline: what was loaded is what other tabs have
+
+    const receive = (message) => {
+        if (!message || message.from === TAB_ID || !message.changes) return;
+        const touched = applyChanges(message.changes);
+        saveState();
+        console.log('[TabSync] Merged changes from another tab:', Object.keys(message.changes).join(', '));
+        if (onMerged) onMerged(touched);
+    };
+
+    if (typeof BroadcastChannel === 'function') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => receive(event.data);
+    } else {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== STORAGE_EVENT_KEY || !event.newValue) return;
+            try {
+                receive(JSON.parse(event.newValue));
+            } catch (e) {
+                console.warn('[TabSync] Ignoring unreadable message', e);
+            }
+        });
+    }
+
+    onStateSaved(scheduleBroadcast);
+}
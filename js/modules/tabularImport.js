@@ -0,0 +1,379 @@
+/**
+ * Tabular Import
+ *
+ * Wordlists from spreadsheets and other apps, next to the JSON import:
+ * - CSV / TSV, optionally with a header row (hanzi/word, pinyin, meaning/definition, tags)
+ * - Anki "Notes in Plain Text" exports (.txt with #separator / #html / #columns /
+ *   #tags column headers; HTML and [sound:…] references are stripped)
+ * - Pleco flashcard exports (simplified[traditional] <tab> numbered pinyin <tab>
+ *   definition; "//" category lines become tags of the cards below them)
+ *
+ * A parsed table keeps each row's cells and line number. A column mapping
+ * ({ word, pinyin, definition, tags } -> column index, -1 = none) turns it into the
+ * same [{ word, pinyin, definition, tags? }] items the JSON import produces, so the
+ * validation, pinyin processing and WordIDs are shared. The mapping is guessed from
+ * the header or the cell contents and can be changed in the import preview.
+ */
+
+import { numberedToTonedPinyin } from './pinyin.js';
+
+export const IMPORT_FIELDS = ['word', 'pinyin', 'definition', 'tags'];
+const REQUIRED_FIELDS = ['word', 'pinyin', 'definition'];
+
+export const TABULAR_FORMAT_LABELS = { csv: 'CSV', tsv: 'TSV', anki: 'Anki notes', pleco: 'Pleco flashcards' };
+
+// Header cells recognised per field (compared lowercased)
+const HEADER_NAMES = {
+    word: ['word', 'hanzi', 'chinese', 'simplified', 'character', 'characters', 'front', '汉字', '中文', '简体'],
+    pinyin: ['pinyin', 'reading', 'pronunciation', '拼音'],
+    definition: ['definition', 'meaning', 'english', 'translation', 'back', 'gloss', '英文', '意思'],
+    tags: ['tags', 'tag', 'category', 'labels']
+};
+
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+const CJK_RE = /[\u3400-\u9FFF\uF900-\uFAFF]/;
+const PINYIN_CELL_RE = /^[a-zü:āáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜ\s'·,1-5-]+$/i;
+const PINYIN_TONE_RE = /[āáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜ]|[a-zü:][1-5]/i;
+
+/**
+ * Whether pasted text looks like JSON rather than a table
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function looksLikeJson(text) {
+    return /^[[{]/.test(String(text || '').trim());
+}
+
+/**
+ * Split delimited text into rows, honouring "quoted" fields (with "" escapes and
+ * line breaks inside). Blank lines are skipped.
+ * @param {string} text
+ * @param {string} delimiter
+ * @param {number} firstLine - Line number of the first line of text
+ * @returns {Array} - [{ cells, line }]
+ */
+function parseDelimited(text, delimiter, firstLine = 1) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = firstLine;
+    let rowLine = firstLine;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.some(c => c.trim() !== '')) rows.push({ cells, line: rowLine });
+        cells = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+        } else if (ch === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (ch === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || cells.length > 0) endRow();
+    return rows;
+}
+
+/**
+ * Read the "#key:value" header lines at the top of an Anki notes export
+ * @param {Array<string>} lines
+ * @returns {Object} - { headers: { key: value }, count } (count = header lines)
+ */
+function readAnkiHeaders(lines) {
+    const headers = {};
+    let count = 0;
+    while (count < lines.length) {
+        const match = lines[count].match(/^#([a-z ]+):(.*)$/i);
+        if (!match) break;
+        headers[match[1].trim().toLowerCase()] = match[2].trim();
+        count++;
+    }
+    return { headers, count };
+}
+
+/**
+ * Pick the delimiter of a CSV-ish text from its first line
+ * @param {string} firstLine
+ * @returns {string}
+ */
+function guessDelimiter(firstLine) {
+    if (firstLine.includes('\t')) return '\t';
+    const semicolons = (firstLine.match(/;/g) || []).length;
+    const commas = (firstLine.match(/,/g) || []).length;
+    return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Parse a CSV, TSV, Anki notes or Pleco flashcards text
+ * @param {string} text
+ * @param {string} fileName - Used to tell CSV from TSV ('' for pasted text)
+ * @returns {Object} - { ok, msg } or { ok, table }
+ *   table: { format, html, header, rows: [{ cells, line, category? }], columnCount, columnRoles, mapping }
+ */
+export function parseTabularImport(text, fileName = '') {
+    const clean = String(text || '').replace(/^\uFEFF/, '');
+    if (!clean.trim()) return { ok: false, msg: 'The file is empty.' };
+    const lines = clean.split(/\r\n|\r|\n/);
+    const name = fileName.toLowerCase();
+
+    // Anki notes export: "#separator:tab", "#html:true", "#columns:…", "#tags column:4"…
+    const { headers, count } = readAnkiHeaders(lines);
+    const isAnki = count > 0 && ('separator' in headers || 'html' in headers || 'columns' in headers);
+    const body = lines.slice(count).join('\n');
+    const firstDataLine = lines.slice(count).find(l => l.trim() && !l.startsWith('//')) || '';
+    const isPleco = !isAnki && (lines.some(l => l.startsWith('//')) || /^[^\t]+\[[^\]\t]+\]\t/.test(firstDataLine));
+
+    let format;
+    let delimiter;
+    if (isAnki) {
+        format = 'anki';
+        const separator = (headers.separator || 'tab').toLowerCase();
+        delimiter = ANKI_SEPARATORS[separator] || headers.separator;
+        if (!delimiter) return { ok: false, msg: `Unknown Anki separator "${headers.separator}".` };
+    } else if (isPleco) {
+        format = 'pleco';
+        delimiter = '\t';
+    } else if (name.endsWith('.tsv') || name.endsWith('.tab')) {
+        format = 'tsv';
+        delimiter = '\t';
+    } else if (name.endsWith('.csv')) {
+        format = 'csv';
+        delimiter = guessDelimiter(firstDataLine);
+    } else {
+        delimiter = guessDelimiter(firstDataLine);
+        format = delimiter === '\t' ? 'tsv' : 'csv';
+    }
+
+    let rows = parseDelimited(body, delimiter, count + 1);
+
+    // Pleco: "//Category/Sub" lines label the cards that follow
+    if (format === 'pleco') {
+        let category = '';
+        rows = rows.filter(row => {
+            const first = row.cells[0].trim();
+            if (row.cells.length === 1 && first.startsWith('//')) {
+                category = first.replace(/^\/\/+/, '').split('/').filter(Boolean).pop() || '';
+                return false;
+            }
+            if (category) row.category = category;
+            return true;
+        });
+    }
+
+    // Header row: Anki declares it, CSV/TSV may start with one
+    let header = null;
+    if (format === 'anki' && headers.columns) {
+        header = headers.columns.split(delimiter).map(c => c.trim());
+    } else if (rows.length > 0 && format !== 'pleco') {
+        const names = rows[0].cells.map(c => c.trim().toLowerCase());
+        const recognised = IMPORT_FIELDS.filter(field => names.some(n => HEADER_NAMES[field].includes(n)));
+        if (recognised.length >= 2) {
+            header = rows[0].cells.map(c => c.trim());
+            rows = rows.slice(1);
+        }
+    }
+    if (rows.length === 0) return { ok: false, msg: 'No rows found.' };
+
+    // Anki columns that hold note metadata rather than fields (1-based in the header)
+    const columnRoles = {};
+    for (const role of ['guid', 'notetype', 'deck', 'tags']) {
+        const column = Number(headers[`${role} column`]);
+        if (column > 0) columnRoles[column - 1] = role;
+    }
+
+    const table = {
+        format,
+        html: format === 'anki' && headers.html !== 'false',
+        header,
+        rows,
+        columnCount: Math.max(header?.length || 0, ...rows.map(r => r.cells.length)),
+        columnRoles
+    };
+    table.mapping = guessColumnMapping(table);
+    return { ok: true, table };
+}
+
+/**
+ * Guess which column holds each field: header names first, then the contents
+ * (CJK -> word, pinyin-looking -> pinyin, longest remaining text -> definition),
+ * then column order
+ * @param {Object} table
+ * @returns {Object} - { word, pinyin, definition, tags } column indexes (-1 = none)
+ */
+export function guessColumnMapping(table) {
+    const mapping = { word: -1, pinyin: -1, definition: -1, tags: -1 };
+    const taken = new Set(Object.keys(table.columnRoles).map(Number));
+    const assign = (field, index) => {
+        mapping[field] = index;
+        taken.add(index);
+    };
+
+    for (const [index, role] of Object.entries(table.columnRoles)) {
+        if (role === 'tags') mapping.tags = Number(index);
+    }
+    if (table.header) {
+        for (const field of IMPORT_FIELDS) {
+            if (mapping[field] !== -1) continue;
+            const index = table.header.findIndex((h, i) => !taken.has(i) && HEADER_NAMES[field].includes(h.toLowerCase()));
+            if (index !== -1) assign(field, index);
+        }
+    }
+
+    // Score the columns on a sample of rows
+    const sample = table.rows.slice(0, 20);
+    const stats = [];
+    for (let i = 0; i < table.columnCount; i++) {
+        const values = sample.map(row => cleanCell(table, row.cells[i] || '')).filter(Boolean);
+        const share = (test) => values.length ? values.filter(test).length / values.length : 0;
+        stats.push({
+            index: i,
+            cjk: share(v => CJK_RE.test(v)),
+            pinyin: share(v => PINYIN_CELL_RE.test(v) && PINYIN_TONE_RE.test(v)),
+            length: values.reduce((sum, v) => sum + v.length, 0) / (values.length || 1),
+            filled: values.length
+        });
+    }
+    const best = (score) => stats
+        .filter(s => !taken.has(s.index) && score(s) > 0.5)
+        .sort((a, b) => score(b) - score(a))[0];
+
+    if (mapping.word === -1) {
+        const column = best(s => s.cjk);
+        if (column) assign('word', column.index);
+    }
+    if (mapping.pinyin === -1) {
+        const column = best(s => s.pinyin);
+        if (column) assign('pinyin', column.index);
+    }
+    if (mapping.definition === -1) {
+        const column = stats
+            .filter(s => !taken.has(s.index) && s.filled > 0 && s.cjk <= 0.5)
+            .sort((a, b) => b.length - a.length)[0];
+        if (column) assign('definition', column.index);
+    }
+
+    // Whatever is still unmapped takes the first free columns in order
+    for (const field of REQUIRED_FIELDS) {
+        if (mapping[field] !== -1) continue;
+        for (let i = 0; i < table.columnCount; i++) {
+            if (!taken.has(i)) { assign(field, i); break; }
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Column choices for the mapping controls: the header name, or a sample value
+ * @param {Object} table
+ * @returns {Array} - [{ index, label }]
+ */
+export function describeColumns(table) {
+    const columns = [];
+    for (let i = 0; i < table.columnCount; i++) {
+        const name = table.header?.[i];
+        const sample = table.rows.map(row => cleanCell(table, row.cells[i] || '')).find(Boolean) || '';
+        const shortSample = sample.length > 24 ? `${sample.slice(0, 24)}…` : sample;
+        columns.push({ index: i, label: `${i + 1}: ${name || shortSample || '(empty)'}` });
+    }
+    return columns;
+}
+
+/**
+ * Strip Anki HTML (line breaks become "; ") and decode the common entities
+ * @param {string} value
+ * @returns {string}
+ */
+function stripHtml(value) {
+    return value
+        .replace(/<br\s*\/?>|<\/(div|p|li)>/gi, '; ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/(;\s*)+$/, '');
+}
+
+/**
+ * Clean one cell for import: Anki HTML and sound references, Pleco's private-use
+ * formatting characters, surrounding whitespace
+ * @param {Object} table
+ * @param {string} value
+ * @returns {string}
+ */
+function cleanCell(table, value) {
+    let text = String(value);
+    if (table.html) text = stripHtml(text);
+    if (table.format === 'anki') text = text.replace(/\[sound:[^\]]*\]/g, '');
+    if (table.format === 'pleco') text = text.replace(/[\uE000-\uF8FF]/g, ' ');
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn a parsed table into import items with a column mapping. Numbered pinyin
+ * ("ni3 hao3") becomes tone marks; Pleco "简[繁]" keeps the simplified form.
+ * @param {Object} table - From parseTabularImport
+ * @param {Object} mapping - { word, pinyin, definition, tags } column indexes
+ * @returns {Object} - { ok, msg } or { ok, data: [{ word, pinyin, definition, tags? }] }
+ */
+export function tableToItems(table, mapping) {
+    for (const field of REQUIRED_FIELDS) {
+        if (!(mapping[field] >= 0)) return { ok: false, msg: `No column is mapped to "${field}".` };
+    }
+    for (const field of REQUIRED_FIELDS) {
+        const other = REQUIRED_FIELDS.find(f => f !== field && mapping[f] === mapping[field]);
+        if (other) return { ok: false, msg: `"${field}" and "${other}" are both mapped to column ${mapping[field] + 1}.` };
+    }
+
+    const data = [];
+    for (const row of table.rows) {
+        const item = {};
+        for (const field of REQUIRED_FIELDS) {
+            const column = mapping[field];
+            if (column >= row.cells.length) {
+                return { ok: false, msg: `Row ${row.line} is missing column ${column + 1} ("${field}").` };
+            }
+            const value = cleanCell(table, row.cells[column]);
+            if (!value) return { ok: false, msg: `Row ${row.line}, column ${column + 1} ("${field}") is empty.` };
+            item[field] = value;
+        }
+        if (table.format === 'pleco') item.word = item.word.replace(/\[[^\]]*\]$/, '').trim() || item.word;
+        item.pinyin = numberedToTonedPinyin(item.pinyin);
+
+        const tags = [];
+        if (mapping.tags >= 0 && row.cells[mapping.tags]) {
+            const value = cleanCell(table, row.cells[mapping.tags]);
+            // Anki separates tags with spaces, spreadsheets with commas
+            tags.push(...(table.format === 'anki' ? value.split(' ') : value.split(/[,;]/)));
+        }
+        if (row.category) tags.push(row.category);
+        const usable = tags.map(t => t.trim()).filter(Boolean);
+        if (usable.length > 0) item.tags = usable;
+        data.push(item);
+    }
+    return { ok: true, data };
+}
@@ -0,0 +1,100 @@
+/**
+ * Tags Module
+ *
+ * Free-form labels on words (word.tags), e.g. "food", "measure-word", "lesson-12".
+ * Tags come from the import JSON ("tags": ["food"] or "food, lesson-12") or the
+ * word detail modal, and drive filtered study sessions ("tag:food").
+ *
+ * Tags are stored normalized: lowercase, trimmed, inner whitespace as "-".
+ */
+
+import { state, markDirty } from '../state.js';
+
+/**
+ * Normalize a tag for storage and comparison
+ * @param {string} tag
+ * @returns {string} - Normalized tag ('' if nothing usable is left)
+ */
+export function normalizeTag(tag) {
+    return String(tag || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^tag:/, '')
+        .replace(/\s+/g, '-')
+        .replace(/[,;"'<>]/g, '');
+}
+
+/**
+ * Parse tags from a comma/semicolon-separated string or an array of strings
+ * @param {string|Array} value
+ * @returns {Array<string>} - Unique normalized tags
+ */
+export function parseTags(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+    const tags = parts.map(normalizeTag).filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * Tags of a word
+ * @param {Object} word - Wordlist entry
+ * @returns {Array<string>}
+ */
+export function getWordTags(word) {
+    return Array.isArray(word?.tags) ? word.tags : [];
+}
+
+/**
+ * Add tags to a word (keeps existing ones)
+ * @param {Object} word - Wordlist entry (mutated)
+ * @param {string|Array} tags
+ */
+export function addWordTags(word, tags) {
+    const merged = [...new Set([...getWordTags(word), ...parseTags(tags)])];
+    if (merged.length > 0) {
+        word.tags = merged;
+        markDirty('words', word.id);
+    }
+}
+
+/**
+ * Remove a tag from a word
+ * @param {Object} word - Wordlist entry (mutated)
+ * @param {string} tag
+ */
+export function removeWordTag(word, tag) {
+    const needle = normalizeTag(tag);
+    const tags = getWordTags(word).filter(t => t !== needle);
+    if (tags.length > 0) {
+        word.tags = tags;
+    } else {
+        delete word.tags;
+    }
+    markDirty('words', word.id);
+}
+
+/**
+ * Whether a word has a tag
+ * @param {Object} word
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export function wordHasTag(word, tag) {
+    return getWordTags(word).includes(normalizeTag(tag));
+}
+
+/**
+ * Every tag in the wordlist with its word count, most used first
+ * @returns {Array} - [{ tag, count }]
+ */
+export function getAllTags() {
+    const counts = new Map();
+    for (const word of state.wordlist || []) {
+        for (const tag of getWordTags(word)) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
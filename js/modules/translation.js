@@ -1,5 +1,5 @@
-import { state, saveState } from '../state.js';
-import { $, $$, renderMarkdown } from './utils.js';
+import { state, saveState, markDirty } from '../state.js';
+import { $, $$, renderMarkdown, sentenceKey } from './utils.js';
 import { prompts } from './prompts.js';
 import { renderSentenceCount } from './settings.js';
 
@@ -29,7 +29,8 @@ async function callGemini(prompt) {
     } catch (e) {
         throw { 
             message: "Network Error", 
-            details: "Failed to connect to Gemini API. Please check your internet connection and try again." 
+            details: "Failed to connect to Gemini API. Please check your internet connection and try again.",
+            offline: true
         };
     }
 
@@ -341,6 +342,41 @@ function showLoader() {
 
 // --- LOGIC ---
 
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Without a connection, practice a previously generated sentence instead
+ * @returns {boolean} - False if there is no other cached sentence
+ */
+function serveCachedSentence() {
+    const others = state.cachedSentences.filter(s => s.promptZH && s.promptZH !== state.translation.promptZH);
+    if (others.length === 0) return false;
+    const pick = others[Math.floor(Math.random() * others.length)];
+    state.translation = { promptEN: pick.promptEN, promptZH: pick.promptZH, feedbackOverview: '', tokens: [] };
+    setTranslationDir(state.translationDir); // Refreshes text
+    showTranslateA();
+    showError("You're offline", 'Practicing a saved sentence. Grading needs a connection; you can still compare with the reference.');
+    return true;
+}
+
+/**
+ * Without a connection, show the reference translation instead of graded feedback
+ * (nothing is stored, so the sentence can be graded later)
+ */
+function showReferenceOffline() {
+    const isEnglishToChinese = state.translationDir === 'ENZH';
+    const reference = isEnglishToChinese ? state.translation.promptZH : state.translation.promptEN;
+    const ov = $('#fbOverview');
+    const sentence = $('#fbSentence');
+    const detail = $('#fbDetail');
+    showFeedback();
+    if (ov) ov.innerHTML = renderMarkdown(`**You're offline**, so this can't be graded. Compare with the reference:\n\n${reference}`);
+    if (sentence) sentence.innerHTML = '';
+    if (detail) detail.style.display = 'none';
+}
+
 export async function newSentence() {
     const promptDiv = $('#promptText');
     const nextBtn = $('#btnNextSentence');
@@ -351,6 +387,8 @@ export async function newSentence() {
         return;
     }
 
+    if (isOffline() && serveCachedSentence()) return;
+
     // Hide buttons and show loader
     if (nextBtn) nextBtn.style.display = 'none';
     if (skipBtn) skipBtn.style.display = 'none';
@@ -380,9 +418,14 @@ export async function newSentence() {
             tokens: []
         };
 
-        // Save to cache (limit to 100 most recent)
-        state.cachedSentences.push(state.translation);
-        if (state.cachedSentences.length > 100) state.cachedSentences.shift();
+        // Save to cache (limit to 100 most recent); a copy, so feedback stays out of it
+        const cached = { ...state.translation };
+        state.cachedSentences.push(cached);
+        markDirty('sentences', sentenceKey(cached));
+        if (state.cachedSentences.length > 100) {
+            state.cachedSentences.shift();
+            markDirty('sentences'); // Every position moved
+        }
         saveState();
         renderSentenceCount();
 
@@ -392,6 +435,7 @@ export async function newSentence() {
         showTranslateA(); // Resets input and hides feedback
 
     } catch (e) {
+        if (e.offline && serveCachedSentence()) return;
         // Handle error object with message/details or plain Error
         const errorMessage = e.message || 'An error occurred';
         const errorDetails = e.details || (e.message && e.message !== errorMessage ? e.message : '');
@@ -416,6 +460,11 @@ export async function checkTranslation() {
     btn.style.display = 'none';
     showLoader();
 
+    if (isOffline()) {
+        showReferenceOffline();
+        return;
+    }
+
     try {
         const isEnglishToChinese = state.translationDir === 'ENZH';
         const srcText = isEnglishToChinese ? state.translation.promptEN : state.translation.promptZH;
@@ -433,6 +482,10 @@ export async function checkTranslation() {
         showFeedback();
 
     } catch (e) {
+        if (e.offline) {
+            showReferenceOffline();
+            return;
+        }
         // Handle error object with message/details or plain Error
         const errorMessage = e.message || 'Failed to grade translation';
         const errorDetails = e.details || (e.message && e.message !== errorMessage ? e.message : 'Please try again.');
@@ -32,3 +32,61 @@ export function renderMarkdown(text) {
     
     return html;
 }
+
+/**
+ * Trigger a browser download of in-memory content
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} mimeType - MIME type (ignored when content is already a Blob)
+ */
+export function downloadFile(filename, content, mimeType = 'application/json') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Quote a value for a CSV cell (empty for null/undefined)
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Identity of a cached sentence (prompt pair)
+ * @param {Object} sentence
+ * @returns {string}
+ */
+export function sentenceKey(sentence) {
+    return `${sentence?.promptZH || ''}\u0000${sentence?.promptEN || ''}`;
+}
+
+/**
+ * Get a date stamp (YYYY-MM-DD, local time) for export file names
+ */
+export function getFileDateStamp(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Escape HTML special characters
+ */
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -5,6 +5,12 @@
  * Hanzi + Toned Pinyin using xxHash32.
  * 
  * WordID = xxHash32("[CanonicalizedHanzi]|[CanonicalizedTonedPinyin]|")
+ *
+ * VERSIONING:
+ * Every WordID is tied to a scheme version (canonicalization rules + hash seed).
+ * Words store the version their ID was made with (word.idVersion; missing = 1).
+ * Never change an existing scheme: add a new entry to WORD_ID_SCHEMES, bump
+ * WORD_ID_VERSION, and wordIdMigration.js moves stored progress to the new IDs.
  */
 
 // ============================================================================
@@ -157,6 +163,45 @@ export function canonicalizePinyin(pinyin) {
     return pinyin.toLowerCase();
 }
 
+// ============================================================================
+// WordID Schemes
+// ============================================================================
+
+/**
+ * Current WordID scheme version (used for new words)
+ */
+export const WORD_ID_VERSION = 1;
+
+/**
+ * Version assumed for words saved before IDs were versioned
+ */
+export const LEGACY_WORD_ID_VERSION = 1;
+
+/**
+ * Canonicalization rules and hash seed per scheme version (frozen once released)
+ */
+const WORD_ID_SCHEMES = {
+    1: { canonicalizeHanzi, canonicalizePinyin, seed: 0 }
+};
+
+/**
+ * Check whether a WordID scheme version exists
+ * @param {number} version
+ * @returns {boolean}
+ */
+export function isKnownWordIdVersion(version) {
+    return Object.prototype.hasOwnProperty.call(WORD_ID_SCHEMES, version);
+}
+
+/**
+ * Get the scheme version a word's ID was generated with
+ * @param {Object} word - Wordlist entry
+ * @returns {number}
+ */
+export function getWordIdVersion(word) {
+    return Number.isInteger(word?.idVersion) ? word.idVersion : LEGACY_WORD_ID_VERSION;
+}
+
 // ============================================================================
 // WordID Generation
 // ============================================================================
@@ -168,16 +213,22 @@ export function canonicalizePinyin(pinyin) {
  * 
  * @param {string} hanzi - The Hanzi word
  * @param {string} tonedPinyin - The toned pinyin
+ * @param {number} version - Scheme version (default: current)
  * @returns {string} - 8-character hex hash
  */
-export function generateWordId(hanzi, tonedPinyin) {
-    const canonicalHanzi = canonicalizeHanzi(hanzi);
-    const canonicalPinyin = canonicalizePinyin(tonedPinyin);
+export function generateWordId(hanzi, tonedPinyin, version = WORD_ID_VERSION) {
+    const scheme = WORD_ID_SCHEMES[version];
+    if (!scheme) {
+        throw new Error(`Unknown WordID version: ${version}`);
+    }
+    
+    const canonicalHanzi = scheme.canonicalizeHanzi(hanzi);
+    const canonicalPinyin = scheme.canonicalizePinyin(tonedPinyin);
     
     // Create the canonical string for hashing
     const hashInput = `${canonicalHanzi}|${canonicalPinyin}|`;
     
-    return xxHash32(hashInput);
+    return xxHash32(hashInput, scheme.seed);
 }
 
 /**
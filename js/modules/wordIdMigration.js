@@ -0,0 +1,100 @@
+/**
+ * WordID Migration
+ *
+ * Progress is keyed by WordID (fsrsSubcards, supercardLastShown, supercardFlags,
+ * lastWordId, the review log, asset mappings), so a change to the WordID scheme
+ * (see wordId.js) would orphan all of it. Each word remembers the scheme version
+ * its ID was made with; migrateWordIds() recomputes IDs with the current version
+ * and moves everything stored under the old ID (words.js migrateWordId).
+ *
+ * Asset mappings shipped as files (FlashCardoMappings.json) can't be rewritten in
+ * the browser; they declare the version they were keyed with and lookups go
+ * through lookupAssetMapping, which recomputes the word's ID under that version.
+ */
+
+import { state, markDirty } from '../state.js';
+import { generateWordId, getWordIdVersion, isKnownWordIdVersion, WORD_ID_VERSION } from './wordId.js';
+import { migrateWordId } from './words.js';
+
+/**
+ * Compare each word's stored ID with a recomputation
+ * @param {Array} wordlist
+ * @returns {Object} - { mismatched: [{ word, storedId, expectedId, version }], outdated: [{ word, version }], unknown: [{ word, version }] }
+ */
+export function checkWordIds(wordlist = state.wordlist) {
+    const mismatched = [];
+    const outdated = [];
+    const unknown = [];
+    for (const word of wordlist || []) {
+        const version = getWordIdVersion(word);
+        if (!isKnownWordIdVersion(version)) {
+            unknown.push({ word, version });
+            continue;
+        }
+        const expectedId = generateWordId(word.word, word.pinyinToned, version);
+        if (word.id !== expectedId) {
+            mismatched.push({ word, storedId: word.id, expectedId, version });
+        } else if (version !== WORD_ID_VERSION) {
+            outdated.push({ word, version });
+        }
+    }
+    return { mismatched, outdated, unknown };
+}
+
+/**
+ * Recompute every word's ID with the current scheme and move its progress to the
+ * new ID. Words whose new ID is taken by another word are left alone and reported.
+ * @returns {Object} - { migrated: [{ word, oldId, newId }], stamped, conflicts: [{ word, newId }], changed }
+ */
+export function migrateWordIds() {
+    const migrated = [];
+    const conflicts = [];
+    let stamped = 0;
+
+    const taken = new Set((state.wordlist || []).map(w => w.id));
+    for (const word of state.wordlist || []) {
+        const newId = generateWordId(word.word, word.pinyinToned);
+        if (newId !== word.id) {
+            if (taken.has(newId)) {
+                conflicts.push({ word, newId });
+                continue;
+            }
+            const oldId = word.id;
+            migrateWordId(oldId, newId);
+            word.id = newId;
+            taken.delete(oldId);
+            taken.add(newId);
+            migrated.push({ word, oldId, newId });
+        }
+        if (word.idVersion !== WORD_ID_VERSION) {
+            word.idVersion = WORD_ID_VERSION;
+            stamped++;
+        }
+    }
+
+    if (migrated.length > 0 || stamped > 0) markDirty('words');
+    if (migrated.length > 0) {
+        console.log(`[WordID] Migrated ${migrated.length} word(s) to WordID v${WORD_ID_VERSION}`);
+    }
+    if (conflicts.length > 0) {
+        console.warn(`[WordID] ${conflicts.length} word(s) not migrated (new ID already in use):`,
+            conflicts.map(c => `${c.word.word} → ${c.newId}`));
+    }
+    return { migrated, stamped, conflicts, changed: migrated.length > 0 || stamped > 0 };
+}
+
+/**
+ * Look up a word in an asset mapping keyed by WordIDs of some scheme version
+ * @param {Object} mappings - wordId -> value
+ * @param {number} mappingsVersion - Scheme version the mapping's keys were made with
+ * @param {string} wordId - Current WordID
+ * @returns {*} - Mapped value, or undefined
+ */
+export function lookupAssetMapping(mappings, mappingsVersion, wordId) {
+    if (!mappings || !wordId) return undefined;
+    if (Object.prototype.hasOwnProperty.call(mappings, wordId)) return mappings[wordId];
+    if (mappingsVersion === WORD_ID_VERSION || !isKnownWordIdVersion(mappingsVersion)) return undefined;
+
+    const word = (state.wordlist || []).find(w => w.id === wordId);
+    return word ? mappings[generateWordId(word.word, word.pinyinToned, mappingsVersion)] : undefined;
+}
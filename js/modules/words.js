@@ -0,0 +1,247 @@
+/**
+ * Word Actions
+ *
+ * Per-word and per-supercard controls from the word detail modal, the fine-grained
+ * counterparts of "Forget wordlist" / "Forget progress":
+ * - suspend a whole word or one front (kept out of the queue until unsuspended)
+ * - bury a word or one front until tomorrow (state.supercardFlags[key].buriedUntil)
+ * - reset one subcard's FSRS state (it becomes new again)
+ * - delete a word with its subcards and supercard bookkeeping
+ * - edit a word; when its hanzi or pinyin changes so does its WordID, and the
+ *   progress stored under the old ID moves with it (migrateWordId)
+ *
+ * Suspension and burial live in state.supercardFlags (see fsrs.js), which selection,
+ * due counts and the forecast honour. The review log is history and is kept.
+ */
+
+import { state, getNow, markDirty } from '../state.js';
+import { generateWordId, WORD_ID_VERSION } from './wordId.js';
+import { processPinyin } from './pinyin.js';
+import { renameAudioAsset } from './audioAssets.js';
+import { getSupercardKey, getSubcardKey, getBackModesForFront, updateSupercardFlags, isSupercardSuspended, isSupercardBuried } from './fsrs.js';
+
+const FRONT_TYPES = ['hanzi', 'pronunciation', 'meaning'];
+
+/**
+ * Fronts an action applies to
+ * @param {string|null} front - One front, or null for the whole word
+ * @returns {Array<string>}
+ */
+function getTargetFronts(front) {
+    return front ? [front] : FRONT_TYPES;
+}
+
+/**
+ * Whether every front of a word is suspended
+ * @param {string} wordId
+ * @returns {boolean}
+ */
+export function isWordSuspended(wordId) {
+    return FRONT_TYPES.every(front => isSupercardSuspended(wordId, front));
+}
+
+/**
+ * Suspend or unsuspend a word (front = null) or one of its supercards
+ * @param {string} wordId
+ * @param {string|null} front
+ * @param {boolean} suspended
+ */
+export function setSuspended(wordId, front, suspended) {
+    for (const f of getTargetFronts(front)) {
+        updateSupercardFlags(wordId, f, suspended
+            ? { suspended: true, suspendedBy: 'user' }
+            : { suspended: null, suspendedBy: null });
+    }
+    state.selectionReferenceTime = null;
+}
+
+/**
+ * Bury a word (front = null) or one of its supercards until the start of tomorrow
+ * @param {string} wordId
+ * @param {string|null} front
+ * @param {Date} now - Reference time
+ * @returns {string} - ISO time the burial ends
+ */
+export function buryUntilTomorrow(wordId, front, now = getNow()) {
+    const tomorrow = new Date(now);
+    tomorrow.setHours(24, 0, 0, 0);
+    const until = tomorrow.toISOString();
+    for (const f of getTargetFronts(front)) {
+        updateSupercardFlags(wordId, f, { buriedUntil: until });
+    }
+    state.selectionReferenceTime = null;
+    return until;
+}
+
+/**
+ * Lift a burial early
+ * @param {string} wordId
+ * @param {string|null} front
+ */
+export function unbury(wordId, front) {
+    for (const f of getTargetFronts(front)) {
+        updateSupercardFlags(wordId, f, { buriedUntil: null });
+    }
+    state.selectionReferenceTime = null;
+}
+
+/**
+ * Whether a supercard is currently buried by hand
+ * @param {string} wordId
+ * @param {string} front
+ * @returns {boolean}
+ */
+export function isBuried(wordId, front) {
+    return isSupercardBuried(wordId, front, getNow());
+}
+
+/**
+ * Reset one subcard's FSRS state (it is treated as never reviewed)
+ * @param {string} wordId
+ * @param {string} front
+ * @param {string} backMode
+ * @returns {boolean} - False if the subcard had no state
+ */
+export function resetSubcard(wordId, front, backMode) {
+    const key = getSubcardKey(wordId, front, backMode);
+    if (!state.fsrsSubcards?.[key]) return false;
+    delete state.fsrsSubcards[key];
+    markDirty('subcards', key);
+    state.selectionReferenceTime = null;
+    return true;
+}
+
+/**
+ * Delete a word from the wordlist with its subcards, last-shown times, flags and
+ * recent-supercard entries. Its review log entries stay (history).
+ * @param {string} wordId
+ * @returns {Object|null} - The deleted word, or null if it wasn't found
+ */
+export function deleteWord(wordId) {
+    const index = (state.wordlist || []).findIndex(w => w.id === wordId);
+    if (index === -1) return null;
+    const [word] = state.wordlist.splice(index, 1);
+    markDirty('words');
+
+    const supercardKeys = new Set(FRONT_TYPES.map(front => getSupercardKey(wordId, front)));
+    for (const front of FRONT_TYPES) {
+        const supercardKey = getSupercardKey(wordId, front);
+        for (const backMode of getBackModesForFront(front)) {
+            const key = getSubcardKey(wordId, front, backMode);
+            delete state.fsrsSubcards?.[key];
+            markDirty('subcards', key);
+        }
+        delete state.supercardLastShown?.[supercardKey];
+        delete state.supercardFlags?.[supercardKey];
+    }
+    if (Array.isArray(state.recentSupercards)) {
+        state.recentSupercards = state.recentSupercards.filter(key => !supercardKeys.has(key));
+    }
+    if (state.lastWordId === wordId) {
+        state.lastWordId = '';
+    }
+    state.selectionReferenceTime = null;
+    return word;
+}
+
+/**
+ * Move everything stored under a WordID to a new one: FSRS subcards, last-shown
+ * times, flags, the recent-supercards buffer, review log entries, the running
+ * filtered session and the card on screen.
+ * @param {string} oldId
+ * @param {string} newId
+ */
+export function migrateWordId(oldId, newId) {
+    if (!oldId || !newId || oldId === newId) return;
+
+    const moveKey = (map, from, to) => {
+        if (map && from in map) {
+            map[to] = map[from];
+            delete map[from];
+        }
+    };
+    const keyMap = new Map();
+    for (const front of FRONT_TYPES) {
+        const oldKey = getSupercardKey(oldId, front);
+        const newKey = getSupercardKey(newId, front);
+        keyMap.set(oldKey, newKey);
+        moveKey(state.supercardLastShown, oldKey, newKey);
+        moveKey(state.supercardFlags, oldKey, newKey);
+        for (const backMode of getBackModesForFront(front)) {
+            const from = getSubcardKey(oldId, front, backMode);
+            const to = getSubcardKey(newId, front, backMode);
+            moveKey(state.fsrsSubcards, from, to);
+            markDirty('subcards', from);
+            markDirty('subcards', to);
+        }
+    }
+
+    if (Array.isArray(state.recentSupercards)) {
+        state.recentSupercards = state.recentSupercards.map(key => keyMap.get(key) || key);
+    }
+    for (const entry of state.reviewLog || []) {
+        if (entry.wordId !== oldId) continue;
+        markDirty('reviews', entry.id || undefined);
+        entry.wordId = newId;
+        entry.id = `${getSubcardKey(newId, entry.front, entry.backMode)}@${entry.reviewedAt}`;
+        markDirty('reviews', entry.id);
+    }
+    const session = state.filteredSession;
+    if (session) {
+        session.done = session.done.map(key => keyMap.get(key) || key);
+        if (session.lastWordId === oldId) session.lastWordId = newId;
+    }
+    if (state.lastWordId === oldId) state.lastWordId = newId;
+    if (state.card?.id === oldId) state.card.id = newId;
+
+    // Audio files named by WordID follow the word (stored separately; no need to wait)
+    renameAudioAsset(oldId, newId).catch(e => console.warn('Failed to rename audio files', e));
+}
+
+/**
+ * Edit a word. A new hanzi or pinyin gives a new WordID; the word's progress is
+ * migrated to it. Tones are re-derived from the pinyin unless given explicitly.
+ * @param {string} wordId
+ * @param {Object} changes - Any of { word, pinyinToned, meaning, tones }
+ * @returns {Object} - { ok, msg } or { ok, word, oldId, idChanged }
+ */
+export function updateWord(wordId, changes) {
+    const word = (state.wordlist || []).find(w => w.id === wordId);
+    if (!word) return { ok: false, msg: 'Word not found.' };
+
+    const hanzi = String(changes.word ?? word.word ?? '').trim();
+    const pinyin = String(changes.pinyinToned ?? word.pinyinToned ?? '').trim();
+    const meaning = String(changes.meaning ?? word.meaning ?? '').trim();
+    if (!hanzi) return { ok: false, msg: 'Hanzi is empty.' };
+    if (!pinyin) return { ok: false, msg: 'Pinyin is empty.' };
+    if (!meaning) return { ok: false, msg: 'Meaning is empty.' };
+
+    const derived = processPinyin(pinyin);
+    let tones = derived.tones;
+    if (changes.tones !== undefined && String(changes.tones).trim() !== (word.tones || '')) {
+        tones = String(changes.tones).trim();
+        if (!/^[1-5]*$/.test(tones)) return { ok: false, msg: 'Tones must be digits 1-5.' };
+    } else if (pinyin === word.pinyinToned) {
+        tones = word.tones || derived.tones;
+    }
+
+    const newId = generateWordId(hanzi, pinyin);
+    if (newId !== wordId && state.wordlist.some(w => w.id === newId)) {
+        return { ok: false, msg: `${hanzi} (${pinyin}) is already in the wordlist.` };
+    }
+
+    word.word = hanzi;
+    word.pinyinToned = pinyin;
+    word.pinyinBare = derived.bare;
+    word.tones = tones;
+    word.meaning = meaning;
+    if (newId !== wordId) {
+        migrateWordId(wordId, newId);
+        word.id = newId;
+    }
+    word.idVersion = WORD_ID_VERSION;
+    markDirty('words', wordId);
+    markDirty('words', word.id);
+    state.selectionReferenceTime = null;
+    return { ok: true, word, oldId: wordId, idChanged: newId !== wordId };
+}
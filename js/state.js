@@ -1,3 +1,6 @@
+import { STATE_SCHEMA_VERSION, detectSchemaVersion, migrateState, validateState, storeQuarantine } from './modules/stateSchema.js';
+import { openStateDb, readStatePayload, writeStatePayload } from './modules/storage.js';
+
 export const state = {
     tab: 'flash',
     sessionCount: 12,
@@ -14,7 +17,10 @@ export const state = {
         isNewCard: false, // Whether this specific supercard (wordId + front) is new
         isNewWord: false, // Whether this word has never been seen in any front mode
     },
-    wordlist: [], // { id, word, pinyinToned, meaning, pinyinBare, tones }
+    wordlist: [], // { id, idVersion, word, pinyinToned, meaning, pinyinBare, tones, decks, tags? }
+    decks: [], // { id, name, createdAt } (see decks.js)
+    studyDecks: null, // Deck ids the flashcards draw from (null = all decks)
+    filteredSession: null, // Running filtered study session (see filteredSession.js)
     translation: {
         promptEN: 'Welcome home. Do you want bread?',
         promptZH: '欢迎回家。你想要面包吗？',
@@ -36,128 +42,440 @@ export const state = {
     lastWordId: '', // Track last word ID shown to avoid showing same word twice in a row
     dailySupercardCount: 0, // Count of supercards completed today
     dailySupercardDate: null, // Date string (YYYY-MM-DD) for the day this count is for
+    dailyNewCount: 0, // New supercards completed today (counts against dailyLimits.newCards)
+    dailyReviewCount: 0, // Review supercards completed today (counts against dailyLimits.reviews)
+    dailyLimitsLifted: false, // User chose to keep studying past today's caps
+    dailyLimits: { newCards: 20, reviews: 200 }, // Daily caps (null = unlimited)
+    newCardStrategy: 'newFirst', // 'newFirst' (all new supercards before reviews) or 'interleaved'
+    loadBalancing: true, // Nudge review due dates within the fuzz window toward lighter days
+    siblingBurying: { mode: 'day', cards: 10 }, // Defer a word's other fronts: 'off', 'day' (until tomorrow) or 'cards' (N cards)
+    recentSupercards: [], // Ring buffer of recently completed supercard keys (for sibling burying)
     consecutiveDueCards: 0, // Track consecutive review card picks to ensure new cards are shown
     consecutiveNewCards: 0, // Track consecutive new card picks to ensure review cards are shown
     supercardLastShown: {}, // Map of supercardKey (wordId_front) -> ISO timestamp of last shown
-    selectionReferenceTime: null // ISO timestamp used for deterministic scoring (cleared on completion)
+    supercardFlags: {}, // Map of supercardKey -> { suspended, suspendedBy, leech, leechClearedAt, lapsesAtClear }
+    leechSettings: { subcardLapses: 6, supercardLapses: 10, windowDays: 90, autoTag: true, autoSuspend: false, rehabPasses: 2 }, // See leeches.js
+    selectionReferenceTime: null, // ISO timestamp used for deterministic scoring (cleared on completion)
+    reviewLog: [], // Append-only history of subcard reviews (see reviewLog.js)
+    reviewLogRetentionDays: 0, // Days of review history to keep (0 = forever)
+    reviewLogMaxEntries: 0, // Most recent reviews to keep (0 = no limit)
+    fsrsParameters: null, // Adopted optimizer result: { w, optimizedAt, reviewCount, before, after } (null = FSRS defaults)
+    sync: { serverUrl: '', token: '', revision: 0, lastSyncedAt: null, records: {} }, // Sync server and per-record revisions as of the last sync (see sync.js)
+    schedulingSettings: { byBackMode: {}, bySubcard: {} } // Retention / max interval overrides: byBackMode[backMode], bySubcard[`${front}_${backMode}`]
 };
 
+// localStorage fallback when IndexedDB is unavailable (see storage.js); state saved here
+// by older builds is moved into IndexedDB on load. The key predates schema versions;
+// the payload's schemaVersion is what counts (see stateSchema.js)
 const STORAGE_KEY = 'mandalore_state_v1';
 
+// IndexedDB handle once loadState() opened it (null = localStorage)
+let stateDb = null;
+let writeScheduled = false;
+let pendingWrite = Promise.resolve();
+
+// Entities changed since the last IndexedDB write: store -> Set of keys, or true for
+// the whole collection (see markDirty)
+const ENTITY_STORES = ['words', 'subcards', 'reviews', 'sentences'];
+let dirty = emptyDirty();
+
+function emptyDirty() {
+    return Object.fromEntries(ENTITY_STORES.map(store => [store, new Set()]));
+}
+
+// Called after every saveState() that persists (see onStateSaved)
+const saveListeners = [];
+
+// Simulation hooks (see simulator.js): a fixed clock and suppressed persistence
+let clockOverride = null;
+let saveSuppressed = false;
+
+// Set when the stored payload is from a newer schema: never overwrite it with less
+let storageLocked = false;
+
+/**
+ * Current time, or the simulated time while a clock override is set
+ * @returns {Date}
+ */
+export function getNow() {
+    return clockOverride ? new Date(clockOverride.getTime()) : new Date();
+}
+
+/**
+ * Override the clock used by scheduling and daily counters
+ * @param {Date|null} date - Simulated time (null = real time)
+ */
+export function setClockOverride(date) {
+    clockOverride = date ? new Date(date) : null;
+}
+
+/**
+ * Turn saveState() into a no-op (used while simulations mutate state)
+ * @param {boolean} suppressed
+ */
+export function setSaveSuppressed(suppressed) {
+    saveSuppressed = !!suppressed;
+}
+
+/**
+ * Note which stored entities changed: IndexedDB saves write only these (plus the
+ * settings fields). Call it where the change is made, before saveState().
+ * @param {string} [store] - 'words', 'subcards', 'reviews' or 'sentences' (none = all)
+ * @param {string} [key] - WordID, subcard key, review id or sentenceKey (utils.js); none
+ *   = anything in the store may have changed (bulk edits, and removals from the
+ *   wordlist, which move the words after them)
+ */
+export function markDirty(store, key) {
+    if (store === undefined) {
+        ENTITY_STORES.forEach(name => { dirty[name] = true; });
+    } else if (key === undefined) {
+        dirty[store] = true;
+    } else if (dirty[store] !== true) {
+        dirty[store].add(key);
+    }
+}
+
+/**
+ * The persisted form of state (Dates as ISO strings), as saveState writes it
+ * @returns {Object}
+ */
+export function serializeState() {
+    // Serialize FSRS subcards (convert Date objects to ISO strings)
+    const serializedFsrsSubcards = {};
+    for (const [key, card] of Object.entries(state.fsrsSubcards)) {
+        serializedFsrsSubcards[key] = {
+            ...card,
+            due: card.due ? card.due.toISOString() : null,
+            last_review: card.last_review ? card.last_review.toISOString() : null
+        };
+    }
+    return { ...persistedFields(), fsrsSubcards: serializedFsrsSubcards };
+}
+
+/**
+ * The persisted fields as they are in state (subcard dates still Dates): what IndexedDB
+ * saves pick the changed records from without copying everything
+ * @returns {Object}
+ */
+function persistedFields() {
+    return {
+        schemaVersion: STATE_SCHEMA_VERSION,
+        wordlist: state.wordlist,
+        deckName: state.imported.deckName,
+        decks: state.decks,
+        studyDecks: state.studyDecks,
+        filteredSession: state.filteredSession,
+        apiKey: state.apiKey,
+        geminiModel: state.geminiModel,
+        cachedSentences: state.cachedSentences,
+        fsrsSubcards: state.fsrsSubcards,
+        dailySupercardCount: state.dailySupercardCount,
+        dailySupercardDate: state.dailySupercardDate,
+        dailyNewCount: state.dailyNewCount,
+        dailyReviewCount: state.dailyReviewCount,
+        dailyLimitsLifted: state.dailyLimitsLifted,
+        dailyLimits: state.dailyLimits,
+        newCardStrategy: state.newCardStrategy,
+        loadBalancing: state.loadBalancing,
+        siblingBurying: state.siblingBurying,
+        recentSupercards: state.recentSupercards,
+        consecutiveDueCards: state.consecutiveDueCards || 0,
+        consecutiveNewCards: state.consecutiveNewCards || 0,
+        supercardLastShown: state.supercardLastShown || {},
+        supercardFlags: state.supercardFlags || {},
+        leechSettings: state.leechSettings,
+        lastWordId: state.lastWordId || '',
+        selectionReferenceTime: state.selectionReferenceTime || null,
+        reviewLog: state.reviewLog || [],
+        reviewLogRetentionDays: state.reviewLogRetentionDays || 0,
+        reviewLogMaxEntries: state.reviewLogMaxEntries || 0,
+        fsrsParameters: state.fsrsParameters || null,
+        schedulingSettings: state.schedulingSettings,
+        sync: state.sync
+    };
+}
+
 export function saveState() {
-    try {
-        // Serialize FSRS subcards (convert Date objects to ISO strings)
-        const serializedFsrsSubcards = {};
-        for (const [key, card] of Object.entries(state.fsrsSubcards)) {
-            serializedFsrsSubcards[key] = {
-                ...card,
-                due: card.due ? card.due.toISOString() : null,
-                last_review: card.last_review ? card.last_review.toISOString() : null
-            };
+    if (saveSuppressed || storageLocked) return;
+    if (stateDb) {
+        scheduleWrite();
+    } else {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeState()));
+        } catch (e) {
+            console.error('Failed to save state', e);
         }
-        
-        const data = {
-            wordlist: state.wordlist,
-            deckName: state.imported.deckName,
-            apiKey: state.apiKey,
-            geminiModel: state.geminiModel,
-            cachedSentences: state.cachedSentences,
-            fsrsSubcards: serializedFsrsSubcards,
-            dailySupercardCount: state.dailySupercardCount,
-            dailySupercardDate: state.dailySupercardDate,
-            consecutiveDueCards: state.consecutiveDueCards || 0,
-            consecutiveNewCards: state.consecutiveNewCards || 0,
-            supercardLastShown: state.supercardLastShown || {},
-            lastWordId: state.lastWordId || '',
-            selectionReferenceTime: state.selectionReferenceTime || null
-        };
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-    } catch (e) {
-        console.error('Failed to save state', e);
     }
+    saveListeners.forEach(listener => listener());
+}
+
+/**
+ * Run a callback after each save (e.g. to tell other tabs, see tabSync.js)
+ * @param {Function} listener
+ */
+export function onStateSaved(listener) {
+    saveListeners.push(listener);
+}
+
+/**
+ * Coalesce saves made in the same task into one IndexedDB write (writes run in order)
+ */
+function scheduleWrite() {
+    if (writeScheduled) return;
+    writeScheduled = true;
+    pendingWrite = pendingWrite
+        .then(() => new Promise(resolve => setTimeout(resolve, 0)))
+        .then(() => {
+            writeScheduled = false;
+            const changes = dirty;
+            dirty = emptyDirty();
+            return writeStatePayload(stateDb, persistedFields(), changes).catch(e => {
+                // Keep the changes for the next save
+                for (const store of ENTITY_STORES) {
+                    if (changes[store] === true) markDirty(store);
+                    else changes[store].forEach(key => markDirty(store, key));
+                }
+                throw e;
+            });
+        })
+        .catch(e => {
+            writeScheduled = false;
+            console.error('Failed to save state', e);
+        });
+}
+
+/**
+ * Wait until saved state has reached storage (before reloading the page)
+ * @returns {Promise<void>}
+ */
+export function flushState() {
+    return pendingWrite;
 }
 
-export function loadState() {
+/**
+ * Name of the storage backend in use
+ * @returns {string} - 'indexedDB' or 'localStorage'
+ */
+export function getStorageBackend() {
+    return stateDb ? 'indexedDB' : 'localStorage';
+}
+
+/**
+ * Load persisted state: from IndexedDB, or from localStorage (moving it into
+ * IndexedDB when that is available)
+ * @returns {Promise<boolean>} - Whether state was found and loaded
+ */
+export async function loadState() {
+    stateDb = await openStateDb();
+    let raw = null;
     try {
-        const raw = localStorage.getItem(STORAGE_KEY);
-        if (!raw) return false;
-        const data = JSON.parse(raw);
-        if (Array.isArray(data.wordlist)) {
-            state.wordlist = data.wordlist;
-        }
-        if (data.deckName) {
-            state.imported.deckName = data.deckName;
-        }
-        if (data.apiKey) state.apiKey = data.apiKey;
-        if (data.geminiModel) state.geminiModel = data.geminiModel;
-        if (Array.isArray(data.cachedSentences)) state.cachedSentences = data.cachedSentences;
-        
-        // Deserialize FSRS subcards (convert ISO strings to Date objects)
-        // Start fresh - ignore old fsrsCards if present
-        if (data.fsrsSubcards && typeof data.fsrsSubcards === 'object') {
-            state.fsrsSubcards = {};
-            for (const [key, card] of Object.entries(data.fsrsSubcards)) {
-                state.fsrsSubcards[key] = {
-                    ...card,
-                    due: card.due ? new Date(card.due) : new Date(),
-                    last_review: card.last_review ? new Date(card.last_review) : undefined
-                };
+        let stored = null;
+        if (stateDb) {
+            try {
+                stored = await readStatePayload(stateDb);
+            } catch (e) {
+                // Never overwrite stores we could not read
+                storageLocked = true;
+                throw e;
             }
-        } else {
-            state.fsrsSubcards = {};
-        }
-        
-        // Load daily supercard count
-        if (typeof data.dailySupercardCount === 'number') {
-            state.dailySupercardCount = data.dailySupercardCount;
-        }
-        if (data.dailySupercardDate) {
-            state.dailySupercardDate = data.dailySupercardDate;
         }
-        
-        // Load consecutive pool counters
-        if (typeof data.consecutiveDueCards === 'number') {
-            state.consecutiveDueCards = data.consecutiveDueCards;
-        } else {
-            state.consecutiveDueCards = 0;
+        const fromLocalStorage = !stored;
+        if (fromLocalStorage) {
+            raw = localStorage.getItem(STORAGE_KEY);
+            if (!raw) return false;
+            stored = JSON.parse(raw);
         }
-        if (typeof data.consecutiveNewCards === 'number') {
-            state.consecutiveNewCards = data.consecutiveNewCards;
-        } else {
-            state.consecutiveNewCards = 0;
+        if (detectSchemaVersion(stored) > STATE_SCHEMA_VERSION) {
+            storageLocked = true;
+            alert(`Your saved data comes from a newer version of the app (schema v${stored.schemaVersion}). It is left untouched; changes in this tab will not be saved. Reload once the new version is available.`);
+            return false;
         }
-        
-        // Load supercard last shown timestamps (for anti-limbo tracking)
-        if (data.supercardLastShown && typeof data.supercardLastShown === 'object') {
-            state.supercardLastShown = data.supercardLastShown;
-        } else {
-            state.supercardLastShown = {};
-        }
-        
-        // Load last word ID (for deterministic seeding and avoiding repetition)
-        if (typeof data.lastWordId === 'string') {
-            state.lastWordId = data.lastWordId;
-        } else {
-            state.lastWordId = '';
-        }
-        
-        // Load selection reference time (for deterministic scoring on refresh)
-        if (typeof data.selectionReferenceTime === 'string') {
-            state.selectionReferenceTime = data.selectionReferenceTime;
-        } else {
-            state.selectionReferenceTime = null;
+        const { data, from, applied } = migrateState(stored);
+        const { data: valid, quarantined } = validateState(data);
+        storeQuarantine(quarantined, STATE_SCHEMA_VERSION);
+        applyStateData(valid);
+        if (applied.length > 0) console.log(`[State] Migrated stored state from schema v${from} to v${STATE_SCHEMA_VERSION}`);
+        if (stateDb && fromLocalStorage) {
+            try {
+                // Queued behind saves already scheduled while applying the state
+                const move = pendingWrite.then(() => writeStatePayload(stateDb, serializeState()));
+                pendingWrite = move.catch(() => {});
+                await move;
+                localStorage.removeItem(STORAGE_KEY);
+                console.log('[State] Moved stored state from localStorage to IndexedDB');
+            } catch (e) {
+                console.error('[State] Could not move state to IndexedDB, staying on localStorage', e);
+                stateDb = null;
+            }
+        } else if (applied.length > 0 || quarantined.length > 0) {
+            markDirty();
+            saveState();
         }
-        
-        // Reset counter if it's a new day
-        checkAndResetDailyCounter();
-        
         return true;
     } catch (e) {
         console.error('Failed to load state', e);
+        // Keep the unreadable payload before the next save replaces it
+        if (raw) storeQuarantine([{ section: 'state', reason: e.message, value: raw }], null);
         return false;
     }
 }
 
+/**
+ * Copy a persisted payload (see serializeState) into state. Missing or malformed
+ * fields keep their current value or fall back to defaults.
+ * @param {Object} data
+ */
+export function applyStateData(data) {
+    if (Array.isArray(data.wordlist)) {
+        state.wordlist = data.wordlist;
+    }
+    if (data.deckName) {
+        state.imported.deckName = data.deckName;
+    }
+    if (Array.isArray(data.decks)) {
+        state.decks = data.decks.filter(d => d && typeof d.id === 'string' && typeof d.name === 'string');
+    }
+    state.studyDecks = Array.isArray(data.studyDecks) ? data.studyDecks : null;
+    if (data.filteredSession && data.filteredSession.filter && Array.isArray(data.filteredSession.done)) {
+        state.filteredSession = data.filteredSession;
+    }
+    if (data.apiKey) state.apiKey = data.apiKey;
+    if (data.geminiModel) state.geminiModel = data.geminiModel;
+    if (Array.isArray(data.cachedSentences)) state.cachedSentences = data.cachedSentences;
+    
+    // Deserialize FSRS subcards (convert ISO strings to Date objects)
+    // (legacy per-word fsrsCards are dropped by the v0 -> v1 migration)
+    if (data.fsrsSubcards && typeof data.fsrsSubcards === 'object') {
+        state.fsrsSubcards = {};
+        for (const [key, card] of Object.entries(data.fsrsSubcards)) {
+            state.fsrsSubcards[key] = {
+                ...card,
+                due: card.due ? new Date(card.due) : new Date(),
+                last_review: card.last_review ? new Date(card.last_review) : undefined
+            };
+        }
+    } else {
+        state.fsrsSubcards = {};
+    }
+    
+    // Load daily supercard count
+    if (typeof data.dailySupercardCount === 'number') {
+        state.dailySupercardCount = data.dailySupercardCount;
+    }
+    if (data.dailySupercardDate) {
+        state.dailySupercardDate = data.dailySupercardDate;
+    }
+    
+    // Load daily queue progress and caps
+    if (typeof data.dailyNewCount === 'number') {
+        state.dailyNewCount = data.dailyNewCount;
+    }
+    if (typeof data.dailyReviewCount === 'number') {
+        state.dailyReviewCount = data.dailyReviewCount;
+    }
+    state.dailyLimitsLifted = data.dailyLimitsLifted === true;
+    if (data.newCardStrategy === 'newFirst' || data.newCardStrategy === 'interleaved') {
+        state.newCardStrategy = data.newCardStrategy;
+    }
+    if (typeof data.loadBalancing === 'boolean') {
+        state.loadBalancing = data.loadBalancing;
+    }
+    if (data.siblingBurying && ['off', 'day', 'cards'].includes(data.siblingBurying.mode)) {
+        state.siblingBurying = {
+            mode: data.siblingBurying.mode,
+            cards: typeof data.siblingBurying.cards === 'number' ? data.siblingBurying.cards : 10
+        };
+    }
+    if (Array.isArray(data.recentSupercards)) {
+        state.recentSupercards = data.recentSupercards;
+    }
+    if (data.dailyLimits && typeof data.dailyLimits === 'object') {
+        state.dailyLimits = {
+            newCards: data.dailyLimits.newCards === undefined ? 20 : data.dailyLimits.newCards,
+            reviews: data.dailyLimits.reviews === undefined ? 200 : data.dailyLimits.reviews
+        };
+    }
+    
+    // Load consecutive pool counters
+    if (typeof data.consecutiveDueCards === 'number') {
+        state.consecutiveDueCards = data.consecutiveDueCards;
+    } else {
+        state.consecutiveDueCards = 0;
+    }
+    if (typeof data.consecutiveNewCards === 'number') {
+        state.consecutiveNewCards = data.consecutiveNewCards;
+    } else {
+        state.consecutiveNewCards = 0;
+    }
+    
+    // Load supercard last shown timestamps (for anti-limbo tracking)
+    if (data.supercardLastShown && typeof data.supercardLastShown === 'object') {
+        state.supercardLastShown = data.supercardLastShown;
+    } else {
+        state.supercardLastShown = {};
+    }
+    
+    // Load supercard flags (suspension, leeches) and leech detection settings
+    if (data.supercardFlags && typeof data.supercardFlags === 'object') {
+        state.supercardFlags = data.supercardFlags;
+    } else {
+        state.supercardFlags = {};
+    }
+    if (data.leechSettings && typeof data.leechSettings === 'object') {
+        state.leechSettings = { ...state.leechSettings, ...data.leechSettings };
+    }
+    
+    // Load last word ID (for deterministic seeding and avoiding repetition)
+    if (typeof data.lastWordId === 'string') {
+        state.lastWordId = data.lastWordId;
+    } else {
+        state.lastWordId = '';
+    }
+    
+    // Load selection reference time (for deterministic scoring on refresh)
+    if (typeof data.selectionReferenceTime === 'string') {
+        state.selectionReferenceTime = data.selectionReferenceTime;
+    } else {
+        state.selectionReferenceTime = null;
+    }
+    
+    // Load review log (append-only history of subcard reviews)
+    if (Array.isArray(data.reviewLog)) {
+        state.reviewLog = data.reviewLog;
+    } else {
+        state.reviewLog = [];
+    }
+    if (typeof data.reviewLogRetentionDays === 'number') {
+        state.reviewLogRetentionDays = data.reviewLogRetentionDays;
+    }
+    if (typeof data.reviewLogMaxEntries === 'number') {
+        state.reviewLogMaxEntries = data.reviewLogMaxEntries;
+    }
+    
+    // Load optimized FSRS parameters (null = library defaults)
+    if (data.fsrsParameters && Array.isArray(data.fsrsParameters.w)) {
+        state.fsrsParameters = data.fsrsParameters;
+    } else {
+        state.fsrsParameters = null;
+    }
+    
+    // Load per-modality scheduling settings
+    if (data.schedulingSettings && typeof data.schedulingSettings === 'object') {
+        state.schedulingSettings = {
+            byBackMode: data.schedulingSettings.byBackMode || {},
+            bySubcard: data.schedulingSettings.bySubcard || {}
+        };
+    }
+    
+    // Load sync server settings and bookkeeping
+    if (data.sync && typeof data.sync === 'object') {
+        state.sync = { ...state.sync, ...data.sync };
+    }
+    
+    // Reset counter if it's a new day
+    checkAndResetDailyCounter();
+}
+
 export function bumpSession(n) {
     state.sessionCount = Math.max(0, state.sessionCount + n);
 }
@@ -166,7 +484,7 @@ export function bumpSession(n) {
  * Get today's date string (YYYY-MM-DD) in local timezone
  */
 function getTodayDateString() {
-    const now = new Date();
+    const now = getNow();
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
     const day = String(now.getDate()).padStart(2, '0');
@@ -181,6 +499,9 @@ export function checkAndResetDailyCounter() {
     if (state.dailySupercardDate !== today) {
         state.dailySupercardCount = 0;
         state.dailySupercardDate = today;
+        state.dailyNewCount = 0;
+        state.dailyReviewCount = 0;
+        state.dailyLimitsLifted = false;
         saveState();
     }
 }
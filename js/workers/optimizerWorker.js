@@ -0,0 +1,30 @@
+/**
+ * FSRS Optimizer Worker
+ *
+ * Runs fitParameters() off the main thread. Loaded as a module worker by
+ * runOptimizerInWorker() in fsrsOptimizer.js.
+ *
+ * Messages in:  { type: 'fit', reviewLog, initialWeights }
+ * Messages out: { type: 'progress', epoch, epochs, logLoss }
+ *               { type: 'result', result }
+ *               { type: 'error', message }
+ */
+
+// ts-fsrs is a UMD bundle; imported as a module it attaches FSRS to globalThis
+import '../lib/ts-fsrs.js';
+import { fitParameters } from '../modules/fsrsOptimizer.js';
+
+self.onmessage = (e) => {
+    const msg = e.data || {};
+    if (msg.type !== 'fit') return;
+
+    try {
+        const result = fitParameters(msg.reviewLog, {
+            initialWeights: msg.initialWeights,
+            onProgress: (progress) => self.postMessage({ type: 'progress', ...progress })
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+    }
+};
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * Mandalore Sync Server (reference implementation)
+ *
+ * A small self-hostable server for the sync protocol in js/modules/sync.js, using only
+ * Node built-ins. All records live in one JSON file, rewritten (atomically) after each
+ * accepted push.
+ *
+ * Usage:
+ *   node server/syncServer.mjs --origin https://app.example [--port 8787] [--host 127.0.0.1]
+ *       [--data ./mandalore-sync.json] [--token SECRET]
+ * The same options can be given as SYNC_ORIGIN, SYNC_PORT, SYNC_HOST, SYNC_DATA and
+ * SYNC_TOKEN. Every request needs the token: without --token one is generated on first
+ * start, kept in the data file and printed at startup. --origin lists the origins the
+ * app is served from (comma-separated); only those get CORS access, and requests from
+ * any other web page are refused, so a page the user visits can't reach their progress.
+ *
+ * Endpoints (JSON):
+ *   GET  /v1/status                -> { ok, protocol, revision }
+ *   POST /v1/pull { since }        -> { revision, records }   records with rev > since, by rev
+ *   POST /v1/push { records }      -> { revision, results }
+ * A pushed record { collection, key, baseRev, value, deleted, modifiedAt } is accepted
+ * when baseRev matches the stored rev (or the record is new); otherwise the conflict
+ * rule of resolveSyncConflict in js/modules/sync.js decides (subcards: later
+ * last_review; supercardLastShown: later lastShown; everything else and deletions:
+ * later modifiedAt; ties keep the stored record). Rejected records come back with the stored one.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+export const SYNC_PROTOCOL_VERSION = 1;
+
+const COLLECTIONS = new Set(['words', 'decks', 'subcards', 'supercardFlags', 'supercardLastShown', 'reviews', 'sentences']);
+const MAX_BODY_BYTES = 32 * 1024 * 1024;
+const MAX_KEY_LENGTH = 1024;
+
+/**
+ * Read options from argv and the environment
+ * @param {Array<string>} argv
+ * @returns {Object} - { port, host, dataFile, token }
+ */
+function parseOptions(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--(\w+)(?:=(.*))?$/);
+        if (!match) continue;
+        args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    }
+    return {
+        port: Number(args.port || process.env.SYNC_PORT || 8787),
+        host: args.host || process.env.SYNC_HOST || '127.0.0.1',
+        dataFile: path.resolve(args.data || process.env.SYNC_DATA || 'mandalore-sync.json'),
+        token: args.token || process.env.SYNC_TOKEN || '',
+        origins: parseOrigins(args.origin || process.env.SYNC_ORIGIN || '')
+    };
+}
+
+/**
+ * Allowed app origins from a comma-separated list (normalized, e.g. no trailing slash)
+ * @param {string} list
+ * @returns {Array<string>}
+ */
+export function parseOrigins(list) {
+    return String(list).split(',').map(s => s.trim()).filter(Boolean).map((origin) => {
+        try {
+            return new URL(origin).origin;
+        } catch (e) {
+            throw new Error(`"${origin}" is not an origin (e.g. https://app.example or http://localhost:8000)`);
+        }
+    });
+}
+
+function loadStore(dataFile) {
+    if (!fs.existsSync(dataFile)) return { revision: 0, records: {} };
+    const store = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    if (typeof store.revision !== 'number' || !store.records || typeof store.records !== 'object') {
+        throw new Error(`${dataFile} is not a sync data file`);
+    }
+    return store;
+}
+
+function saveStore(dataFile, store) {
+    const tmp = `${dataFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store));
+    fs.renameSync(tmp, dataFile);
+}
+
+function reviewTime(card) {
+    return card?.last_review ? new Date(card.last_review).getTime() : -Infinity;
+}
+
+/**
+ * Whether an incoming record beats the stored one (mirrors resolveSyncConflict)
+ */
+function incomingWins(collection, stored, incoming) {
+    if (collection === 'subcards' && !stored.deleted && !incoming.deleted) {
+        return reviewTime(incoming.value) > reviewTime(stored.value);
+    }
+    if (collection === 'supercardLastShown' && !stored.deleted && !incoming.deleted) {
+        return new Date(incoming.value.lastShown || 0) > new Date(stored.value.lastShown || 0);
+    }
+    return new Date(incoming.modifiedAt || 0) > new Date(stored.modifiedAt || 0);
+}
+
+/**
+ * Problem with a pushed record, if any
+ * @returns {string|null}
+ */
+function checkRecord(record, index) {
+    if (!record || typeof record !== 'object') return `Record ${index + 1} must be an object.`;
+    if (!COLLECTIONS.has(record.collection)) return `Record ${index + 1} has an unknown collection "${record.collection}".`;
+    if (typeof record.key !== 'string' || !record.key || record.key.length > MAX_KEY_LENGTH) return `Record ${index + 1} needs a key.`;
+    if (!Number.isInteger(record.baseRev) || record.baseRev < 0) return `Record ${index + 1} needs a baseRev.`;
+    if (!record.deleted && (record.value === null || typeof record.value !== 'object')) return `Record ${index + 1} needs a value.`;
+    return null;
+}
+
+function isObject(body) {
+    return body !== null && typeof body === 'object' && !Array.isArray(body);
+}
+
+function handlePull(store, body) {
+    if (!isObject(body)) return { status: 400, body: { error: 'The body must be a JSON object.' } };
+    const since = Number.isInteger(body.since) ? body.since : 0;
+    const records = [];
+    for (const [collection, byKey] of Object.entries(store.records)) {
+        for (const [key, record] of Object.entries(byKey)) {
+            if (record.rev > since) records.push({ collection, key, ...record });
+        }
+    }
+    records.sort((a, b) => a.rev - b.rev);
+    return { status: 200, body: { revision: store.revision, records } };
+}
+
+function handlePush(store, body) {
+    if (!isObject(body)) return { status: 400, body: { error: 'The body must be a JSON object.' } };
+    if (!Array.isArray(body.records)) return { status: 400, body: { error: '"records" must be a list.' } };
+    for (let i = 0; i < body.records.length; i++) {
+        const problem = checkRecord(body.records[i], i);
+        if (problem) return { status: 400, body: { error: problem } };
+    }
+
+    const results = [];
+    let changed = false;
+    for (const incoming of body.records) {
+        const { collection, key } = incoming;
+        const byKey = store.records[collection] || (store.records[collection] = {});
+        const stored = byKey[key];
+        const modifiedAt = typeof incoming.modifiedAt === 'string' ? incoming.modifiedAt : new Date().toISOString();
+        const candidate = { value: incoming.deleted ? null : incoming.value, deleted: !!incoming.deleted, modifiedAt };
+        const fastForward = !stored || stored.rev === incoming.baseRev;
+        if (fastForward || incomingWins(collection, stored, candidate)) {
+            const rev = ++store.revision;
+            byKey[key] = { rev, ...candidate };
+            results.push({ collection, key, accepted: true, rev });
+            changed = true;
+        } else {
+            results.push({ collection, key, accepted: false, record: { collection, key, ...stored } });
+        }
+    }
+    return { status: 200, body: { revision: store.revision, results }, changed };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request too large.'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (e) {
+                reject(Object.assign(new Error('Body is not valid JSON.'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Token from the store, generated (and saved) on first use when none is configured
+ * @returns {string}
+ */
+function ensureStoreToken(dataFile) {
+    const store = loadStore(dataFile);
+    if (typeof store.token === 'string' && store.token) return store.token;
+    store.token = crypto.randomBytes(24).toString('base64url');
+    saveStore(dataFile, store);
+    return store.token;
+}
+
+function isAuthorized(req, token) {
+    const given = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Send a JSON response; CORS headers only go to an allowed origin
+ * @param {string|null} allowOrigin
+ */
+function send(res, status, body, allowOrigin = null) {
+    const headers = { 'Content-Type': 'application/json; charset=utf-8', Vary: 'Origin' };
+    if (allowOrigin) {
+        headers['Access-Control-Allow-Origin'] = allowOrigin;
+        headers['Access-Control-Allow-Headers'] = 'Authorization, Content-Type';
+        headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS';
+    }
+    res.writeHead(status, headers);
+    res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Create the HTTP server (not listening yet)
+ * @param {Object} options - { dataFile, token, origins: [allowed app origin] }
+ * @returns {http.Server}
+ * @throws {Error} - Without a token
+ */
+export function createSyncServer({ dataFile, token, origins = [] }) {
+    if (!token) throw new Error('The sync server needs a token');
+    const store = loadStore(dataFile);
+    const allowed = new Set(origins);
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        // Browsers send Origin with cross-origin requests: only the app's may come in
+        const origin = req.headers.origin;
+        if (origin && !allowed.has(origin)) return send(res, 403, { error: 'Origin not allowed.' });
+        const reply = (status, body) => send(res, status, body, origin || null);
+
+        if (req.method === 'OPTIONS') return reply(204);
+        if (!isAuthorized(req, token)) return reply(401, { error: 'Missing or wrong token.' });
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/v1/status') {
+                return reply(200, { ok: true, protocol: SYNC_PROTOCOL_VERSION, revision: store.revision });
+            }
+            if (req.method === 'POST' && url.pathname === '/v1/pull') {
+                const result = handlePull(store, await readBody(req));
+                return reply(result.status, result.body);
+            }
+            if (req.method === 'POST' && url.pathname === '/v1/push') {
+                const result = handlePush(store, await readBody(req));
+                if (result.changed) saveStore(dataFile, store);
+                return reply(result.status, result.body);
+            }
+            return reply(404, { error: 'Not found.' });
+        } catch (e) {
+            if (!e.status) console.error('[Sync] Request failed', e);
+            return reply(e.status || 500, { error: e.status ? e.message : 'Server error.' });
+        }
+    });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const options = parseOptions(process.argv.slice(2));
+    const generated = !options.token;
+    if (generated) options.token = ensureStoreToken(options.dataFile);
+    const server = createSyncServer(options);
+    server.listen(options.port, options.host, () => {
+        console.log(`Mandalore sync server on http://${options.host}:${options.port} (data: ${options.dataFile})`);
+        if (generated) console.log(`Token (enter it in the app's Sync settings): ${options.token}`);
+        if (options.origins.length === 0) {
+            console.warn('No --origin given: browsers can\'t reach this server. Pass the origin the app is served from, e.g. --origin http://localhost:8000');
+        } else {
+            console.log(`App origins: ${options.origins.join(', ')}`);
+        }
+    });
+}
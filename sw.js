@@ -0,0 +1,140 @@
+/**
+ * Service Worker
+ *
+ * - Precache: the app shell, every ES module, ts-fsrs, the pinyin IME bundle and the
+ *   FlashCardo mappings, served cache-first so the app starts offline. Bump
+ *   CACHE_VERSION whenever any of these files change (and list new modules below):
+ *   browsers then install the new worker in the background and the page offers the
+ *   update (see js/modules/pwa.js); it takes over only when the user accepts.
+ * - Runtime: FlashCardo audio (cache-first, capped, whole files only) and Google Fonts
+ *   (stale-while-revalidate). Everything else (Gemini, GitHub, sync) goes to the network.
+ */
+
+const CACHE_VERSION = 'v4';
+const PRECACHE = `mandalore-precache-${CACHE_VERSION}`;
+const AUDIO_CACHE = 'mandalore-audio';
+const RUNTIME_CACHE = 'mandalore-runtime';
+// Audio comes back opaque (no CORS), and browsers count each opaque entry with padding
+// (several MB in Chrome) toward the storage quota, so keep the cap modest
+const AUDIO_CACHE_LIMIT = 200;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './asset/icon.svg',
+    './asset/FlashCardoMappings.json',
+    './css/variables.css',
+    './css/style.css',
+    './js/app.js',
+    './js/state.js',
+    './js/lib/ts-fsrs.js',
+    './js/lib/pinyin-ime.esm.js',
+    './js/workers/optimizerWorker.js',
+    ...[
+        'ankiPackage', 'audioAssets', 'backup', 'dataExport', 'decks', 'filteredSession', 'flashcards', 'fsrs',
+        'fsrsOptimizer', 'importPreview', 'leeches', 'pinyin', 'prompts', 'pwa', 'reviewLog',
+        'settings', 'simulator', 'sqliteWriter', 'stateSchema', 'storage', 'sync', 'tabSync',
+        'tabularImport', 'tags', 'translation', 'utils', 'wordId', 'wordIdMigration', 'words'
+    ].map(name => `./js/modules/${name}.js`)
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE);
+        // One missing file shouldn't keep the rest from working offline
+        const results = await Promise.allSettled(PRECACHE_URLS.map(url => cache.add(new Request(url, { cache: 'reload' }))));
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') console.warn('[SW] Not precached:', PRECACHE_URLS[i], result.reason);
+        });
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('mandalore-precache-') && name !== PRECACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+async function precacheFirst(request) {
+    const cache = await caches.open(PRECACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    if (request.mode === 'navigate') {
+        try {
+            return await fetch(request);
+        } catch (e) {
+            return (await cache.match('./index.html')) || Response.error();
+        }
+    }
+    return fetch(request);
+}
+
+/**
+ * Store an audio response for next time. Never fails: a full quota just leaves the file
+ * uncached.
+ * @param {string} url
+ * @param {Response} response
+ */
+async function cacheAudio(url, response) {
+    try {
+        const cache = await caches.open(AUDIO_CACHE);
+        await cache.put(url, response);
+        const keys = await cache.keys();
+        if (keys.length > AUDIO_CACHE_LIMIT) {
+            await Promise.all(keys.slice(0, keys.length - AUDIO_CACHE_LIMIT).map(key => cache.delete(key)));
+        }
+    } catch (e) {
+        console.warn('[SW] Audio not cached:', url, e);
+    }
+}
+
+async function audioCacheFirst(event) {
+    const { request } = event;
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Partial (206) responses can't be stored and would stand in for the whole file
+    if (response.status !== 206 && (response.ok || response.type === 'opaque')) {
+        event.waitUntil(cacheAudio(request.url, response.clone()));
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request).then((response) => {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+    return network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(precacheFirst(request));
+    } else if (url.hostname === 'flashcardo.com' && url.pathname.startsWith('/audio/') && !request.headers.has('range')) {
+        // Byte-range requests (media elements seeking or streaming) go straight to the network
+        event.respondWith(audioCacheFirst(event));
+    } else if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
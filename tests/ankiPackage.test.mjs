@@ -0,0 +1,72 @@
+/**
+ * Anki package export (js/modules/ankiPackage.js): the .apkg opens as a valid collection
+ *
+ * Needs node:sqlite (Node 22.5+) for the database checks; those are skipped on older Node.
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { state } from '../js/state.js';
+import { buildAnkiPackage } from '../js/modules/ankiPackage.js';
+
+const sqlite = await import('node:sqlite').catch(() => null);
+const skip = sqlite ? false : 'node:sqlite is not available in this Node version';
+
+/**
+ * Files of a zip written with the "stored" method (what ankiPackage.js writes)
+ * @param {Uint8Array} zip
+ * @returns {Object} - name -> Uint8Array
+ */
+function readStoredZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const files = {};
+    let offset = 0;
+    while (view.getUint32(offset, true) === 0x04034b50) {
+        assert.equal(view.getUint16(offset + 8, true), 0, 'stored entry');
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const extraLength = view.getUint16(offset + 28, true);
+        const name = new TextDecoder().decode(zip.subarray(offset + 30, offset + 30 + nameLength));
+        const start = offset + 30 + nameLength + extraLength;
+        files[name] = zip.subarray(start, start + size);
+        offset = start + size;
+    }
+    return files;
+}
+
+function makeWordlist(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `w${i}`,
+        word: `字${i}`,
+        pinyinToned: 'zì',
+        meaning: `meaning ${i}`
+    }));
+}
+
+// Sizes around index leaf boundaries, which used to make the export throw
+for (const count of [1, 120, 121, 315, 316, 630, 1000]) {
+    test(`package of ${count} words passes the integrity check`, { skip }, async () => {
+        state.wordlist = makeWordlist(count);
+        state.fsrsSubcards = {};
+        state.reviewLog = [];
+        const files = readStoredZip(await buildAnkiPackage());
+        assert.deepEqual(Object.keys(files).sort(), ['collection.anki2', 'media']);
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mandalore-apkg-'));
+        const file = path.join(dir, 'collection.anki2');
+        fs.writeFileSync(file, files['collection.anki2']);
+        const db = new sqlite.DatabaseSync(file);
+        try {
+            assert.equal(db.prepare('PRAGMA integrity_check').get().integrity_check, 'ok');
+            assert.equal(db.prepare('SELECT count(*) AS n FROM notes').get().n, count);
+            assert.ok(db.prepare('SELECT count(*) AS n FROM cards').get().n >= count);
+        } finally {
+            db.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+}
@@ -0,0 +1,123 @@
+/**
+ * SQLite writer (js/modules/sqliteWriter.js): databases SQLite itself accepts
+ *
+ * Needs node:sqlite (Node 22.5+); skipped on older Node versions.
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildSqliteDatabase } from '../js/modules/sqliteWriter.js';
+
+const sqlite = await import('node:sqlite').catch(() => null);
+const skip = sqlite ? false : 'node:sqlite is not available in this Node version';
+
+/**
+ * Open a built database file with SQLite and run a callback on it
+ */
+function withDatabase(bytes, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mandalore-sqlite-'));
+    const file = path.join(dir, 'test.db');
+    fs.writeFileSync(file, bytes);
+    const db = new sqlite.DatabaseSync(file);
+    try {
+        return fn(db);
+    } finally {
+        db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function integrityCheck(db) {
+    return db.prepare('PRAGMA integrity_check').all().map(row => row.integrity_check).join('\n');
+}
+
+function buildNotes(count, fieldLength = 7) {
+    const rows = Array.from({ length: count }, (_, i) => [i + 1, `guid${i}`, `好 ${i} ${'字'.repeat(i % fieldLength)}`, 1000 + i]);
+    return buildSqliteDatabase([{
+        name: 'notes',
+        sql: 'CREATE TABLE notes (id integer primary key, guid text, flds text, csum integer)',
+        primaryKey: 0,
+        rows,
+        indexes: [
+            { name: 'ix_notes_csum', sql: 'CREATE INDEX ix_notes_csum ON notes (csum)', columns: [3] },
+            { name: 'ix_notes_guid', sql: 'CREATE INDEX ix_notes_guid ON notes (guid, flds)', columns: [1, 2] }
+        ]
+    }]);
+}
+
+test('every size up to several index leaves passes the integrity check', { skip }, () => {
+    // Covers the sizes where the last key is the one that overflows a leaf
+    const failures = [];
+    for (let count = 1; count <= 700; count++) {
+        let result;
+        try {
+            result = withDatabase(buildNotes(count), db => {
+                const rows = db.prepare('SELECT count(*) AS n FROM notes').get().n;
+                return rows === count ? integrityCheck(db) : `${rows} rows`;
+            });
+        } catch (e) {
+            result = e.message;
+        }
+        if (result !== 'ok') failures.push(`${count}: ${result}`);
+    }
+    assert.deepEqual(failures, []);
+});
+
+test('multi-level trees and overflow pages read back', { skip }, () => {
+    const long = 'x'.repeat(9000);
+    const rows = Array.from({ length: 5000 }, (_, i) => [i + 1, i % 100 === 0 ? long : `row ${i}`, i * 0.5]);
+    const bytes = buildSqliteDatabase([{
+        name: 'big',
+        sql: 'CREATE TABLE big (id integer primary key, body text, score real)',
+        primaryKey: 0,
+        rows,
+        indexes: [{ name: 'ix_big_body', sql: 'CREATE INDEX ix_big_body ON big (body)', columns: [1] }]
+    }]);
+    withDatabase(bytes, (db) => {
+        assert.equal(integrityCheck(db), 'ok');
+        assert.equal(db.prepare('SELECT count(*) AS n FROM big').get().n, 5000);
+        assert.equal(db.prepare('SELECT body FROM big WHERE id = 101').get().body, long);
+        assert.equal(db.prepare('SELECT id FROM big WHERE body = ?').get('row 4321').id, 4322);
+        assert.equal(db.prepare('SELECT score FROM big WHERE id = 11').get().score, 5);
+    });
+});
+
+test('index interior levels keep at least one cell per page', { skip }, () => {
+    // Large keys: few cells per page, so interior nodes fill up after a handful of children
+    for (let count = 1; count <= 60; count++) {
+        const rows = Array.from({ length: count }, (_, i) => [i + 1, 'x'.repeat(9000)]);
+        const bytes = buildSqliteDatabase([{
+            name: 'big',
+            sql: 'CREATE TABLE big (id integer primary key, body text)',
+            primaryKey: 0,
+            rows,
+            indexes: [{ name: 'ix_big_body', sql: 'CREATE INDEX ix_big_body ON big (body)', columns: [1] }]
+        }]);
+        assert.equal(withDatabase(bytes, integrityCheck), 'ok', `${count} rows`);
+    }
+});
+
+test('tables with implicit rowids and every value type', { skip }, () => {
+    const blob = Uint8Array.from([0, 1, 2, 255]);
+    const bytes = buildSqliteDatabase([{
+        name: 'vals',
+        sql: 'CREATE TABLE vals (a, b, c, d, e)',
+        rows: [[null, 0, -1, 2 ** 40, 1.5], ['text', blob, true, false, -(2 ** 50)]]
+    }]);
+    withDatabase(bytes, (db) => {
+        assert.equal(integrityCheck(db), 'ok');
+        const rows = db.prepare('SELECT rowid, * FROM vals ORDER BY rowid').all();
+        assert.deepEqual(rows.map(r => [r.rowid, r.a, r.b instanceof Uint8Array ? [...r.b] : r.b, r.c, r.d, r.e]), [
+            [1, null, 0, -1, 2 ** 40, 1.5],
+            [2, 'text', [0, 1, 2, 255], 1, 0, -(2 ** 50)]
+        ]);
+    });
+});
+
+test('duplicate rowids are refused', () => {
+    assert.throws(() => buildSqliteDatabase([{ name: 't', sql: 'CREATE TABLE t (id integer primary key)', primaryKey: 0, rows: [[1], [1]] }]), /Duplicate rowid/);
+});
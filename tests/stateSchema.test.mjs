@@ -0,0 +1,73 @@
+/**
+ * State schema migrations and validation (js/modules/stateSchema.js)
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATE_SCHEMA_VERSION, detectSchemaVersion, migrateState, validateState } from '../js/modules/stateSchema.js';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Fixtures: payloads as older builds saved them
+const v0 = { wordlist: [{ word: '你好', pinyinToned: 'nǐ hǎo', meaning: 'hello' }], fsrsCards: { x: { due: '2024-01-01' } }, deckName: 'Old' };
+const v1 = { wordlist: [], fsrsSubcards: {}, dailyLimits: { newCards: 5 }, siblingBurying: { mode: 'cards' }, schedulingSettings: { byBackMode: { pinyin: {} } } };
+
+test('detects v0 (fsrsCards, no subcards)', () => {
+    assert.equal(detectSchemaVersion(v0), 0);
+});
+
+test('detects v1 (unversioned with subcards)', () => {
+    assert.equal(detectSchemaVersion(v1), 1);
+});
+
+test('v0 drops fsrsCards, starts subcards and keeps other fields', () => {
+    const before = clone(v0);
+    const { data, from, applied } = migrateState(v0);
+    assert.equal(from, 0);
+    assert.deepEqual(applied, [0, 1]);
+    assert.equal(data.schemaVersion, STATE_SCHEMA_VERSION);
+    assert.ok(!('fsrsCards' in data));
+    assert.deepEqual(data.fsrsSubcards, {});
+    assert.equal(data.wordlist, v0.wordlist);
+    assert.equal(data.deckName, 'Old');
+    assert.deepEqual(v0, before, 'input mutated');
+});
+
+test('v1 stamps the version and completes settings', () => {
+    const before = clone(v1);
+    const { data, applied } = migrateState(v1);
+    assert.deepEqual(applied, [1]);
+    assert.equal(data.schemaVersion, 2);
+    assert.deepEqual(data.dailyLimits, { newCards: 5, reviews: 200 });
+    assert.deepEqual(data.siblingBurying, { mode: 'cards', cards: 10 });
+    assert.deepEqual(data.schedulingSettings, { byBackMode: { pinyin: {} }, bySubcard: {} });
+    assert.deepEqual(v1, before, 'input mutated');
+});
+
+test('current payloads are left alone', () => {
+    const current = { schemaVersion: STATE_SCHEMA_VERSION, wordlist: [] };
+    const { data, applied } = migrateState(current);
+    assert.equal(data, current);
+    assert.deepEqual(applied, []);
+});
+
+test('newer payloads are refused', () => {
+    assert.throws(() => migrateState({ schemaVersion: STATE_SCHEMA_VERSION + 1 }), /schema version/);
+});
+
+test('validation quarantines corrupt entries and sections', () => {
+    const { data, quarantined } = validateState({
+        schemaVersion: STATE_SCHEMA_VERSION,
+        wordlist: [{ id: 'a', word: '好', pinyinToned: 'hǎo', meaning: 'good' }, { word: 42 }],
+        fsrsSubcards: { a_hanzi_meaning: { due: '2024-01-02T00:00:00.000Z' }, b_hanzi_meaning: { due: 'not a date' } },
+        cachedSentences: 'oops',
+        dailyLimits: { newCards: 20, reviews: 200 }
+    });
+    assert.deepEqual(quarantined.map(q => q.section).sort(), ['cachedSentences', 'fsrsSubcards', 'wordlist']);
+    assert.equal(data.wordlist.length, 1);
+    assert.deepEqual(Object.keys(data.fsrsSubcards), ['a_hanzi_meaning']);
+    assert.ok(!('cachedSentences' in data));
+    assert.deepEqual(data.dailyLimits, { newCards: 20, reviews: 200 });
+});
@@ -0,0 +1,140 @@
+/**
+ * Sync server (server/syncServer.mjs) and its conflict rule (js/modules/sync.js)
+ *
+ * Run with: node --test tests/*.test.mjs
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSyncServer } from '../server/syncServer.mjs';
+import { resolveSyncConflict } from '../js/modules/sync.js';
+
+const TOKEN = 'test-token';
+const APP_ORIGIN = 'http://localhost:8000';
+let dir;
+let server;
+let base;
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mandalore-sync-'));
+    server = createSyncServer({ dataFile: path.join(dir, 'store.json'), token: TOKEN, origins: [APP_ORIGIN] });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function call(endpoint, body, headers = {}) {
+    const res = await fetch(`${base}/v1/${endpoint}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: res.status, headers: res.headers, data: await res.json().catch(() => null) };
+}
+
+const push = records => call('push', { records });
+const record = (collection, key, baseRev, value, modifiedAt) => ({ collection, key, baseRev, value, deleted: false, modifiedAt });
+
+test('resolveSyncConflict: later modifiedAt wins, ties go to remote', () => {
+    const older = { value: {}, deleted: false, modifiedAt: '2026-01-01T00:00:00.000Z' };
+    const newer = { value: {}, deleted: false, modifiedAt: '2026-01-02T00:00:00.000Z' };
+    assert.equal(resolveSyncConflict('words', newer, older), 'local');
+    assert.equal(resolveSyncConflict('words', older, newer), 'remote');
+    assert.equal(resolveSyncConflict('words', older, older), 'remote');
+    assert.equal(resolveSyncConflict('words', { ...newer, deleted: true, value: null }, older), 'local');
+});
+
+test('resolveSyncConflict: subcards keep the later review, last-shown the later time', () => {
+    const reviewedLate = { value: { last_review: '2026-03-01T00:00:00.000Z' }, deleted: false, modifiedAt: '2026-01-01T00:00:00.000Z' };
+    const editedLate = { value: { last_review: '2026-02-01T00:00:00.000Z' }, deleted: false, modifiedAt: '2026-04-01T00:00:00.000Z' };
+    assert.equal(resolveSyncConflict('subcards', reviewedLate, editedLate), 'local');
+    assert.equal(resolveSyncConflict('subcards', { ...editedLate, value: { last_review: null } }, reviewedLate), 'remote');
+
+    const shownLate = { value: { lastShown: '2026-03-01T00:00:00.000Z' }, deleted: false, modifiedAt: null };
+    const shownEarly = { value: { lastShown: '2026-02-01T00:00:00.000Z' }, deleted: false, modifiedAt: '2026-04-01T00:00:00.000Z' };
+    assert.equal(resolveSyncConflict('supercardLastShown', shownLate, shownEarly), 'local');
+    assert.equal(resolveSyncConflict('supercardLastShown', shownEarly, shownLate), 'remote');
+});
+
+test('server: rejects missing tokens, other origins and non-object bodies', async () => {
+    assert.equal((await call('pull', {}, { Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await call('pull', {}, { Origin: 'http://evil.example' })).status, 403);
+
+    const allowed = await call('pull', {}, { Origin: APP_ORIGIN });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), APP_ORIGIN);
+
+    for (const body of ['null', '[]', '3', '"x"']) {
+        assert.equal((await call('pull', body)).status, 400, `pull ${body}`);
+        assert.equal((await call('push', body)).status, 400, `push ${body}`);
+    }
+    assert.equal((await call('push', '{')).status, 400);
+    assert.equal((await push([{ collection: 'nope', key: 'a', baseRev: 0, value: {} }])).status, 400);
+});
+
+test('server: accepted writes get increasing revisions and pull returns what changed since', async () => {
+    const { revision: start } = (await call('pull', { since: 0 })).data;
+
+    const first = await push([
+        record('words', 'w1', 0, { id: 'w1', word: '你好' }, '2026-01-01T00:00:00.000Z'),
+        record('decks', 'd1', 0, { id: 'd1', name: 'HSK 1' }, '2026-01-01T00:00:00.000Z')
+    ]);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.data.results.map(r => [r.key, r.accepted, r.rev]), [['w1', true, start + 1], ['d1', true, start + 2]]);
+    assert.equal(first.data.revision, start + 2);
+
+    const update = await push([record('words', 'w1', start + 1, { id: 'w1', word: '您好' }, '2025-01-01T00:00:00.000Z')]);
+    assert.equal(update.data.results[0].accepted, true, 'a write based on the current rev is accepted whatever its time');
+    assert.equal(update.data.results[0].rev, start + 3);
+
+    const pulled = (await call('pull', { since: start + 1 })).data;
+    assert.equal(pulled.revision, start + 3);
+    assert.deepEqual(pulled.records.map(r => [r.collection, r.key, r.rev]), [['decks', 'd1', start + 2], ['words', 'w1', start + 3]]);
+    assert.equal(pulled.records[1].value.word, '您好');
+    assert.deepEqual((await call('pull', { since: start + 3 })).data.records, []);
+});
+
+test('server: stale writes are settled by the same rule as resolveSyncConflict', async () => {
+    const stored = {
+        words: record('words', 'c-word', 0, { id: 'c-word' }, '2026-02-01T00:00:00.000Z'),
+        subcards: record('subcards', 'c-sub', 0, { last_review: '2026-02-01T00:00:00.000Z' }, '2026-02-01T00:00:00.000Z'),
+        supercardLastShown: record('supercardLastShown', 'c-shown', 0, { lastShown: '2026-02-01T00:00:00.000Z' }, '2026-02-01T00:00:00.000Z')
+    };
+    const seeded = (await push(Object.values(stored))).data.results;
+    assert.ok(seeded.every(r => r.accepted));
+
+    // Stale pushes (baseRev 0) against the stored records, each with the outcome the client rule predicts
+    const attempts = [
+        record('words', 'c-word', 0, { id: 'c-word', v: 'older' }, '2026-01-01T00:00:00.000Z'),
+        record('words', 'c-word', 0, { id: 'c-word', v: 'same time' }, '2026-02-01T00:00:00.000Z'),
+        record('words', 'c-word', 0, { id: 'c-word', v: 'newer' }, '2026-03-01T00:00:00.000Z'),
+        record('subcards', 'c-sub', 0, { last_review: '2026-01-15T00:00:00.000Z' }, '2026-05-01T00:00:00.000Z'),
+        record('subcards', 'c-sub', 0, { last_review: '2026-03-01T00:00:00.000Z' }, '2026-01-01T00:00:00.000Z'),
+        record('supercardLastShown', 'c-shown', 0, { lastShown: '2026-01-01T00:00:00.000Z' }, '2026-05-01T00:00:00.000Z'),
+        record('supercardLastShown', 'c-shown', 0, { lastShown: '2026-03-01T00:00:00.000Z' }, '2026-01-01T00:00:00.000Z'),
+        { ...record('words', 'c-word', 0, null, '2026-04-01T00:00:00.000Z'), deleted: true }
+    ];
+    for (const incoming of attempts) {
+        const current = (await call('pull', { since: 0 })).data.records.find(r => r.key === incoming.key);
+        const expected = resolveSyncConflict(incoming.collection, incoming, current) === 'local';
+        const result = (await push([incoming])).data.results[0];
+        assert.equal(result.accepted, expected, `${incoming.collection} ${JSON.stringify(incoming.value)}`);
+        if (!expected) {
+            assert.equal(result.record.rev, current.rev, 'a rejected write comes back with the stored record');
+            assert.deepEqual(result.record.value, current.value);
+        }
+    }
+
+    const final = (await call('pull', { since: 0 })).data.records;
+    const byKey = Object.fromEntries(final.map(r => [r.key, r]));
+    assert.equal(byKey['c-word'].deleted, true);
+    assert.equal(byKey['c-sub'].value.last_review, '2026-03-01T00:00:00.000Z');
+    assert.equal(byKey['c-shown'].value.lastShown, '2026-03-01T00:00:00.000Z');
+});